@@ -0,0 +1,414 @@
+import { AppData, SchemaIssue } from './types';
+import { SchemaValidationError } from './errors';
+import { normalizeCategoryPath, withCategoryAncestors } from './categoryTree';
+import { SYNC_SETTINGS_KEYS, getSyncProvider, getSyncProviders } from './syncProviders';
+
+/**
+ * 数据结构校验与迁移 - 所有进入存储的 AppData 都必须经过这里
+ *
+ * 流程：
+ * - 根据 `metadata.version` 找到数据的版本，没有版本号的视为最早的格式
+ * - 依次执行迁移，直到升级为当前版本
+ * - 按当前版本的结构逐字段校验，任何问题都会以 SchemaValidationError 拒绝，并给出字段路径
+ *
+ * 版本历史：
+ * - 0.0.0  没有 metadata 的早期格式（包括部分云端初始化时写入的占位数据）
+ * - 1.0.0  增加 settings 和 metadata
+ * - 1.1.0  增加删除记录 deletedPrompts，Prompt 的字段都补齐默认值
+ * - 1.2.0  分类改为用 / 分隔的多级路径，分类列表中补齐上级分类和 Prompt 引用的分类
+ */
+export const CURRENT_SCHEMA_VERSION = '1.2.0';
+
+const LEGACY_SCHEMA_VERSION = '0.0.0';
+const SUBSCRIPTION_TYPES = ['url', 'gist', 'path'];
+const MAX_REPORTED_ISSUES = 5;
+const TAG_COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+const TYPE_NAMES: Record<string, string> = {
+    string: '字符串',
+    number: '数字',
+    boolean: '布尔值',
+    object: '对象',
+    array: '数组',
+    null: 'null',
+    undefined: 'undefined'
+};
+
+const DEFAULT_SETTINGS: AppData['settings'] = {
+    autoBackup: true,
+    backupInterval: 30,
+    cloudSync: false,
+    autoSync: false,
+    syncProvider: null,
+    workspaceMode: false
+};
+
+interface Migration {
+    from: string;
+    to: string;
+    migrate: (data: any) => any;
+}
+
+// 按版本顺序排列，每个迁移只负责升级一个版本
+const MIGRATIONS: Migration[] = [
+    {
+        from: '0.0.0',
+        to: '1.0.0',
+        migrate: (data) => {
+            const { version, ...rest } = data;
+            return {
+                ...rest,
+                prompts: rest.prompts ?? [],
+                categories: rest.categories ?? [],
+                settings: { ...DEFAULT_SETTINGS, ...rest.settings },
+                metadata: {
+                    lastModified: new Date().toISOString(),
+                    ...rest.metadata,
+                    totalPrompts: Array.isArray(rest.prompts) ? rest.prompts.length : 0
+                }
+            };
+        }
+    },
+    {
+        from: '1.0.0',
+        to: '1.1.0',
+        migrate: (data) => ({
+            ...data,
+            deletedPrompts: data.deletedPrompts ?? [],
+            prompts: Array.isArray(data.prompts)
+                ? data.prompts.map((prompt: any) => migratePromptTo110(prompt, data.metadata?.lastModified))
+                : data.prompts
+        })
+    },
+    {
+        from: '1.1.0',
+        to: '1.2.0',
+        migrate: (data) => migrateCategoriesTo120(data)
+    }
+];
+
+function migratePromptTo110(prompt: any, fallbackTime: string | undefined): any {
+    if (!isObject(prompt)) {
+        return prompt;
+    }
+    const time = fallbackTime ?? new Date().toISOString();
+    const numericId = typeof prompt.id === 'string' && prompt.id.trim() !== '' ? Number(prompt.id) : prompt.id;
+    return {
+        ...prompt,
+        id: Number.isFinite(numericId) ? numericId : prompt.id,
+        category: prompt.category ?? '',
+        tags: prompt.tags ?? [],
+        isActive: prompt.isActive ?? true,
+        createdAt: prompt.createdAt ?? prompt.updatedAt ?? time,
+        updatedAt: prompt.updatedAt ?? prompt.createdAt ?? time
+    };
+}
+
+function migrateCategoriesTo120(data: any): any {
+    if (!Array.isArray(data.prompts) || !Array.isArray(data.categories)) {
+        return data;
+    }
+    const prompts = data.prompts.map((prompt: any) =>
+        isObject(prompt) && typeof prompt.category === 'string'
+            ? { ...prompt, category: normalizeCategoryPath(prompt.category) }
+            : prompt
+    );
+    const referenced = prompts
+        .map((prompt: any) => prompt?.category)
+        .filter((category: unknown): category is string => typeof category === 'string' && category !== '');
+    // Non-string entries are left in place so validation can report them
+    const invalid = data.categories.filter((category: unknown) => typeof category !== 'string');
+    const categories = withCategoryAncestors([
+        ...data.categories.filter((category: unknown): category is string => typeof category === 'string'),
+        ...referenced
+    ]);
+    return { ...data, prompts, categories: [...categories, ...invalid] };
+}
+
+// #region Public API
+/**
+ * 迁移并校验数据
+ * @param data 任意来源的原始数据（已经过 JSON 解析）
+ * @param source 数据来源，用于错误信息，如“导入文件”
+ * @returns AppData 升级到当前版本并通过校验的数据
+ * @throws SchemaValidationError 数据版本过新或结构不符合要求
+ */
+export function parseAppData(data: unknown, source: string = '数据'): AppData {
+    if (!isObject(data)) {
+        throw createError(source, [{ path: '', message: '应为 JSON 对象' }]);
+    }
+
+    const version = getSchemaVersion(data);
+    if (compareVersions(version, CURRENT_SCHEMA_VERSION) > 0) {
+        throw new SchemaValidationError(
+            `${source}的版本 ${version} 高于当前支持的版本 ${CURRENT_SCHEMA_VERSION}，请升级扩展后再试。`,
+            [{ path: 'metadata.version', message: `不支持的版本 ${version}` }]
+        );
+    }
+
+    const migrated = migrateAppData(data, version);
+    const issues = validateAppData(migrated);
+    if (issues.length > 0) {
+        throw createError(source, issues);
+    }
+    return migrated as AppData;
+}
+
+/**
+ * 按当前版本的结构校验数据，不做任何修改
+ * @param data 要校验的数据
+ * @returns SchemaIssue[] 发现的问题，为空表示通过校验
+ */
+export function validateAppData(data: unknown): SchemaIssue[] {
+    const issues: SchemaIssue[] = [];
+    if (!isObject(data)) {
+        return [{ path: '', message: '应为 JSON 对象' }];
+    }
+
+    const seenIds = new Map<number, number>();
+    checkArray(data.prompts, 'prompts', issues, (prompt, path, index) => {
+        if (!checkObject(prompt, path, issues)) {
+            return;
+        }
+        validatePrompt(prompt, path, issues);
+        if (typeof prompt.id === 'number') {
+            if (seenIds.has(prompt.id)) {
+                issues.push({ path: `${path}.id`, message: `与 prompts[${seenIds.get(prompt.id)}] 的 ID 重复` });
+            } else {
+                seenIds.set(prompt.id, index);
+            }
+        }
+    });
+    checkArray(data.categories, 'categories', issues, (category, path) => checkType(category, 'string', path, issues));
+    if (data.deletedPrompts !== undefined) {
+        checkArray(data.deletedPrompts, 'deletedPrompts', issues, (tombstone, path) => {
+            if (checkObject(tombstone, path, issues)) {
+                checkId(tombstone.id, `${path}.id`, issues);
+                checkType(tombstone.deletedAt, 'string', `${path}.deletedAt`, issues);
+            }
+        });
+    }
+    if (data.tagColors !== undefined && checkObject(data.tagColors, 'tagColors', issues)) {
+        for (const [tag, color] of Object.entries(data.tagColors)) {
+            if (typeof color !== 'string' || !TAG_COLOR_PATTERN.test(color)) {
+                issues.push({ path: `tagColors.${tag}`, message: `应为 #rrggbb 格式的颜色，实际为 ${JSON.stringify(color)}` });
+            }
+        }
+    }
+    if (data.trash !== undefined) {
+        checkArray(data.trash, 'trash', issues, (entry, path) => {
+            if (checkObject(entry, path, issues)) {
+                if (checkObject(entry.prompt, `${path}.prompt`, issues)) {
+                    validatePrompt(entry.prompt, `${path}.prompt`, issues);
+                }
+                checkType(entry.deletedAt, 'string', `${path}.deletedAt`, issues);
+            }
+        });
+    }
+
+    if (checkObject(data.settings, 'settings', issues)) {
+        validateSettings(data.settings, issues);
+    }
+    if (checkObject(data.metadata, 'metadata', issues)) {
+        checkType(data.metadata.version, 'string', 'metadata.version', issues);
+        checkType(data.metadata.lastModified, 'string', 'metadata.lastModified', issues);
+        checkType(data.metadata.totalPrompts, 'number', 'metadata.totalPrompts', issues);
+    }
+    return issues;
+}
+
+/**
+ * 读取数据的版本号，没有 metadata.version 的视为最早的格式
+ */
+export function getSchemaVersion(data: Record<string, any>): string {
+    const version = data.metadata?.version;
+    return typeof version === 'string' && /^\d+\.\d+\.\d+$/.test(version) ? version : LEGACY_SCHEMA_VERSION;
+}
+// #endregion
+
+// #region Migration
+function migrateAppData(data: Record<string, any>, version: string): Record<string, any> {
+    let migrated = data;
+    let current = version;
+    for (const migration of MIGRATIONS) {
+        if (compareVersions(current, migration.to) < 0 && compareVersions(current, migration.from) >= 0) {
+            migrated = migration.migrate(migrated);
+            current = migration.to;
+        }
+    }
+    if (isObject(migrated.metadata)) {
+        migrated = { ...migrated, metadata: { ...migrated.metadata, version: CURRENT_SCHEMA_VERSION } };
+    }
+    return migrated;
+}
+
+function compareVersions(a: string, b: string): number {
+    const partsA = a.split('.').map(Number);
+    const partsB = b.split('.').map(Number);
+    for (let i = 0; i < 3; i++) {
+        const diff = (partsA[i] || 0) - (partsB[i] || 0);
+        if (diff !== 0) {
+            return diff;
+        }
+    }
+    return 0;
+}
+// #endregion
+
+// #region Validation
+function validatePrompt(prompt: Record<string, any>, path: string, issues: SchemaIssue[]): void {
+    checkId(prompt.id, `${path}.id`, issues);
+    checkType(prompt.title, 'string', `${path}.title`, issues);
+    checkType(prompt.content, 'string', `${path}.content`, issues);
+    checkType(prompt.category, 'string', `${path}.category`, issues);
+    checkStringArray(prompt.tags, `${path}.tags`, issues);
+    checkType(prompt.isActive, 'boolean', `${path}.isActive`, issues);
+    checkOptional(prompt.isFavorite, 'boolean', `${path}.isFavorite`, issues);
+    checkOptional(prompt.pinOrder, 'number', `${path}.pinOrder`, issues);
+    checkType(prompt.createdAt, 'string', `${path}.createdAt`, issues);
+    checkType(prompt.updatedAt, 'string', `${path}.updatedAt`, issues);
+
+    if (prompt.variables !== undefined) {
+        checkArray(prompt.variables, `${path}.variables`, issues, (variable, varPath) => {
+            if (!checkObject(variable, varPath, issues)) {
+                return;
+            }
+            checkType(variable.name, 'string', `${varPath}.name`, issues);
+            checkOptional(variable.defaultValue, 'string', `${varPath}.defaultValue`, issues);
+            if (variable.choices !== undefined) {
+                checkStringArray(variable.choices, `${varPath}.choices`, issues);
+            }
+        });
+    }
+
+    if (prompt.revisions !== undefined) {
+        checkArray(prompt.revisions, `${path}.revisions`, issues, (revision, revPath) => {
+            if (!checkObject(revision, revPath, issues)) {
+                return;
+            }
+            checkType(revision.revision, 'number', `${revPath}.revision`, issues);
+            checkType(revision.title, 'string', `${revPath}.title`, issues);
+            checkType(revision.content, 'string', `${revPath}.content`, issues);
+            checkType(revision.category, 'string', `${revPath}.category`, issues);
+            checkStringArray(revision.tags, `${revPath}.tags`, issues);
+            checkOptional(revision.note, 'string', `${revPath}.note`, issues);
+            checkType(revision.createdAt, 'string', `${revPath}.createdAt`, issues);
+        });
+    }
+
+    if (prompt.usage !== undefined && checkObject(prompt.usage, `${path}.usage`, issues)) {
+        checkType(prompt.usage.count, 'number', `${path}.usage.count`, issues);
+        checkType(prompt.usage.lastUsedAt, 'string', `${path}.usage.lastUsedAt`, issues);
+        if (checkObject(prompt.usage.daily, `${path}.usage.daily`, issues)) {
+            for (const [day, count] of Object.entries(prompt.usage.daily)) {
+                checkType(count, 'number', `${path}.usage.daily.${day}`, issues);
+            }
+        }
+    }
+}
+
+function validateSettings(settings: Record<string, any>, issues: SchemaIssue[]): void {
+    checkType(settings.autoBackup, 'boolean', 'settings.autoBackup', issues);
+    checkType(settings.backupInterval, 'number', 'settings.backupInterval', issues);
+    checkType(settings.cloudSync, 'boolean', 'settings.cloudSync', issues);
+    checkType(settings.autoSync, 'boolean', 'settings.autoSync', issues);
+    checkType(settings.workspaceMode, 'boolean', 'settings.workspaceMode', issues);
+    checkOptional(settings.folderMode, 'boolean', 'settings.folderMode', issues);
+    if (settings.teamLibraries !== undefined) {
+        checkArray(settings.teamLibraries, 'settings.teamLibraries', issues, (library, libraryPath) => {
+            if (!checkObject(library, libraryPath, issues)) {
+                return;
+            }
+            checkType(library.name, 'string', `${libraryPath}.name`, issues);
+            checkType(library.path, 'string', `${libraryPath}.path`, issues);
+        });
+    }
+    if (settings.subscriptions !== undefined) {
+        checkArray(settings.subscriptions, 'settings.subscriptions', issues, (subscription, subscriptionPath) => {
+            if (!checkObject(subscription, subscriptionPath, issues)) {
+                return;
+            }
+            for (const key of ['id', 'name', 'location']) {
+                checkType(subscription[key], 'string', `${subscriptionPath}.${key}`, issues);
+            }
+            if (!SUBSCRIPTION_TYPES.includes(subscription.type)) {
+                issues.push({ path: `${subscriptionPath}.type`, message: `应为 ${SUBSCRIPTION_TYPES.join('、')}` });
+            }
+        });
+    }
+    checkOptional(settings.isValidated, 'boolean', 'settings.isValidated', issues);
+    checkOptional(settings.syncEncryption, 'boolean', 'settings.syncEncryption', issues);
+    if (settings.syncProvider !== null && !getSyncProvider(settings.syncProvider)) {
+        issues.push({ path: 'settings.syncProvider', message: `应为 ${getSyncProviders().map(p => p.id).join('、')} 或 null` });
+    }
+    for (const key of SYNC_SETTINGS_KEYS) {
+        checkOptional(settings[key], 'string', `settings.${key}`, issues);
+    }
+}
+
+function checkArray(
+    value: unknown,
+    path: string,
+    issues: SchemaIssue[],
+    checkItem: (item: any, itemPath: string, index: number) => void
+): void {
+    if (!Array.isArray(value)) {
+        issues.push({ path, message: value === undefined ? '缺少必填字段，应为数组' : `应为数组，实际为${describeType(value)}` });
+        return;
+    }
+    value.forEach((item, index) => checkItem(item, `${path}[${index}]`, index));
+}
+
+function checkStringArray(value: unknown, path: string, issues: SchemaIssue[]): void {
+    checkArray(value, path, issues, (item, itemPath) => checkType(item, 'string', itemPath, issues));
+}
+
+function checkObject(value: unknown, path: string, issues: SchemaIssue[]): value is Record<string, any> {
+    if (!isObject(value)) {
+        issues.push({ path, message: value === undefined ? '缺少必填字段，应为对象' : `应为对象，实际为${describeType(value)}` });
+        return false;
+    }
+    return true;
+}
+
+function checkId(value: unknown, path: string, issues: SchemaIssue[]): void {
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+        issues.push({ path, message: value === undefined ? '缺少必填字段，应为数字 ID' : `应为数字 ID，实际为${describeType(value)}` });
+    }
+}
+
+function checkType(value: unknown, type: 'string' | 'number' | 'boolean', path: string, issues: SchemaIssue[]): void {
+    if (typeof value !== type || (type === 'number' && !Number.isFinite(value))) {
+        issues.push({
+            path,
+            message: value === undefined ? `缺少必填字段，应为${TYPE_NAMES[type]}` : `应为${TYPE_NAMES[type]}，实际为${describeType(value)}`
+        });
+    }
+}
+
+function checkOptional(value: unknown, type: 'string' | 'number' | 'boolean', path: string, issues: SchemaIssue[]): void {
+    if (value !== undefined) {
+        checkType(value, type, path, issues);
+    }
+}
+
+function describeType(value: unknown): string {
+    if (value === null) {
+        return TYPE_NAMES.null;
+    }
+    const type = Array.isArray(value) ? 'array' : typeof value;
+    return TYPE_NAMES[type] ?? type;
+}
+
+function isObject(value: unknown): value is Record<string, any> {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function createError(source: string, issues: SchemaIssue[]): SchemaValidationError {
+    const details = issues
+        .slice(0, MAX_REPORTED_ISSUES)
+        .map(issue => issue.path ? `${issue.path} ${issue.message}` : issue.message)
+        .join('；');
+    const more = issues.length > MAX_REPORTED_ISSUES ? `；等共 ${issues.length} 处问题` : '';
+    return new SchemaValidationError(`${source}格式无效：${details}${more}`, issues);
+}
+// #endregion
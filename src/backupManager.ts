@@ -1,47 +1,141 @@
 import * as vscode from 'vscode';
 import * as fs from 'fs';
 import * as path from 'path';
-import { AppData, BackupInfo } from './types';
+import * as crypto from 'crypto';
+import { AppData, BackupHistoryEntry, BackupInfo } from './types';
+import { parseAppData } from './appDataSchema';
+
+interface BackupFile {
+    path: string;
+    timestamp: string;
+    size: number;
+    mtime: Date;
+}
 
 /**
  * 备份管理器 - 负责数据备份和恢复功能
- * 
+ *
  * 职责：
  * - 创建和管理数据备份
  * - 恢复数据从备份文件
- * - 自动备份定时任务
- * - 备份文件清理
+ * - 自动备份定时任务（数据没有变化时跳过）
+ * - 按保留策略清理旧备份，并记录备份历史
  */
 export class BackupManager {
+    private static readonly STORAGE_KEYS = {
+        BACKUP_HISTORY: 'promptHub.backupHistory'
+    };
+
+    // 保留策略：最近 N 个备份，外加最近几天每天最新的一个、最近几周每周最新的一个
+    private static readonly RETENTION = {
+        RECENT: 10,
+        DAILY_DAYS: 7,
+        WEEKLY_WEEKS: 4
+    };
+
     private backupTimer?: NodeJS.Timeout;
+    private backupTimerInterval?: number;
+    private autoBackupCallback?: () => Promise<AppData>;
 
     constructor(private context: vscode.ExtensionContext) {}
 
     // #region Backup/Restore
-    public async createBackup(data: AppData): Promise<string> {
+    /**
+     * 创建备份
+     * @param data 要备份的数据
+     * @param trigger 备份的触发方式
+     * @returns Promise<string> 备份文件路径
+     */
+    public async createBackup(data: AppData, trigger: 'auto' | 'manual' = 'manual'): Promise<string> {
         const backupDir = this.getBackupDirectory();
         if (!fs.existsSync(backupDir)) {
             fs.mkdirSync(backupDir, { recursive: true });
         }
-        const timestamp = new Date().toISOString().replace(/:/g, '-');
+        const now = new Date();
+        const timestamp = now.toISOString().replace(/:/g, '-');
         const backupFile = `backup-${timestamp}.json`;
         const backupPath = path.join(backupDir, backupFile);
-        fs.writeFileSync(backupPath, JSON.stringify(data, null, 4));
-        await this.updateBackupHistory(backupPath, timestamp);
+        const content = JSON.stringify(data, null, 4);
+        fs.writeFileSync(backupPath, content);
+        await this.updateBackupHistory({
+            path: backupPath,
+            timestamp: now.toISOString(),
+            size: Buffer.byteLength(content),
+            hash: this.computeHash(data),
+            promptCount: data.prompts.length,
+            categoryCount: data.categories.length,
+            trigger
+        });
         await this.cleanupOldBackups();
         return backupPath;
     }
 
+    /**
+     * 读取并校验备份文件
+     * @param backupPath 备份文件路径，必须位于备份目录中
+     * @returns Promise<AppData | null> 备份中的数据，文件不存在时为 null
+     */
     public async restoreFromBackup(backupPath: string): Promise<AppData | null> {
-        if (fs.existsSync(backupPath)) {
-            const data = fs.readFileSync(backupPath, 'utf-8');
-            const appData = JSON.parse(data);
-            return appData;
+        const backupDir = path.resolve(this.getBackupDirectory());
+        const resolvedPath = path.resolve(backupPath);
+        if (path.dirname(resolvedPath) !== backupDir) {
+            throw new Error('只能从备份目录中恢复数据。');
+        }
+        if (!fs.existsSync(resolvedPath)) {
+            return null;
         }
-        return null;
+        return this.parseBackup(fs.readFileSync(resolvedPath, 'utf-8'));
     }
 
+    /**
+     * 获取备份列表，按时间从新到旧排列
+     * 有历史记录的备份直接使用记录中的统计信息，否则读取文件统计
+     * @returns BackupInfo[] 备份列表
+     */
     public getBackupList(): BackupInfo[] {
+        const history = new Map(this.getBackupHistory().map(entry => [entry.path, entry]));
+        return this.getBackupFiles().map(({ path: filePath, timestamp, size }) => {
+            const entry = history.get(filePath);
+            if (entry) {
+                const { promptCount, categoryCount, trigger } = entry;
+                return { path: filePath, timestamp, size, promptCount, categoryCount, trigger };
+            }
+            try {
+                const data = this.parseBackup(fs.readFileSync(filePath, 'utf-8'));
+                return { path: filePath, timestamp, size, promptCount: data.prompts.length, categoryCount: data.categories.length };
+            } catch (error) {
+                console.warn(`[BackupManager] Skipping counts for invalid backup ${filePath}:`, error);
+                return { path: filePath, timestamp, size };
+            }
+        });
+    }
+
+    /**
+     * 解析备份内容，迁移到当前版本并校验结构
+     */
+    private parseBackup(content: string): AppData {
+        let data: unknown;
+        try {
+            data = JSON.parse(content);
+        } catch (error) {
+            throw new Error(`备份文件已损坏，无法解析: ${error instanceof Error ? error.message : String(error)}`);
+        }
+        return parseAppData(data, '备份文件');
+    }
+
+    /**
+     * 获取备份历史，按时间从新到旧排列
+     * 只包含备份文件仍然存在的记录
+     * @returns BackupHistoryEntry[] 备份历史
+     */
+    public getBackupHistory(): BackupHistoryEntry[] {
+        const history = this.context.globalState.get<BackupHistoryEntry[]>(BackupManager.STORAGE_KEYS.BACKUP_HISTORY, []);
+        return history
+            .filter(entry => fs.existsSync(entry.path))
+            .sort((a, b) => new Date(b.timestamp).getTime() - new Date(a.timestamp).getTime());
+    }
+
+    private getBackupFiles(): BackupFile[] {
         const backupDir = this.getBackupDirectory();
         if (!fs.existsSync(backupDir)) {
             return [];
@@ -51,58 +145,145 @@ export class BackupManager {
             .map(file => {
                 const filePath = path.join(backupDir, file);
                 const stat = fs.statSync(filePath);
-                return { 
-                    path: filePath, 
-                    timestamp: this.extractTimestamp(file), 
-                    size: stat.size, 
-                    mtime: stat.mtime 
+                return {
+                    path: filePath,
+                    timestamp: this.extractTimestamp(file),
+                    size: stat.size,
+                    mtime: stat.mtime
                 };
             })
-            .filter((file): file is { path: string; timestamp: string; size: number, mtime: Date } => file.timestamp !== 'N/A')
-            .sort((a, b) => b.mtime.getTime() - a.mtime.getTime())
-            .map(({path, timestamp, size}) => ({path, timestamp, size}));
+            .filter(file => file.timestamp !== 'N/A')
+            .sort((a, b) => b.mtime.getTime() - a.mtime.getTime());
     }
 
     private extractTimestamp(filename: string): string {
         const match = filename.match(/backup-(.*)\.json/);
-        return match ? match[1].replace(/-/g, ':') : 'N/A';
+        // File names use '-' instead of ':' in the time part, e.g. 2024-01-01T08-30-00.000Z
+        return match ? match[1].replace(/T(\d{2})-(\d{2})-(\d{2})/, 'T$1:$2:$3') : 'N/A';
     }
 
     private getBackupDirectory(): string {
         return path.join(this.context.globalStorageUri.fsPath, 'backups');
     }
 
-    private async updateBackupHistory(backupPath: string, timestamp: string): Promise<void> {
-        // 可以在这里记录备份历史，暂时留空
+    /**
+     * 计算备份内容的摘要
+     * 只包含 Prompt 和分类，设置和修改时间的变化不算作数据变化
+     */
+    private computeHash(data: AppData): string {
+        const content = JSON.stringify({
+            prompts: data.prompts,
+            categories: data.categories,
+            deletedPrompts: data.deletedPrompts ?? []
+        });
+        return crypto.createHash('sha256').update(content).digest('hex');
+    }
+
+    private async updateBackupHistory(entry: BackupHistoryEntry): Promise<void> {
+        const history = this.getBackupHistory().filter(item => item.path !== entry.path);
+        await this.context.globalState.update(BackupManager.STORAGE_KEYS.BACKUP_HISTORY, [entry, ...history]);
     }
 
+    /**
+     * 按保留策略删除旧的自动备份，并同步清理备份历史
+     * 手动创建的备份和没有历史记录、无法确定来源的备份不会被删除
+     */
     private async cleanupOldBackups(): Promise<void> {
-        // 可以在这里清理老的备份文件，暂时留空
+        const { RECENT, DAILY_DAYS, WEEKLY_WEEKS } = BackupManager.RETENTION;
+        const dayMs = 24 * 60 * 60 * 1000;
+        const now = Date.now();
+        const keep = new Set<string>();
+        const keptDays = new Set<string>();
+        const keptWeeks = new Set<string>();
+
+        const autoBackups = new Set(this.getBackupHistory().filter(entry => entry.trigger === 'auto').map(entry => entry.path));
+
+        // 备份按时间从新到旧排列，因此每天/每周第一个遇到的就是最新的一个
+        this.getBackupFiles().filter(file => autoBackups.has(file.path)).forEach((file, index) => {
+            const time = file.mtime.getTime();
+            const dayKey = file.mtime.toDateString();
+            const weekKey = this.getWeekStart(file.mtime).toDateString();
+
+            if (index < RECENT) {
+                keep.add(file.path);
+            }
+            if (now - time < DAILY_DAYS * dayMs && !keptDays.has(dayKey)) {
+                keptDays.add(dayKey);
+                keep.add(file.path);
+            }
+            if (now - time < WEEKLY_WEEKS * 7 * dayMs && !keptWeeks.has(weekKey)) {
+                keptWeeks.add(weekKey);
+                keep.add(file.path);
+            }
+            if (!keep.has(file.path)) {
+                try {
+                    fs.unlinkSync(file.path);
+                } catch (error) {
+                    console.warn(`[BackupManager] Failed to delete old backup ${file.path}:`, error);
+                }
+            }
+        });
+
+        const history = this.getBackupHistory();
+        await this.context.globalState.update(BackupManager.STORAGE_KEYS.BACKUP_HISTORY, history);
+    }
+
+    private getWeekStart(date: Date): Date {
+        const start = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+        // 以周一作为一周的开始
+        start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+        return start;
     }
 
     /**
      * 初始化自动备份
+     * 设置没有变化时保持现有的定时器，因此可以在每次保存设置后调用
      * @param settings 应用设置
      */
     public async initializeAutoBackup(settings: AppData['settings']): Promise<void> {
+        const interval = settings.autoBackup ? Math.max(1, Number(settings.backupInterval) || 30) : undefined;
+        if (interval === this.backupTimerInterval) {
+            return;
+        }
+
         if (this.backupTimer) {
             clearInterval(this.backupTimer);
+            this.backupTimer = undefined;
         }
-        if (settings.autoBackup) {
-            // 注意：这里需要外部提供创建备份的回调，因为备份管理器不应该直接依赖数据管理器
+        this.backupTimerInterval = interval;
+
+        if (interval) {
             this.backupTimer = setInterval(() => {
-                // 这里需要通过回调函数来创建备份
-                console.log('[BackupManager] Auto-backup timer triggered');
-            }, settings.backupInterval * 60 * 1000);
+                this.runAutoBackup().catch(err => console.error('[BackupManager] Auto-backup failed:', err));
+            }, interval * 60 * 1000);
         }
     }
 
     /**
      * 设置自动备份回调
-     * @param callback 备份回调函数
+     * 备份管理器不直接依赖数据管理器，由回调提供需要备份的最新数据
+     * @param callback 返回当前数据的回调函数
      */
-    public setAutoBackupCallback(callback: () => Promise<void>): void {
-        // 可以用于设置自动备份的回调函数
+    public setAutoBackupCallback(callback: () => Promise<AppData>): void {
+        this.autoBackupCallback = callback;
+    }
+
+    private async runAutoBackup(): Promise<void> {
+        if (!this.autoBackupCallback) {
+            return;
+        }
+
+        const data = await this.autoBackupCallback();
+        if (!data.settings.autoBackup) {
+            return;
+        }
+
+        const latest = this.getBackupHistory()[0];
+        if (latest && latest.hash === this.computeHash(data)) {
+            return;
+        }
+
+        await this.createBackup(data, 'auto');
     }
 
     public dispose(): void {
@@ -111,4 +292,4 @@ export class BackupManager {
         }
     }
     // #endregion
-} 
\ No newline at end of file
+}
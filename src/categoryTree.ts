@@ -0,0 +1,61 @@
+/**
+ * 分类树 - 分类是用 / 分隔的路径，例如 "开发/后端/代码审查"
+ *
+ * 规则：
+ * - AppData.categories 保存所有分类的完整路径，每个分类的上级分类也都在列表中
+ * - Prompt.category 保存完整路径，空字符串表示未分类
+ * - 重命名和删除作用于整个子树，路径前缀相同但不在子树中的分类（如 "开发" 和 "开发工具"）不受影响
+ */
+export const CATEGORY_SEPARATOR = '/';
+
+/**
+ * 规范化分类路径：去掉每一级首尾的空格和空的层级
+ * @param category 分类路径
+ * @returns string 规范化后的路径，全部为空时为空字符串
+ */
+export function normalizeCategoryPath(category: string): string {
+    return (category || '')
+        .split(CATEGORY_SEPARATOR)
+        .map(segment => segment.trim())
+        .filter(segment => segment !== '')
+        .join(CATEGORY_SEPARATOR);
+}
+
+/**
+ * 分类的所有上级分类，从最顶层开始，不包括分类本身
+ */
+export function getCategoryAncestors(category: string): string[] {
+    const segments = category.split(CATEGORY_SEPARATOR);
+    return segments.slice(0, -1).map((_, index) => segments.slice(0, index + 1).join(CATEGORY_SEPARATOR));
+}
+
+/**
+ * 分类是否是 root 本身或 root 的下级分类
+ */
+export function isInCategorySubtree(category: string, root: string): boolean {
+    return category === root || category.startsWith(root + CATEGORY_SEPARATOR);
+}
+
+/**
+ * 把子树中的分类路径从 oldRoot 移到 newRoot 下，不在子树中的路径原样返回
+ */
+export function moveCategoryPath(category: string, oldRoot: string, newRoot: string): string {
+    return isInCategorySubtree(category, oldRoot) ? newRoot + category.slice(oldRoot.length) : category;
+}
+
+/**
+ * 规范化分类列表并补齐缺少的上级分类，保持原来的顺序，上级分类插在第一个下级分类之前
+ * @param categories 分类列表
+ * @returns string[] 去重后的分类列表
+ */
+export function withCategoryAncestors(categories: string[]): string[] {
+    const result: string[] = [];
+    for (const category of categories.map(normalizeCategoryPath)) {
+        for (const path of [...getCategoryAncestors(category), category]) {
+            if (path && !result.includes(path)) {
+                result.push(path);
+            }
+        }
+    }
+    return result;
+}
@@ -0,0 +1,118 @@
+import * as vscode from 'vscode';
+import * as fs from 'fs';
+import * as path from 'path';
+
+/**
+ * 编辑器上下文变量 - 在复制或插入 Prompt 时从当前编辑器解析内置变量
+ *
+ * 支持的变量：
+ * - `${selection}`        当前选中的文本
+ * - `${file}`             当前文件相对于工作区的路径
+ * - `${fileContent}`      当前文件的完整内容
+ * - `${language}`         当前文件的语言 ID
+ * - `${clipboard}`        剪贴板内容
+ * - `${workspaceFolder}`  当前工作区文件夹的路径
+ * - `${gitBranch}`        当前工作区所在的 Git 分支
+ *
+ * 未知的 `${...}` 会原样保留，避免误伤 Prompt 中的代码片段。
+ */
+export const CONTEXT_VARIABLE_NAMES = [
+    'selection',
+    'file',
+    'fileContent',
+    'language',
+    'clipboard',
+    'workspaceFolder',
+    'gitBranch'
+] as const;
+
+export type ContextVariableName = typeof CONTEXT_VARIABLE_NAMES[number];
+
+const CONTEXT_VARIABLE_PATTERN = new RegExp(`\\$\\{(${CONTEXT_VARIABLE_NAMES.join('|')})\\}`, 'g');
+
+/**
+ * 解析文本中用到的上下文变量在当前编辑器中的实际值
+ * @param text Prompt 文本
+ * @returns Promise<Partial<Record<ContextVariableName, string>>> 变量名到实际值的映射，只包含文本中出现的变量
+ */
+export async function getContextVariableValues(text: string): Promise<Partial<Record<ContextVariableName, string>>> {
+    const names = new Set(Array.from(text.matchAll(CONTEXT_VARIABLE_PATTERN), match => match[1] as ContextVariableName));
+    const values: Partial<Record<ContextVariableName, string>> = {};
+    if (names.size === 0) {
+        return values;
+    }
+
+    // 焦点在 Prompt Hub 视图时 activeTextEditor 可能为空，退而使用可见的编辑器
+    const editor = vscode.window.activeTextEditor ?? vscode.window.visibleTextEditors[0];
+    for (const name of names) {
+        values[name] = await resolveVariable(name, editor);
+    }
+    return values;
+}
+
+/**
+ * 将文本中的上下文变量替换为当前编辑器中的实际值
+ * @param text 已渲染模板变量的 Prompt 文本
+ * @returns Promise<string> 解析后的文本
+ */
+export async function resolveContextVariables(text: string): Promise<string> {
+    const values = await getContextVariableValues(text);
+    return text.replace(CONTEXT_VARIABLE_PATTERN, (_match, name: ContextVariableName) => values[name] ?? '');
+}
+
+async function resolveVariable(name: ContextVariableName, editor?: vscode.TextEditor): Promise<string> {
+    const document = editor?.document;
+    switch (name) {
+        case 'selection':
+            return editor
+                ? editor.selections.map(selection => document?.getText(selection) ?? '').join('\n')
+                : '';
+        case 'file':
+            return document && !document.isUntitled ? vscode.workspace.asRelativePath(document.uri, false) : '';
+        case 'fileContent':
+            return document?.getText() ?? '';
+        case 'language':
+            return document?.languageId ?? '';
+        case 'clipboard':
+            return vscode.env.clipboard.readText();
+        case 'workspaceFolder':
+            return getWorkspaceFolder(document)?.uri.fsPath ?? '';
+        case 'gitBranch': {
+            const folder = getWorkspaceFolder(document);
+            return folder ? readGitBranch(folder.uri.fsPath) : '';
+        }
+    }
+}
+
+function getWorkspaceFolder(document?: vscode.TextDocument): vscode.WorkspaceFolder | undefined {
+    const folder = document ? vscode.workspace.getWorkspaceFolder(document.uri) : undefined;
+    return folder ?? vscode.workspace.workspaceFolders?.[0];
+}
+
+/**
+ * 读取 `.git/HEAD` 获取当前分支，分离头指针时返回短提交哈希
+ * @param folderPath 工作区文件夹路径
+ * @returns Promise<string> 分支名，不是 Git 仓库时返回空字符串
+ */
+async function readGitBranch(folderPath: string): Promise<string> {
+    try {
+        let gitDir = path.join(folderPath, '.git');
+        const stat = await fs.promises.stat(gitDir);
+        if (stat.isFile()) {
+            // Worktrees and submodules use a `.git` file pointing to the real git directory
+            const pointer = await fs.promises.readFile(gitDir, 'utf-8');
+            const match = pointer.match(/^gitdir:\s*(.+)$/m);
+            if (!match) {
+                return '';
+            }
+            gitDir = path.resolve(folderPath, match[1].trim());
+        }
+
+        const head = (await fs.promises.readFile(path.join(gitDir, 'HEAD'), 'utf-8')).trim();
+        const ref = head.match(/^ref:\s*refs\/heads\/(.+)$/);
+        return ref ? ref[1] : head.slice(0, 7);
+    } catch (error) {
+        console.warn('[ContextVariables] Failed to read git branch:', error);
+        return '';
+    }
+}
@@ -1,14 +1,27 @@
 import * as vscode from 'vscode';
 import * as fs from 'fs';
 import * as path from 'path';
-import { AppData, Prompt, StorageInfo, SystemStatus, SyncResult, BackupInfo } from './types';
-import { SyncError, SyncConflictError } from './errors';
+import { AppData, LibraryView, Prompt, PromptUsage, PromptVariable, TrashedPrompt, UndoAction, StorageInfo, Subscription, SubscriptionType, StorageMode, SystemStatus, SyncResult, BackupInfo, ImportAnalysis, ImportSummary } from './types';
+import { SyncError, SyncConflictError, SchemaValidationError } from './errors';
 import { StorageManager } from './storageManager';
 import { BackupManager } from './backupManager';
 import { SyncManager } from './syncManager';
+import { SYNC_SETTINGS_KEYS, getSyncProviders } from './syncProviders';
+import { parseTemplateVariables, renderTemplate } from './templateEngine';
+import { ConflictChoice } from './syncMerge';
+import { parseAppData } from './appDataSchema';
+import { ImportChoice, buildImportPlan, matchImportedPrompts } from './importMerge';
+import { findExportedPromptFiles, readMarkdownFolder, writeMarkdownFolder } from './markdownFormat';
+import {
+    ColumnMapping, ImportFile, ImportedPrompt,
+    convertMarkdownFile, convertRuleFile, convertTableRows, getImportFormat, guessColumnMapping, parseDelimited, toImportData
+} from './promptImporters';
+import { SubscriptionManager, SubscriptionUpdate } from './subscriptionManager';
+import { isInCategorySubtree } from './categoryTree';
+import { LibraryLayer, PERSONAL_SOURCE_ID, loadTeamLibrary, mergeLibraries, resolveLibraryPath } from './promptLibrary';
 
 // 导出错误类以保持向后兼容性
-export { SyncError, SyncConflictError };
+export { SyncError, SyncConflictError, SchemaValidationError };
 
 /**
  * 数据管理器 - 协调各个功能模块的主要管理器
@@ -23,13 +36,41 @@ export class DataManager {
     private storageManager: StorageManager;
     private backupManager: BackupManager;
     private syncManager: SyncManager;
+    private subscriptionManager: SubscriptionManager;
+    private pendingImport?: { id: string; data: AppData };
+    private readonly _onDidChangeData = new vscode.EventEmitter<AppData>();
+
+    /**
+     * 数据在后台被修改时触发（例如自动同步合并了云端的修改），界面应据此刷新
+     */
+    public readonly onDidChangeData = this._onDidChangeData.event;
+    private readonly _onDidDetectSyncConflict = new vscode.EventEmitter<SyncResult>();
+
+    /**
+     * 后台自动同步检测到冲突时触发，需要由界面引导用户解决
+     */
+    public readonly onDidDetectSyncConflict = this._onDidDetectSyncConflict.event;
+    private readonly _onDidRecordUsage = new vscode.EventEmitter<{ id: number; usage: PromptUsage }>();
+
+    /**
+     * 记录使用后触发，界面只需更新该 Prompt 的使用统计
+     */
+    public readonly onDidRecordUsage = this._onDidRecordUsage.event;
 
     constructor(private context: vscode.ExtensionContext) {
         this.storageManager = new StorageManager(context);
         this.backupManager = new BackupManager(context);
         this.syncManager = new SyncManager(context);
+        this.subscriptionManager = new SubscriptionManager(context, this.syncManager);
         
+        this.backupManager.setAutoBackupCallback(() => this.getAppData());
+        this.subscriptionManager.setAutoRefreshCallback(() => this.getAppData(), updates => {
+            this.getAppData().then(data => this._onDidChangeData.fire(data)).catch(() => undefined);
+            this.showSubscriptionUpdates(updates);
+        });
+        this.subscriptionManager.initializeAutoRefresh();
         this.initializeAutoBackup().catch((err: any) => console.error("Failed to initialize auto-backup:", err));
+        this.initializePromptFolderWatcher().catch((err: any) => console.error("Failed to watch the prompt folder:", err));
     }
 
     // #region Core Data Handling - 委托给StorageManager
@@ -48,40 +89,309 @@ export class DataManager {
     public async saveAppData(data: AppData): Promise<void> {
         await this.storageManager.saveAppData(data);
         
-        // 处理自动备份
-        if (data.settings.autoBackup) {
-            await this.createBackup(data);
-        }
+        // 自动备份由定时任务执行，这里只需要在设置变化时更新定时器
+        await this.backupManager.initializeAutoBackup(data.settings);
 
         // 处理自动同步
         if (data.settings.cloudSync && data.settings.autoSync) {
-            await this.syncManager.startAutoSync(data, (message: string) => {
-                vscode.window.showWarningMessage(message);
-            });
+            await this.syncManager.startAutoSync(
+                data,
+                () => this.getAppData(),
+                result => this._onDidDetectSyncConflict.fire(result),
+                syncedData => this.applySyncedData(syncedData)
+            );
         }
     }
 
     public async updateSetting(key: string, value: any): Promise<void> {
-        return this.storageManager.updateSetting(key, value);
+        await this.storageManager.updateSetting(key, value);
+        if (key === 'autoBackup' || key === 'backupInterval') {
+            await this.initializeAutoBackup();
+        }
     }
     // #endregion
 
     // #region Workspace Mode - 委托给StorageManager
     public async toggleWorkspaceMode(enable: boolean): Promise<void> {
-        return this.storageManager.toggleWorkspaceMode(enable);
+        await this.storageManager.toggleWorkspaceMode(enable);
+        await this.initializePromptFolderWatcher();
+    }
+
+    /**
+     * 切换存储模式，切换到 .prompthub 文件夹模式前会先创建备份
+     * @param mode 目标存储模式
+     */
+    public async setStorageMode(mode: StorageMode): Promise<void> {
+        if (mode === 'folder') {
+            await this.createBackup();
+        }
+        await this.storageManager.setStorageMode(mode);
+        await this.initializePromptFolderWatcher();
     }
 
     public async getStorageInfo(): Promise<StorageInfo> {
         return this.storageManager.getStorageInfo();
     }
+
+    /**
+     * 文件夹模式下监听 .prompthub 文件夹，其他人提交的修改会实时刷新界面
+     */
+    private async initializePromptFolderWatcher(): Promise<void> {
+        const { mode } = await this.storageManager.getStorageInfo();
+        if (mode === 'folder') {
+            this.storageManager.watchPromptFolder(data => this._onDidChangeData.fire(data));
+        } else {
+            this.storageManager.unwatchPromptFolder();
+        }
+    }
+    // #endregion
+
+    // #region Layered Library
+    /**
+     * 合并个人库、其他存储位置中的个人数据和团队库，用于在主界面中统一显示
+     * @returns Promise<LibraryView> 所有来源及合并后的 Prompt，只有个人库中的 Prompt 可以编辑
+     */
+    public async getLibrary(appData?: AppData): Promise<LibraryView> {
+        const data = appData ?? await this.getAppData();
+        const baseDir = vscode.workspace.workspaceFolders?.[0]?.uri.fsPath;
+        const personal: LibraryLayer = {
+            source: { id: PERSONAL_SOURCE_ID, name: '我的库', kind: 'personal', readOnly: false },
+            prompts: data.prompts
+        };
+        return mergeLibraries([
+            personal,
+            ...this.storageManager.getInactiveLayers(data),
+            ...(data.settings.teamLibraries || []).map(library => loadTeamLibrary(library, baseDir)),
+            ...this.subscriptionManager.getLayers(data.settings.subscriptions || [])
+        ]);
+    }
+
+    /**
+     * 将只读来源中的 Prompt 复制到个人库
+     * @param promptId 合并视图中显示的 Prompt ID
+     * @returns Promise<number> 新 Prompt 的 ID
+     */
+    public async copyPromptToLibrary(promptId: number | string): Promise<number> {
+        const library = await this.getLibrary();
+        const prompt = library.prompts.find(p => p.id == promptId);
+        if (!prompt) {
+            throw new Error(`Prompt with id ${promptId} not found.`);
+        }
+        if (!prompt.readOnly) {
+            throw new Error('该 Prompt 已在你的库中。');
+        }
+
+        const sourceName = library.sources.find(source => source.id === prompt.source)?.name ?? prompt.source;
+        const before = new Set((await this.getPrompts()).map(p => p.id));
+        const data = await this.savePrompt({
+            title: prompt.title,
+            content: prompt.content,
+            category: prompt.category,
+            tags: prompt.tags,
+            revisionNote: `从「${sourceName}」复制`
+        });
+        const created = data.prompts.find(p => !before.has(p.id));
+        if (!created) {
+            throw new Error('复制失败。');
+        }
+        return created.id;
+    }
+
+    /**
+     * 添加团队库：选择一个 Markdown 文件夹或 JSON 文件，工作区内的路径保存为相对路径，方便提交到仓库中共享
+     * @returns Promise<AppData | void> 用户取消时没有返回值
+     */
+    public async addTeamLibrary(): Promise<AppData | void> {
+        const kind = await vscode.window.showQuickPick(
+            [
+                { label: 'Markdown 文件夹', description: '例如仓库中的 .prompthub 文件夹或导出的 Markdown 文件夹', folder: true },
+                { label: 'JSON 文件', description: 'Prompt Hub 导出的 JSON 文件', folder: false }
+            ],
+            { placeHolder: '选择团队库的格式' }
+        );
+        if (!kind) {
+            return;
+        }
+
+        const result = await vscode.window.showOpenDialog({
+            canSelectFiles: !kind.folder,
+            canSelectFolders: kind.folder,
+            canSelectMany: false,
+            filters: kind.folder ? undefined : { 'JSON': ['json'] },
+            openLabel: '添加为团队库'
+        });
+        if (!result || result.length === 0) {
+            return;
+        }
+
+        const location = result[0].fsPath;
+        const name = await vscode.window.showInputBox({
+            prompt: '团队库名称',
+            value: path.basename(location, path.extname(location)),
+            validateInput: value => value.trim() ? null : '名称不能为空'
+        });
+        if (!name) {
+            return;
+        }
+
+        const baseDir = vscode.workspace.workspaceFolders?.[0]?.uri.fsPath;
+        const relative = baseDir ? path.relative(baseDir, location) : '';
+        const libraryPath = relative && !relative.startsWith('..') && !path.isAbsolute(relative)
+            ? relative.split(path.sep).join('/')
+            : location;
+
+        const appData = await this.getAppData();
+        const libraries = appData.settings.teamLibraries || [];
+        if (libraries.some(library => resolveLibraryPath(library.path, baseDir) === location)) {
+            throw new Error('该团队库已添加。');
+        }
+        appData.settings.teamLibraries = [...libraries, { name: name.trim(), path: libraryPath }];
+        await this.saveAppData(appData);
+        return appData;
+    }
+
+    /**
+     * 移除团队库，只移除配置，不会删除团队库的文件
+     * @param libraryPath 团队库配置中的路径
+     */
+    public async removeTeamLibrary(libraryPath: string): Promise<AppData> {
+        const appData = await this.getAppData();
+        appData.settings.teamLibraries = (appData.settings.teamLibraries || []).filter(library => library.path !== libraryPath);
+        await this.saveAppData(appData);
+        return appData;
+    }
+    // #endregion
+
+    // #region Subscriptions - 委托给SubscriptionManager
+    /**
+     * 添加订阅：选择来源类型并填写地址，第一次获取成功后才会保存
+     * @returns Promise<AppData | void> 用户取消时没有返回值
+     */
+    public async addSubscription(): Promise<AppData | void> {
+        const type = await vscode.window.showQuickPick(
+            [
+                { label: 'URL', description: '可以直接下载的 Prompt Hub JSON 文件', type: 'url' as SubscriptionType },
+                { label: 'GitHub Gist', description: '公开 Gist 的 ID 或链接', type: 'gist' as SubscriptionType },
+                { label: '本地文件', description: '本机或网络共享上的 Prompt Hub JSON 文件', type: 'path' as SubscriptionType }
+            ],
+            { placeHolder: '选择订阅的来源' }
+        );
+        if (!type) {
+            return;
+        }
+
+        let location: string | undefined;
+        if (type.type === 'path') {
+            const result = await vscode.window.showOpenDialog({
+                canSelectMany: false,
+                filters: { 'JSON': ['json'] },
+                openLabel: '订阅此文件'
+            });
+            location = result?.[0]?.fsPath;
+        } else {
+            location = await vscode.window.showInputBox({
+                prompt: type.type === 'url' ? '输入 JSON 文件的 URL' : '输入 Gist ID 或链接',
+                placeHolder: type.type === 'url' ? 'https://example.com/prompts.json' : 'https://gist.github.com/user/0123456789abcdef',
+                ignoreFocusOut: true,
+                validateInput: value => {
+                    if (!value.trim()) {
+                        return '地址不能为空';
+                    }
+                    return type.type === 'url' && !/^https?:\/\//i.test(value.trim()) ? 'URL 需要以 http:// 或 https:// 开头' : null;
+                }
+            });
+        }
+        if (!location) {
+            return;
+        }
+        location = location.trim();
+
+        const appData = await this.getAppData();
+        const subscriptions = appData.settings.subscriptions || [];
+        if (subscriptions.some(subscription => subscription.type === type.type && subscription.location === location)) {
+            throw new Error('已经订阅过这个 Prompt 库。');
+        }
+
+        const name = await vscode.window.showInputBox({
+            prompt: '订阅名称',
+            value: type.type === 'path' ? path.basename(location, path.extname(location)) : '',
+            ignoreFocusOut: true,
+            validateInput: value => value.trim() ? null : '名称不能为空'
+        });
+        if (!name) {
+            return;
+        }
+
+        const subscription: Subscription = { id: Date.now().toString(), name: name.trim(), type: type.type, location };
+        await this.subscriptionManager.refreshSubscription(subscription);
+        const error = this.subscriptionManager.getSubscriptionCache(subscription.id)?.error;
+        if (error) {
+            await this.subscriptionManager.removeSubscriptionCache(subscription.id);
+            throw new Error(error);
+        }
+
+        appData.settings.subscriptions = [...subscriptions, subscription];
+        await this.saveAppData(appData);
+        return appData;
+    }
+
+    /**
+     * 取消订阅，同时删除离线缓存
+     * @param id 订阅 ID
+     */
+    public async removeSubscription(id: string): Promise<AppData> {
+        const appData = await this.getAppData();
+        appData.settings.subscriptions = (appData.settings.subscriptions || []).filter(subscription => subscription.id !== id);
+        await this.saveAppData(appData);
+        await this.subscriptionManager.removeSubscriptionCache(id);
+        return appData;
+    }
+
+    /**
+     * 立即刷新订阅，有变化时显示变更摘要
+     * @param id 订阅 ID，不指定时刷新所有订阅
+     * @returns Promise<SubscriptionUpdate[]> 内容有变化的订阅
+     */
+    public async refreshSubscriptions(id?: string): Promise<SubscriptionUpdate[]> {
+        const appData = await this.getAppData();
+        const subscriptions = (appData.settings.subscriptions || []).filter(subscription => !id || subscription.id === id);
+        const updates = await this.subscriptionManager.refresh(subscriptions);
+        this.showSubscriptionUpdates(updates);
+        return updates;
+    }
+
+    /**
+     * 显示订阅的变更摘要，可以展开查看具体的 Prompt
+     */
+    private showSubscriptionUpdates(updates: SubscriptionUpdate[]): void {
+        for (const { subscription, change } of updates) {
+            const summary = `订阅「${subscription.name}」已更新：新增 ${change.added.length} 个、修改 ${change.updated.length} 个、删除 ${change.removed.length} 个 Prompt`;
+            vscode.window.showInformationMessage(summary, '查看详情').then(answer => {
+                if (answer !== '查看详情') {
+                    return;
+                }
+                vscode.window.showQuickPick([
+                    ...change.added.map(title => ({ label: `$(add) ${title}`, description: '新增' })),
+                    ...change.updated.map(title => ({ label: `$(edit) ${title}`, description: '修改' })),
+                    ...change.removed.map(title => ({ label: `$(trash) ${title}`, description: '删除' }))
+                ], { title: summary, placeHolder: '订阅中变化的 Prompt' });
+            });
+        }
+    }
     // #endregion
 
     // #region CRUD Operations - 委托给StorageManager
-    public async savePrompt(promptData: Partial<Prompt> & { id?: string | number }): Promise<AppData> {
+    public async savePrompt(
+        promptData: Partial<Prompt> & { id?: string | number, revisionNote?: string }
+    ): Promise<AppData> {
         return this.storageManager.savePrompt(promptData);
     }
+
+    public async restorePromptRevision(promptId: number | string, revision: number): Promise<AppData> {
+        return this.storageManager.restorePromptRevision(promptId, revision);
+    }
     
-    public async deletePrompt(promptId: number | string): Promise<void> {
+    public async deletePrompt(promptId: number | string): Promise<UndoAction> {
         return this.storageManager.deletePrompt(promptId);
     }
 
@@ -97,17 +407,267 @@ export class DataManager {
         return this.storageManager.renameCategory(oldName, newName);
     }
 
-    public async deleteCategory(categoryName: string): Promise<AppData> {
-        return this.storageManager.deleteCategory(categoryName);
+    /**
+     * 删除分类及其下级分类，子树中有 Prompt 时先询问把它们移到哪里
+     * @param categoryName 分类路径
+     * @returns Promise<UndoAction | void> 撤销删除所需的信息，用户取消时为 undefined
+     */
+    public async deleteCategory(categoryName: string): Promise<UndoAction | void> {
+        const count = await this.storageManager.getCategoryPromptCount(categoryName);
+        if (count === 0) {
+            return this.storageManager.deleteCategory(categoryName);
+        }
+
+        const appData = await this.getAppData();
+        const targets = appData.categories.filter(category => !isInCategorySubtree(category, categoryName));
+        const picked = await vscode.window.showQuickPick(
+            [
+                { label: '未分类', description: '不放入任何分类', category: '' },
+                ...targets.map(category => ({ label: category, category }))
+            ],
+            {
+                title: `删除分类 "${categoryName}"`,
+                placeHolder: `该分类及其下级分类中有 ${count} 个 Prompt，选择要移到的分类`,
+                ignoreFocusOut: true
+            }
+        );
+        if (!picked) {
+            return;
+        }
+        return this.storageManager.deleteCategory(categoryName, picked.category);
     }
     
-    public async deleteTag(tagName: string): Promise<AppData> {
+    public async deleteTag(tagName: string): Promise<UndoAction> {
         return this.storageManager.deleteTag(tagName);
     }
 
     public async setPromptActive(promptId: string | number, isActive: boolean): Promise<void> {
         return this.storageManager.setPromptActive(promptId, isActive);
     }
+
+    public async setPromptFavorite(promptId: string | number, isFavorite: boolean): Promise<void> {
+        return this.storageManager.setPromptFavorite(promptId, isFavorite);
+    }
+
+    public async setPromptPinned(promptId: string | number, isPinned: boolean): Promise<void> {
+        return this.storageManager.setPromptPinned(promptId, isPinned);
+    }
+
+    public async reorderPinnedPrompts(promptIds: Array<string | number>): Promise<void> {
+        return this.storageManager.reorderPinnedPrompts(promptIds);
+    }
+
+    /**
+     * 记录 Prompt 被复制或插入，只读来源的 Prompt 不记录
+     * @param promptId Prompt ID
+     */
+    public async recordPromptUsage(promptId: string | number): Promise<void> {
+        const usage = await this.storageManager.recordPromptUsage(promptId);
+        if (usage) {
+            this._onDidRecordUsage.fire({ id: Number(promptId), usage });
+        }
+    }
+    // #endregion
+
+    // #region Tag Management - 委托给StorageManager
+    /**
+     * 把多个标签合并为一个，没有指定目标标签时让用户选择其中一个或输入新的名称
+     * @param tagNames 要合并的标签
+     * @param targetName 合并后的标签
+     * @returns Promise<number | undefined> 修改的 Prompt 数量，用户取消时为 undefined
+     */
+    public async mergeTags(tagNames: string[], targetName?: string): Promise<number | undefined> {
+        let target = targetName;
+        if (target === undefined) {
+            const prompts = await this.getPrompts();
+            const otherName = { label: '$(edit) 其他名称…', description: '', tag: undefined as string | undefined };
+            const picked = await vscode.window.showQuickPick(
+                [
+                    ...tagNames.map(tag => ({
+                        label: tag,
+                        description: `${prompts.filter(p => p.tags?.includes(tag)).length} 个 Prompt`,
+                        tag: tag as string | undefined
+                    })),
+                    otherName
+                ],
+                { title: `合并 ${tagNames.length} 个标签`, placeHolder: '选择合并后保留的标签' }
+            );
+            if (!picked) {
+                return undefined;
+            }
+            target = picked === otherName
+                ? await vscode.window.showInputBox({
+                    title: `合并 ${tagNames.length} 个标签`,
+                    prompt: '输入合并后的标签名称',
+                    validateInput: value => value.trim() ? undefined : '标签名称不能为空。'
+                })
+                : picked.tag;
+            if (target === undefined) {
+                return undefined;
+            }
+        }
+        return this.storageManager.mergeTags(tagNames, target);
+    }
+
+    public async renameTag(oldName: string, newName: string): Promise<number> {
+        return this.storageManager.renameTag(oldName, newName);
+    }
+
+    public async setTagColor(tagName: string, color?: string): Promise<void> {
+        return this.storageManager.setTagColor(tagName, color);
+    }
+    // #endregion
+
+    // #region Bulk Operations - 委托给StorageManager
+    /**
+     * 把多个 Prompt 移到同一个分类，没有指定分类时让用户选择或新建
+     * @param promptIds Prompt ID 列表
+     * @param category 目标分类路径
+     * @returns Promise<number | undefined> 实际修改的数量，用户取消时为 undefined
+     */
+    public async movePrompts(promptIds: Array<string | number>, category?: string): Promise<number | undefined> {
+        let target = category;
+        if (target === undefined) {
+            const appData = await this.getAppData();
+            const newCategory = { label: '$(add) 新建分类…', category: undefined as string | undefined };
+            const picked = await vscode.window.showQuickPick(
+                [
+                    { label: '未分类', description: '不放入任何分类', category: '' as string | undefined },
+                    ...appData.categories.map(c => ({ label: c, category: c as string | undefined })),
+                    newCategory
+                ],
+                { title: `移动 ${promptIds.length} 个 Prompt`, placeHolder: '选择目标分类' }
+            );
+            if (!picked) {
+                return undefined;
+            }
+            target = picked === newCategory
+                ? await vscode.window.showInputBox({
+                    title: '新建分类',
+                    prompt: '输入分类名称，用 / 分隔多级',
+                    validateInput: value => value.trim() ? undefined : '分类名称不能为空。'
+                })
+                : picked.category;
+            if (target === undefined) {
+                return undefined;
+            }
+        }
+        return this.storageManager.movePrompts(promptIds, target);
+    }
+
+    /**
+     * 为多个 Prompt 添加或移除标签，由用户输入要添加的标签或选择要移除的标签
+     * @param promptIds Prompt ID 列表
+     * @param mode 添加或移除
+     * @returns Promise<number | undefined> 实际修改的数量，用户取消时为 undefined
+     */
+    public async updatePromptTags(promptIds: Array<string | number>, mode: 'add' | 'remove'): Promise<number | undefined> {
+        if (mode === 'add') {
+            const parseTagList = (value: string) => [...new Set(value.split(/[,，]/).map(t => t.trim()).filter(t => t !== ''))];
+            const input = await vscode.window.showInputBox({
+                title: `为 ${promptIds.length} 个 Prompt 添加标签`,
+                prompt: '输入要添加的标签，多个标签用逗号分隔',
+                validateInput: value => parseTagList(value).length > 0 ? undefined : '请至少输入一个标签。'
+            });
+            return input === undefined ? undefined : this.storageManager.updatePromptTags(promptIds, parseTagList(input), []);
+        }
+
+        const ids = new Set(promptIds.map(Number));
+        const prompts = (await this.getPrompts()).filter(p => ids.has(p.id));
+        const tags = [...new Set(prompts.flatMap(p => p.tags || []))];
+        if (tags.length === 0) {
+            vscode.window.showInformationMessage('选中的 Prompt 没有标签。');
+            return undefined;
+        }
+        const picked = await vscode.window.showQuickPick(
+            tags.map(tag => ({ label: tag, description: `${prompts.filter(p => p.tags?.includes(tag)).length} 个` })),
+            { title: `从 ${promptIds.length} 个 Prompt 中移除标签`, placeHolder: '选择要移除的标签', canPickMany: true }
+        );
+        if (!picked || picked.length === 0) {
+            return undefined;
+        }
+        return this.storageManager.updatePromptTags(promptIds, [], picked.map(item => item.label));
+    }
+
+    public async setPromptsActive(promptIds: Array<string | number>, isActive: boolean): Promise<number> {
+        return this.storageManager.setPromptsActive(promptIds, isActive);
+    }
+
+    public async deletePrompts(promptIds: Array<string | number>): Promise<UndoAction> {
+        return this.storageManager.deletePrompts(promptIds);
+    }
+
+    /**
+     * 把选中的 Prompt 导出为 JSON 文件，导出的文件可以再导入
+     * @param promptIds Prompt ID 列表
+     * @returns Promise<string> 导出的文件路径，用户取消时为空字符串
+     */
+    public async exportPrompts(promptIds: Array<string | number>): Promise<string> {
+        const data = await this.storageManager.getPromptSubset(promptIds);
+        const result = await vscode.window.showSaveDialog({
+            defaultUri: vscode.Uri.file(`prompt-hub-${data.prompts.length}-prompts.json`),
+            filters: {
+                // eslint-disable-next-line @typescript-eslint/naming-convention
+                'JSON': ['json']
+            }
+        });
+        if (result) {
+            fs.writeFileSync(result.fsPath, JSON.stringify(data, null, 4));
+            return result.fsPath;
+        }
+        return '';
+    }
+    // #endregion
+
+    // #region Trash - 委托给StorageManager
+    public async getTrash(): Promise<TrashedPrompt[]> {
+        return this.storageManager.getTrash();
+    }
+
+    public async restoreFromTrash(promptIds: Array<string | number>): Promise<number> {
+        return this.storageManager.restoreFromTrash(promptIds);
+    }
+
+    public async purgeTrash(promptIds?: Array<string | number>): Promise<number> {
+        return this.storageManager.purgeTrash(promptIds);
+    }
+
+    public async undo(action: UndoAction): Promise<void> {
+        return this.storageManager.undo(action);
+    }
+    // #endregion
+
+    // #region Templates
+    /**
+     * 使用填写的变量值渲染指定 Prompt
+     * @param promptId Prompt ID
+     * @param values 变量名到填写值的映射
+     * @returns Promise<string> 渲染后的最终文本
+     */
+    public async renderPrompt(promptId: number | string, values: Record<string, string> = {}): Promise<string> {
+        const prompt = await this.findLibraryPrompt(promptId);
+        return renderTemplate(prompt.content, values);
+    }
+
+    /**
+     * 获取指定 Prompt 的模板内容，以及从当前内容中解析出的模板变量
+     * 保存的 variables 可能来自旧版本或外部编辑，因此不直接使用
+     * @param promptId Prompt ID
+     * @returns Promise<{ content: string; variables: PromptVariable[] }> 未渲染的内容和模板变量
+     */
+    public async getPromptTemplate(promptId: number | string): Promise<{ content: string; variables: PromptVariable[] }> {
+        const prompt = await this.findLibraryPrompt(promptId);
+        return { content: prompt.content, variables: parseTemplateVariables(prompt.content) };
+    }
+
+    private async findLibraryPrompt(promptId: number | string): Promise<Prompt> {
+        const { prompts } = await this.getLibrary();
+        const prompt = prompts.find(p => p.id === Number(promptId));
+        if (!prompt) {
+            throw new Error(`找不到 ID 为 ${promptId} 的 Prompt。`);
+        }
+        return prompt;
+    }
     // #endregion
 
     // #region Backup/Restore - 委托给BackupManager
@@ -128,6 +688,41 @@ export class DataManager {
         return this.backupManager.getBackupList();
     }
 
+    /**
+     * 读取备份内容用于预览，不修改当前数据
+     * @param backupPath 备份文件路径
+     * @returns Promise<AppData> 备份中的数据
+     */
+    public async getBackupData(backupPath: string): Promise<AppData> {
+        const appData = await this.backupManager.restoreFromBackup(backupPath);
+        if (!appData) {
+            throw new Error('备份文件不存在。');
+        }
+        return appData;
+    }
+
+    /**
+     * 从备份中恢复选中的 Prompt 和分类，其余数据保持不变
+     * @param backupPath 备份文件路径
+     * @param promptIds 要恢复的 Prompt ID
+     * @param categories 要恢复的分类
+     * @returns Promise<AppData> 更新后的应用数据
+     */
+    public async restoreBackupSelection(
+        backupPath: string,
+        promptIds: (number | string)[],
+        categories: string[] = []
+    ): Promise<AppData> {
+        const backup = await this.getBackupData(backupPath);
+        const ids = new Set(promptIds.map(Number));
+        const prompts = backup.prompts.filter(p => ids.has(p.id));
+        const missingCategories = categories.filter(c => !backup.categories.includes(c));
+        if (missingCategories.length > 0) {
+            throw new Error(`备份中不存在分类: ${missingCategories.join(', ')}`);
+        }
+        return this.storageManager.restorePrompts(prompts, categories);
+    }
+
     private async initializeAutoBackup(): Promise<void> {
         const data = await this.getAppData();
         await this.backupManager.initializeAutoBackup(data.settings);
@@ -150,94 +745,307 @@ export class DataManager {
         return '';
     }
 
-    public async importData(): Promise<AppData | null> {
-        const result = await vscode.window.showOpenDialog({
-            canSelectMany: false,
+    /**
+     * 导出存储中未经迁移和校验的原始数据，用于在数据无效时手动修复
+     */
+    public async exportRawAppData(): Promise<string> {
+        const rawData = this.storageManager.getStoredAppData();
+        if (rawData === undefined) {
+            vscode.window.showInformationMessage('没有可导出的原始数据');
+            return '';
+        }
+        const result = await vscode.window.showSaveDialog({
+            defaultUri: vscode.Uri.file('prompt-hub-raw-data.json'),
             filters: {
                 // eslint-disable-next-line @typescript-eslint/naming-convention
                 'JSON': ['json']
             }
         });
+        if (result) {
+            fs.writeFileSync(result.fsPath, JSON.stringify(rawData, null, 4));
+            return result.fsPath;
+        }
+        return '';
+    }
 
-        if (result && result.length > 0) {
-            const fileContent = fs.readFileSync(result[0].fsPath, 'utf-8');
-            try {
-                const importedData: AppData = JSON.parse(fileContent);
+    /**
+     * 选择要导入的文件并与现有数据匹配
+     * 匹配结果交给导入向导，由用户确认后再写入
+     * @returns Promise<ImportAnalysis | null> 匹配结果，用户取消时为 null
+     */
+    public async importData(): Promise<ImportAnalysis | null> {
+        const result = await vscode.window.showOpenDialog({
+            canSelectMany: true,
+            filters: {
+                '所有支持的格式': ['json', 'csv', 'tsv', 'mdc', 'md'],
+                'Prompt Hub 数据': ['json'],
+                'CSV/TSV': ['csv', 'tsv'],
+                'Cursor 规则': ['mdc'],
+                'Markdown / Copilot Prompt': ['md']
+            }
+        });
 
-                const currentData = await this.getAppData();
-                currentData.prompts = [...currentData.prompts, ...importedData.prompts];
-                currentData.categories = [...new Set([...currentData.categories, ...importedData.categories])];
-                
-                await this.saveAppData(currentData);
-                return currentData;
+        if (!result || result.length === 0) {
+            return null;
+        }
+        const files = result.map(uri => ({
+            fileName: path.basename(uri.fsPath),
+            content: fs.readFileSync(uri.fsPath, 'utf-8')
+        }));
+        return this.prepareImport(files);
+    }
+
+    /**
+     * 按文件格式转换并校验导入内容，找出与现有 Prompt 重复的项
+     * 导入的数据暂存在内存中，直到 applyImport 或下一次导入
+     * @param files 导入的文件，.json 文件只能单独导入，其他格式可以一次导入多个
+     * @returns Promise<ImportAnalysis | null> 匹配结果，用户取消选择 CSV 列映射时为 null
+     */
+    public async prepareImport(files: ImportFile[]): Promise<ImportAnalysis | null> {
+        const formats = files.map(file => getImportFormat(file.fileName));
+        const unsupported = files.filter((_, index) => formats[index] === null);
+        if (unsupported.length > 0) {
+            throw new Error(`不支持的文件格式: ${unsupported.map(file => file.fileName).join(', ')}`);
+        }
+        const displayName = files.length === 1 ? files[0].fileName : `${files.length} 个文件`;
 
+        if (formats.includes('json')) {
+            if (files.length > 1) {
+                throw new Error('.json 文件只能单独导入。');
+            }
+            let raw: unknown;
+            try {
+                raw = JSON.parse(files[0].content);
             } catch (error) {
-                vscode.window.showErrorMessage('导入失败: 无效的JSON文件。');
+                throw new Error('无效的JSON文件。');
+            }
+            return this.analyzeImport(raw, displayName);
+        }
+
+        const prompts: ImportedPrompt[] = [];
+        for (let i = 0; i < files.length; i++) {
+            const format = formats[i];
+            if (format === 'csv' || format === 'tsv') {
+                const rows = await this.convertTable(files[i], format);
+                if (!rows) {
+                    return null;
+                }
+                prompts.push(...rows);
+            } else if (format === 'cursorRule' || format === 'copilotPrompt') {
+                prompts.push(convertRuleFile(files[i], format));
+            } else {
+                prompts.push(convertMarkdownFile(files[i]));
+            }
+        }
+        if (prompts.length === 0) {
+            throw new Error('导入的文件中没有找到 Prompt。');
+        }
+        return this.analyzeImport(toImportData(prompts), displayName);
+    }
+
+    private async convertTable(file: ImportFile, format: 'csv' | 'tsv'): Promise<ImportedPrompt[] | null> {
+        const [headers, ...rows] = parseDelimited(file.content, format === 'tsv' ? '\t' : undefined);
+        if (!headers || rows.length === 0) {
+            throw new Error(`${file.fileName} 中没有数据行。`);
+        }
+        const mapping = await this.pickColumnMapping(file.fileName, headers, rows[0]);
+        return mapping ? convertTableRows(rows, mapping) : null;
+    }
+
+    /**
+     * 确认 CSV/TSV 的列映射：可以直接使用按表头识别的映射，也可以逐个字段手动选择列
+     * @returns Promise<ColumnMapping | null> 用户取消时为 null
+     */
+    private async pickColumnMapping(fileName: string, headers: string[], sample: string[]): Promise<ColumnMapping | null> {
+        const columnName = (index?: number) => index === undefined ? '不导入' : headers[index] || `第 ${index + 1} 列`;
+        const guessed = guessColumnMapping(headers);
+        if (guessed) {
+            const useGuessed = {
+                label: '使用识别的列',
+                description: `标题: ${columnName(guessed.title)}，内容: ${columnName(guessed.content)}，分类: ${columnName(guessed.category)}，标签: ${columnName(guessed.tags)}`
+            };
+            const choice = await vscode.window.showQuickPick([useGuessed, { label: '手动选择列', description: '' }], {
+                placeHolder: `${fileName} 的列映射`,
+                ignoreFocusOut: true
+            });
+            if (!choice) {
                 return null;
             }
+            if (choice === useGuessed) {
+                return guessed;
+            }
+        }
+
+        const pickColumn = async (field: string, optional: boolean): Promise<{ index?: number } | undefined> => {
+            const items: (vscode.QuickPickItem & { index?: number })[] = headers.map((_, index) => ({
+                label: columnName(index),
+                description: (sample[index] ?? '').replace(/\s+/g, ' ').slice(0, 60),
+                index
+            }));
+            if (optional) {
+                items.push({ label: '（不导入）', index: undefined });
+            }
+            return vscode.window.showQuickPick(items, {
+                placeHolder: `${fileName}: 选择作为「${field}」的列`,
+                ignoreFocusOut: true
+            });
+        };
+
+        const content = await pickColumn('内容', false);
+        if (!content || content.index === undefined) {
+            return null;
+        }
+        const title = await pickColumn('标题', true);
+        if (!title) {
+            return null;
+        }
+        const category = await pickColumn('分类', true);
+        if (!category) {
+            return null;
+        }
+        const tags = await pickColumn('标签', true);
+        if (!tags) {
+            return null;
+        }
+        return { content: content.index, title: title.index, category: category.index, tags: tags.index };
+    }
+
+    private async analyzeImport(raw: unknown, fileName: string): Promise<ImportAnalysis> {
+        const data = parseAppData(raw, '导入文件');
+        const matches = matchImportedPrompts(await this.getAppData(), data);
+
+        this.pendingImport = { id: Date.now().toString(), data };
+        return { importId: this.pendingImport.id, fileName, total: data.prompts.length, matches };
+    }
+
+    /**
+     * 将数据导出为 Markdown 文件夹，每个 Prompt 一个文件，按分类放在子文件夹中
+     * 文件夹中已有之前导出的 Prompt 文件时需要确认：这些文件会被更新，已删除的 Prompt 对应的文件会被删除
+     * @returns Promise<string> 导出的文件夹路径，取消时为空字符串
+     */
+    public async exportMarkdown(): Promise<string> {
+        const result = await vscode.window.showOpenDialog({
+            canSelectFiles: false,
+            canSelectFolders: true,
+            canSelectMany: false,
+            openLabel: '导出到此文件夹'
+        });
+        if (!result || result.length === 0) {
+            return '';
+        }
+
+        const dir = result[0].fsPath;
+        const existingFiles = findExportedPromptFiles(dir);
+        if (existingFiles.length > 0) {
+            const answer = await vscode.window.showWarningMessage(
+                `文件夹中已有 ${existingFiles.length} 个导出的 Prompt 文件，导出将更新这些文件，并删除已不在库中的 Prompt 对应的文件。`,
+                { modal: true },
+                '替换'
+            );
+            if (answer !== '替换') {
+                return '';
+            }
+        }
+
+        writeMarkdownFolder(dir, await this.getAppData());
+        return dir;
+    }
+
+    /**
+     * 选择 Markdown 文件夹并与现有数据匹配，之后与 JSON 导入一样交给导入向导
+     * @returns Promise<ImportAnalysis | null> 匹配结果，用户取消选择时为 null
+     */
+    public async importMarkdown(): Promise<ImportAnalysis | null> {
+        const result = await vscode.window.showOpenDialog({
+            canSelectFiles: false,
+            canSelectFolders: true,
+            canSelectMany: false,
+            openLabel: '从此文件夹导入'
+        });
+        if (!result || result.length === 0) {
+            return null;
+        }
+
+        const dir = result[0].fsPath;
+        const raw = readMarkdownFolder(dir);
+        if (raw.prompts.length === 0) {
+            throw new Error('文件夹中没有找到 Markdown 文件。');
+        }
+        return this.analyzeImport({ prompts: raw.prompts, categories: raw.categories }, path.basename(dir));
+    }
+
+    /**
+     * 预览按当前选择导入的结果，不修改任何数据
+     * @param importId prepareImport 返回的导入 ID
+     * @param choices 导入 Prompt 的 ID 到处理方式的映射
+     * @returns Promise<ImportSummary> 导入摘要
+     */
+    public async previewImport(importId: string, choices: Record<number, ImportChoice>): Promise<ImportSummary> {
+        const { summary } = await this.planImport(importId, choices);
+        return summary;
+    }
+
+    /**
+     * 按用户的选择导入暂存的数据
+     * @param importId prepareImport 返回的导入 ID
+     * @param choices 导入 Prompt 的 ID 到处理方式的映射
+     * @returns Promise<ImportSummary> 导入摘要
+     */
+    public async applyImport(importId: string, choices: Record<number, ImportChoice>): Promise<ImportSummary> {
+        const { plan, summary } = await this.planImport(importId, choices);
+        await this.storageManager.importPrompts(plan);
+        this.pendingImport = undefined;
+        return summary;
+    }
+
+    private async planImport(importId: string, choices: Record<number, ImportChoice>) {
+        if (!this.pendingImport || this.pendingImport.id !== importId) {
+            throw new Error('导入已失效，请重新选择文件。');
         }
-        return null;
+        const current = await this.getAppData();
+        // Match again so that edits made while the wizard was open are taken into account
+        const matches = matchImportedPrompts(current, this.pendingImport.data);
+        return buildImportPlan(current, this.pendingImport.data, matches, choices);
     }
     // #endregion
 
     // #region Cloud Sync - 委托给SyncManager
     public async setupCloudSync(): Promise<AppData | void> {
-        const provider = await vscode.window.showQuickPick(['GitHub', 'Gitee', 'GitLab', 'WebDAV', 'Custom'], {
-            placeHolder: '选择一个云同步服务商'
-        });
-
-        if (!provider) return;
-
-        switch (provider) {
-            case 'GitHub':
-                await this.setupGitHubSync();
-                break;
-            case 'Gitee':
-                await this.setupGiteeSync();
-                break;
-            case 'GitLab':
-                await this.setupGitLabSync();
-                break;
-            case 'WebDAV':
-                await this.setupWebDAVSync();
-                break;
-            case 'Custom':
-                await this.setupCustomApiSync();
-                break;
-            default:
-                vscode.window.showErrorMessage('未指定有效的云服务提供商。');
+        const picked = await vscode.window.showQuickPick(
+            getSyncProviders().map(provider => ({ label: provider.label, provider })),
+            { placeHolder: '选择一个云同步服务商' }
+        );
+        if (!picked) return;
+
+        const { provider } = picked;
+        const settings: Record<string, string> = { provider: provider.id };
+        for (const field of provider.fields) {
+            const value = await vscode.window.showInputBox({
+                prompt: field.prompt ?? field.label,
+                placeHolder: field.placeholder,
+                password: field.type === 'password',
+                ignoreFocusOut: true
+            });
+            if (!value && !field.optional) return;
+            settings[field.key] = value ?? '';
         }
+
+        const appData = await this.saveCloudSyncSettings(settings);
+        vscode.window.showInformationMessage(`${provider.label} 同步已成功设置。`);
+        return appData;
     }
 
     public async saveCloudSyncSettings(settings: any): Promise<AppData> {
         const appData = await this.getAppData();
-        const { provider, gistId, gitlabUrl, webdavUrl, webdavUsername, customApiUrl, token } = settings;
 
         try {
-            await this.syncManager.saveCloudSyncSettings(settings);
+            const validated = await this.syncManager.saveCloudSyncSettings(settings);
             
-            appData.settings.syncProvider = provider;
+            appData.settings.syncProvider = settings.provider;
             appData.settings.isValidated = true;
             appData.settings.cloudSync = true;
-            
-            // 根据提供商设置相应的配置
-            switch (provider) {
-                case 'github':
-                case 'gitee':
-                    appData.settings.gistId = gistId;
-                    break;
-                case 'gitlab':
-                    appData.settings.gistId = gistId;
-                    appData.settings.gitlabUrl = gitlabUrl || 'https://gitlab.com';
-                    break;
-                case 'webdav':
-                    appData.settings.webdavUrl = webdavUrl;
-                    appData.settings.webdavUsername = webdavUsername;
-                    break;
-                case 'custom':
-                    appData.settings.customApiUrl = customApiUrl;
-                    break;
-            }
+            // 服务商返回需要保存的配置，例如新建的 Gist ID
+            Object.assign(appData.settings, validated);
             
             await this.saveAppData(appData);
             return appData;
@@ -246,187 +1054,163 @@ export class DataManager {
             appData.settings.cloudSync = false;
             appData.settings.syncProvider = null;
             appData.settings.isValidated = false;
-            appData.settings.gistId = undefined;
-            appData.settings.gitlabUrl = undefined;
-            appData.settings.webdavUrl = undefined;
-            appData.settings.webdavUsername = undefined;
-            appData.settings.customApiUrl = undefined;
+            this.clearSyncProviderSettings(appData);
             
             await this.saveAppData(appData);
             throw error;
         }
     }
 
-    private async setupGitHubSync(): Promise<AppData | void> {
-        const token = await vscode.window.showInputBox({ 
-            prompt: '输入你的GitHub Personal Access Token (需要gist权限)', 
-            password: true, 
-            ignoreFocusOut: true 
-        });
-        if (!token) return;
-
-        const gistId = await vscode.window.showInputBox({ 
-            prompt: '（可选）输入现有Gist ID进行关联',
-            ignoreFocusOut: true 
-        });
-
-        const appData = await this.getAppData();
-        await this.saveCloudSyncSettings({
-            provider: 'github',
-            token,
-            gistId
-        });
-
-        vscode.window.showInformationMessage('GitHub Gist 同步已成功设置。');
-        return appData;
-    }
-
-    private async setupGiteeSync(): Promise<AppData | void> {
-        const token = await vscode.window.showInputBox({ 
-            prompt: '输入你的Gitee Private Token (需要gists权限)', 
-            password: true, 
-            ignoreFocusOut: true 
-        });
-        if (!token) return;
-
-        const gistId = await vscode.window.showInputBox({ 
-            prompt: '（可选）输入现有Gist ID进行关联',
-            ignoreFocusOut: true 
-        });
-
-        await this.saveCloudSyncSettings({
-            provider: 'gitee',
-            token,
-            gistId
-        });
-
-        vscode.window.showInformationMessage('Gitee Gist 同步已成功设置。');
+    private clearSyncProviderSettings(appData: AppData): void {
+        for (const key of SYNC_SETTINGS_KEYS) {
+            appData.settings[key] = undefined;
+        }
     }
 
-    private async setupGitLabSync(): Promise<AppData | void> {
-        const gitlabUrl = await vscode.window.showInputBox({ 
-            prompt: '输入你的GitLab实例URL，如果使用gitlab.com请留空',
-            placeHolder: 'https://gitlab.example.com',
-            ignoreFocusOut: true
-        }) || 'https://gitlab.com';
+    public async disableCloudSync(): Promise<AppData | void> {
+        const appData = await this.getAppData();
+        if (!appData.settings.cloudSync) { return; }
 
-        const token = await vscode.window.showInputBox({ 
-            prompt: '输入你的GitLab Personal Access Token (需要api scope)', 
-            password: true, 
-            ignoreFocusOut: true 
-        });
-        if (!token) return;
+        const confirmation = await vscode.window.showWarningMessage(
+            '您确定要禁用云同步吗？这将清除您本地存储的所有同步设置（Token、密码等）。',
+            { modal: true },
+            '确定'
+        );
 
-        const snippetId = await vscode.window.showInputBox({ 
-            prompt: '（可选）输入现有Snippet ID进行关联',
-            ignoreFocusOut: true 
-        });
+        if (confirmation !== '确定') { return; }
+        
+        appData.settings.cloudSync = false;
+        appData.settings.syncProvider = null;
+        this.clearSyncProviderSettings(appData);
+        appData.settings.isValidated = false;
+        appData.settings.syncEncryption = undefined;
 
-        await this.saveCloudSyncSettings({
-            provider: 'gitlab',
-            token,
-            gistId: snippetId,
-            gitlabUrl
-        });
+        await this.syncManager.resetCloudSync();
+        await this.saveAppData(appData);
 
-        vscode.window.showInformationMessage('GitLab Snippets 同步已成功设置。');
+        return appData;
     }
 
-    private async setupWebDAVSync(): Promise<AppData | void> {
-        const webdavUrl = await vscode.window.showInputBox({ 
-            prompt: '输入你的WebDAV服务器URL',
-            ignoreFocusOut: true 
-        });
-        if (!webdavUrl) return;
-        
-        const webdavUsername = await vscode.window.showInputBox({ 
-            prompt: '输入WebDAV用户名',
-            ignoreFocusOut: true 
-        });
-        if (!webdavUsername) return;
-        
-        const webdavPassword = await vscode.window.showInputBox({ 
-            prompt: '输入WebDAV密码', 
-            password: true,
-            ignoreFocusOut: true 
-        });
-        if (!webdavPassword) return;
+    /**
+     * 开启同步加密，云端已有的明文数据会用同步密码加密后重新上传
+     * 云端已经加密时（例如在其他设备上开启过），必须输入加密时使用的密码
+     */
+    public async enableSyncEncryption(): Promise<AppData | void> {
+        const appData = await this.getAppData();
+        if (!appData.settings.cloudSync || !appData.settings.syncProvider) {
+            vscode.window.showWarningMessage('请先配置云同步。');
+            return;
+        }
 
-        await this.saveCloudSyncSettings({
-            provider: 'webdav',
-            token: webdavPassword,
-            webdavUrl,
-            webdavUsername
-        });
+        const passphrase = await this.promptSyncPassphrase('设置同步密码，其他设备需要输入相同的密码。密码只保存在本机，忘记后无法解密云端数据');
+        if (!passphrase) { return; }
 
-        vscode.window.showInformationMessage('WebDAV 同步已成功设置。');
+        await this.syncManager.setSyncPassphrase(appData, passphrase);
+        appData.settings.syncEncryption = true;
+        await this.saveAppData(appData);
+        return appData;
     }
 
-    private async setupCustomApiSync(): Promise<AppData | void> {
-        const apiUrl = await vscode.window.showInputBox({ 
-            prompt: '输入你的自定义API端点URL', 
-            ignoreFocusOut: true 
-        });
-        if (!apiUrl) return;
-
-        const apiKey = await vscode.window.showInputBox({ 
-            prompt: '输入API密钥/Token', 
-            password: true, 
-            ignoreFocusOut: true 
-        });
-        if (!apiKey) return;
+    /**
+     * 更换同步密码，云端数据用新密码重新加密
+     * 在其他设备上更换过密码时，在这里输入新密码即可
+     */
+    public async changeSyncPassphrase(): Promise<AppData | void> {
+        const appData = await this.getAppData();
+        if (!appData.settings.syncEncryption) { return; }
 
-        await this.saveCloudSyncSettings({
-            provider: 'custom',
-            token: apiKey,
-            customApiUrl: apiUrl
-        });
+        const passphrase = await this.promptSyncPassphrase('输入新的同步密码，其他设备需要重新输入新密码');
+        if (!passphrase) { return; }
 
-        vscode.window.showInformationMessage('自定义API 同步已成功设置。');
+        await this.syncManager.setSyncPassphrase(appData, passphrase);
+        return appData;
     }
 
-    public async disableCloudSync(): Promise<AppData | void> {
+    public async disableSyncEncryption(): Promise<AppData | void> {
         const appData = await this.getAppData();
-        if (!appData.settings.cloudSync) { return; }
+        if (!appData.settings.syncEncryption) { return; }
 
         const confirmation = await vscode.window.showWarningMessage(
-            '您确定要禁用云同步吗？这将清除您本地存储的所有同步设置（Token、密码等）。',
+            '您确定要关闭同步加密吗？云端数据将改为明文保存，其他设备也需要关闭同步加密。',
             { modal: true },
             '确定'
         );
-
         if (confirmation !== '确定') { return; }
-        
-        appData.settings.cloudSync = false;
-        appData.settings.syncProvider = null;
-        appData.settings.gistId = undefined;
-        appData.settings.gitlabUrl = undefined;
-        appData.settings.webdavUrl = undefined;
-        appData.settings.webdavUsername = undefined;
-        appData.settings.customApiUrl = undefined;
-        appData.settings.isValidated = false;
 
-        await this.syncManager.resetCloudSync();
+        await this.syncManager.setSyncPassphrase(appData, undefined);
+        appData.settings.syncEncryption = false;
         await this.saveAppData(appData);
-
         return appData;
     }
 
-    public async syncToCloud(force: boolean = false): Promise<void> {
+    private async promptSyncPassphrase(prompt: string): Promise<string | undefined> {
+        const passphrase = await vscode.window.showInputBox({
+            prompt,
+            password: true,
+            ignoreFocusOut: true,
+            validateInput: value => value.length < 8 ? '同步密码至少需要 8 个字符' : null
+        });
+        if (!passphrase) { return undefined; }
+
+        const confirmation = await vscode.window.showInputBox({
+            prompt: '再次输入同步密码',
+            password: true,
+            ignoreFocusOut: true
+        });
+        if (confirmation === undefined) { return undefined; }
+        if (confirmation !== passphrase) {
+            vscode.window.showErrorMessage('两次输入的同步密码不一致。');
+            return undefined;
+        }
+        return passphrase;
+    }
+
+    public async syncToCloud(force: boolean = false): Promise<SyncResult> {
         const appData = await this.getAppData();
-        return this.syncManager.syncToCloud(appData, force);
+        const result = await this.syncManager.syncToCloud(appData, force);
+        if (result.data) {
+            await this.applySyncedData(result.data);
+        }
+        return result;
     }
 
     public async syncFromCloud(force: boolean = false): Promise<AppData> {
         const appData = await this.getAppData();
         const remoteData = await this.syncManager.syncFromCloud(appData, force);
         await this.saveAppData(remoteData);
+        await this.syncManager.saveSyncBase(remoteData);
         return remoteData;
     }
 
+    /**
+     * 按用户对每个冲突的选择完成同步，并将结果写回本地
+     * @param choices Prompt ID 到选择（local / remote / both）的映射
+     * @param defaultChoice 未指定选择的冲突使用的选项
+     * @returns Promise<AppData> 同步后的数据
+     */
+    public async resolveSyncConflicts(
+        choices: Record<number, ConflictChoice>,
+        defaultChoice: ConflictChoice = 'local'
+    ): Promise<AppData> {
+        const appData = await this.getAppData();
+        const resolved = await this.syncManager.resolveConflicts(appData, choices, defaultChoice);
+        await this.applySyncedData(resolved);
+        return resolved;
+    }
+
+    /**
+     * 保存同步合并后的数据，写入本地后才更新同步基准
+     * 不经过 saveAppData，避免再次触发自动备份和自动同步
+     */
+    private async applySyncedData(data: AppData): Promise<void> {
+        await this.storageManager.saveAppData(data);
+        await this.syncManager.saveSyncBase(data);
+        this._onDidChangeData.fire(data);
+    }
+
     public async getSystemStatus(): Promise<SystemStatus> {
         const appData = await this.getAppData();
-        const storageMode = appData.settings.workspaceMode ? 'workspace' : 'global';
+        const { mode: storageMode } = await this.storageManager.getStorageInfo();
         let cloudSyncStatus = '未启用';
         if (appData.settings.cloudSync && appData.settings.syncProvider) {
             cloudSyncStatus = `已启用 (${appData.settings.syncProvider})`;
@@ -441,7 +1225,11 @@ export class DataManager {
 
     public async reconcileCloudSync(): Promise<SyncResult> {
         const appData = await this.getAppData();
-        return this.syncManager.reconcileCloudSync(appData);
+        const result = await this.syncManager.reconcileCloudSync(appData);
+        if (result.data && result.status !== 'conflict') {
+            await this.applySyncedData(result.data);
+        }
+        return result;
     }
 
     public async resetCloudSync(): Promise<AppData> {
@@ -452,11 +1240,8 @@ export class DataManager {
         appData.settings.autoSync = false;
         appData.settings.syncProvider = null;
         appData.settings.isValidated = false;
-        appData.settings.gistId = undefined;
-        appData.settings.gitlabUrl = undefined;
-        appData.settings.webdavUrl = undefined;
-        appData.settings.webdavUsername = undefined;
-        appData.settings.customApiUrl = undefined;
+        this.clearSyncProviderSettings(appData);
+        appData.settings.syncEncryption = undefined;
 
         // 清除所有保存的密钥
         await this.syncManager.resetCloudSync();
@@ -470,23 +1255,30 @@ export class DataManager {
     public async resetAllData(): Promise<AppData> {
         const resetData = await this.storageManager.resetAllData();
         await this.syncManager.resetCloudSync();
+        await this.initializePromptFolderWatcher();
         return resetData;
     }
 
     /**
      * 清空所有数据
-     * 只保留默认设置，不包含任何示例数据
-     * @returns Promise<AppData> 清空后的应用数据
+     * 只保留默认设置，不包含任何示例数据，原来的 Prompt 放入回收站
+     * @returns Promise<UndoAction> 恢复 Prompt 和分类所需的信息
      */
-    public async clearAllData(): Promise<AppData> {
-        const clearData = await this.storageManager.clearAllData();
+    public async clearAllData(): Promise<UndoAction> {
+        const undo = await this.storageManager.clearAllData();
         await this.syncManager.resetCloudSync();
-        return clearData;
+        await this.initializePromptFolderWatcher();
+        return undo;
     }
     // #endregion
 
     public dispose(): void {
         this.backupManager.dispose();
         this.syncManager.dispose();
+        this.subscriptionManager.dispose();
+        this.storageManager.unwatchPromptFolder();
+        this._onDidChangeData.dispose();
+        this._onDidDetectSyncConflict.dispose();
+        this._onDidRecordUsage.dispose();
     }
 }
\ No newline at end of file
@@ -0,0 +1,252 @@
+import * as vscode from 'vscode';
+import { Prompt } from './types';
+import { DataManager } from './dataManager';
+import { resolveContextVariables } from './contextVariables';
+import { getVariableFallback, parseTemplateVariables, renderTemplate } from './templateEngine';
+
+type InsertMode = 'replaceSelection' | 'cursor' | 'clipboard' | 'chat';
+
+interface PromptQuickPickItem extends vscode.QuickPickItem {
+    prompt: Prompt;
+}
+
+/**
+ * 编辑器集成 - 负责 Prompt 与 VS Code 编辑器之间的交互
+ *
+ * 职责：
+ * - 通过 QuickPick 选择 Prompt
+ * - 将编辑器选中内容保存为 Prompt
+ * - 通过 InputBox/QuickPick 链填写模板变量
+ * - 将最终文本插入编辑器、聊天输入框或剪贴板
+ */
+export class EditorIntegration {
+    private static readonly CONFIG_SECTION = 'promptHub';
+
+    constructor(private dataManager: DataManager) {}
+
+    // #region Insert Prompt
+    /**
+     * 选择一个 Prompt，填写模板变量并解析上下文变量后按配置的方式插入
+     * @param favoritesOnly 只列出收藏的 Prompt
+     */
+    public async insertPrompt(favoritesOnly: boolean = false): Promise<void> {
+        const prompt = await this.pickPrompt(favoritesOnly);
+        if (!prompt) {
+            return;
+        }
+
+        const content = await this.fillTemplateVariables(prompt);
+        if (content === undefined) {
+            return;
+        }
+
+        await this.deliverText(await resolveContextVariables(content));
+        await this.dataManager.recordPromptUsage(prompt.id);
+    }
+
+    /**
+     * 以模糊搜索的 QuickPick 列出所有来源中的 Prompt，只读来源的 Prompt 会标出来源名称
+     * 置顶的 Prompt 按置顶顺序排在最前面，收藏的 Prompt 带星标
+     * @param favoritesOnly 只列出收藏的 Prompt
+     * @returns Promise<Prompt | undefined> 用户选择的 Prompt，取消时为 undefined
+     */
+    public async pickPrompt(favoritesOnly: boolean = false): Promise<Prompt | undefined> {
+        const config = vscode.workspace.getConfiguration(EditorIntegration.CONFIG_SECTION);
+        const showDisabled = config.get<boolean>('insertPicker.showDisabled', false);
+
+        const library = await this.dataManager.getLibrary();
+        const sourceNames = new Map(library.sources.map(source => [source.id, source.name]));
+        const prompts = library.prompts
+            .filter(p => (showDisabled || p.isActive !== false) && (!favoritesOnly || p.isFavorite))
+            .sort((a, b) => (a.pinOrder ?? Infinity) - (b.pinOrder ?? Infinity));
+
+        if (prompts.length === 0) {
+            vscode.window.showInformationMessage(favoritesOnly ? '没有收藏的 Prompt。' : '没有可用的 Prompt。');
+            return undefined;
+        }
+
+        const items: PromptQuickPickItem[] = prompts.map(prompt => ({
+            label: `${prompt.isActive === false ? '$(circle-slash) ' : ''}${prompt.pinOrder !== undefined ? '$(pinned) ' : ''}${prompt.isFavorite ? '$(star-full) ' : ''}${prompt.title}`,
+            description: prompt.readOnly
+                ? `${prompt.category || '未分类'} · ${sourceNames.get(prompt.source)}`
+                : prompt.category || '未分类',
+            detail: (prompt.tags || []).map(tag => `#${tag}`).join(' ') || undefined,
+            prompt
+        }));
+
+        const selected = await vscode.window.showQuickPick(items, {
+            placeHolder: favoritesOnly ? '搜索收藏的 Prompt（标题、分类、标签）' : '搜索 Prompt（标题、分类、标签）',
+            matchOnDescription: true,
+            matchOnDetail: true
+        });
+        return selected?.prompt;
+    }
+    // #endregion
+
+    // #region Save Selection
+    /**
+     * 将当前编辑器的选中内容保存为新的 Prompt
+     * 依次询问标题、分类和标签
+     * @returns Promise<Prompt | undefined> 新建的 Prompt，用户取消时为 undefined
+     */
+    public async saveSelectionAsPrompt(): Promise<Prompt | undefined> {
+        const editor = vscode.window.activeTextEditor;
+        const content = editor?.selections
+            .map(selection => editor.document.getText(selection))
+            .filter(text => text.trim() !== '')
+            .join('\n\n');
+
+        if (!content) {
+            vscode.window.showWarningMessage('请先在编辑器中选中要保存的内容。');
+            return undefined;
+        }
+
+        const firstLine = content.trim().split(/\r?\n/)[0].replace(/^#+\s*/, '');
+        const title = await vscode.window.showInputBox({
+            title: '保存为 Prompt (1/3)',
+            prompt: '输入 Prompt 标题',
+            value: firstLine.slice(0, 50),
+            ignoreFocusOut: true,
+            validateInput: value => value.trim() ? undefined : '标题不能为空。'
+        });
+        if (title === undefined) {
+            return undefined;
+        }
+
+        const category = await this.pickCategory();
+        if (category === undefined) {
+            return undefined;
+        }
+
+        const tagsInput = await vscode.window.showInputBox({
+            title: '保存为 Prompt (3/3)',
+            prompt: '输入标签，多个标签用逗号分隔（可选）',
+            ignoreFocusOut: true
+        });
+        if (tagsInput === undefined) {
+            return undefined;
+        }
+        const tags = [...new Set(tagsInput.split(/[,，]/).map(t => t.trim()).filter(t => t !== ''))];
+
+        const appData = await this.dataManager.savePrompt({ title: title.trim(), content, category, tags });
+        const saved = appData.prompts[appData.prompts.length - 1];
+        vscode.window.showInformationMessage(`已保存为 Prompt "${saved.title}"。`);
+        return saved;
+    }
+
+    private async pickCategory(): Promise<string | undefined> {
+        const NEW_CATEGORY = '$(add) 新建分类...';
+        const NO_CATEGORY = '$(circle-slash) 不设置分类';
+        const appData = await this.dataManager.getAppData();
+
+        const selected = await vscode.window.showQuickPick([...appData.categories, NEW_CATEGORY, NO_CATEGORY], {
+            title: '保存为 Prompt (2/3)',
+            placeHolder: '选择分类',
+            ignoreFocusOut: true
+        });
+
+        if (selected === NO_CATEGORY) {
+            return '';
+        }
+        if (selected === NEW_CATEGORY) {
+            const name = await vscode.window.showInputBox({
+                title: '保存为 Prompt (2/3)',
+                prompt: '输入新分类名称',
+                ignoreFocusOut: true,
+                validateInput: value => value.trim() ? undefined : '分类名称不能为空。'
+            });
+            return name?.trim();
+        }
+        return selected;
+    }
+    // #endregion
+
+    // #region Template Variables
+    /**
+     * 依次询问模板变量的值并渲染 Prompt
+     * @param prompt 要渲染的 Prompt
+     * @returns Promise<string | undefined> 渲染后的文本，用户取消时为 undefined
+     */
+    public async fillTemplateVariables(prompt: Prompt): Promise<string | undefined> {
+        const variables = parseTemplateVariables(prompt.content);
+        const values: Record<string, string> = {};
+
+        for (const [index, variable] of variables.entries()) {
+            const title = `${prompt.title} (${index + 1}/${variables.length})`;
+            let value: string | undefined;
+
+            if (variable.choices && variable.choices.length > 0) {
+                const fallback = getVariableFallback(variable);
+                const choices = [fallback, ...variable.choices.filter(c => c !== fallback)];
+                value = await vscode.window.showQuickPick(choices, {
+                    title,
+                    placeHolder: `选择 ${variable.name} 的值`,
+                    ignoreFocusOut: true
+                });
+            } else {
+                value = await vscode.window.showInputBox({
+                    title,
+                    prompt: `输入 ${variable.name} 的值`,
+                    value: getVariableFallback(variable),
+                    ignoreFocusOut: true
+                });
+            }
+
+            if (value === undefined) {
+                return undefined;
+            }
+            values[variable.name] = value;
+        }
+
+        return renderTemplate(prompt.content, values);
+    }
+    // #endregion
+
+    // #region Delivery
+    /**
+     * 按 `promptHub.insertMode` 配置输出文本
+     * 没有活动编辑器时回退到剪贴板
+     * @param text 要输出的文本
+     */
+    public async deliverText(text: string): Promise<void> {
+        const config = vscode.workspace.getConfiguration(EditorIntegration.CONFIG_SECTION);
+        const mode = config.get<InsertMode>('insertMode', 'replaceSelection');
+
+        if (mode === 'clipboard') {
+            await this.copyToClipboard(text);
+            return;
+        }
+
+        if (mode === 'chat') {
+            try {
+                await vscode.commands.executeCommand('workbench.action.chat.open', { query: text });
+            } catch (error) {
+                console.warn('[EditorIntegration] Chat input is not available, falling back to clipboard.', error);
+                await this.copyToClipboard(text, '未找到聊天输入框，');
+            }
+            return;
+        }
+
+        const editor = vscode.window.activeTextEditor;
+        if (!editor) {
+            await this.copyToClipboard(text, '没有活动的编辑器，');
+            return;
+        }
+
+        await editor.edit(editBuilder => {
+            for (const selection of editor.selections) {
+                if (mode === 'replaceSelection') {
+                    editBuilder.replace(selection, text);
+                } else {
+                    editBuilder.insert(selection.active, text);
+                }
+            }
+        });
+    }
+
+    private async copyToClipboard(text: string, reason: string = ''): Promise<void> {
+        await vscode.env.clipboard.writeText(text);
+        vscode.window.showInformationMessage(`${reason}Prompt 已复制到剪贴板。`);
+    }
+    // #endregion
+}
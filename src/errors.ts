@@ -1,3 +1,5 @@
+import { SchemaIssue, SyncConflict } from './types';
+
 // #region Custom Errors
 export class SyncError extends Error {
     constructor(message: string, public code: string) {
@@ -7,9 +9,16 @@ export class SyncError extends Error {
 }
 
 export class SyncConflictError extends Error {
-    constructor(message: string, public localModified: string, public remoteModified: string) {
+    constructor(message: string, public conflicts: SyncConflict[] = []) {
         super(message);
         this.name = 'SyncConflictError';
     }
 }
+
+export class SchemaValidationError extends Error {
+    constructor(message: string, public issues: SchemaIssue[] = []) {
+        super(message);
+        this.name = 'SchemaValidationError';
+    }
+}
 // #endregion 
\ No newline at end of file
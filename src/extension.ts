@@ -1,6 +1,8 @@
 import * as vscode from 'vscode';
 import { PromptHubProvider } from './promptHubProvider';
-import { DataManager, SyncConflictError, SyncError } from './dataManager';
+import { DataManager, SchemaValidationError, SyncConflictError, SyncError } from './dataManager';
+import { EditorIntegration } from './editorIntegration';
+import { StorageMode } from './types';
 
 // let dataManager: DataManager; // REMOVE
 
@@ -36,6 +38,42 @@ export function activate(context: vscode.ExtensionContext) {
         })
     );
 
+    // 编辑器集成相关命令
+    const editorIntegration = new EditorIntegration(promptHubProvider.getDataManager());
+
+    context.subscriptions.push(
+        vscode.commands.registerCommand('promptHub.insertPrompt', async () => {
+            try {
+                await editorIntegration.insertPrompt();
+            } catch (error) {
+                const message = error instanceof Error ? error.message : String(error);
+                vscode.window.showErrorMessage(`插入 Prompt 失败: ${message}`);
+            }
+        }),
+        vscode.commands.registerCommand('promptHub.insertFavoritePrompt', async () => {
+            try {
+                await editorIntegration.insertPrompt(true);
+            } catch (error) {
+                const message = error instanceof Error ? error.message : String(error);
+                vscode.window.showErrorMessage(`插入 Prompt 失败: ${message}`);
+            }
+        })
+    );
+
+    context.subscriptions.push(
+        vscode.commands.registerCommand('promptHub.saveSelectionAsPrompt', async () => {
+            try {
+                const prompt = await editorIntegration.saveSelectionAsPrompt();
+                if (prompt) {
+                    await promptHubProvider.showPromptEditor(prompt.id);
+                }
+            } catch (error) {
+                const message = error instanceof Error ? error.message : String(error);
+                vscode.window.showErrorMessage(`保存为 Prompt 失败: ${message}`);
+            }
+        })
+    );
+
     // 数据管理相关命令
     context.subscriptions.push(
         vscode.commands.registerCommand('promptHub.exportData', async () => {
@@ -50,12 +88,41 @@ export function activate(context: vscode.ExtensionContext) {
     context.subscriptions.push(
         vscode.commands.registerCommand('promptHub.importData', async () => {
             try {
-                const result = await promptHubProvider.getDataManager().importData();
-                if (result) {
-                    promptHubProvider.refresh();
+                const analysis = await promptHubProvider.getDataManager().importData();
+                if (analysis) {
+                    await promptHubProvider.showImportWizard(analysis);
                 }
             } catch (error) {
-                vscode.window.showErrorMessage(`导入数据失败: ${error}`);
+                const message = error instanceof Error ? error.message : String(error);
+                vscode.window.showErrorMessage(`导入数据失败: ${message}`);
+            }
+        })
+    );
+
+    context.subscriptions.push(
+        vscode.commands.registerCommand('promptHub.exportMarkdown', async () => {
+            try {
+                const dir = await promptHubProvider.getDataManager().exportMarkdown();
+                if (dir) {
+                    vscode.window.showInformationMessage(`已导出为 Markdown 文件夹: ${dir}`);
+                }
+            } catch (error) {
+                const message = error instanceof Error ? error.message : String(error);
+                vscode.window.showErrorMessage(`导出 Markdown 失败: ${message}`);
+            }
+        })
+    );
+
+    context.subscriptions.push(
+        vscode.commands.registerCommand('promptHub.importMarkdown', async () => {
+            try {
+                const analysis = await promptHubProvider.getDataManager().importMarkdown();
+                if (analysis) {
+                    await promptHubProvider.showImportWizard(analysis);
+                }
+            } catch (error) {
+                const message = error instanceof Error ? error.message : String(error);
+                vscode.window.showErrorMessage(`导入 Markdown 失败: ${message}`);
             }
         })
     );
@@ -83,7 +150,7 @@ export function activate(context: vscode.ExtensionContext) {
 
                 const items: (vscode.QuickPickItem & { backupPath: string })[] = backupList.map(backup => ({
                     label: new Date(backup.timestamp).toLocaleString('zh-CN'),
-                    description: `${(backup.size / 1024).toFixed(2)} KB`,
+                    description: `${backup.promptCount ?? '?'} 个 Prompt · ${(backup.size / 1024).toFixed(2)} KB`,
                     detail: backup.path,
                     backupPath: backup.path
                 }));
@@ -121,23 +188,14 @@ export function activate(context: vscode.ExtensionContext) {
         vscode.commands.registerCommand('promptHub.syncToCloud', async () => {
             const dataManager = promptHubProvider.getDataManager();
             try {
-                await dataManager.syncToCloud();
-                vscode.window.showInformationMessage('成功同步到云端。');
+                const result = await dataManager.syncToCloud();
+                vscode.window.showInformationMessage(
+                    result.status === 'merged' ? '成功同步到云端，并已合并云端的修改。' : '成功同步到云端。'
+                );
             } catch (error: any) {
                 if (error instanceof SyncConflictError) {
-                    const choice = await vscode.window.showWarningMessage(
-                        `同步冲突：云端数据比本地新。强制上传将覆盖云端更改。`,
-                        { modal: true },
-                        '强制上传'
-                    );
-                    if (choice === '强制上传') {
-                        try {
-                            await dataManager.syncToCloud(true);
-                            vscode.window.showInformationMessage('强制上传成功。');
-                        } catch (e: any) {
-                            vscode.window.showErrorMessage(`强制上传失败: ${e.message}`);
-                        }
-                    }
+                    vscode.window.showWarningMessage(`同步冲突：${error.message}请选择要保留的版本。`);
+                    await promptHubProvider.showSyncConflicts(error.conflicts);
                 } else {
                     vscode.window.showErrorMessage(`同步到云端失败: ${error.message}`);
                 }
@@ -154,20 +212,8 @@ export function activate(context: vscode.ExtensionContext) {
                 vscode.window.showInformationMessage('从云端同步成功。');
             } catch (error: any) {
                 if (error instanceof SyncConflictError) {
-                    const choice = await vscode.window.showWarningMessage(
-                        `同步冲突：本地数据比云端新或无变化。强制下载将覆盖本地更改。`,
-                        { modal: true },
-                        '强制下载'
-                    );
-                    if (choice === '强制下载') {
-                        try {
-                            await dataManager.syncFromCloud(true);
-                            promptHubProvider.refresh();
-                            vscode.window.showInformationMessage('强制下载成功。');
-                        } catch (e: any) {
-                            vscode.window.showErrorMessage(`强制下载失败: ${e.message}`);
-                        }
-                    }
+                    vscode.window.showWarningMessage(`同步冲突：${error.message}请选择要保留的版本。`);
+                    await promptHubProvider.showSyncConflicts(error.conflicts);
                 } else if (error instanceof SyncError && error.code === 'remote_empty') {
                     vscode.window.showInformationMessage('云端无数据，无需同步。');
                 }
@@ -184,24 +230,72 @@ export function activate(context: vscode.ExtensionContext) {
             try {
                 const dataManager = promptHubProvider.getDataManager();
                 const storageInfo = await dataManager.getStorageInfo();
-                const currentMode = storageInfo.mode === 'workspace';
-                
-                const action = currentMode ? '禁用' : '启用';
-                const choice = await vscode.window.showInformationMessage(
-                    `当前存储模式：${storageInfo.location}`,
-                    `${action}工作区模式`,
-                    '取消'
-                );
+                const modes: (vscode.QuickPickItem & { mode: StorageMode })[] = [
+                    { mode: 'global', label: '全局模式', detail: 'Prompt 保存在 VS Code 全局存储中，所有工作区共用' },
+                    { mode: 'workspace', label: '工作区模式', detail: 'Prompt 保存在当前工作区的 VS Code 存储中，仅本机可见' },
+                    { mode: 'folder', label: '文件夹模式', detail: 'Prompt 保存为工作区 .prompthub 文件夹中的 Markdown 文件，可提交到 git 与团队共享' }
+                ];
+                modes.forEach(item => {
+                    item.description = item.mode === storageInfo.mode ? '当前' : undefined;
+                });
+
+                const choice = await vscode.window.showQuickPick(modes, {
+                    placeHolder: `当前存储模式：${storageInfo.location}`
+                });
 
-                if (choice === `${action}工作区模式`) {
-                    await dataManager.toggleWorkspaceMode(!currentMode);
+                if (choice && choice.mode !== storageInfo.mode) {
+                    await dataManager.setStorageMode(choice.mode);
                     promptHubProvider.refresh();
-                    
-                    const newMode = !currentMode ? '工作区模式' : '全局模式';
-                    vscode.window.showInformationMessage(`已切换到${newMode}`);
+                    vscode.window.showInformationMessage(`已切换到${choice.label}`);
                 }
             } catch (error) {
-                vscode.window.showErrorMessage(`切换存储模式失败: ${error}`);
+                const message = error instanceof Error ? error.message : String(error);
+                vscode.window.showErrorMessage(`切换存储模式失败: ${message}`);
+            }
+        })
+    );
+
+    context.subscriptions.push(
+        vscode.commands.registerCommand('promptHub.addTeamLibrary', async () => {
+            try {
+                const result = await promptHubProvider.getDataManager().addTeamLibrary();
+                if (result) {
+                    promptHubProvider.refresh();
+                    vscode.window.showInformationMessage('团队库已添加');
+                }
+            } catch (error) {
+                const message = error instanceof Error ? error.message : String(error);
+                vscode.window.showErrorMessage(`添加团队库失败: ${message}`);
+            }
+        })
+    );
+
+    context.subscriptions.push(
+        vscode.commands.registerCommand('promptHub.addSubscription', async () => {
+            try {
+                const result = await promptHubProvider.getDataManager().addSubscription();
+                if (result) {
+                    promptHubProvider.refresh();
+                    vscode.window.showInformationMessage('订阅已添加');
+                }
+            } catch (error) {
+                const message = error instanceof Error ? error.message : String(error);
+                vscode.window.showErrorMessage(`添加订阅失败: ${message}`);
+            }
+        })
+    );
+
+    context.subscriptions.push(
+        vscode.commands.registerCommand('promptHub.refreshSubscriptions', async () => {
+            try {
+                const updates = await promptHubProvider.getDataManager().refreshSubscriptions();
+                promptHubProvider.refresh();
+                if (updates.length === 0) {
+                    vscode.window.showInformationMessage('订阅没有新的变化');
+                }
+            } catch (error) {
+                const message = error instanceof Error ? error.message : String(error);
+                vscode.window.showErrorMessage(`刷新订阅失败: ${message}`);
             }
         })
     );
@@ -236,12 +330,24 @@ export function activate(context: vscode.ExtensionContext) {
     // 启动时自动同步检查
     // Use a timeout to ensure the webview has had a chance to fully initialize
     setTimeout(() => {
-        handleStartupSync(promptHubProvider.getDataManager(), promptHubProvider);
+        handleStartupSync(promptHubProvider.getDataManager(), promptHubProvider).catch(error => {
+            console.error('Startup sync failed:', error);
+        });
     }, 2000); 
 }
 
 async function handleStartupSync(dataManager: DataManager, provider: PromptHubProvider) {
-    const appData = await dataManager.getAppData();
+    let appData;
+    try {
+        appData = await dataManager.getAppData();
+    } catch (error) {
+        if (error instanceof SchemaValidationError) {
+            showInvalidDataError(dataManager, error);
+        } else {
+            vscode.window.showErrorMessage(`读取 Prompt Hub 数据失败: ${error}`);
+        }
+        return;
+    }
     if (appData.settings.cloudSync && appData.settings.autoSync) {
         vscode.window.withProgress({
             location: vscode.ProgressLocation.Notification,
@@ -254,7 +360,9 @@ async function handleStartupSync(dataManager: DataManager, provider: PromptHubPr
                 switch (result.status) {
                     case 'downloaded':
                         vscode.window.showInformationMessage('已从云端同步最新数据。');
-                        provider.refresh();
+                        break;
+                    case 'merged':
+                        vscode.window.showInformationMessage('已合并本地和云端的修改。');
                         break;
                     case 'uploaded':
                         vscode.window.showInformationMessage('本地数据已成功同步到云端。');
@@ -263,7 +371,7 @@ async function handleStartupSync(dataManager: DataManager, provider: PromptHubPr
                         // Data already in sync, no action needed
                         break;
                     case 'conflict':
-                        vscode.window.showWarningMessage('自动同步检测到冲突，请手动解决。');
+                        provider.notifySyncConflict(result);
                         break;
                     case 'error':
                         vscode.window.showErrorMessage(`启动时自动同步失败: ${result.message}`);
@@ -276,6 +384,37 @@ async function handleStartupSync(dataManager: DataManager, provider: PromptHubPr
     }
 }
 
+/**
+ * 存储的数据未通过校验时只提示一次，并提供恢复备份和导出原始数据的入口
+ * 在修复之前各个功能读取数据都会失败，所以不要把错误留给它们分别报告
+ */
+async function showInvalidDataError(dataManager: DataManager, error: SchemaValidationError) {
+    const maxIssues = 5;
+    const issues = error.issues.slice(0, maxIssues).map(issue => `${issue.path}: ${issue.message}`);
+    if (error.issues.length > maxIssues) {
+        issues.push(`…等共 ${error.issues.length} 个问题`);
+    }
+    const restoreAction = '恢复备份';
+    const exportAction = '导出原始数据';
+    const selection = await vscode.window.showErrorMessage(
+        `Prompt Hub 数据无效，无法加载。${issues.join('；')}`,
+        restoreAction,
+        exportAction
+    );
+    try {
+        if (selection === restoreAction) {
+            await vscode.commands.executeCommand('promptHub.restoreBackup');
+        } else if (selection === exportAction) {
+            const exportPath = await dataManager.exportRawAppData();
+            if (exportPath) {
+                vscode.window.showInformationMessage(`原始数据已导出到 ${exportPath}`);
+            }
+        }
+    } catch (exportError) {
+        vscode.window.showErrorMessage(`导出原始数据失败: ${exportError}`);
+    }
+}
+
 function deactivate() {
     // if (dataManager) { // REMOVED
     //     dataManager.dispose();
@@ -0,0 +1,217 @@
+import { AppData, ImportMatch, ImportSummary, Prompt } from './types';
+
+/**
+ * 导入合并 - 将导入文件中的 Prompt 与现有数据匹配，并按用户的选择生成导入计划
+ *
+ * 规则：
+ * - ID 相同且标题相同或内容相似的视为同一个 Prompt
+ * - ID 相同但内容无关的只是 ID 碰撞，作为新 Prompt 导入并重新分配 ID
+ * - 没有 ID 匹配时按内容相似度寻找最接近的现有 Prompt
+ * - 匹配到的 Prompt 按选择跳过、覆盖、保留两者或合并标签，没有匹配的直接新增
+ */
+const SIMILARITY_THRESHOLD = 0.85;
+
+export type ImportChoice = 'skip' | 'overwrite' | 'keepBoth' | 'mergeTags';
+
+export interface ImportPlan {
+    add: Prompt[];                               // 新增的 Prompt，ID 已确保不冲突
+    overwrite: Prompt[];                         // 用导入内容覆盖的 Prompt，ID 为现有 Prompt 的 ID
+    mergeTags: { id: number; tags: string[] }[]; // 需要更新标签的现有 Prompt
+    categories: string[];                        // 需要新增的分类
+}
+
+interface MatchCandidate {
+    prompt: Prompt;
+    bigrams: Map<string, number>;
+    length: number;
+}
+
+// #region Matching
+/**
+ * 为导入的每个 Prompt 寻找对应的现有 Prompt
+ * 每个现有 Prompt 最多匹配一个导入的 Prompt
+ * @param current 当前数据
+ * @param incoming 导入的数据（已通过校验）
+ * @returns ImportMatch[] 匹配结果，按导入文件中的顺序排列
+ */
+export function matchImportedPrompts(current: AppData, incoming: AppData): ImportMatch[] {
+    const candidates = current.prompts.map(prompt => {
+        const text = normalizeText(prompt.content);
+        return { prompt, bigrams: toBigrams(text), length: text.length };
+    });
+    const byId = new Map(candidates.map(candidate => [candidate.prompt.id, candidate]));
+    const matched = new Set<number>();
+    const matches: ImportMatch[] = [];
+
+    for (const prompt of incoming.prompts) {
+        const text = normalizeText(prompt.content);
+        const bigrams = toBigrams(text);
+
+        let match: { candidate: MatchCandidate; similarity: number; matchedBy: 'id' | 'content' } | undefined;
+        const sameId = byId.get(prompt.id);
+        if (sameId && !matched.has(sameId.prompt.id)) {
+            const similarity = diceCoefficient(bigrams, sameId.bigrams);
+            if (similarity >= SIMILARITY_THRESHOLD || normalizeText(prompt.title) === normalizeText(sameId.prompt.title)) {
+                match = { candidate: sameId, similarity, matchedBy: 'id' };
+            }
+        }
+
+        if (!match) {
+            for (const candidate of candidates) {
+                if (matched.has(candidate.prompt.id) || !canReachThreshold(text.length, candidate.length)) {
+                    continue;
+                }
+                const similarity = diceCoefficient(bigrams, candidate.bigrams);
+                if (similarity >= SIMILARITY_THRESHOLD && (!match || similarity > match.similarity)) {
+                    match = { candidate, similarity, matchedBy: 'content' };
+                }
+            }
+        }
+
+        if (match) {
+            matched.add(match.candidate.prompt.id);
+            matches.push({
+                incoming: prompt,
+                existing: match.candidate.prompt,
+                matchedBy: match.matchedBy,
+                similarity: Math.round(match.similarity * 100) / 100,
+                identical: isSamePrompt(prompt, match.candidate.prompt)
+            });
+        }
+    }
+    return matches;
+}
+
+function normalizeText(text: string): string {
+    return (text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+function toBigrams(text: string): Map<string, number> {
+    const bigrams = new Map<string, number>();
+    for (let i = 0; i < text.length - 1; i++) {
+        const bigram = text.slice(i, i + 2);
+        bigrams.set(bigram, (bigrams.get(bigram) ?? 0) + 1);
+    }
+    return bigrams;
+}
+
+/**
+ * 基于字符二元组的 Dice 系数，同时适用于中文和英文
+ */
+function diceCoefficient(a: Map<string, number>, b: Map<string, number>): number {
+    let sizeA = 0;
+    let sizeB = 0;
+    a.forEach(count => sizeA += count);
+    b.forEach(count => sizeB += count);
+    if (sizeA === 0 && sizeB === 0) {
+        return 1;
+    }
+
+    let overlap = 0;
+    a.forEach((count, bigram) => overlap += Math.min(count, b.get(bigram) ?? 0));
+    return (2 * overlap) / (sizeA + sizeB);
+}
+
+// 长度相差太大的文本不可能达到阈值，跳过计算
+function canReachThreshold(lengthA: number, lengthB: number): boolean {
+    const total = lengthA + lengthB;
+    return total === 0 || (2 * Math.min(lengthA, lengthB)) / total >= SIMILARITY_THRESHOLD;
+}
+
+function isSamePrompt(a: Prompt, b: Prompt): boolean {
+    return a.title === b.title
+        && a.content === b.content
+        && (a.category || '') === (b.category || '')
+        && [...a.tags].sort().join('\n') === [...b.tags].sort().join('\n');
+}
+// #endregion
+
+// #region Planning
+/**
+ * 根据匹配结果和用户的选择生成导入计划
+ * 只计算，不修改任何数据，因此也用于导入前的预览
+ * @param current 当前数据
+ * @param incoming 导入的数据
+ * @param matches matchImportedPrompts 的结果
+ * @param choices 导入 Prompt 的 ID 到选择的映射
+ * @param defaultChoice 未指定选择的匹配使用的选项
+ * @returns 导入计划和摘要
+ */
+export function buildImportPlan(
+    current: AppData,
+    incoming: AppData,
+    matches: ImportMatch[],
+    choices: Record<number, ImportChoice>,
+    defaultChoice: ImportChoice = 'skip'
+): { plan: ImportPlan; summary: ImportSummary } {
+    const plan: ImportPlan = { add: [], overwrite: [], mergeTags: [], categories: [] };
+    const summary: ImportSummary = { added: 0, remapped: 0, overwritten: 0, mergedTags: 0, keptBoth: 0, skipped: 0, newCategories: [], addedPrompts: [] };
+    const matchesById = new Map(matches.map(match => [match.incoming.id, match]));
+
+    // 已被占用的 ID：现有 Prompt、删除记录（避免同步时被当作已删除）以及导入文件中的 ID
+    const takenIds = new Set([
+        ...current.prompts.map(p => p.id),
+        ...(current.deletedPrompts ?? []).map(t => t.id),
+        ...incoming.prompts.map(p => p.id)
+    ]);
+    const conflictingIds = new Set([...current.prompts.map(p => p.id), ...(current.deletedPrompts ?? []).map(t => t.id)]);
+    let nextId = Date.now();
+    const allocateId = (): number => {
+        while (takenIds.has(nextId)) {
+            nextId++;
+        }
+        takenIds.add(nextId);
+        return nextId;
+    };
+
+    for (const prompt of incoming.prompts) {
+        const match = matchesById.get(prompt.id);
+        if (!match) {
+            const remap = conflictingIds.has(prompt.id);
+            plan.add.push(remap ? { ...prompt, id: allocateId() } : prompt);
+            summary.added++;
+            if (remap) {
+                summary.remapped++;
+            }
+            continue;
+        }
+
+        switch (choices[prompt.id] ?? defaultChoice) {
+            case 'overwrite':
+                plan.overwrite.push({ ...prompt, id: match.existing.id });
+                summary.overwritten++;
+                break;
+            case 'mergeTags': {
+                const tags = [...new Set([...match.existing.tags, ...prompt.tags])];
+                if (tags.length > match.existing.tags.length) {
+                    plan.mergeTags.push({ id: match.existing.id, tags });
+                }
+                summary.mergedTags++;
+                break;
+            }
+            case 'keepBoth': {
+                const remap = conflictingIds.has(prompt.id);
+                const title = prompt.title === match.existing.title ? `${prompt.title} (导入)` : prompt.title;
+                plan.add.push({ ...prompt, id: remap ? allocateId() : prompt.id, title });
+                summary.keptBoth++;
+                if (remap) {
+                    summary.remapped++;
+                }
+                break;
+            }
+            default:
+                summary.skipped++;
+        }
+    }
+
+    const importedCategories = [...plan.add, ...plan.overwrite].map(p => p.category);
+    for (const category of [...incoming.categories, ...importedCategories]) {
+        if (category && !current.categories.includes(category) && !plan.categories.includes(category)) {
+            plan.categories.push(category);
+        }
+    }
+    summary.newCategories = plan.categories;
+    summary.addedPrompts = plan.add.map(({ title, category, tags }) => ({ title, category, tags }));
+    return { plan, summary };
+}
+// #endregion
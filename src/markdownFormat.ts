@@ -0,0 +1,411 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import { AppData, Prompt } from './types';
+
+/**
+ * Markdown 格式 - 负责 Prompt 与带 YAML front matter 的 Markdown 文件之间的转换
+ *
+ * 导出的文件夹结构：
+ * - 每个 Prompt 一个 `.md` 文件，front matter 保存 id、标题、分类、标签、状态和时间
+ * - 按分类放在子文件夹中（`a/b` 形式的分类对应嵌套的文件夹），未分类的放在根目录
+ * - 根目录的 `prompthub.yaml` 保存分类列表，没有 Prompt 的分类也能还原
+ *
+ * 只支持 front matter 中用到的 YAML 子集：标量、引号字符串、行内数组和 `- item` 形式的列表
+ */
+export const MARKDOWN_INDEX_FILE = 'prompthub.yaml';
+
+export interface MarkdownFolderContent {
+    prompts: Partial<Prompt>[];
+    categories: string[];
+    files: Map<number, string>;  // Prompt id 到所在文件的映射
+    hasNewIds: boolean;          // 是否有文件缺少 id 或 id 重复、分配了新的 id
+}
+
+const FRONT_MATTER_DELIMITER = '---';
+const MAX_FILE_NAME_LENGTH = 80;
+const WINDOWS_RESERVED_NAMES = /^(con|prn|aux|nul|com\d|lpt\d)$/i;
+
+// #region YAML Subset
+/**
+ * 解析简单的 YAML 映射
+ * @param text YAML 文本
+ * @returns Record<string, unknown> 键值对，列表解析为数组
+ */
+export function parseYamlMapping(text: string): Record<string, unknown> {
+    const result: Record<string, unknown> = {};
+    let listKey: string | undefined;
+
+    for (const line of text.split(/\r?\n/)) {
+        if (line.trim() === '' || line.trim().startsWith('#')) {
+            continue;
+        }
+
+        const listItem = line.match(/^\s+-\s*(.*)$/) ?? (listKey ? line.match(/^-\s*(.*)$/) : null);
+        if (listItem && listKey) {
+            (result[listKey] as unknown[]).push(parseYamlScalar(listItem[1]));
+            continue;
+        }
+
+        const pair = line.match(/^([A-Za-z_][\w-]*)\s*:\s*(.*)$/);
+        if (!pair) {
+            continue;
+        }
+        const [, key, rawValue] = pair;
+        if (rawValue.trim() === '') {
+            // An empty value followed by "- item" lines is a block list
+            result[key] = [];
+            listKey = key;
+        } else {
+            result[key] = parseYamlScalar(rawValue);
+            listKey = undefined;
+        }
+    }
+
+    // A key with no list items after it has an empty value, not an empty list
+    for (const [key, value] of Object.entries(result)) {
+        if (Array.isArray(value) && value.length === 0 && !new RegExp(`^${key}\\s*:\\s*\\[`, 'm').test(text)) {
+            result[key] = null;
+        }
+    }
+    return result;
+}
+
+function parseYamlScalar(raw: string): unknown {
+    const value = stripComment(raw.trim());
+    if (value.startsWith('"')) {
+        try {
+            return JSON.parse(value);
+        } catch {
+            return value.replace(/^"|"$/g, '');
+        }
+    }
+    if (value.startsWith("'")) {
+        return value.replace(/^'|'$/g, '').replace(/''/g, "'");
+    }
+    if (value.startsWith('[') && value.endsWith(']')) {
+        return splitFlowSequence(value.slice(1, -1)).map(parseYamlScalar);
+    }
+    if (value === 'true' || value === 'false') {
+        return value === 'true';
+    }
+    if (value === '' || value === 'null' || value === '~') {
+        return null;
+    }
+    if (/^-?\d+(\.\d+)?$/.test(value)) {
+        return Number(value);
+    }
+    return value;
+}
+
+// Comments start with " #" outside of quotes
+function stripComment(value: string): string {
+    if (value.startsWith('"') || value.startsWith("'")) {
+        return value;
+    }
+    const index = value.search(/\s#/);
+    return index === -1 ? value : value.slice(0, index).trim();
+}
+
+function splitFlowSequence(text: string): string[] {
+    const items: string[] = [];
+    let current = '';
+    let quote: string | null = null;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quote) {
+            current += char;
+            if (char === '\\' && quote === '"' && i + 1 < text.length) {
+                current += text[++i];
+            } else if (char === quote) {
+                quote = null;
+            }
+        } else if (char === '"' || char === "'") {
+            quote = char;
+            current += char;
+        } else if (char === ',') {
+            items.push(current);
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    if (current.trim() !== '') {
+        items.push(current);
+    }
+    return items.map(item => item.trim()).filter(item => item !== '');
+}
+
+function formatYamlValue(value: unknown): string {
+    if (Array.isArray(value)) {
+        return `[${value.map(item => JSON.stringify(item)).join(', ')}]`;
+    }
+    // JSON strings, numbers and booleans are also valid YAML
+    return JSON.stringify(value);
+}
+// #endregion
+
+// #region Prompt Files
+/**
+ * 拆分 Markdown 文件的 front matter 和正文
+ * @param text 文件内容
+ * @returns front matter 的键值对和正文，没有 front matter 时整个文件都是正文
+ */
+export function parseFrontMatter(text: string): { data: Record<string, unknown>; body: string } {
+    const normalized = text.replace(/^﻿/, '');
+    const match = normalized.match(/^---[ \t]*\r?\n([\s\S]*?)\r?\n(?:---|\.\.\.)[ \t]*(?:\r?\n|$)/);
+    if (!match) {
+        return { data: {}, body: normalized };
+    }
+    return { data: parseYamlMapping(match[1]), body: normalized.slice(match[0].length) };
+}
+
+/**
+ * 将 Prompt 转换为 Markdown 文件内容
+ * 正文与 front matter 之间空一行，文件以换行结尾，读取时会去掉这两处换行
+ * @param prompt 要导出的 Prompt
+ * @returns string 文件内容
+ */
+export function serializePrompt(prompt: Prompt): string {
+    const fields: Record<string, unknown> = {
+        id: prompt.id,
+        title: prompt.title,
+        category: prompt.category || '',
+        tags: prompt.tags || [],
+        isActive: prompt.isActive !== false,
+        isFavorite: prompt.isFavorite || undefined,
+        pinOrder: prompt.pinOrder,
+        createdAt: prompt.createdAt,
+        updatedAt: prompt.updatedAt
+    };
+    const frontMatter = Object.entries(fields)
+        .filter(([, value]) => value !== undefined)
+        .map(([key, value]) => `${key}: ${formatYamlValue(value)}`)
+        .join('\n');
+    return `${FRONT_MATTER_DELIMITER}\n${frontMatter}\n${FRONT_MATTER_DELIMITER}\n\n${prompt.content}\n`;
+}
+
+/**
+ * 读取 serializePrompt 生成的文件内容
+ * @param text 文件内容
+ * @returns front matter 的键值对和 Prompt 正文
+ */
+export function parsePromptFile(text: string): { data: Record<string, unknown>; content: string } {
+    const { data, body } = parseFrontMatter(text);
+    const content = body.replace(/^\r?\n/, '').replace(/\r?\n$/, '');
+    return { data, content };
+}
+
+/**
+ * 生成可在各平台使用的文件名（不含扩展名）
+ */
+export function toSafeFileName(name: string, fallback: string): string {
+    let safe = name
+        .replace(/[<>:"/\\|?*\u0000-\u001f]/g, '-')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .slice(0, MAX_FILE_NAME_LENGTH)
+        .replace(/[. ]+$/, '');
+    if (safe === '' || safe.startsWith('.')) {
+        safe = fallback;
+    }
+    return WINDOWS_RESERVED_NAMES.test(safe) ? `${safe}-` : safe;
+}
+// #endregion
+
+// #region Folder Import/Export
+/**
+ * 将数据写入 Markdown 文件夹
+ * 已有的 Prompt 文件按 id 原地更新（分类未变时保留原文件名），内容未变的文件不会重写，
+ * 数据中已不存在的 Prompt 文件会被删除，以便在 git 中只产生必要的改动
+ * @param dir 目标文件夹
+ * @param data 要写入的数据
+ * @param knownFiles 已知的 id 到文件路径的映射，未提供时扫描文件夹中带 id 的文件
+ * @returns number 新建、修改或删除的文件数量
+ */
+export function writeMarkdownFolder(dir: string, data: AppData, knownFiles?: Map<number, string>): number {
+    const existingFiles = knownFiles ?? indexPromptFiles(dir);
+    const usedPaths = new Set<string>();
+    const keptFiles = new Set<string>();
+    let changed = 0;
+
+    for (const prompt of data.prompts) {
+        const folder = path.join(dir, ...getCategoryFolder(prompt.category));
+        let filePath = existingFiles.get(prompt.id);
+        if (!filePath || path.dirname(filePath) !== folder || usedPaths.has(filePath.toLowerCase())) {
+            const baseName = toSafeFileName(prompt.title, `prompt-${prompt.id}`);
+            filePath = path.join(folder, `${baseName}.md`);
+            if (usedPaths.has(filePath.toLowerCase()) || fs.existsSync(filePath)) {
+                filePath = path.join(folder, `${baseName}-${prompt.id}.md`);
+            }
+        }
+        usedPaths.add(filePath.toLowerCase());
+        keptFiles.add(filePath);
+
+        fs.mkdirSync(folder, { recursive: true });
+        if (writeIfChanged(filePath, serializePrompt(prompt))) {
+            changed++;
+        }
+    }
+
+    for (const file of existingFiles.values()) {
+        if (!keptFiles.has(file) && fs.existsSync(file)) {
+            fs.unlinkSync(file);
+            removeEmptyFolders(path.dirname(file), dir);
+            changed++;
+        }
+    }
+
+    const index = [
+        '# Prompt Hub 导出的分类列表，导入时用于还原分类顺序和空分类',
+        'categories:',
+        ...data.categories.map(category => `  - ${JSON.stringify(category)}`)
+    ].join('\n');
+    fs.mkdirSync(dir, { recursive: true });
+    if (writeIfChanged(path.join(dir, MARKDOWN_INDEX_FILE), `${index}\n`)) {
+        changed++;
+    }
+    return changed;
+}
+
+/**
+ * 找出文件夹中之前导出的 Prompt 文件（front matter 中带有 id 的 Markdown 文件）
+ * 用于重新导出前清理已删除的 Prompt
+ * @param dir 文件夹
+ * @returns string[] 文件路径
+ */
+export function findExportedPromptFiles(dir: string): string[] {
+    return findMarkdownFiles(dir).filter(file => {
+        const { data } = parseFrontMatter(fs.readFileSync(file, 'utf-8'));
+        return data.id !== undefined && data.id !== null;
+    });
+}
+
+/**
+ * 读取 Markdown 文件夹
+ * 缺少的字段按文件推断：标题取文件名，分类取所在的子文件夹，时间取文件修改时间，没有 id 或 id 重复的按文件路径生成 id
+ * @param dir 文件夹
+ * @returns 尚未校验的数据，以及每个 Prompt 对应的文件
+ */
+export function readMarkdownFolder(dir: string): MarkdownFolderContent {
+    const parsed = findMarkdownFiles(dir).map(file => ({ file, ...parsePromptFile(fs.readFileSync(file, 'utf-8')) }));
+    const usedIds = new Set(parsed.map(({ data }) => Number(data.id)).filter(id => Number.isFinite(id)));
+    const files = new Map<number, string>();
+    let hasNewIds = false;
+
+    const prompts = parsed.map(({ file, data, content }) => {
+        let id = Number(data.id);
+        // A copied file keeps the id of its original, the first file in path order keeps it
+        if (data.id === undefined || data.id === null || !Number.isFinite(id) || files.has(id)) {
+            // Derived from the path so read-only folders keep the same ids between reads
+            id = hashPath(path.relative(dir, file).split(path.sep).join('/'));
+            while (usedIds.has(id)) {
+                id++;
+            }
+            usedIds.add(id);
+            hasNewIds = true;
+        }
+        files.set(id, file);
+        const relativeFolder = path.relative(dir, path.dirname(file)).split(path.sep).filter(Boolean).join('/');
+        const modified = fs.statSync(file).mtime.toISOString();
+        return {
+            id,
+            title: typeof data.title === 'string' ? data.title : path.basename(file, path.extname(file)),
+            content,
+            category: typeof data.category === 'string' ? data.category : relativeFolder,
+            tags: toStringList(data.tags),
+            isActive: data.isActive !== false,
+            ...(data.isFavorite === true ? { isFavorite: true } : {}),
+            ...(typeof data.pinOrder === 'number' ? { pinOrder: data.pinOrder } : {}),
+            createdAt: typeof data.createdAt === 'string' ? data.createdAt : modified,
+            updatedAt: typeof data.updatedAt === 'string' ? data.updatedAt : modified
+        };
+    });
+
+    const categories: string[] = [];
+    const indexPath = path.join(dir, MARKDOWN_INDEX_FILE);
+    if (fs.existsSync(indexPath)) {
+        categories.push(...toStringList(parseYamlMapping(fs.readFileSync(indexPath, 'utf-8')).categories));
+    }
+    for (const prompt of prompts) {
+        if (prompt.category && !categories.includes(prompt.category)) {
+            categories.push(prompt.category);
+        }
+    }
+    return { prompts, categories, files, hasNewIds };
+}
+
+function findMarkdownFiles(dir: string): string[] {
+    const files: string[] = [];
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        // Skip .git and other hidden folders
+        if (entry.name.startsWith('.') || entry.name === 'node_modules') {
+            continue;
+        }
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            files.push(...findMarkdownFiles(fullPath));
+        } else if (entry.isFile() && entry.name.toLowerCase().endsWith('.md')) {
+            files.push(fullPath);
+        }
+    }
+    return files.sort();
+}
+
+function indexPromptFiles(dir: string): Map<number, string> {
+    const files = new Map<number, string>();
+    if (!fs.existsSync(dir)) {
+        return files;
+    }
+    for (const file of findExportedPromptFiles(dir)) {
+        const id = Number(parseFrontMatter(fs.readFileSync(file, 'utf-8')).data.id);
+        if (Number.isFinite(id) && !files.has(id)) {
+            files.set(id, file);
+        }
+    }
+    return files;
+}
+
+function writeIfChanged(filePath: string, content: string): boolean {
+    if (fs.existsSync(filePath) && fs.readFileSync(filePath, 'utf-8') === content) {
+        return false;
+    }
+    fs.writeFileSync(filePath, content, 'utf-8');
+    return true;
+}
+
+function removeEmptyFolders(folder: string, root: string): void {
+    let current = folder;
+    while (current.startsWith(root) && current !== root && fs.readdirSync(current).length === 0) {
+        fs.rmdirSync(current);
+        current = path.dirname(current);
+    }
+}
+
+function getCategoryFolder(category: string): string[] {
+    return (category || '')
+        .split('/')
+        .map(segment => segment.trim())
+        .filter(segment => segment !== '')
+        .map(segment => toSafeFileName(segment, '_'));
+}
+
+function toStringList(value: unknown): string[] {
+    if (Array.isArray(value)) {
+        return value.filter(item => item !== null && item !== undefined).map(String);
+    }
+    if (typeof value === 'string' && value.trim() !== '') {
+        return value.split(',').map(item => item.trim()).filter(item => item !== '');
+    }
+    return [];
+}
+// #endregion
+
+// FNV-1a, kept well below Number.MAX_SAFE_INTEGER
+function hashPath(relativePath: string): number {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < relativePath.length; i++) {
+        hash ^= relativePath.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash + 1;
+}
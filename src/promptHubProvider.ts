@@ -1,16 +1,25 @@
 /* eslint-disable @typescript-eslint/no-explicit-any */
 import * as vscode from 'vscode';
 import * as fs from 'fs';
-import { DataManager, SyncError } from './dataManager';
+import { DataManager, SyncConflictError, SyncError } from './dataManager';
+import { getContextVariableValues, resolveContextVariables } from './contextVariables';
+import { AppData, ImportAnalysis, LibraryView, SyncConflict, SyncResult, UndoAction } from './types';
+import { getSyncProviderDescriptors } from './syncProviders';
 
 export class PromptHubProvider implements vscode.WebviewViewProvider {
     public static readonly viewType = 'promptHubView';
 
     private _view?: vscode.WebviewView;
     private _dataManager: DataManager;
+    private _pendingEditPromptId?: number;
+    private _pendingSyncConflicts?: SyncConflict[];
+    private _pendingImportAnalysis?: ImportAnalysis;
 
     constructor(private readonly _extensionUri: vscode.Uri, context: vscode.ExtensionContext) {
         this._dataManager = new DataManager(context);
+        this._dataManager.onDidChangeData(() => this.refresh());
+        this._dataManager.onDidDetectSyncConflict(result => this.notifySyncConflict(result));
+        this._dataManager.onDidRecordUsage(data => this._postMessage({ type: 'promptUsage', data }));
     }
 
     public getDataManager(): DataManager {
@@ -61,8 +70,18 @@ export class PromptHubProvider implements vscode.WebviewViewProvider {
                 break;
 
             case 'getAppData': {
-                const appData = await this._dataManager.getAppData();
+                const appData = await this._getViewData();
                 this._postMessage({ type: 'appDataResponse', requestId: message.requestId, success: true, data: appData });
+                // The webview requests app data on its initial load, so any editor request made before it existed can be served now
+                if (this._pendingEditPromptId !== undefined) {
+                    await this._postOpenPrompt(this._pendingEditPromptId);
+                }
+                if (this._pendingSyncConflicts) {
+                    this._postSyncConflicts(this._pendingSyncConflicts);
+                }
+                if (this._pendingImportAnalysis) {
+                    this._postImportAnalysis(this._pendingImportAnalysis);
+                }
                 break;
             }
 
@@ -91,10 +110,51 @@ export class PromptHubProvider implements vscode.WebviewViewProvider {
                 break;
             }
 
+            case 'restorePromptRevision': {
+                await this._dataManager.restorePromptRevision(payload.id, payload.revision);
+                this._postMessage({ type: 'restorePromptRevisionResponse', requestId: message.requestId, success: true });
+                this._showNotification(`已恢复到版本 #${payload.revision}。`);
+                break;
+            }
+
+            case 'bulkMovePrompts': {
+                const changed = await this._dataManager.movePrompts(payload.ids, payload.category);
+                this._postMessage({ type: 'bulkMovePromptsResponse', requestId: message.requestId, success: true, data: { changed } });
+                break;
+            }
+
+            case 'bulkUpdateTags': {
+                const changed = await this._dataManager.updatePromptTags(payload.ids, payload.mode);
+                this._postMessage({ type: 'bulkUpdateTagsResponse', requestId: message.requestId, success: true, data: { changed } });
+                break;
+            }
+
+            case 'bulkSetActive': {
+                const changed = await this._dataManager.setPromptsActive(payload.ids, payload.isActive);
+                this._postMessage({ type: 'bulkSetActiveResponse', requestId: message.requestId, success: true, data: { changed } });
+                break;
+            }
+
+            case 'bulkDeletePrompts': {
+                const undo = await this._dataManager.deletePrompts(payload.ids);
+                this._postMessage({ type: 'bulkDeletePromptsResponse', requestId: message.requestId, success: true });
+                this._showUndoNotification(`已将 ${payload.ids.length} 个 Prompt 移到回收站。`, undo);
+                break;
+            }
+
+            case 'exportPrompts': {
+                const filePath = await this._dataManager.exportPrompts(payload.ids);
+                this._postMessage({ type: 'exportPromptsResponse', requestId: message.requestId, success: true, data: { path: filePath } });
+                if (filePath) {
+                    this._showNotification(`已导出 ${payload.ids.length} 个 Prompt。`);
+                }
+                break;
+            }
+
             case 'deletePrompt': {
-                await this._dataManager.deletePrompt(payload.id);
+                const undo = await this._dataManager.deletePrompt(payload.id);
                 this._postMessage({ type: 'deletePromptResponse', requestId: message.requestId, success: true });
-                this._showNotification('Prompt 已删除。');
+                this._showUndoNotification('Prompt 已移到回收站。', undo);
                 break;
             }
 
@@ -106,15 +166,49 @@ export class PromptHubProvider implements vscode.WebviewViewProvider {
             }
 
             case 'deleteTag': {
-                await this._dataManager.deleteTag(payload.name);
+                const undo = await this._dataManager.deleteTag(payload.name);
                 this._postMessage({ type: 'deleteTagResponse', requestId: message.requestId, success: true });
+                this._showUndoNotification(`标签 "${payload.name}" 已删除。`, undo);
                 break;
             }
 
             case 'deleteCategory': {
-                await this._dataManager.deleteCategory(payload.name);
-                this._postMessage({ type: 'deleteCategoryResponse', requestId: message.requestId, success: true });
-                this._showNotification('分类已删除。');
+                const undo = await this._dataManager.deleteCategory(payload.name);
+                this._postMessage({ type: 'deleteCategoryResponse', requestId: message.requestId, success: true, data: { deleted: !!undo } });
+                if (undo) {
+                    this._showUndoNotification('分类已删除。', undo);
+                }
+                break;
+            }
+
+            case 'renameTag': {
+                const changed = await this._dataManager.renameTag(payload.oldName, payload.newName);
+                this._postMessage({ type: 'renameTagResponse', requestId: message.requestId, success: true, data: { changed } });
+                break;
+            }
+
+            case 'mergeTags': {
+                const changed = await this._dataManager.mergeTags(payload.tags, payload.target);
+                this._postMessage({ type: 'mergeTagsResponse', requestId: message.requestId, success: true, data: { changed } });
+                break;
+            }
+
+            case 'setTagColor': {
+                await this._dataManager.setTagColor(payload.name, payload.color);
+                this._postMessage({ type: 'setTagColorResponse', requestId: message.requestId, success: true });
+                break;
+            }
+
+            case 'restoreFromTrash': {
+                const restored = await this._dataManager.restoreFromTrash(payload.ids);
+                this._postMessage({ type: 'restoreFromTrashResponse', requestId: message.requestId, success: true, data: { restored } });
+                this._showNotification(`已恢复 ${restored} 个 Prompt。`);
+                break;
+            }
+
+            case 'purgeTrash': {
+                const purged = await this._dataManager.purgeTrash(payload.ids);
+                this._postMessage({ type: 'purgeTrashResponse', requestId: message.requestId, success: true, data: { purged } });
                 break;
             }
             
@@ -127,21 +221,68 @@ export class PromptHubProvider implements vscode.WebviewViewProvider {
 
             // Data Management Actions
             case 'importData': {
-                const result = await this._dataManager.importData();
-                if (result) this.refresh();
+                const analysis = await this._dataManager.importData();
+                if (analysis) {
+                    await this.showImportWizard(analysis);
+                }
                 this._postMessage({ type: 'importDataResponse', requestId: message.requestId, success: true });
                 break;
             }
+            case 'prepareImport': {
+                const analysis = await this._dataManager.prepareImport(payload.files || []);
+                this._postMessage({ type: 'prepareImportResponse', requestId: message.requestId, success: true, data: analysis });
+                break;
+            }
+            case 'previewImport': {
+                const summary = await this._dataManager.previewImport(payload.importId, payload.choices || {});
+                this._postMessage({ type: 'previewImportResponse', requestId: message.requestId, success: true, data: summary });
+                break;
+            }
+            case 'applyImport': {
+                const summary = await this._dataManager.applyImport(payload.importId, payload.choices || {});
+                this.refresh();
+                this._postMessage({ type: 'applyImportResponse', requestId: message.requestId, success: true, data: summary });
+                break;
+            }
             case 'exportData': {
                 await this._dataManager.exportData();
                 this._postMessage({ type: 'exportDataResponse', requestId: message.requestId, success: true });
                 break;
             }
+            case 'exportMarkdown': {
+                const dir = await this._dataManager.exportMarkdown();
+                this._postMessage({ type: 'exportMarkdownResponse', requestId: message.requestId, success: true, data: { path: dir } });
+                break;
+            }
+            case 'importMarkdown': {
+                const analysis = await this._dataManager.importMarkdown();
+                if (analysis) {
+                    await this.showImportWizard(analysis);
+                }
+                this._postMessage({ type: 'importMarkdownResponse', requestId: message.requestId, success: true });
+                break;
+            }
             case 'createBackup': {
                 const backupPath = await this._dataManager.createBackup();
                 this._postMessage({ type: 'createBackupResponse', requestId: message.requestId, success: true, data: { path: backupPath } });
                 break;
             }
+            case 'getBackupList': {
+                const backups = this._dataManager.getBackupList();
+                this._postMessage({ type: 'getBackupListResponse', requestId: message.requestId, success: true, data: backups });
+                break;
+            }
+            case 'getBackupData': {
+                const backup = await this._dataManager.getBackupData(payload.path);
+                this._postMessage({ type: 'getBackupDataResponse', requestId: message.requestId, success: true, data: backup });
+                break;
+            }
+            case 'restoreBackupSelection': {
+                await this._dataManager.restoreBackupSelection(payload.path, payload.promptIds || [], payload.categories || []);
+                this.refresh();
+                this._postMessage({ type: 'restoreBackupSelectionResponse', requestId: message.requestId, success: true });
+                break;
+            }
             case 'restoreBackup': {
                 // This one is more complex and better handled by the command which has full UI control
                 await vscode.commands.executeCommand('promptHub.restoreBackup');
@@ -156,6 +297,10 @@ export class PromptHubProvider implements vscode.WebviewViewProvider {
                 this._postMessage({ type: 'setupCloudSyncResponse', requestId: message.requestId, success: true });
                 break;
             }
+            case 'getSyncProviders': {
+                this._postMessage({ type: 'getSyncProvidersResponse', requestId: message.requestId, success: true, data: getSyncProviderDescriptors() });
+                break;
+            }
             case 'webview:saveCloudSyncSettings': {
                 try {
                     const result = await this._dataManager.saveCloudSyncSettings(payload);
@@ -181,6 +326,32 @@ export class PromptHubProvider implements vscode.WebviewViewProvider {
                 this._postMessage({ type: 'disableCloudSyncResponse', requestId: message.requestId, success: true });
                 break;
             }
+            case 'webview:enableSyncEncryption': {
+                const result = await this._dataManager.enableSyncEncryption();
+                if (result) {
+                    this.refresh();
+                    this._showNotification('同步加密已开启，云端数据已加密。');
+                }
+                this._postMessage({ type: 'enableSyncEncryptionResponse', requestId: message.requestId, success: true, data: !!result });
+                break;
+            }
+            case 'webview:changeSyncPassphrase': {
+                const result = await this._dataManager.changeSyncPassphrase();
+                if (result) {
+                    this._showNotification('同步密码已更换，请在其他设备上输入新密码。');
+                }
+                this._postMessage({ type: 'changeSyncPassphraseResponse', requestId: message.requestId, success: true, data: !!result });
+                break;
+            }
+            case 'webview:disableSyncEncryption': {
+                const result = await this._dataManager.disableSyncEncryption();
+                if (result) {
+                    this.refresh();
+                    this._showNotification('同步加密已关闭，云端数据已改为明文。');
+                }
+                this._postMessage({ type: 'disableSyncEncryptionResponse', requestId: message.requestId, success: true, data: !!result });
+                break;
+            }
             case 'webview:resetCloudSync': {
                 await this._dataManager.resetCloudSync();
                 this.refresh();
@@ -199,7 +370,7 @@ export class PromptHubProvider implements vscode.WebviewViewProvider {
                         success: true, 
                         data: resetResult 
                     });
-                    vscode.window.showInformationMessage('所有数据已重置为默认状态，已添加软件开发生命周期相关的示例数据！');
+                    vscode.window.showInformationMessage('所有数据已重置为默认状态，已添加软件开发生命周期相关的示例数据！原来的 Prompt 已移到回收站。');
                 } catch (error) {
                     this._postMessage({ 
                         type: 'resetAllDataResponse', 
@@ -214,15 +385,14 @@ export class PromptHubProvider implements vscode.WebviewViewProvider {
 
             case 'webview:clearAllData': {
                 try {
-                    const clearResult = await this._dataManager.clearAllData();
+                    const undo = await this._dataManager.clearAllData();
                     this.refresh();
                     this._postMessage({ 
                         type: 'clearAllDataResponse', 
                         requestId: message.requestId, 
-                        success: true, 
-                        data: clearResult 
+                        success: true 
                     });
-                    vscode.window.showInformationMessage('所有数据已清空，只保留默认设置！');
+                    this._showUndoNotification('所有数据已清空，只保留默认设置！原来的 Prompt 已移到回收站。', undo);
                 } catch (error) {
                     this._postMessage({ 
                         type: 'clearAllDataResponse', 
@@ -235,14 +405,31 @@ export class PromptHubProvider implements vscode.WebviewViewProvider {
                 break;
             }
             case 'webview:syncToCloud': {
-                await this._dataManager.syncToCloud();
-                this._postMessage({ type: 'syncToCloudResponse', requestId: message.requestId, success: true });
+                try {
+                    const result = await this._dataManager.syncToCloud();
+                    this._postMessage({ type: 'syncToCloudResponse', requestId: message.requestId, success: true, data: result });
+                } catch (error) {
+                    if (!(error instanceof SyncConflictError)) throw error;
+                    this._postMessage({ type: 'syncToCloudResponse', requestId: message.requestId, success: true, data: { status: 'conflict' } });
+                    await this.showSyncConflicts(error.conflicts);
+                }
                 break;
             }
             case 'webview:syncFromCloud': {
-                const result = await this._dataManager.syncFromCloud();
-                if (result) this.refresh();
-                this._postMessage({ type: 'syncFromCloudResponse', requestId: message.requestId, success: true, data: result });
+                try {
+                    const result = await this._dataManager.syncFromCloud();
+                    if (result) this.refresh();
+                    this._postMessage({ type: 'syncFromCloudResponse', requestId: message.requestId, success: true, data: result });
+                } catch (error) {
+                    if (!(error instanceof SyncConflictError)) throw error;
+                    this._postMessage({ type: 'syncFromCloudResponse', requestId: message.requestId, success: true, data: { status: 'conflict' } });
+                    await this.showSyncConflicts(error.conflicts);
+                }
+                break;
+            }
+            case 'webview:resolveSyncConflicts': {
+                const result = await this._dataManager.resolveSyncConflicts(payload.choices || {});
+                this._postMessage({ type: 'resolveSyncConflictsResponse', requestId: message.requestId, success: true, data: result });
                 break;
             }
 
@@ -260,12 +447,56 @@ export class PromptHubProvider implements vscode.WebviewViewProvider {
                 break;
             }
             case 'toggleWorkspaceMode': {
-                const appData = await this._dataManager.getAppData();
-                await this._dataManager.toggleWorkspaceMode(!appData.settings.workspaceMode);
-                this.refresh();
+                await vscode.commands.executeCommand('promptHub.toggleWorkspaceMode');
                 this._postMessage({ type: 'toggleWorkspaceModeResponse', requestId: message.requestId, success: true });
                 break;
             }
+            case 'setStorageMode': {
+                await this._dataManager.setStorageMode(payload.mode);
+                this.refresh();
+                this._postMessage({ type: 'setStorageModeResponse', requestId: message.requestId, success: true });
+                break;
+            }
+
+            // Layered Library Actions
+            case 'addTeamLibrary': {
+                const result = await this._dataManager.addTeamLibrary();
+                if (result) { this.refresh(); }
+                this._postMessage({ type: 'addTeamLibraryResponse', requestId: message.requestId, success: true, data: { added: !!result } });
+                break;
+            }
+            case 'removeTeamLibrary': {
+                await this._dataManager.removeTeamLibrary(payload.path);
+                this.refresh();
+                this._postMessage({ type: 'removeTeamLibraryResponse', requestId: message.requestId, success: true });
+                break;
+            }
+            case 'copyPromptToLibrary': {
+                const id = await this._dataManager.copyPromptToLibrary(payload.id);
+                await this.refresh();
+                this._postMessage({ type: 'copyPromptToLibraryResponse', requestId: message.requestId, success: true, data: { id } });
+                this._showNotification('已复制到我的库。');
+                break;
+            }
+
+            case 'addSubscription': {
+                const result = await this._dataManager.addSubscription();
+                if (result) { this.refresh(); }
+                this._postMessage({ type: 'addSubscriptionResponse', requestId: message.requestId, success: true, data: { added: !!result } });
+                break;
+            }
+            case 'removeSubscription': {
+                await this._dataManager.removeSubscription(payload.id);
+                this.refresh();
+                this._postMessage({ type: 'removeSubscriptionResponse', requestId: message.requestId, success: true });
+                break;
+            }
+            case 'refreshSubscriptions': {
+                const updates = await this._dataManager.refreshSubscriptions(payload.id);
+                this.refresh();
+                this._postMessage({ type: 'refreshSubscriptionsResponse', requestId: message.requestId, success: true, data: { updated: updates.length } });
+                break;
+            }
 
             case 'getSystemStatus': {
                 const status = await this._dataManager.getSystemStatus();
@@ -279,6 +510,41 @@ export class PromptHubProvider implements vscode.WebviewViewProvider {
                 break;
             }
 
+            case 'setPromptFavorite': {
+                await this._dataManager.setPromptFavorite(payload.id, payload.isFavorite);
+                this._postMessage({ type: 'setPromptFavoriteResponse', requestId: message.requestId, success: true });
+                break;
+            }
+
+            case 'setPromptPinned': {
+                await this._dataManager.setPromptPinned(payload.id, payload.isPinned);
+                this._postMessage({ type: 'setPromptPinnedResponse', requestId: message.requestId, success: true });
+                break;
+            }
+
+            case 'reorderPinnedPrompts': {
+                await this._dataManager.reorderPinnedPrompts(payload.ids);
+                this._postMessage({ type: 'reorderPinnedPromptsResponse', requestId: message.requestId, success: true });
+                break;
+            }
+
+            case 'getPromptTemplate': {
+                // 上下文变量在打开表单时解析一次，预览由 webview 在本地渲染
+                const { content, variables } = await this._dataManager.getPromptTemplate(payload.id);
+                const context = await getContextVariableValues(content);
+                this._postMessage({ type: 'getPromptTemplateResponse', requestId: message.requestId, success: true, data: { content, variables, context } });
+                break;
+            }
+
+            case 'copyPrompt': {
+                const content = await this._resolvePromptText(payload.id, payload.values);
+                await vscode.env.clipboard.writeText(content);
+                await this._dataManager.recordPromptUsage(payload.id);
+                this._postMessage({ type: 'copyPromptResponse', requestId: message.requestId, success: true });
+                this._showNotification('Prompt 已复制到剪贴板。');
+                break;
+            }
+
             case 'showNotification': {
                 const { message: notificationMessage, type: notificationType } = payload;
                 if (notificationType === 'error') {
@@ -308,6 +574,17 @@ export class PromptHubProvider implements vscode.WebviewViewProvider {
         }
     }
 
+    /**
+     * 渲染 Prompt 的模板变量，并从当前编辑器解析上下文变量
+     * @param promptId Prompt ID
+     * @param values 用户填写的模板变量值
+     * @returns Promise<string> 可直接复制或插入的最终文本
+     */
+    private async _resolvePromptText(promptId: number | string, values: Record<string, string> = {}): Promise<string> {
+        const rendered = await this._dataManager.renderPrompt(promptId, values);
+        return resolveContextVariables(rendered);
+    }
+
     private _postMessage(message: any): void {
         if (this._view) {
             this._view.webview.postMessage(message);
@@ -316,11 +593,89 @@ export class PromptHubProvider implements vscode.WebviewViewProvider {
 
     public async refresh(): Promise<void> {
         if (this._view && this._view.visible) {
-            const appData = await this._dataManager.getAppData();
+            const appData = await this._getViewData();
             this._postMessage({ type: 'appDataResponse', data: appData, isRefresh: true });
         }
     }
 
+    /**
+     * 打开 Prompt Hub 视图并进入指定 Prompt 的编辑页
+     * 如果视图尚未创建，会在 webview 就绪后再打开
+     * @param promptId 要编辑的 Prompt ID
+     */
+    public async showPromptEditor(promptId: number): Promise<void> {
+        this._pendingEditPromptId = promptId;
+        await vscode.commands.executeCommand('workbench.view.extension.promptHub');
+        if (this._view) {
+            this._view.show?.(true);
+            await this._postOpenPrompt(promptId);
+        }
+    }
+
+    /**
+     * 打开 Prompt Hub 视图并进入同步冲突解决页
+     * 如果视图尚未创建，会在 webview 就绪后再打开
+     * @param conflicts 同步检测到的冲突
+     */
+    public async showSyncConflicts(conflicts: SyncConflict[]): Promise<void> {
+        this._pendingSyncConflicts = conflicts;
+        await vscode.commands.executeCommand('workbench.view.extension.promptHub');
+        if (this._view) {
+            this._view.show?.(true);
+            this._postSyncConflicts(conflicts);
+        }
+    }
+
+    /**
+     * 提示用户同步出现冲突，由用户决定是否立即打开冲突解决页
+     * 用于启动同步和自动同步等后台场景，避免打断当前的操作
+     * @param result 冲突的同步结果
+     */
+    public async notifySyncConflict(result: SyncResult): Promise<void> {
+        const choice = await vscode.window.showWarningMessage(`同步冲突：${result.message ?? ''}`, '解决冲突');
+        if (choice === '解决冲突') {
+            await this.showSyncConflicts(result.conflicts ?? []);
+        }
+    }
+
+    /**
+     * 打开 Prompt Hub 视图并进入导入向导
+     * 如果视图尚未创建，会在 webview 就绪后再打开
+     * @param analysis 导入文件的匹配结果
+     */
+    public async showImportWizard(analysis: ImportAnalysis): Promise<void> {
+        this._pendingImportAnalysis = analysis;
+        await vscode.commands.executeCommand('workbench.view.extension.promptHub');
+        if (this._view) {
+            this._view.show?.(true);
+            this._postImportAnalysis(analysis);
+        }
+    }
+
+    private _postImportAnalysis(analysis: ImportAnalysis): void {
+        this._pendingImportAnalysis = undefined;
+        this._postMessage({ type: 'importAnalysis', data: analysis });
+    }
+
+    private _postSyncConflicts(conflicts: SyncConflict[]): void {
+        this._pendingSyncConflicts = undefined;
+        this._postMessage({ type: 'syncConflicts', data: conflicts });
+    }
+
+    private async _postOpenPrompt(promptId: number): Promise<void> {
+        this._pendingEditPromptId = undefined;
+        const appData = await this._getViewData();
+        this._postMessage({ type: 'openPrompt', data: appData, promptId });
+    }
+
+    /**
+     * 发送给 webview 的数据：个人库的 AppData，以及合并了其他来源的 library 视图
+     */
+    private async _getViewData(): Promise<AppData & { library: LibraryView }> {
+        const appData = await this._dataManager.getAppData();
+        return { ...appData, library: await this._dataManager.getLibrary(appData) };
+    }
+
     private _getHtmlForWebview(webview: vscode.Webview): string {
         const htmlPath = vscode.Uri.joinPath(this._extensionUri, 'dist', 'webview', 'index.html');
     
@@ -362,6 +717,27 @@ export class PromptHubProvider implements vscode.WebviewViewProvider {
         }
     }
 
+    /**
+     * 显示带“撤销”按钮的通知，不等待用户操作
+     * 点击撤销时恢复删除的内容并刷新视图
+     * @param message 通知内容
+     * @param undo 删除方法返回的撤销信息
+     */
+    private _showUndoNotification(message: string, undo: UndoAction): void {
+        vscode.window.showInformationMessage(message, '撤销').then(async choice => {
+            if (choice !== '撤销') {
+                return;
+            }
+            try {
+                await this._dataManager.undo(undo);
+                await this.refresh();
+                this._showNotification('已撤销删除。');
+            } catch (error) {
+                this.showError(error, 'undo');
+            }
+        });
+    }
+
     private async _showConfirmationDialog(message: string): Promise<boolean> {
         // 使用showInformationMessage避免默认取消按钮的问题
         // 明确提供"确认"和"取消"两个选项
@@ -0,0 +1,280 @@
+import { Prompt } from './types';
+import { parseFrontMatter, parsePromptFile } from './markdownFormat';
+
+/**
+ * 导入器 - 将其他格式的 Prompt 文件转换为可以交给导入向导的数据
+ *
+ * 支持的格式：
+ * - CSV / TSV 表格，按列映射读取标题、内容、分类和标签
+ * - Cursor 规则（`.cursor/rules/*.mdc`），front matter 转换为标签
+ * - VS Code / Copilot Prompt 文件（`.github/prompts/*.prompt.md`），front matter 转换为标签
+ * - Prompt Hub 导出的单个 Markdown 文件
+ */
+export type ImportFormat = 'json' | 'csv' | 'tsv' | 'cursorRule' | 'copilotPrompt' | 'markdown';
+
+export interface ImportFile {
+    fileName: string;
+    content: string;
+}
+
+export interface ColumnMapping {
+    title?: number;      // 列的下标，未指定时标题取内容的第一行
+    content: number;
+    category?: number;
+    tags?: number;
+}
+
+export type ImportedPrompt = Partial<Prompt> & { title: string; content: string };
+
+export const CURSOR_RULE_CATEGORY = 'Cursor 规则';
+export const COPILOT_PROMPT_CATEGORY = 'Copilot Prompts';
+
+const MAX_DERIVED_TITLE_LENGTH = 40;
+
+// 表头的常见写法，用于自动识别列映射
+const COLUMN_ALIASES: Record<keyof ColumnMapping, string[]> = {
+    title: ['title', 'name', 'act', '标题', '名称'],
+    content: ['content', 'prompt', 'text', 'body', '内容', '提示词'],
+    category: ['category', 'group', 'folder', '分类', '类别'],
+    tags: ['tags', 'tag', 'keywords', 'labels', '标签', '关键词']
+};
+
+/**
+ * 根据文件名判断导入格式
+ * @param fileName 文件名
+ * @returns ImportFormat | null 不支持的文件返回 null
+ */
+export function getImportFormat(fileName: string): ImportFormat | null {
+    const name = fileName.toLowerCase();
+    if (name.endsWith('.json')) {
+        return 'json';
+    }
+    if (name.endsWith('.csv')) {
+        return 'csv';
+    }
+    if (name.endsWith('.tsv')) {
+        return 'tsv';
+    }
+    if (name.endsWith('.mdc')) {
+        return 'cursorRule';
+    }
+    if (name.endsWith('.prompt.md')) {
+        return 'copilotPrompt';
+    }
+    if (name.endsWith('.md')) {
+        return 'markdown';
+    }
+    return null;
+}
+
+// #region CSV/TSV
+/**
+ * 解析 CSV / TSV 文本，支持引号包裹的字段、字段中的换行和转义的引号
+ * @param text 文件内容
+ * @param delimiter 分隔符，CSV 未指定时在逗号和分号中自动选择
+ * @returns string[][] 所有行（包含表头），空行会被忽略
+ */
+export function parseDelimited(text: string, delimiter?: string): string[][] {
+    const normalized = text.replace(/^﻿/, '');
+    const separator = delimiter ?? detectDelimiter(normalized);
+    const rows: string[][] = [];
+    let row: string[] = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < normalized.length; i++) {
+        const char = normalized[i];
+        if (inQuotes) {
+            if (char === '"' && normalized[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            inQuotes = true;
+        } else if (char === separator) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && normalized[i + 1] === '\n') {
+                i++;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+function detectDelimiter(text: string): string {
+    const header = text.split(/\r?\n/, 1)[0];
+    return (header.match(/;/g)?.length ?? 0) > (header.match(/,/g)?.length ?? 0) ? ';' : ',';
+}
+
+/**
+ * 按表头自动识别列映射
+ * @param headers 表头
+ * @returns ColumnMapping | null 找不到内容列时返回 null，需要用户手动选择
+ */
+export function guessColumnMapping(headers: string[]): ColumnMapping | null {
+    const normalized = headers.map(header => header.trim().toLowerCase());
+    const find = (field: keyof ColumnMapping): number | undefined => {
+        const index = normalized.findIndex(header => COLUMN_ALIASES[field].includes(header));
+        return index === -1 ? undefined : index;
+    };
+
+    const content = find('content');
+    if (content === undefined) {
+        return null;
+    }
+    return { title: find('title'), content, category: find('category'), tags: find('tags') };
+}
+
+/**
+ * 按列映射转换表格中的数据行
+ * @param rows 数据行（不含表头）
+ * @param mapping 列映射
+ * @returns ImportedPrompt[] 内容为空的行会被跳过
+ */
+export function convertTableRows(rows: string[][], mapping: ColumnMapping): ImportedPrompt[] {
+    const cell = (row: string[], index?: number): string => index === undefined ? '' : (row[index] ?? '').trim();
+
+    return rows
+        .filter(row => cell(row, mapping.content) !== '')
+        .map(row => {
+            const content = cell(row, mapping.content);
+            return {
+                title: cell(row, mapping.title) || deriveTitle(content),
+                content,
+                category: cell(row, mapping.category),
+                tags: splitTags(cell(row, mapping.tags))
+            };
+        });
+}
+// #endregion
+
+// #region Rule Files
+/**
+ * 转换 Cursor 规则或 Copilot Prompt 文件
+ * description 作为标题（没有时使用文件名），其余 front matter 字段转换为标签：
+ * 值为 true 的字段转换为字段名，其他值转换为 `字段:值`，例如 `alwaysApply`、`globs:src/**\/*.ts`、`mode:agent`
+ * @param file 导入的文件
+ * @param format 'cursorRule' 或 'copilotPrompt'
+ * @returns ImportedPrompt
+ */
+export function convertRuleFile(file: ImportFile, format: 'cursorRule' | 'copilotPrompt'): ImportedPrompt {
+    const { data, body } = parseFrontMatter(file.content);
+    const extension = format === 'cursorRule' ? /\.mdc$/i : /\.prompt\.md$/i;
+    const baseName = getBaseName(file.fileName).replace(extension, '');
+
+    const tags: string[] = [];
+    for (const [key, value] of Object.entries(data)) {
+        if (key === 'description') {
+            continue;
+        }
+        // Cursor writes globs as a comma separated string
+        const values = Array.isArray(value) ? value : (key === 'globs' && typeof value === 'string' ? splitTags(value) : [value]);
+        for (const item of values) {
+            if (item === true) {
+                tags.push(key);
+            } else if (item !== false && item !== null && item !== '') {
+                tags.push(`${key}:${String(item).trim()}`);
+            }
+        }
+    }
+
+    const description = typeof data.description === 'string' ? data.description.trim() : '';
+    return {
+        title: description || baseName,
+        content: body.replace(/^\r?\n/, '').trimEnd(),
+        category: format === 'cursorRule' ? CURSOR_RULE_CATEGORY : COPILOT_PROMPT_CATEGORY,
+        tags: [...new Set(tags)]
+    };
+}
+
+/**
+ * 转换 Prompt Hub 导出的单个 Markdown 文件，front matter 中缺少的标题取文件名
+ * @param file 导入的文件
+ * @returns ImportedPrompt
+ */
+export function convertMarkdownFile(file: ImportFile): ImportedPrompt {
+    const { data, content } = parsePromptFile(file.content);
+    const prompt: ImportedPrompt = {
+        title: typeof data.title === 'string' ? data.title : getBaseName(file.fileName).replace(/\.md$/i, ''),
+        content,
+        category: typeof data.category === 'string' ? data.category : '',
+        tags: Array.isArray(data.tags) ? data.tags.map(String) : []
+    };
+    if (typeof data.id === 'number') {
+        prompt.id = data.id;
+    }
+    if (typeof data.isActive === 'boolean') {
+        prompt.isActive = data.isActive;
+    }
+    if (typeof data.createdAt === 'string') {
+        prompt.createdAt = data.createdAt;
+    }
+    if (typeof data.updatedAt === 'string') {
+        prompt.updatedAt = data.updatedAt;
+    }
+    return prompt;
+}
+// #endregion
+
+/**
+ * 将转换后的 Prompt 补全为导入数据，没有 ID 的分配新的 ID，分类按出现顺序收集
+ * @param prompts 转换后的 Prompt
+ * @returns 尚未校验的数据，交给导入流程校验和去重
+ */
+export function toImportData(prompts: ImportedPrompt[]): { prompts: Prompt[]; categories: string[] } {
+    const now = new Date().toISOString();
+    const usedIds = new Set(prompts.map(prompt => prompt.id).filter((id): id is number => id !== undefined));
+    let nextId = Date.now();
+
+    const completed = prompts.map(prompt => {
+        let id = prompt.id;
+        if (id === undefined) {
+            while (usedIds.has(nextId)) {
+                nextId++;
+            }
+            id = nextId;
+            usedIds.add(id);
+        }
+        return {
+            ...prompt,
+            id,
+            category: prompt.category || '',
+            tags: prompt.tags || [],
+            isActive: prompt.isActive !== false,
+            createdAt: prompt.createdAt || now,
+            updatedAt: prompt.updatedAt || now
+        };
+    });
+
+    const categories = [...new Set(completed.map(prompt => prompt.category).filter(Boolean))];
+    return { prompts: completed, categories };
+}
+
+function splitTags(value: string): string[] {
+    return value.split(/[,;，；|]/).map(tag => tag.trim()).filter(tag => tag !== '');
+}
+
+function deriveTitle(content: string): string {
+    const firstLine = content.split(/\r?\n/).find(line => line.trim() !== '')?.trim() ?? '';
+    return firstLine.length > MAX_DERIVED_TITLE_LENGTH ? `${firstLine.slice(0, MAX_DERIVED_TITLE_LENGTH)}...` : firstLine;
+}
+
+function getBaseName(fileName: string): string {
+    return fileName.split(/[\\/]/).pop() ?? fileName;
+}
@@ -0,0 +1,115 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import { LayeredPrompt, LibraryView, Prompt, PromptSource, SubscriptionChange, TeamLibrary } from './types';
+import { parseAppData } from './appDataSchema';
+import { readMarkdownFolder } from './markdownFormat';
+
+/**
+ * 分层的 Prompt 库 - 把个人库、其他存储位置中的个人数据、只读的团队库和订阅合并到一个视图中
+ *
+ * 规则：
+ * - 只有当前存储模式下的个人库（排在第一层）可以编辑，其他来源都是只读的
+ * - 不同来源的 Prompt ID 冲突时，后面的来源重新分配显示用的 ID，原 ID 保存在 originalId 中
+ * - 只读来源中与前面的来源标题和内容都相同的 Prompt 不重复显示
+ */
+export const PERSONAL_SOURCE_ID = 'personal';
+
+export interface LibraryLayer {
+    source: PromptSource;
+    prompts: Prompt[];
+}
+
+/**
+ * 合并各个来源的 Prompt
+ * @param layers 按优先级排列的来源，第一层应为可编辑的个人库
+ * @returns LibraryView 所有来源及合并后的 Prompt
+ */
+export function mergeLibraries(layers: LibraryLayer[]): LibraryView {
+    const prompts: LayeredPrompt[] = [];
+    const usedIds = new Set<number>();
+    const shown = new Set<string>();
+
+    for (const { source, prompts: layerPrompts } of layers) {
+        for (const prompt of layerPrompts) {
+            const key = `${prompt.title}\n${prompt.content}`;
+            if (source.readOnly && shown.has(key)) {
+                continue;
+            }
+            let id = prompt.id;
+            while (usedIds.has(id)) {
+                id++;
+            }
+            usedIds.add(id);
+            shown.add(key);
+            prompts.push({ ...prompt, id, originalId: prompt.id, source: source.id, readOnly: source.readOnly });
+        }
+    }
+    return { sources: layers.map(layer => layer.source), prompts };
+}
+
+/**
+ * 读取团队库，读取失败时返回带有 error 的空来源，不影响其他来源
+ * @param library 团队库配置
+ * @param baseDir 相对路径的基准目录（工作区根目录）
+ * @returns LibraryLayer
+ */
+export function loadTeamLibrary(library: TeamLibrary, baseDir?: string): LibraryLayer {
+    const location = resolveLibraryPath(library.path, baseDir);
+    const source: PromptSource = { id: `team:${library.path}`, name: library.name, kind: 'team', readOnly: true, location };
+
+    try {
+        if (!fs.existsSync(location)) {
+            throw new Error(`路径不存在: ${location}`);
+        }
+        let raw: unknown;
+        if (fs.statSync(location).isDirectory()) {
+            const { prompts, categories } = readMarkdownFolder(location);
+            raw = { prompts, categories };
+        } else {
+            try {
+                raw = JSON.parse(fs.readFileSync(location, 'utf-8'));
+            } catch {
+                throw new Error('无效的JSON文件。');
+            }
+        }
+        return { source, prompts: parseAppData(raw, `团队库「${library.name}」`).prompts };
+    } catch (error) {
+        const message = error instanceof Error ? error.message : String(error);
+        return { source: { ...source, error: message }, prompts: [] };
+    }
+}
+
+/**
+ * 比较订阅更新前后的 Prompt，按 ID 匹配
+ * @param previous 更新前的 Prompt
+ * @param next 更新后的 Prompt
+ * @returns SubscriptionChange 新增、修改和删除的 Prompt 标题
+ */
+export function summarizeLibraryChanges(previous: Prompt[], next: Prompt[]): SubscriptionChange {
+    const previousById = new Map(previous.map(prompt => [prompt.id, prompt]));
+    const nextIds = new Set(next.map(prompt => prompt.id));
+    const change: SubscriptionChange = { added: [], updated: [], removed: [] };
+
+    for (const prompt of next) {
+        const old = previousById.get(prompt.id);
+        if (!old) {
+            change.added.push(prompt.title);
+        } else if (
+            old.title !== prompt.title ||
+            old.content !== prompt.content ||
+            old.category !== prompt.category ||
+            old.tags.join('\n') !== prompt.tags.join('\n')
+        ) {
+            change.updated.push(prompt.title);
+        }
+    }
+    change.removed = previous.filter(prompt => !nextIds.has(prompt.id)).map(prompt => prompt.title);
+    return change;
+}
+
+/**
+ * 将团队库路径解析为绝对路径
+ */
+export function resolveLibraryPath(libraryPath: string, baseDir?: string): string {
+    return path.isAbsolute(libraryPath) || !baseDir ? libraryPath : path.resolve(baseDir, libraryPath);
+}
@@ -0,0 +1,75 @@
+import { PromptUsage } from './types';
+
+/**
+ * 使用统计 - 记录 Prompt 被复制或插入的次数
+ *
+ * 规则：
+ * - 每次使用累加总次数、当天的次数，并更新最近使用时间
+ * - 按天的记录只保留最近 USAGE_HISTORY_DAYS 天
+ * - 同步时以上次同步的快照为基准，把两端各自新增的次数相加
+ */
+export const USAGE_HISTORY_DAYS = 180;
+
+/**
+ * 记录一次使用
+ * @param usage 原来的使用统计
+ * @param now 使用时间
+ * @returns PromptUsage 新的使用统计
+ */
+export function recordUsage(usage: PromptUsage | undefined, now: Date = new Date()): PromptUsage {
+    const day = toDayKey(now);
+    const daily = { ...(usage?.daily ?? {}) };
+    daily[day] = (daily[day] ?? 0) + 1;
+    return {
+        count: (usage?.count ?? 0) + 1,
+        lastUsedAt: now.toISOString(),
+        daily: pruneDaily(daily, now)
+    };
+}
+
+/**
+ * 三方合并两端的使用统计
+ * 有基准时两端相对基准新增的次数相加，没有基准时取两端中较大的值
+ * @param base 上次同步时的使用统计
+ * @param local 本地的使用统计
+ * @param remote 云端的使用统计
+ * @returns PromptUsage | undefined 两端都没有使用记录时为 undefined
+ */
+export function mergeUsage(base: PromptUsage | undefined, local: PromptUsage | undefined, remote: PromptUsage | undefined): PromptUsage | undefined {
+    if (!local || !remote) {
+        return local ?? remote;
+    }
+
+    const combine = (baseValue: number, localValue: number, remoteValue: number): number =>
+        // A pruned or reset base could make the sum smaller than one side
+        Math.max(localValue, remoteValue, localValue + remoteValue - baseValue);
+
+    const daily: Record<string, number> = {};
+    for (const day of new Set([...Object.keys(local.daily), ...Object.keys(remote.daily)])) {
+        daily[day] = base
+            ? combine(base.daily[day] ?? 0, local.daily[day] ?? 0, remote.daily[day] ?? 0)
+            : Math.max(local.daily[day] ?? 0, remote.daily[day] ?? 0);
+    }
+
+    return {
+        count: base ? combine(base.count, local.count, remote.count) : Math.max(local.count, remote.count),
+        lastUsedAt: new Date(remote.lastUsedAt) > new Date(local.lastUsedAt) ? remote.lastUsedAt : local.lastUsedAt,
+        daily: pruneDaily(daily, new Date())
+    };
+}
+
+/**
+ * 本地日期，按使用者所在的时区统计每天的次数
+ */
+export function toDayKey(date: Date): string {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+function pruneDaily(daily: Record<string, number>, now: Date): Record<string, number> {
+    const cutoff = new Date(now);
+    cutoff.setDate(cutoff.getDate() - USAGE_HISTORY_DAYS);
+    const cutoffKey = toDayKey(cutoff);
+    return Object.fromEntries(Object.entries(daily).filter(([day]) => day >= cutoffKey));
+}
@@ -1,21 +1,42 @@
 import * as vscode from 'vscode';
-import { AppData, Prompt, StorageInfo } from './types';
+import * as fs from 'fs';
+import * as path from 'path';
+import { AppData, Prompt, PromptRevision, PromptSource, PromptUsage, StorageInfo, StorageMode, TrashedPrompt, UndoAction } from './types';
+import { parseTemplateVariables } from './templateEngine';
+import { CURRENT_SCHEMA_VERSION, getSchemaVersion, parseAppData } from './appDataSchema';
+import { SchemaValidationError } from './errors';
+import { ImportPlan } from './importMerge';
+import { MarkdownFolderContent, readMarkdownFolder, writeMarkdownFolder } from './markdownFormat';
+import { LibraryLayer } from './promptLibrary';
+import { recordUsage } from './promptUsage';
+import { isInCategorySubtree, moveCategoryPath, normalizeCategoryPath, withCategoryAncestors } from './categoryTree';
+import { addToTrash, DEFAULT_TRASH_RETENTION_DAYS, pruneTrash } from './trash';
 
 /**
  * 存储管理器 - 负责核心数据存储和CRUD操作
  * 
  * 职责：
  * - 核心数据的读取和保存
- * - 工作区模式管理
+ * - 工作区模式和 .prompthub 文件夹模式管理
  * - Prompt的CRUD操作
  * - 分类和标签管理
+ * - 回收站和删除的撤销
  */
 export class StorageManager {
     private static readonly STORAGE_KEYS = {
         APP_DATA: 'promptHub.appData',
-        WORKSPACE_DATA: 'promptHub.workspaceData',
-        BACKUP_HISTORY: 'promptHub.backupHistory'
+        WORKSPACE_DATA: 'promptHub.workspaceData'
     };
+    public static readonly MAX_PROMPT_REVISIONS = 20;
+    public static readonly PROMPT_FOLDER = '.prompthub';
+    private static readonly FOLDER_RELOAD_DELAY = 500;
+    private static readonly CONFIG_SECTION = 'promptHub';
+
+    private folderWatcher?: vscode.FileSystemWatcher;
+    private folderReloadTimer?: NodeJS.Timeout;
+    private folderSnapshot?: string;
+    // Files found by the last read, only these may be deleted when saving
+    private folderFiles?: { dir: string; files: Map<number, string> };
 
     constructor(private context: vscode.ExtensionContext) {}
 
@@ -33,24 +54,16 @@ export class StorageManager {
                 workspaceMode: false
             },
             metadata: {
-                version: '1.0.0',
+                version: CURRENT_SCHEMA_VERSION,
                 lastModified: new Date().toISOString(),
                 totalPrompts: 0
             }
         };
 
         try {
-            let savedData: AppData | undefined;
-            const globalData = this.context.globalState.get<AppData>(StorageManager.STORAGE_KEYS.APP_DATA);
-            const workspaceData = this.context.workspaceState.get<AppData>(StorageManager.STORAGE_KEYS.WORKSPACE_DATA);
-
-            // Determine current settings owner
-            const settingsOwner = workspaceData?.settings.workspaceMode ? workspaceData : globalData;
-
-            if (settingsOwner?.settings.workspaceMode) {
-                savedData = workspaceData;
-            } else {
-                savedData = globalData;
+            let savedData = this.getStoredAppData();
+            if (savedData?.settings.folderMode) {
+                savedData = this.loadPromptFolder(savedData);
             }
             
             if (savedData) {
@@ -59,9 +72,19 @@ export class StorageManager {
                     ...defaultData,
                     ...savedData,
                     settings: { ...defaultData.settings, ...savedData.settings },
-                    metadata: { ...defaultData.metadata, ...savedData.metadata, totalPrompts: savedData.prompts?.length || 0 }
+                    metadata: {
+                        ...defaultData.metadata,
+                        ...savedData.metadata,
+                        // Data saved by older versions is migrated from its own version, not the default one
+                        version: getSchemaVersion(savedData),
+                        totalPrompts: savedData.prompts?.length || 0
+                    }
                 };
-                return mergedData;
+                const data = parseAppData(mergedData, '已保存的数据');
+                if (data.trash) {
+                    data.trash = pruneTrash(data.trash, this.getTrashRetentionDays());
+                }
+                return data;
             }
 
             // 首次运行：如果没有任何存储数据，加载预设数据并保存到存储中
@@ -71,14 +94,35 @@ export class StorageManager {
             console.log('[StorageManager] Preset data loaded and saved successfully');
             return presetData;
         } catch (error) {
+            if (error instanceof SchemaValidationError) {
+                // Returning defaults here would let the next save overwrite the stored data
+                console.error('[StorageManager] CRITICAL: Stored AppData is invalid.', error.issues);
+                throw error;
+            }
             console.error('[StorageManager] CRITICAL: Error while getting AppData. Returning default data.', error);
             return defaultData;
         }
     }
 
+    /**
+     * 当前存储模式下保存的原始数据，不做迁移和校验
+     * 数据无效时用于导出原始数据，以便手动修复
+     */
+    public getStoredAppData(): AppData | undefined {
+        const globalData = this.context.globalState.get<AppData>(StorageManager.STORAGE_KEYS.APP_DATA);
+        const workspaceData = this.context.workspaceState.get<AppData>(StorageManager.STORAGE_KEYS.WORKSPACE_DATA);
+
+        // Determine current settings owner
+        const settingsOwner = workspaceData?.settings.workspaceMode ? workspaceData : globalData;
+        return settingsOwner?.settings.workspaceMode ? workspaceData : globalData;
+    }
+
     public async saveAppData(data: AppData): Promise<void> {
         data.metadata = { ...data.metadata, lastModified: new Date().toISOString(), totalPrompts: data.prompts.length };
 
+        if (data.settings.workspaceMode && data.settings.folderMode) {
+            this.savePromptFolder(data);
+        }
         if (data.settings.workspaceMode) {
             await this.context.workspaceState.update(StorageManager.STORAGE_KEYS.WORKSPACE_DATA, data);
         } else {
@@ -122,122 +166,518 @@ export class StorageManager {
 
     // #region Workspace Mode
     public async toggleWorkspaceMode(enable: boolean): Promise<void> {
+        return this.setStorageMode(enable ? 'workspace' : 'global');
+    }
+
+    /**
+     * 切换存储模式
+     * - 全局 / 工作区：把当前数据移动到目标存储中
+     * - 文件夹：文件夹中已有 Prompt 时直接使用这些 Prompt，否则写入当前的 Prompt；全局数据保留不动
+     * - 从文件夹模式切回全局：恢复保留的全局数据，文件夹中的文件保留不动
+     * @param mode 目标存储模式
+     */
+    public async setStorageMode(mode: StorageMode): Promise<void> {
+        const { APP_DATA, WORKSPACE_DATA } = StorageManager.STORAGE_KEYS;
         const currentData = await this.getAppData();
-        currentData.settings.workspaceMode = enable;
-        if (enable) {
-            await this.context.workspaceState.update(StorageManager.STORAGE_KEYS.WORKSPACE_DATA, currentData);
-            await this.context.globalState.update(StorageManager.STORAGE_KEYS.APP_DATA, undefined);
-        } else {
-            await this.context.globalState.update(StorageManager.STORAGE_KEYS.APP_DATA, currentData);
-            await this.context.workspaceState.update(StorageManager.STORAGE_KEYS.WORKSPACE_DATA, undefined);
+        const previousMode = StorageManager.getStorageMode(currentData);
+        if (mode === previousMode) {
+            return;
+        }
+        const data: AppData = {
+            ...currentData,
+            settings: { ...currentData.settings, workspaceMode: mode !== 'global', folderMode: mode === 'folder' }
+        };
+
+        if (mode === 'folder') {
+            const dir = this.requirePromptFolder();
+            if (fs.existsSync(dir) && readMarkdownFolder(dir).prompts.length > 0) {
+                // The prompts come from the folder, only the settings are cached
+                await this.context.workspaceState.update(WORKSPACE_DATA, { ...data, prompts: [], categories: [] });
+            } else {
+                await this.saveAppData(data);
+            }
+            return;
+        }
+
+        if (mode === 'global') {
+            const globalData = this.context.globalState.get<AppData>(APP_DATA);
+            const restored = previousMode === 'folder' && globalData ? { ...globalData, settings: data.settings } : data;
+            await this.context.globalState.update(APP_DATA, restored);
+            await this.context.workspaceState.update(WORKSPACE_DATA, undefined);
+            return;
+        }
+
+        await this.context.workspaceState.update(WORKSPACE_DATA, data);
+        if (previousMode === 'global') {
+            await this.context.globalState.update(APP_DATA, undefined);
         }
     }
 
     public async getStorageInfo(): Promise<StorageInfo> {
         const data = await this.getAppData();
-        return {
-            mode: data.settings.workspaceMode ? 'workspace' : 'global',
-            location: data.settings.workspaceMode ? '工作区' : '全局'
+        const mode = StorageManager.getStorageMode(data);
+        const locations: Record<StorageMode, string> = {
+            global: '全局',
+            workspace: '工作区',
+            folder: `工作区文件夹 (${StorageManager.PROMPT_FOLDER})`
         };
+        return { mode, location: locations[mode] };
+    }
+
+    /**
+     * 读取当前存储模式之外的个人数据：非全局模式下的全局数据，以及非文件夹模式下工作区的 .prompthub 文件夹
+     * 用于在主界面中分层显示，这些数据在当前模式下只读
+     * @param appData 当前存储模式下的数据
+     * @returns LibraryLayer[] 读取失败的来源带有 error
+     */
+    public getInactiveLayers(appData: AppData): LibraryLayer[] {
+        const mode = StorageManager.getStorageMode(appData);
+        const layers: LibraryLayer[] = [];
+
+        const globalData = this.context.globalState.get<AppData>(StorageManager.STORAGE_KEYS.APP_DATA);
+        if (mode !== 'global' && globalData) {
+            layers.push(this.loadLayer({ id: 'global', name: '全局', kind: 'global', readOnly: true }, () => globalData));
+        }
+
+        const dir = this.getPromptFolder();
+        if (mode !== 'folder' && dir && fs.existsSync(dir)) {
+            const source: PromptSource = { id: 'workspace', name: '工作区', kind: 'workspace', readOnly: true, location: dir };
+            layers.push(this.loadLayer(source, () => {
+                const { prompts, categories } = readMarkdownFolder(dir);
+                return { prompts, categories };
+            }));
+        }
+        return layers;
+    }
+
+    private loadLayer(source: PromptSource, read: () => unknown): LibraryLayer {
+        try {
+            return { source, prompts: parseAppData(read(), `${source.name}数据`).prompts };
+        } catch (error) {
+            const message = error instanceof Error ? error.message : String(error);
+            return { source: { ...source, error: message }, prompts: [] };
+        }
+    }
+
+    private static getStorageMode(data: AppData): StorageMode {
+        if (!data.settings.workspaceMode) {
+            return 'global';
+        }
+        return data.settings.folderMode ? 'folder' : 'workspace';
+    }
+    // #endregion
+
+    // #region Prompt Folder
+    /**
+     * 监听 .prompthub 文件夹，其他人的修改（例如 git pull）在文件停止变化后重新读取，数据确有变化时调用 onChange
+     * 扩展自己写入文件引起的变化不会触发 onChange
+     * @param onChange 文件夹中的数据变化后的回调
+     */
+    public watchPromptFolder(onChange: (data: AppData) => void): void {
+        this.unwatchPromptFolder();
+        const workspaceFolder = vscode.workspace.workspaceFolders?.[0];
+        if (!workspaceFolder) {
+            return;
+        }
+
+        const reload = () => {
+            clearTimeout(this.folderReloadTimer);
+            this.folderReloadTimer = setTimeout(async () => {
+                const previousSnapshot = this.folderSnapshot;
+                try {
+                    const data = await this.getAppData();
+                    if (this.folderSnapshot !== previousSnapshot) {
+                        onChange(data);
+                    }
+                } catch (error) {
+                    const message = error instanceof Error ? error.message : String(error);
+                    vscode.window.showErrorMessage(`读取 ${StorageManager.PROMPT_FOLDER} 文件夹失败: ${message}`);
+                }
+            }, StorageManager.FOLDER_RELOAD_DELAY);
+        };
+
+        const pattern = new vscode.RelativePattern(workspaceFolder, `${StorageManager.PROMPT_FOLDER}/**`);
+        this.folderWatcher = vscode.workspace.createFileSystemWatcher(pattern);
+        this.folderWatcher.onDidCreate(reload);
+        this.folderWatcher.onDidChange(reload);
+        this.folderWatcher.onDidDelete(reload);
+        this.context.subscriptions.push(this.folderWatcher);
+    }
+
+    public unwatchPromptFolder(): void {
+        clearTimeout(this.folderReloadTimer);
+        this.folderWatcher?.dispose();
+        this.folderWatcher = undefined;
+    }
+
+    private getPromptFolder(): string | undefined {
+        const workspaceFolder = vscode.workspace.workspaceFolders?.[0];
+        return workspaceFolder ? path.join(workspaceFolder.uri.fsPath, StorageManager.PROMPT_FOLDER) : undefined;
+    }
+
+    private requirePromptFolder(): string {
+        const dir = this.getPromptFolder();
+        if (!dir) {
+            throw new Error(`${StorageManager.PROMPT_FOLDER} 文件夹模式需要先打开一个工作区文件夹。`);
+        }
+        return dir;
+    }
+
+    /**
+     * 用 .prompthub 文件夹中的 Prompt 和分类替换缓存的数据
+     * 文件中不保存的版本历史取自缓存；缺少 id 或 id 重复的文件会写回新分配的 id，使 id 在下次读取时保持不变
+     * 没有打开工作区或文件夹不存在时使用缓存的数据
+     */
+    private loadPromptFolder(cached: AppData): AppData {
+        const dir = this.getPromptFolder();
+        if (!dir || !fs.existsSync(dir)) {
+            return cached;
+        }
+
+        const content = this.readPromptFolder(dir);
+        // Revisions and usage aren't written to the files, they are kept in the cached data
+        const cachedPrompts = new Map((cached.prompts ?? []).map(prompt => [prompt.id, prompt]));
+        const prompts = content.prompts.map(prompt => ({
+            ...prompt,
+            revisions: cachedPrompts.get(prompt.id!)?.revisions,
+            usage: cachedPrompts.get(prompt.id!)?.usage
+        })) as Prompt[];
+        const data: AppData = { ...cached, prompts, categories: content.categories };
+        if (content.hasNewIds) {
+            writeMarkdownFolder(dir, data, content.files);
+            this.readPromptFolder(dir);
+        }
+        return data;
+    }
+
+    private savePromptFolder(data: AppData): void {
+        const dir = this.requirePromptFolder();
+        const knownFiles = this.folderFiles?.dir === dir ? this.folderFiles.files : new Map<number, string>();
+        writeMarkdownFolder(dir, data, knownFiles);
+        this.readPromptFolder(dir);
+    }
+
+    // The snapshot lets the watcher tell external edits apart from our own writes
+    private readPromptFolder(dir: string): MarkdownFolderContent {
+        const content = readMarkdownFolder(dir);
+        this.folderSnapshot = JSON.stringify([content.prompts, content.categories]);
+        this.folderFiles = { dir, files: content.files };
+        return content;
     }
     // #endregion
 
     // #region CRUD Operations
-    public async savePrompt(promptData: Partial<Prompt> & { id?: string | number }): Promise<AppData> {
+    public async savePrompt(
+        promptData: Partial<Prompt> & { id?: string | number, revisionNote?: string }
+    ): Promise<AppData> {
         if (!promptData) {
             throw new Error('Attempted to save invalid prompt data.');
         }
 
         const appData = await this.getAppData();
         const now = new Date().toISOString();
+        const { revisionNote, ...fields } = promptData;
+        if (fields.category !== undefined) {
+            fields.category = normalizeCategoryPath(fields.category);
+        }
 
-        if (promptData.id) {
-            const promptId = Number(promptData.id);
+        if (fields.id) {
+            const promptId = Number(fields.id);
             const promptIndex = appData.prompts.findIndex(p => p.id === promptId);
             if (promptIndex > -1) {
-                appData.prompts[promptIndex] = { ...appData.prompts[promptIndex], ...promptData, id: promptId, updatedAt: now };
+                this.updatePromptAt(appData, promptIndex, { ...fields, id: promptId }, revisionNote);
             }
         } else {
             const newPrompt: Prompt = {
                 id: Date.now(),
                 title: promptData.title || '无标题',
                 content: promptData.content || '',
-                category: promptData.category || '',
+                category: fields.category || '',
                 tags: promptData.tags || [],
                 isActive: promptData.isActive === false ? false : true,
                 createdAt: now,
                 updatedAt: now,
             };
+            newPrompt.variables = parseTemplateVariables(newPrompt.content);
+            this.recordRevision(newPrompt, revisionNote);
             appData.prompts.push(newPrompt);
         }
 
-        if (promptData.category && !appData.categories.includes(promptData.category)) {
-            appData.categories.push(promptData.category);
+        if (fields.category && !appData.categories.includes(fields.category)) {
+            appData.categories = withCategoryAncestors([...appData.categories, fields.category]);
         }
         await this.saveAppData(appData);
         return appData;
     }
-    
-    public async deletePrompt(promptId: number | string): Promise<void> {
+
+    /**
+     * 从备份中恢复部分 Prompt 和分类
+     * 已存在的 Prompt 更新为备份中的内容并记录一个新版本，不存在的 Prompt 重新加入
+     * @param prompts 要恢复的 Prompt
+     * @param categories 要恢复的分类
+     * @returns Promise<AppData> 更新后的应用数据
+     */
+    public async restorePrompts(prompts: Prompt[], categories: string[] = []): Promise<AppData> {
+        const appData = await this.getAppData();
+        const missing: Prompt[] = [];
+
+        for (const prompt of prompts) {
+            const promptIndex = appData.prompts.findIndex(p => p.id === prompt.id);
+            if (promptIndex > -1) {
+                const { title, content, category, tags, isActive, isFavorite, pinOrder } = prompt;
+                this.updatePromptAt(appData, promptIndex, { title, content, category, tags: [...tags], isActive, isFavorite, pinOrder }, '从备份恢复');
+            } else {
+                missing.push(prompt);
+            }
+        }
+        this.addRestoredPrompts(appData, missing);
+        appData.categories = withCategoryAncestors([...appData.categories, ...categories, ...prompts.map(p => p.category)]);
+
+        await this.saveAppData(appData);
+        return appData;
+    }
+
+    /**
+     * 重新加入已删除的 Prompt
+     * 已记录墓碑的 Prompt 墓碑可能已经同步出去，和 ID 被占用的 Prompt 一样分配新的 ID，避免删除再次生效
+     */
+    private addRestoredPrompts(appData: AppData, prompts: Prompt[]): void {
+        const now = new Date().toISOString();
+        const deletedIds = new Set((appData.deletedPrompts ?? []).map(t => t.id));
+        const isTaken = (id: number) => deletedIds.has(id) || appData.prompts.some(p => p.id === id);
+        let nextId = Date.now();
+
+        for (const prompt of prompts) {
+            let id = prompt.id;
+            if (isTaken(id)) {
+                while (isTaken(nextId)) {
+                    nextId++;
+                }
+                id = nextId++;
+            }
+            appData.prompts.push({
+                ...prompt,
+                id,
+                updatedAt: now,
+                variables: parseTemplateVariables(prompt.content)
+            });
+        }
+    }
+
+    /**
+     * 按导入计划写入导入的 Prompt 和分类
+     * 覆盖和合并标签都会为现有 Prompt 记录一个新版本
+     * @param plan buildImportPlan 生成的导入计划
+     * @returns Promise<AppData> 更新后的应用数据
+     */
+    public async importPrompts(plan: ImportPlan): Promise<AppData> {
         const appData = await this.getAppData();
-        appData.prompts = appData.prompts.filter(p => p.id != promptId);
+
+        for (const prompt of plan.overwrite) {
+            const promptIndex = appData.prompts.findIndex(p => p.id === prompt.id);
+            if (promptIndex > -1) {
+                const { title, content, category, tags, isActive, isFavorite, pinOrder } = prompt;
+                this.updatePromptAt(appData, promptIndex, { title, content, category, tags: [...tags], isActive, isFavorite, pinOrder }, '从文件导入');
+            }
+        }
+        for (const { id, tags } of plan.mergeTags) {
+            const promptIndex = appData.prompts.findIndex(p => p.id === id);
+            if (promptIndex > -1) {
+                this.updatePromptAt(appData, promptIndex, { tags }, '导入时合并标签');
+            }
+        }
+        for (const prompt of plan.add) {
+            appData.prompts.push({ ...prompt, category: normalizeCategoryPath(prompt.category), variables: parseTemplateVariables(prompt.content) });
+        }
+        appData.categories = withCategoryAncestors([...appData.categories, ...plan.categories]);
+
         await this.saveAppData(appData);
+        return appData;
     }
 
+    /**
+     * 将 Prompt 恢复到指定的历史版本
+     * 恢复本身也会生成一个新版本，因此可以再次撤销
+     * @param promptId Prompt ID
+     * @param revision 要恢复的版本号
+     * @returns Promise<AppData> 更新后的应用数据
+     */
+    public async restorePromptRevision(promptId: number | string, revision: number): Promise<AppData> {
+        const appData = await this.getAppData();
+        const prompt = appData.prompts.find(p => p.id === Number(promptId));
+        const target = prompt?.revisions?.find(r => r.revision === Number(revision));
+        if (!prompt || !target) {
+            throw new Error(`找不到 Prompt ${promptId} 的版本 #${revision}。`);
+        }
+
+        return this.savePrompt({
+            id: prompt.id,
+            title: target.title,
+            content: target.content,
+            category: target.category,
+            tags: [...target.tags],
+            revisionNote: `恢复到版本 #${target.revision}`
+        });
+    }
+
+    /**
+     * 更新指定位置的 Prompt，并为修改记录版本
+     * @param appData 应用数据（会被原地修改）
+     * @param promptIndex Prompt 在列表中的位置
+     * @param fields 要更新的字段
+     * @param revisionNote 可选的修改说明
+     */
+    private updatePromptAt(appData: AppData, promptIndex: number, fields: Partial<Prompt>, revisionNote?: string): void {
+        const existing = appData.prompts[promptIndex];
+        // Prompts saved before history existed get their current state as the first revision
+        if (!existing.revisions || existing.revisions.length === 0) {
+            this.recordRevision(existing);
+        }
+        const updated = { ...existing, ...fields, id: existing.id, updatedAt: new Date().toISOString() };
+        updated.variables = parseTemplateVariables(updated.content);
+        this.recordRevision(updated, revisionNote);
+        appData.prompts[promptIndex] = updated;
+    }
+
+    /**
+     * 为 Prompt 的当前状态追加一个版本快照
+     * 内容与最新版本相同时不会重复记录，超出上限时丢弃最旧的版本
+     * @param prompt 要记录的 Prompt（会被原地修改）
+     * @param note 可选的修改说明
+     */
+    private recordRevision(prompt: Prompt, note?: string): void {
+        const revisions = prompt.revisions ?? [];
+        const latest = revisions[revisions.length - 1];
+        const isUnchanged = latest
+            && latest.title === prompt.title
+            && latest.content === prompt.content
+            && latest.category === prompt.category
+            && latest.tags.join('\u0000') === (prompt.tags || []).join('\u0000');
+        if (isUnchanged) {
+            return;
+        }
+
+        const revision: PromptRevision = {
+            revision: (latest?.revision ?? 0) + 1,
+            title: prompt.title,
+            content: prompt.content,
+            category: prompt.category,
+            tags: [...(prompt.tags || [])],
+            createdAt: prompt.updatedAt
+        };
+        if (note && note.trim()) {
+            revision.note = note.trim();
+        }
+        revisions.push(revision);
+        prompt.revisions = revisions.slice(-StorageManager.MAX_PROMPT_REVISIONS);
+    }
+    
+    public async deletePrompt(promptId: number | string): Promise<UndoAction> {
+        return this.deletePrompts([promptId]);
+    }
+
+    /**
+     * 统计分类及其下级分类中的 Prompt 数量
+     * @param categoryName 分类路径
+     * @returns Promise<number>
+     */
     public async getCategoryPromptCount(categoryName: string): Promise<number> {
         const appData = await this.getAppData();
-        return appData.prompts.filter(p => p.category === categoryName).length;
+        return appData.prompts.filter(p => p.category && isInCategorySubtree(p.category, categoryName)).length;
     }
 
+    /**
+     * 添加分类，路径中缺少的上级分类会一起添加
+     * @param categoryName 分类路径，如 "开发/后端"
+     */
     public async addCategory(categoryName: string): Promise<AppData> {
         const appData = await this.getAppData();
-        if (!categoryName || categoryName.trim() === '') {
+        const category = normalizeCategoryPath(categoryName);
+        if (!category) {
             throw new Error('分类名称不能为空。');
         }
-        if (appData.categories.includes(categoryName)) {
-            throw new Error(`分类 "${categoryName}" 已存在.`);
+        if (appData.categories.includes(category)) {
+            throw new Error(`分类 "${category}" 已存在.`);
         }
-        appData.categories.push(categoryName);
+        appData.categories = withCategoryAncestors([...appData.categories, category]);
         await this.saveAppData(appData);
         return appData;
     }
 
+    /**
+     * 重命名或移动分类，下级分类和其中的 Prompt 一起移动
+     * @param oldName 原分类路径
+     * @param newName 新分类路径
+     */
     public async renameCategory(oldName: string, newName: string): Promise<AppData> {
         const appData = await this.getAppData();
-        const index = appData.categories.indexOf(oldName);
-        if (index > -1) {
-            appData.categories[index] = newName;
-            appData.prompts.forEach(p => {
-                if (p.category === oldName) {
-                    p.category = newName;
-                }
-            });
-            await this.saveAppData(appData);
+        const target = normalizeCategoryPath(newName);
+        if (!target) {
+            throw new Error('分类名称不能为空。');
+        }
+        if (!appData.categories.includes(oldName) || target === oldName) {
+            return appData;
+        }
+        if (isInCategorySubtree(target, oldName)) {
+            throw new Error(`不能把分类 "${oldName}" 移到它自己的下级分类中。`);
+        }
+        if (appData.categories.includes(target)) {
+            throw new Error(`分类 "${target}" 已存在.`);
         }
+
+        appData.categories = withCategoryAncestors(appData.categories.map(c => moveCategoryPath(c, oldName, target)));
+        this.updatePromptsWhere(
+            appData,
+            appData.prompts.map(p => p.id),
+            p => !!p.category && isInCategorySubtree(p.category, oldName),
+            p => ({ category: moveCategoryPath(p.category, oldName, target) }),
+            '重命名分类'
+        );
+        await this.saveAppData(appData);
         return appData;
     }
 
-    public async deleteCategory(categoryName: string): Promise<AppData> {
+    /**
+     * 删除分类及其下级分类
+     * @param categoryName 分类路径
+     * @param moveTo 子树中的 Prompt 移到的分类，默认为未分类
+     * @returns Promise<UndoAction> 恢复分类和 Prompt 原来的分类所需的信息
+     */
+    public async deleteCategory(categoryName: string, moveTo: string = ''): Promise<UndoAction> {
         const appData = await this.getAppData();
-        appData.categories = appData.categories.filter(c => c !== categoryName);
-        appData.prompts.forEach(p => {
-            if (p.category === categoryName) {
-                p.category = ''; 
-            }
-        });
+        const target = normalizeCategoryPath(moveTo);
+        if (target && isInCategorySubtree(target, categoryName)) {
+            throw new Error('不能把 Prompt 移到要删除的分类中。');
+        }
+
+        const removed = appData.categories.filter(c => isInCategorySubtree(c, categoryName));
+        const undo: UndoAction = { type: 'restoreCategory', categories: removed, order: [...appData.categories], prompts: [], movedTo: target };
+        appData.categories = appData.categories.filter(c => !removed.includes(c));
+        if (target) {
+            appData.categories = withCategoryAncestors([...appData.categories, target]);
+        }
+        const moved = appData.prompts.filter(p => p.category && isInCategorySubtree(p.category, categoryName));
+        undo.prompts = moved.map(p => ({ id: p.id, category: p.category }));
+        this.updatePromptsWhere(appData, moved.map(p => p.id), p => p.category !== target, () => ({ category: target }), '删除分类');
         await this.saveAppData(appData);
-        return appData;
+        return undo;
     }
     
-    public async deleteTag(tagName: string): Promise<AppData> {
+    /**
+     * 从所有 Prompt 中删除标签
+     * @param tagName 标签
+     * @returns Promise<UndoAction> 重新加上标签所需的信息
+     */
+    public async deleteTag(tagName: string): Promise<UndoAction> {
         const appData = await this.getAppData();
-        appData.prompts.forEach(p => {
-            if (p.tags) {
-                p.tags = p.tags.filter(t => t !== tagName);
-            }
-        });
+        const promptIds = appData.prompts.filter(p => p.tags?.includes(tagName)).map(p => p.id);
+        this.updatePromptsWhere(appData, promptIds, () => true, p => ({ tags: p.tags.filter(t => t !== tagName) }), '删除标签');
+        const color = appData.tagColors?.[tagName];
+        if (appData.tagColors) {
+            delete appData.tagColors[tagName];
+        }
         await this.saveAppData(appData);
-        return appData;
+        return { type: 'restoreTag', tag: tagName, promptIds, color };
     }
 
     public async setPromptActive(promptId: string | number, isActive: boolean): Promise<void> {
@@ -249,22 +689,392 @@ export class StorageManager {
             await this.saveAppData(appData);
         }
     }
+
+    public async setPromptFavorite(promptId: string | number, isFavorite: boolean): Promise<void> {
+        const id = Number(promptId);
+        const appData = await this.getAppData();
+        const prompt = appData.prompts.find(p => p.id === id);
+        if (prompt) {
+            if (isFavorite) {
+                prompt.isFavorite = true;
+            } else {
+                delete prompt.isFavorite;
+            }
+            await this.saveAppData(appData);
+        }
+    }
+
+    /**
+     * 置顶或取消置顶，新置顶的 Prompt 排在已置顶的 Prompt 之后
+     * @param promptId Prompt ID
+     * @param isPinned 是否置顶
+     */
+    public async setPromptPinned(promptId: string | number, isPinned: boolean): Promise<void> {
+        const id = Number(promptId);
+        const appData = await this.getAppData();
+        const prompt = appData.prompts.find(p => p.id === id);
+        if (!prompt || (prompt.pinOrder !== undefined) === isPinned) {
+            return;
+        }
+        if (isPinned) {
+            const orders = appData.prompts.map(p => p.pinOrder).filter((order): order is number => order !== undefined);
+            prompt.pinOrder = orders.length > 0 ? Math.max(...orders) + 1 : 0;
+        } else {
+            delete prompt.pinOrder;
+        }
+        await this.saveAppData(appData);
+    }
+
+    /**
+     * 按给定的顺序重新排列置顶的 Prompt，不在列表中的置顶 Prompt 保持原来的相对顺序排在后面
+     * @param promptIds 置顶 Prompt 的新顺序
+     */
+    public async reorderPinnedPrompts(promptIds: Array<string | number>): Promise<void> {
+        const appData = await this.getAppData();
+        const ordered = promptIds
+            .map(id => appData.prompts.find(p => p.id === Number(id) && p.pinOrder !== undefined))
+            .filter((prompt): prompt is Prompt => !!prompt);
+        const rest = appData.prompts
+            .filter(p => p.pinOrder !== undefined && !ordered.includes(p))
+            .sort((a, b) => a.pinOrder! - b.pinOrder!);
+        [...ordered, ...rest].forEach((prompt, index) => {
+            prompt.pinOrder = index;
+        });
+        await this.saveAppData(appData);
+    }
+
+    /**
+     * 记录一次复制或插入，不修改 updatedAt，也不产生版本记录
+     * @param promptId Prompt ID
+     * @returns Promise<PromptUsage | undefined> 新的使用统计，找不到 Prompt 时为 undefined
+     */
+    public async recordPromptUsage(promptId: string | number): Promise<PromptUsage | undefined> {
+        const id = Number(promptId);
+        const appData = await this.getAppData();
+        const prompt = appData.prompts.find(p => p.id === id);
+        if (!prompt) {
+            return undefined;
+        }
+        prompt.usage = recordUsage(prompt.usage);
+        await this.saveAppData(appData);
+        return prompt.usage;
+    }
+    // #endregion
+
+    // #region Tag Management
+    /**
+     * 把多个标签合并为一个，所有 Prompt 中的这些标签替换为目标标签
+     * 目标标签没有颜色时使用第一个有颜色的原标签的颜色
+     * @param tagNames 要合并的标签
+     * @param targetName 合并后的标签，可以是其中一个标签或新的名称
+     * @returns Promise<number> 修改的 Prompt 数量
+     */
+    public async mergeTags(tagNames: string[], targetName: string): Promise<number> {
+        return this.replaceTags(tagNames, targetName, '合并标签');
+    }
+
+    /**
+     * 在所有 Prompt 中重命名标签，新名称已存在时两个标签合并
+     * @param oldName 原标签
+     * @param newName 新标签
+     * @returns Promise<number> 修改的 Prompt 数量
+     */
+    public async renameTag(oldName: string, newName: string): Promise<number> {
+        return this.replaceTags([oldName], newName, '重命名标签');
+    }
+
+    private async replaceTags(tagNames: string[], targetName: string, revisionNote: string): Promise<number> {
+        const target = targetName.trim();
+        if (!target) {
+            throw new Error('标签名称不能为空。');
+        }
+        const sources = new Set(tagNames.filter(tag => tag !== target));
+        if (sources.size === 0) {
+            return 0;
+        }
+
+        const appData = await this.getAppData();
+        const changed = this.updatePromptsWhere(
+            appData,
+            appData.prompts.map(p => p.id),
+            p => p.tags.some(tag => sources.has(tag)),
+            p => ({ tags: [...new Set(p.tags.map(tag => sources.has(tag) ? target : tag))] }),
+            revisionNote
+        );
+
+        if (appData.tagColors) {
+            const color = appData.tagColors[target] ?? tagNames.map(tag => appData.tagColors![tag]).find(Boolean);
+            sources.forEach(tag => delete appData.tagColors![tag]);
+            if (color) {
+                appData.tagColors[target] = color;
+            }
+        }
+        await this.saveAppData(appData);
+        return changed;
+    }
+
+    /**
+     * 设置标签在 Prompt 列表中显示的颜色
+     * @param tagName 标签
+     * @param color #rrggbb 格式的颜色，不传时清除颜色
+     */
+    public async setTagColor(tagName: string, color?: string): Promise<void> {
+        if (color && !/^#[0-9a-f]{6}$/i.test(color)) {
+            throw new Error(`无效的颜色 "${color}"。`);
+        }
+        const appData = await this.getAppData();
+        const tagColors = { ...appData.tagColors };
+        if (color) {
+            tagColors[tagName] = color.toLowerCase();
+        } else {
+            delete tagColors[tagName];
+        }
+        appData.tagColors = tagColors;
+        await this.saveAppData(appData);
+    }
+    // #endregion
+
+    // #region Bulk Operations
+    /**
+     * 把多个 Prompt 移到同一个分类，只保存一次
+     * @param promptIds Prompt ID 列表
+     * @param category 目标分类路径，空字符串表示未分类
+     * @returns Promise<number> 实际修改的数量
+     */
+    public async movePrompts(promptIds: Array<string | number>, category: string): Promise<number> {
+        const appData = await this.getAppData();
+        const target = normalizeCategoryPath(category);
+        const changed = this.updatePromptsWhere(appData, promptIds, p => p.category !== target, () => ({ category: target }), '批量移动分类');
+        if (target) {
+            appData.categories = withCategoryAncestors([...appData.categories, target]);
+        }
+        await this.saveAppData(appData);
+        return changed;
+    }
+
+    /**
+     * 为多个 Prompt 添加和移除标签，只保存一次
+     * @param promptIds Prompt ID 列表
+     * @param addTags 要添加的标签
+     * @param removeTags 要移除的标签
+     * @returns Promise<number> 实际修改的数量
+     */
+    public async updatePromptTags(promptIds: Array<string | number>, addTags: string[], removeTags: string[]): Promise<number> {
+        const appData = await this.getAppData();
+        const nextTags = (prompt: Prompt) => [...new Set([...(prompt.tags || []), ...addTags])].filter(tag => !removeTags.includes(tag));
+        const changed = this.updatePromptsWhere(
+            appData,
+            promptIds,
+            p => nextTags(p).join('\u0000') !== (p.tags || []).join('\u0000'),
+            p => ({ tags: nextTags(p) }),
+            '批量修改标签'
+        );
+        await this.saveAppData(appData);
+        return changed;
+    }
+
+    /**
+     * 批量启用或禁用 Prompt，与单个切换一样不记录版本
+     * @param promptIds Prompt ID 列表
+     * @param isActive 是否启用
+     * @returns Promise<number> 实际修改的数量
+     */
+    public async setPromptsActive(promptIds: Array<string | number>, isActive: boolean): Promise<number> {
+        const ids = new Set(promptIds.map(Number));
+        const appData = await this.getAppData();
+        const prompts = appData.prompts.filter(p => ids.has(p.id) && p.isActive !== isActive);
+        prompts.forEach(p => {
+            p.isActive = isActive;
+        });
+        await this.saveAppData(appData);
+        return prompts.length;
+    }
+
+    /**
+     * 把多个 Prompt 移到回收站，并为每个 Prompt 记录墓碑
+     * @param promptIds Prompt ID 列表
+     * @returns Promise<UndoAction> 从回收站恢复这些 Prompt 所需的信息
+     */
+    public async deletePrompts(promptIds: Array<string | number>): Promise<UndoAction> {
+        const ids = new Set(promptIds.map(Number));
+        const appData = await this.getAppData();
+        const deletedAt = new Date().toISOString();
+        const deleted = appData.prompts.filter(p => ids.has(p.id));
+        appData.prompts = appData.prompts.filter(p => !ids.has(p.id));
+        appData.trash = addToTrash(appData.trash, deleted, deletedAt);
+        // 记录墓碑，让删除能通过云同步传播到其他设备
+        appData.deletedPrompts = [
+            ...(appData.deletedPrompts ?? []).filter(t => !ids.has(t.id)),
+            ...[...ids].map(id => ({ id, deletedAt }))
+        ];
+        await this.saveAppData(appData);
+        return { type: 'restorePrompts', promptIds: deleted.map(p => p.id) };
+    }
+
+    /**
+     * 取出部分 Prompt 组成一份完整的数据，用于导出选中的 Prompt
+     * 只包含这些 Prompt 用到的分类，不包含设置中的敏感信息
+     * @param promptIds Prompt ID 列表
+     * @returns Promise<AppData>
+     */
+    public async getPromptSubset(promptIds: Array<string | number>): Promise<AppData> {
+        const ids = new Set(promptIds.map(Number));
+        const appData = await this.getAppData();
+        const prompts = appData.prompts.filter(p => ids.has(p.id));
+        return {
+            prompts,
+            categories: withCategoryAncestors(prompts.map(p => p.category)),
+            settings: {
+                autoBackup: appData.settings.autoBackup,
+                backupInterval: appData.settings.backupInterval,
+                cloudSync: false,
+                autoSync: false,
+                syncProvider: null,
+                workspaceMode: false
+            },
+            metadata: { ...appData.metadata, lastModified: new Date().toISOString(), totalPrompts: prompts.length }
+        };
+    }
+
+    private updatePromptsWhere(
+        appData: AppData,
+        promptIds: Array<string | number>,
+        shouldUpdate: (prompt: Prompt) => boolean,
+        getFields: (prompt: Prompt) => Partial<Prompt>,
+        revisionNote: string
+    ): number {
+        const ids = new Set(promptIds.map(Number));
+        let changed = 0;
+        appData.prompts.forEach((prompt, index) => {
+            if (ids.has(prompt.id) && shouldUpdate(prompt)) {
+                this.updatePromptAt(appData, index, getFields(prompt), revisionNote);
+                changed++;
+            }
+        });
+        return changed;
+    }
+    // #endregion
+
+    // #region Trash
+    /**
+     * 回收站中的 Prompt，最近删除的在前面
+     */
+    public async getTrash(): Promise<TrashedPrompt[]> {
+        const appData = await this.getAppData();
+        return appData.trash ?? [];
+    }
+
+    /**
+     * 从回收站恢复 Prompt，所在的分类已被删除时重新添加
+     * @param promptIds 回收站中的 Prompt ID
+     * @param categories 一起恢复的分类
+     * @returns Promise<number> 恢复的数量
+     */
+    public async restoreFromTrash(promptIds: Array<string | number>, categories: string[] = []): Promise<number> {
+        const ids = new Set(promptIds.map(Number));
+        const appData = await this.getAppData();
+        const trash = appData.trash ?? [];
+        const restored = trash.filter(entry => ids.has(entry.prompt.id)).map(entry => entry.prompt);
+
+        appData.trash = trash.filter(entry => !ids.has(entry.prompt.id));
+        this.addRestoredPrompts(appData, restored);
+        appData.categories = withCategoryAncestors([...appData.categories, ...categories, ...restored.map(p => p.category)]);
+        await this.saveAppData(appData);
+        return restored.length;
+    }
+
+    /**
+     * 彻底删除回收站中的 Prompt
+     * @param promptIds 要删除的 Prompt ID，不传时清空回收站
+     * @returns Promise<number> 删除的数量
+     */
+    public async purgeTrash(promptIds?: Array<string | number>): Promise<number> {
+        const appData = await this.getAppData();
+        const trash = appData.trash ?? [];
+        const ids = promptIds ? new Set(promptIds.map(Number)) : undefined;
+        appData.trash = ids ? trash.filter(entry => !ids.has(entry.prompt.id)) : [];
+        await this.saveAppData(appData);
+        return trash.length - appData.trash.length;
+    }
+
+    /**
+     * 撤销一次删除
+     * 删除之后又修改过的部分保持不变：只有仍在回收站中的 Prompt 会被恢复，
+     * 只有仍在被移入的分类中的 Prompt 会移回原来的分类
+     * @param action 删除方法返回的撤销信息
+     */
+    public async undo(action: UndoAction): Promise<void> {
+        if (action.type === 'restorePrompts') {
+            await this.restoreFromTrash(action.promptIds, action.categories);
+            return;
+        }
+
+        const appData = await this.getAppData();
+        if (action.type === 'restoreCategory') {
+            const categories = new Set([...appData.categories, ...action.categories]);
+            // Removed categories go back to where they were, anything added since stays at the end
+            appData.categories = withCategoryAncestors([...action.order.filter(c => categories.has(c)), ...categories]);
+            const original = new Map(action.prompts.map(p => [p.id, p.category]));
+            this.updatePromptsWhere(
+                appData,
+                [...original.keys()],
+                p => p.category === action.movedTo && original.get(p.id) !== p.category,
+                p => ({ category: original.get(p.id) }),
+                '撤销删除分类'
+            );
+        } else {
+            this.updatePromptsWhere(
+                appData,
+                action.promptIds,
+                p => !p.tags.includes(action.tag),
+                p => ({ tags: [...p.tags, action.tag] }),
+                '撤销删除标签'
+            );
+            if (action.color) {
+                appData.tagColors = { ...appData.tagColors, [action.tag]: action.color };
+            }
+        }
+        await this.saveAppData(appData);
+    }
+
+    private getTrashRetentionDays(): number {
+        const config = vscode.workspace.getConfiguration(StorageManager.CONFIG_SECTION);
+        const days = Number(config.get<number>('trash.retentionDays', DEFAULT_TRASH_RETENTION_DAYS));
+        return Math.max(1, days || DEFAULT_TRASH_RETENTION_DAYS);
+    }
+
+    /**
+     * 重置或清空之前把所有 Prompt 放入回收站
+     * 已保存的数据无法读取时（清空是这种情况下的补救办法）不保留任何内容
+     */
+    private async trashAllPrompts(): Promise<{ trash: TrashedPrompt[]; undo: UndoAction }> {
+        try {
+            const appData = await this.getAppData();
+            return {
+                trash: addToTrash(appData.trash, appData.prompts, new Date().toISOString()),
+                undo: { type: 'restorePrompts', promptIds: appData.prompts.map(p => p.id), categories: appData.categories }
+            };
+        } catch (error) {
+            console.error('[StorageManager] 读取要放入回收站的数据失败:', error);
+            return { trash: [], undo: { type: 'restorePrompts', promptIds: [] } };
+        }
+    }
     // #endregion
 
     // #region Data Reset
     /**
      * 重置所有数据为默认值
-     * 包含预设的软件开发生命周期相关的分类、提示词和标签
+     * 包含预设的软件开发生命周期相关的分类、提示词和标签，原来的 Prompt 放入回收站
      * @returns Promise<AppData> 重置后的应用数据
      */
     public async resetAllData(): Promise<AppData> {
         try {
-            const defaultData: AppData = this.getDefaultDataWithPresets();
+            const { trash } = await this.trashAllPrompts();
+            const defaultData: AppData = { ...this.getDefaultDataWithPresets(), trash };
             
-            // 清除所有存储数据
+            // 清除所有存储数据，备份记录由 BackupManager 维护，保留以便继续清理自动备份
             await this.context.globalState.update(StorageManager.STORAGE_KEYS.APP_DATA, undefined);
             await this.context.workspaceState.update(StorageManager.STORAGE_KEYS.WORKSPACE_DATA, undefined);
-            await this.context.globalState.update(StorageManager.STORAGE_KEYS.BACKUP_HISTORY, undefined);
             
             // 保存默认数据
             await this.saveAppData(defaultData);
@@ -279,23 +1089,23 @@ export class StorageManager {
 
     /**
      * 清空所有数据
-     * 只保留默认设置，不包含任何示例数据
-     * @returns Promise<AppData> 清空后的应用数据
+     * 只保留默认设置，不包含任何示例数据，原来的 Prompt 放入回收站
+     * @returns Promise<UndoAction> 恢复 Prompt 和分类所需的信息
      */
-    public async clearAllData(): Promise<AppData> {
+    public async clearAllData(): Promise<UndoAction> {
         try {
-            const defaultData: AppData = this.getEmptyDefaultData();
+            const { trash, undo } = await this.trashAllPrompts();
+            const defaultData: AppData = { ...this.getEmptyDefaultData(), trash };
             
-            // 清除所有存储数据
+            // 清除所有存储数据（保留备份记录）
             await this.context.globalState.update(StorageManager.STORAGE_KEYS.APP_DATA, undefined);
             await this.context.workspaceState.update(StorageManager.STORAGE_KEYS.WORKSPACE_DATA, undefined);
-            await this.context.globalState.update(StorageManager.STORAGE_KEYS.BACKUP_HISTORY, undefined);
             
             // 保存空的默认数据
             await this.saveAppData(defaultData);
             
             console.log('[StorageManager] 所有数据已清空');
-            return defaultData;
+            return undo;
         } catch (error) {
             console.error('[StorageManager] 清空所有数据失败:', error);
             throw new Error(`清空数据失败: ${error instanceof Error ? error.message : '未知错误'}`);
@@ -705,7 +1515,7 @@ class Example extends Backend
                 workspaceMode: false
             },
             metadata: {
-                version: '1.0.0',
+                version: CURRENT_SCHEMA_VERSION,
                 lastModified: now,
                 totalPrompts: prompts.length
             }
@@ -732,7 +1542,7 @@ class Example extends Backend
                 workspaceMode: false
             },
             metadata: {
-                version: '1.0.0',
+                version: CURRENT_SCHEMA_VERSION,
                 lastModified: now,
                 totalPrompts: 0
             }
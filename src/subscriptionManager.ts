@@ -0,0 +1,192 @@
+import * as vscode from 'vscode';
+import { AppData, PromptSource, Subscription, SubscriptionCache, SubscriptionChange } from './types';
+import { SyncManager } from './syncManager';
+import { LibraryLayer, summarizeLibraryChanges } from './promptLibrary';
+
+export interface SubscriptionUpdate {
+    subscription: Subscription;
+    change: SubscriptionChange;
+}
+
+/**
+ * 订阅管理器 - 负责只读订阅的获取、离线缓存和定时刷新
+ *
+ * 职责：
+ * - 通过 SyncManager 获取订阅的 Prompt 库
+ * - 缓存最近一次获取成功的数据，离线或获取失败时继续使用缓存
+ * - 按 promptHub.subscriptions.refreshInterval 定时刷新
+ * - 比较更新前后的数据，生成变更摘要
+ */
+export class SubscriptionManager {
+    private static readonly STORAGE_KEYS = {
+        SUBSCRIPTION_CACHE: 'promptHub.subscriptionCache'
+    };
+    private static readonly CONFIG_SECTION = 'promptHub';
+    private static readonly DEFAULT_REFRESH_INTERVAL = 60;
+    private static readonly MIN_REFRESH_INTERVAL = 5;
+
+    private refreshTimer?: NodeJS.Timeout;
+    private refreshTimerInterval?: number;
+    private autoRefreshCallback?: () => Promise<AppData>;
+    private autoRefreshListener?: (updates: SubscriptionUpdate[]) => void;
+    private readonly configListener: vscode.Disposable;
+
+    constructor(private context: vscode.ExtensionContext, private syncManager: SyncManager) {
+        this.configListener = vscode.workspace.onDidChangeConfiguration(event => {
+            if (event.affectsConfiguration(`${SubscriptionManager.CONFIG_SECTION}.subscriptions.refreshInterval`)) {
+                this.initializeAutoRefresh();
+            }
+        });
+    }
+
+    // #region Cache
+    /**
+     * 将订阅的缓存转换为分层库中的只读来源，还没有获取成功过的订阅没有 Prompt
+     * @param subscriptions 订阅配置
+     * @returns LibraryLayer[]
+     */
+    public getLayers(subscriptions: Subscription[]): LibraryLayer[] {
+        const cache = this.getCache();
+        return subscriptions.map(subscription => {
+            const cached = cache[subscription.id];
+            const source: PromptSource = {
+                id: `subscription:${subscription.id}`,
+                name: subscription.name,
+                kind: 'subscription',
+                readOnly: true,
+                location: subscription.location,
+                error: cached?.error,
+                updatedAt: cached?.fetchedAt,
+                lastChange: cached?.lastChange
+            };
+            return { source, prompts: cached?.prompts ?? [] };
+        });
+    }
+
+    public getSubscriptionCache(id: string): SubscriptionCache | undefined {
+        return this.getCache()[id];
+    }
+
+    public async removeSubscriptionCache(id: string): Promise<void> {
+        const cache = this.getCache();
+        delete cache[id];
+        await this.context.globalState.update(SubscriptionManager.STORAGE_KEYS.SUBSCRIPTION_CACHE, cache);
+    }
+
+    private getCache(): Record<string, SubscriptionCache> {
+        return { ...this.context.globalState.get<Record<string, SubscriptionCache>>(SubscriptionManager.STORAGE_KEYS.SUBSCRIPTION_CACHE, {}) };
+    }
+    // #endregion
+
+    // #region Refresh
+    /**
+     * 刷新订阅，获取失败时保留缓存的数据并记录错误
+     * @param subscriptions 要刷新的订阅
+     * @returns Promise<SubscriptionUpdate[]> 内容有变化的订阅及变更摘要，第一次获取的订阅不包含在内
+     */
+    public async refresh(subscriptions: Subscription[]): Promise<SubscriptionUpdate[]> {
+        const updates: SubscriptionUpdate[] = [];
+        for (const subscription of subscriptions) {
+            const change = await this.refreshSubscription(subscription);
+            if (change && change.added.length + change.updated.length + change.removed.length > 0) {
+                updates.push({ subscription, change });
+            }
+        }
+        return updates;
+    }
+
+    /**
+     * 获取并缓存一个订阅
+     * @param subscription 订阅配置
+     * @returns Promise<SubscriptionChange | null> 与缓存相比的变更，第一次获取或获取失败时为 null
+     */
+    public async refreshSubscription(subscription: Subscription): Promise<SubscriptionChange | null> {
+        const previous = this.getCache()[subscription.id];
+        let next: SubscriptionCache;
+        let change: SubscriptionChange | null = null;
+
+        try {
+            const data = await this.syncManager.fetchSubscription(subscription);
+            const now = new Date().toISOString();
+            next = { prompts: data.prompts, categories: data.categories, fetchedAt: now, lastChange: previous?.lastChange };
+            if (previous?.fetchedAt) {
+                change = summarizeLibraryChanges(previous.prompts, data.prompts);
+                if (change.added.length + change.updated.length + change.removed.length > 0) {
+                    next.lastChange = { ...change, at: now };
+                }
+            }
+        } catch (error) {
+            const message = error instanceof Error ? error.message : String(error);
+            console.warn(`[SubscriptionManager] Failed to refresh subscription ${subscription.name}:`, message);
+            next = previous ? { ...previous, error: message } : { prompts: [], categories: [], error: message };
+        }
+
+        // Re-read the cache so concurrent refreshes of other subscriptions are kept
+        const cache = this.getCache();
+        cache[subscription.id] = next;
+        await this.context.globalState.update(SubscriptionManager.STORAGE_KEYS.SUBSCRIPTION_CACHE, cache);
+        return change;
+    }
+
+    /**
+     * 设置自动刷新回调
+     * 订阅管理器不直接依赖数据管理器，由回调提供最新的订阅配置
+     * @param callback 返回当前数据的回调函数
+     * @param onUpdate 自动刷新完成后调用，参数为内容有变化的订阅
+     */
+    public setAutoRefreshCallback(callback: () => Promise<AppData>, onUpdate: (updates: SubscriptionUpdate[]) => void): void {
+        this.autoRefreshCallback = callback;
+        this.autoRefreshListener = onUpdate;
+    }
+
+    /**
+     * 按配置的间隔启动定时刷新，并立即刷新超过间隔没有更新的订阅
+     */
+    public initializeAutoRefresh(): void {
+        const interval = this.getRefreshInterval();
+        if (interval !== this.refreshTimerInterval) {
+            if (this.refreshTimer) {
+                clearInterval(this.refreshTimer);
+            }
+            this.refreshTimerInterval = interval;
+            this.refreshTimer = setInterval(() => {
+                this.runAutoRefresh(false).catch(err => console.error('[SubscriptionManager] Auto-refresh failed:', err));
+            }, interval * 60 * 1000);
+        }
+        this.runAutoRefresh(true).catch(err => console.error('[SubscriptionManager] Auto-refresh failed:', err));
+    }
+
+    private async runAutoRefresh(staleOnly: boolean): Promise<void> {
+        if (!this.autoRefreshCallback) {
+            return;
+        }
+
+        const data = await this.autoRefreshCallback();
+        const cache = this.getCache();
+        const maxAge = this.getRefreshInterval() * 60 * 1000;
+        const subscriptions = (data.settings.subscriptions || []).filter(subscription => {
+            const fetchedAt = cache[subscription.id]?.fetchedAt;
+            return !staleOnly || !fetchedAt || Date.now() - new Date(fetchedAt).getTime() >= maxAge;
+        });
+        if (subscriptions.length === 0) {
+            return;
+        }
+
+        const updates = await this.refresh(subscriptions);
+        this.autoRefreshListener?.(updates);
+    }
+
+    private getRefreshInterval(): number {
+        const config = vscode.workspace.getConfiguration(SubscriptionManager.CONFIG_SECTION);
+        const interval = Number(config.get<number>('subscriptions.refreshInterval', SubscriptionManager.DEFAULT_REFRESH_INTERVAL));
+        return Math.max(SubscriptionManager.MIN_REFRESH_INTERVAL, interval || SubscriptionManager.DEFAULT_REFRESH_INTERVAL);
+    }
+    // #endregion
+
+    public dispose(): void {
+        if (this.refreshTimer) {
+            clearInterval(this.refreshTimer);
+        }
+        this.configListener.dispose();
+    }
+}
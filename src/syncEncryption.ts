@@ -0,0 +1,96 @@
+import * as crypto from 'crypto';
+import { promisify } from 'util';
+import { SyncError } from './errors';
+
+/**
+ * 同步加密 - 上传到云端前用同步密码加密数据，下载后在本地解密
+ *
+ * 规则：
+ * - 密钥由同步密码和随机盐通过 scrypt 在本地派生，密码和密钥都不会上传
+ * - 使用 AES-256-GCM，密码错误或内容被篡改时解密失败
+ * - 加密后的内容仍然是 JSON，带有 promptHubEncrypted 标记，便于识别云端是否已加密
+ */
+const ENVELOPE_VERSION = 1;
+const KEY_LENGTH = 32;
+const SALT_LENGTH = 16;
+const IV_LENGTH = 12;
+
+const scrypt = promisify(crypto.scrypt) as (password: string, salt: Buffer, keylen: number) => Promise<Buffer>;
+
+interface EncryptedEnvelope {
+    promptHubEncrypted: number;
+    kdf: 'scrypt';
+    salt: string;
+    iv: string;
+    tag: string;
+    data: string;
+}
+
+function parseEnvelope(content: string): EncryptedEnvelope | null {
+    try {
+        const data = JSON.parse(content);
+        if (typeof data === 'object' && data !== null && data.promptHubEncrypted === ENVELOPE_VERSION
+            && ['salt', 'iv', 'tag', 'data'].every(key => typeof data[key] === 'string')) {
+            return data as EncryptedEnvelope;
+        }
+    } catch {
+        // 不是 JSON，交给后续解析报告错误
+    }
+    return null;
+}
+
+/**
+ * 判断云端内容是否已加密
+ * @param content 云端文件内容
+ * @returns boolean
+ */
+export function isEncryptedPayload(content: string | null): boolean {
+    return !!content && parseEnvelope(content) !== null;
+}
+
+/**
+ * 用同步密码加密要上传的内容，每次加密使用新的盐和 IV
+ * @param plaintext 要上传的 JSON
+ * @param passphrase 同步密码
+ * @returns Promise<string> 加密后的 JSON
+ */
+export async function encryptPayload(plaintext: string, passphrase: string): Promise<string> {
+    const salt = crypto.randomBytes(SALT_LENGTH);
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const key = await scrypt(passphrase, salt, KEY_LENGTH);
+
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    const data = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+    const envelope: EncryptedEnvelope = {
+        promptHubEncrypted: ENVELOPE_VERSION,
+        kdf: 'scrypt',
+        salt: salt.toString('base64'),
+        iv: iv.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64'),
+        data: data.toString('base64')
+    };
+    return JSON.stringify(envelope, null, 4);
+}
+
+/**
+ * 用同步密码解密云端内容
+ * @param content 加密后的 JSON
+ * @param passphrase 同步密码
+ * @returns Promise<string> 解密后的 JSON
+ * @throws SyncError 密码错误（wrong_passphrase）或内容不是加密数据（remote_invalid_envelope）
+ */
+export async function decryptPayload(content: string, passphrase: string): Promise<string> {
+    const envelope = parseEnvelope(content);
+    if (!envelope) {
+        throw new SyncError('云端数据不是有效的加密数据。', 'remote_invalid_envelope');
+    }
+
+    const key = await scrypt(passphrase, Buffer.from(envelope.salt, 'base64'), KEY_LENGTH);
+    try {
+        const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(envelope.iv, 'base64'));
+        decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+        return Buffer.concat([decipher.update(Buffer.from(envelope.data, 'base64')), decipher.final()]).toString('utf8');
+    } catch {
+        throw new SyncError('同步密码错误，无法解密云端数据。如果在其他设备上更换过密码，请点击“更换密码”输入新密码。', 'wrong_passphrase');
+    }
+}
@@ -1,642 +1,509 @@
 import * as vscode from 'vscode';
-import axios, { AxiosError } from 'axios';
-// @ts-ignore
-import { createClient, WebDAVClient, AuthType } from 'webdav';
-import { AppData, GistCreateResponse, GistGetResponse, GitLabSnippetResponse, GiteeGistResponse, SyncResult } from './types';
+import * as fs from 'fs';
+import axios from 'axios';
+import { AppData, GistGetResponse, Subscription, SyncResult } from './types';
 import { SyncError, SyncConflictError } from './errors';
+import { ConflictChoice, applyConflictResolutions, mergeAppData } from './syncMerge';
+import { parseAppData } from './appDataSchema';
+import { resolveLibraryPath } from './promptLibrary';
+import { decryptPayload, encryptPayload, isEncryptedPayload } from './syncEncryption';
+import { SYNC_FILENAME, SyncConnection, SyncProvider, SyncSettings, getSyncProvider, getSyncProviders, handleAxiosError } from './syncProviders';
+
+/**
+ * 读取到的云端数据，encrypted 表示云端文件是否加密，上传明文前据此判断能否覆盖
+ */
+interface RemoteSnapshot {
+    data: AppData | null;
+    encrypted: boolean;
+}
 
 /**
  * 云同步管理器 - 负责所有云同步相关的功能
  * 
  * 职责：
- * - 管理云同步设置和验证
- * - 各种云服务的同步实现（GitHub、Gitee、GitLab、WebDAV、Custom API）
- * - 同步冲突检测和处理
+ * - 管理云同步设置和验证，各服务商的读写由 syncProviders 中注册的服务商实现
+ * - 基于上次同步快照的三方合并与冲突检测
+ * - 可选的端到端加密，云端只保存加密后的数据
+ * - 获取只读订阅的 Prompt 库
  * - 云同步状态管理
  */
 export class SyncManager {
-    private static readonly SYNC_FILENAME = 'prompt-hub.json';
+    private static readonly SUBSCRIPTION_TIMEOUT = 30000;
+    private static readonly AUTO_SYNC_MAX_ATTEMPTS = 3;
     private syncDebouncer?: NodeJS.Timeout;
     
     private static readonly STORAGE_KEYS = {
-        GITHUB_TOKEN: 'promptHub.githubToken',
-        GITEE_TOKEN: 'promptHub.giteeToken',
-        GITLAB_TOKEN: 'promptHub.gitlabToken',
-        WEBDAV_PASSWORD: 'promptHub.webdavPassword',
-        CUSTOM_API_KEY: 'promptHub.customApiKey'
+        SYNC_BASE: 'promptHub.syncBase',
+        SYNC_PASSPHRASE: 'promptHub.syncPassphrase'
     };
 
     constructor(private context: vscode.ExtensionContext) {}
 
     // #region Secret Management
-    private async getSecret(key: 'githubToken' | 'giteeToken' | 'gitlabToken' | 'webdavPassword' | 'customApiKey'): Promise<string | undefined> {
-        const keyMap = {
-            githubToken: SyncManager.STORAGE_KEYS.GITHUB_TOKEN,
-            giteeToken: SyncManager.STORAGE_KEYS.GITEE_TOKEN,
-            gitlabToken: SyncManager.STORAGE_KEYS.GITLAB_TOKEN,
-            webdavPassword: SyncManager.STORAGE_KEYS.WEBDAV_PASSWORD,
-            customApiKey: SyncManager.STORAGE_KEYS.CUSTOM_API_KEY,
-        };
-        const secretKey = keyMap[key];
-        if (!secretKey) return undefined;
-        return this.context.secrets.get(secretKey);
+    // 同步密码与服务商无关，切换服务商时保留
+    private async _clearAllSecrets() {
+        for (const provider of getSyncProviders()) {
+            await this.context.secrets.delete(provider.secretKey);
+        }
     }
 
-    private async _clearAllSecrets() {
-        await this.context.secrets.delete(SyncManager.STORAGE_KEYS.GITHUB_TOKEN);
-        await this.context.secrets.delete(SyncManager.STORAGE_KEYS.GITEE_TOKEN);
-        await this.context.secrets.delete(SyncManager.STORAGE_KEYS.GITLAB_TOKEN);
-        await this.context.secrets.delete(SyncManager.STORAGE_KEYS.WEBDAV_PASSWORD);
-        await this.context.secrets.delete(SyncManager.STORAGE_KEYS.CUSTOM_API_KEY);
+    private async getSyncPassphrase(): Promise<string | undefined> {
+        return this.context.secrets.get(SyncManager.STORAGE_KEYS.SYNC_PASSPHRASE);
     }
     // #endregion
 
-    // #region Error Handling
-    private _handleAxiosError(error: any, provider: string, operation: 'read' | 'write' | 'test'): SyncError {
-        if (axios.isAxiosError(error)) {
-            const err = error as AxiosError;
-            const status = err.response?.status;
-            switch (status) {
-                case 401:
-                    return new SyncError(`${provider} 凭证无效或已过期，请检查 Token/密码。`, 'INVALID_CREDENTIALS');
-                case 403:
-                    return new SyncError(`您没有权限访问此 ${provider} 资源，请检查权限设置。`, 'FORBIDDEN');
-                case 404:
-                    return new SyncError(`${provider} ${operation === 'read' ? '资源' : 'Gist/Snippet'} 未找到，请检查 ID 或 URL。`, 'NOT_FOUND');
-                default:
-                    if (err.request) {
-                        return new SyncError(`无法连接到 ${provider} 服务器，请检查网络连接或 ${provider} URL。`, 'CONNECTION_FAILED');
-                    }
-                    return new SyncError(`${provider} 请求失败: ${err.message}`, 'REQUEST_FAILED');
+    // #region Sync Encryption
+    /**
+     * 设置或清除同步密码，并用新密码重新加密云端数据
+     * 云端已经用新密码加密时（例如在其他设备上更换过密码）只保存密码，不重新上传
+     * 新密码在云端更新成功后才保存，失败时本地和云端都保持原来的密码
+     * @param appData 本地数据，提供同步设置
+     * @param passphrase 新的同步密码，undefined 表示关闭加密并把云端改为明文
+     * @throws SyncError 云端已加密但无法用已保存的密码解密
+     */
+    public async setSyncPassphrase(appData: AppData, passphrase: string | undefined): Promise<void> {
+        const content = await this.fetchRemoteContent(appData);
+        if (content && content.trim() !== '') {
+            const plaintext = await this.decryptForRotation(content, passphrase);
+            if (plaintext !== null) {
+                await this.uploadContent(passphrase ? await encryptPayload(plaintext, passphrase) : plaintext, appData);
             }
         }
-        return new SyncError(`${provider} 发生未知错误: ${error.message}`, 'UNKNOWN_ERROR');
-    }
-    // #endregion
 
-    // #region Cloud Sync Setup
-    public async saveCloudSyncSettings(settings: {
-        provider: 'github' | 'gitee' | 'gitlab' | 'webdav' | 'custom',
-        gistId?: string,
-        gitlabUrl?: string,
-        webdavUrl?: string,
-        webdavUsername?: string,
-        customApiUrl?: string,
-        token: string
-    }): Promise<void> {
-        const { provider, gistId, gitlabUrl, webdavUrl, webdavUsername, customApiUrl, token } = settings;
+        if (passphrase) {
+            await this.context.secrets.store(SyncManager.STORAGE_KEYS.SYNC_PASSPHRASE, passphrase);
+        } else {
+            await this.context.secrets.delete(SyncManager.STORAGE_KEYS.SYNC_PASSPHRASE);
+        }
+    }
 
-        // Clear all secrets first
-        await this._clearAllSecrets();
+    /**
+     * 取得云端内容的明文，用于更换密码
+     * @returns Promise<string | null> 明文；云端已经用新密码加密时为 null
+     */
+    private async decryptForRotation(content: string, newPassphrase: string | undefined): Promise<string | null> {
+        if (!isEncryptedPayload(content)) {
+            return content;
+        }
 
-        try {
-            switch (provider) {
-                case 'github':
-                    await this._validateAndStoreGitHub(token, gistId);
-                    break;
-                case 'gitee':
-                    await this._validateAndStoreGitee(token, gistId);
-                    break;
-                case 'gitlab':
-                    const finalGitlabUrl = gitlabUrl || 'https://gitlab.com';
-                    await this._validateAndStoreGitLab(finalGitlabUrl, token, gistId);
-                    break;
-                case 'webdav':
-                    if (!webdavUrl || !webdavUsername) throw new SyncError('WebDAV URL 和用户名不能为空。', 'WEBDAV_CONFIG_MISSING');
-                    await this._validateAndStoreWebDAV(webdavUrl, webdavUsername, token);
-                    break;
-                case 'custom':
-                    if (!customApiUrl) throw new SyncError('自定义 API URL 不能为空。', 'CUSTOM_API_URL_MISSING');
-                    await this._validateAndStoreCustomApi(customApiUrl, token);
-                    break;
-                default:
-                    throw new SyncError(`未知的云服务提供商: ${provider}`, 'UNKNOWN_PROVIDER');
-            }
-        } catch (error) {
-            // Passthrough SyncError, wrap others
-            if (error instanceof SyncError) {
-                throw error;
-            } else if (error instanceof Error) {
-                throw new SyncError(`验证失败: ${error.message}`, 'VALIDATION_FAILED');
-            } else {
-                throw new SyncError('发生未知验证错误。', 'UNKNOWN_VALIDATION_ERROR');
+        if (newPassphrase) {
+            try {
+                await decryptPayload(content, newPassphrase);
+                return null;
+            } catch (error) {
+                if (!(error instanceof SyncError) || error.code !== 'wrong_passphrase') {
+                    throw error;
+                }
             }
         }
-    }
 
-    private async _validateAndStoreGitHub(token: string, gistId?: string): Promise<string> {
-        const result = await this._testGitHubGist(token, gistId);
-        await this.context.secrets.store(SyncManager.STORAGE_KEYS.GITHUB_TOKEN, token);
-        return result.gistId;
+        const oldPassphrase = await this.getSyncPassphrase();
+        if (!oldPassphrase) {
+            throw new SyncError('云端数据已用其他同步密码加密，请输入加密时使用的密码。', 'wrong_passphrase');
+        }
+        return decryptPayload(content, oldPassphrase);
     }
+    // #endregion
 
-    private async _validateAndStoreGitee(token: string, gistId?: string): Promise<string> {
-        const validatedGist = await this._testGiteeGist(token, gistId);
-        await this.context.secrets.store(SyncManager.STORAGE_KEYS.GITEE_TOKEN, token);
-        return validatedGist.gistId;
+    // #region Sync Base
+    /**
+     * 获取上次成功同步时的数据快照，作为三方合并的基准
+     * 快照与数据保存在同一位置，工作区模式下各工作区互不影响
+     */
+    private getSyncBase(appData: AppData): AppData | undefined {
+        return this.getSyncBaseState(appData).get<AppData>(SyncManager.STORAGE_KEYS.SYNC_BASE);
     }
 
-    private async _validateAndStoreGitLab(url: string, token: string, snippetId?: string): Promise<string> {
-        const validatedSnippet = await this._testGitLabSnippet(url, token, snippetId);
-        await this.context.secrets.store(SyncManager.STORAGE_KEYS.GITLAB_TOKEN, token);
-        return validatedSnippet.snippetId;
+    /**
+     * 保存同步基准
+     * 合并结果需要写回本地时，必须在写入本地之后再保存，否则本地还没有的云端新增会在下次合并时被当作本地删除
+     * @param appData 两端都已经是这份数据时的内容
+     */
+    public async saveSyncBase(appData: AppData): Promise<void> {
+        // 合并只比较当前字段，快照中不需要版本历史
+        const prompts = appData.prompts.map(({ revisions: _revisions, ...prompt }) => prompt);
+        await this.getSyncBaseState(appData).update(SyncManager.STORAGE_KEYS.SYNC_BASE, { ...appData, prompts });
     }
 
-    private async _validateAndStoreWebDAV(url: string, user: string, pass: string): Promise<void> {
-        await this._testWebDAV(url, user, pass);
-        await this.context.secrets.store(SyncManager.STORAGE_KEYS.WEBDAV_PASSWORD, pass);
+    private async clearSyncBase(): Promise<void> {
+        await this.context.globalState.update(SyncManager.STORAGE_KEYS.SYNC_BASE, undefined);
+        await this.context.workspaceState.update(SyncManager.STORAGE_KEYS.SYNC_BASE, undefined);
     }
 
-    private async _validateAndStoreCustomApi(url: string, key: string): Promise<void> {
-        await this._testCustomApi(url, key);
-        await this.context.secrets.store(SyncManager.STORAGE_KEYS.CUSTOM_API_KEY, key);
+    private getSyncBaseState(appData: AppData): vscode.Memento {
+        return appData.settings.workspaceMode ? this.context.workspaceState : this.context.globalState;
     }
     // #endregion
 
-    // #region Provider Testing
-    private async _testGitHubGist(token: string, gistId?: string): Promise<{ gistId: string, isNew: boolean }> {
-        const headers = { 'Authorization': `token ${token}`, 'Accept': 'application/vnd.github.v3+json' };
-        
-        if (gistId) {
-            // Validate existing Gist
-            try {
-                await axios.get(`https://api.github.com/gists/${gistId}`, { headers });
-                return { gistId, isNew: false };
-            } catch (error) {
-                throw this._handleAxiosError(error, 'GitHub', 'test');
-            }
-        } else {
-            // Create new Gist
-            try {
-                const response = await axios.post('https://api.github.com/gists', {
-                    description: 'Lyfe\'s Prompt Hub Sync',
-                    public: false,
-                    files: { [SyncManager.SYNC_FILENAME]: { content: '{}' } }
-                }, { headers });
-                const newGistId = response.data.id;
-                if (!newGistId) {
-                    throw new Error('创建Gist成功，但未能获取Gist ID。');
-                }
-                return { gistId: newGistId, isNew: true }; 
-            } catch (error) {
-                throw this._handleAxiosError(error, 'GitHub', 'test');
-            }
-        }
-    }
-    
-    private async _testGiteeGist(token: string, gistId?: string): Promise<{ gistId: string, isNew: boolean }> {
-        const giteeApiUrl = `https://gitee.com/api/v5`;
-        const headers = { 'Authorization': `token ${token}`, 'Content-Type': 'application/json' };
-        const fileName = SyncManager.SYNC_FILENAME;
-
-        if (gistId) {
-            try {
-                await axios.get(`${giteeApiUrl}/gists/${gistId}`, { headers });
-                return { gistId, isNew: false };
-            } catch (error: any) {
-                if (error.response && error.response.status === 404) {
-                    // Gist not found, fall through to create a new one
-                } else {
-                    throw this._handleAxiosError(error, 'Gitee', 'test');
-                }
-            }
-        }
-
-        try {
-            const createData = {
-                files: { [fileName]: { content: '{"version":"1.0.0"}' } },
-                description: 'Prompt Hub Sync Data',
-                public: false,
-            };
-            const response = await axios.post<GiteeGistResponse>(`${giteeApiUrl}/gists`, createData, { headers });
-            return { gistId: response.data.id, isNew: true };
-        } catch (error) {
-            throw this._handleAxiosError(error, 'Gitee', 'write');
-        }
-    }
+    // #region Cloud Sync Setup
+    /**
+     * 验证并保存云同步配置，凭证保存在 SecretStorage 中
+     * @param settings 表单中填写的配置，token 为服务商的凭证
+     * @returns Promise<SyncSettings> 需要保存到 settings 中的配置（例如新建的 Gist ID）
+     */
+    public async saveCloudSyncSettings(settings: SyncConnection & { provider: string }): Promise<SyncSettings> {
+        const { provider: providerId, ...connection } = settings;
 
-    private async _testGitLabSnippet(url: string, token: string, snippetId?: string): Promise<{ snippetId: string, isNew: boolean }> {
-        const apiUrl = url.endsWith('/') ? `${url}api/v4` : `${url}/api/v4`;
-        const headers = { 'PRIVATE-TOKEN': token, 'Content-Type': 'application/json' };
+        // Clear all secrets first
+        await this._clearAllSecrets();
+        // A different cloud target makes the previous sync base meaningless
+        await this.clearSyncBase();
 
-        if (snippetId) {
-            try {
-                await axios.get(`${apiUrl}/snippets/${snippetId}`, { headers });
-                return { snippetId, isNew: false };
-            } catch (error: any) {
-                if (error.response && error.response.status === 404) {
-                    // Snippet not found, fall through to create a new one
-                } else {
-                    throw this._handleAxiosError(error, 'GitLab', 'test');
-                }
-            }
-        }
-        
-        // Create a new snippet if no ID is provided or the existing one is not found
         try {
-            const createData = {
-                title: 'Prompt Hub Sync Data',
-                file_name: SyncManager.SYNC_FILENAME,
-                content: JSON.stringify({ prompts: [], categories: [], version: '1.0' }, null, 2),
-                visibility: 'private' as const
-            };
-
-            const response = await axios.post<GitLabSnippetResponse>(`${apiUrl}/snippets`, createData, { headers });
-            
-            if (response.data && response.data.id) {
-                return { snippetId: response.data.id.toString(), isNew: true };
-            } else {
-                throw new Error('Failed to create GitLab snippet: Invalid response from server.');
+            const provider = getSyncProvider(providerId);
+            if (!provider) {
+                throw new SyncError(`未知的云服务提供商: ${providerId}`, 'UNKNOWN_PROVIDER');
             }
+            const validated = await provider.validate(connection);
+            await this.context.secrets.store(provider.secretKey, connection.token);
+            return validated;
         } catch (error) {
-            throw this._handleAxiosError(error, 'GitLab', 'write');
-        }
-    }
-
-    private async _testWebDAV(url: string, user: string, pass: string): Promise<void> {
-        const client: WebDAVClient = createClient(url, { username: user, password: pass });
-        const testFilePath = `/.prompt-hub-test-${Date.now()}.tmp`;
-        try {
-            // Attempt to write a temporary file to test permissions
-            await client.putFileContents(testFilePath, 'test');
-            // Attempt to delete the temporary file
-            await client.deleteFile(testFilePath);
-        } catch (error: any) {
-            console.error('[WebDAV Test] Error:', error.message);
-            // Try to clean up even if there was an error
-            try {
-                if (await client.exists(testFilePath)) {
-                    await client.deleteFile(testFilePath);
-                }
-            } catch (cleanupError) {
-                // Ignore cleanup errors
+            // Passthrough SyncError, wrap others
+            if (error instanceof SyncError) {
+                throw error;
+            } else if (error instanceof Error) {
+                throw new SyncError(`验证失败: ${error.message}`, 'VALIDATION_FAILED');
+            } else {
+                throw new SyncError('发生未知验证错误。', 'UNKNOWN_VALIDATION_ERROR');
             }
-            throw new SyncError('Failed to verify WebDAV server access. Check URL, credentials, and permissions.', 'AUTH_ERROR');
         }
     }
 
-    private async _testCustomApi(url: string, key: string): Promise<void> {
-        try {
-            await axios.get(url, {
-                headers: { 'Authorization': `Bearer ${key}` }
-            });
-        } catch (error) {
-            throw this._handleAxiosError(error, 'Custom API', 'test');
-        }
+    /**
+     * 当前使用的服务商，以及连接它所需的配置和凭证
+     */
+    private async getConnection(appData: AppData): Promise<{ provider: SyncProvider; connection: SyncConnection }> {
+        const provider = getSyncProvider(appData.settings.syncProvider);
+        if (!provider) {
+            throw new SyncError('Unsupported sync provider.', 'unsupported_provider');
+        }
+        const { gistId, gitlabUrl, webdavUrl, webdavUsername, customApiUrl } = appData.settings;
+        const token = await this.context.secrets.get(provider.secretKey) ?? '';
+        return { provider, connection: { token, gistId, gitlabUrl, webdavUrl, webdavUsername, customApiUrl } };
     }
     // #endregion
 
     // #region Cloud Sync Operations
-    public async syncToCloud(appData: AppData, force: boolean = false): Promise<void> {
+    /**
+     * 上传本地数据到云端
+     * 非强制模式下先与云端三方合并，只有真正的冲突才会抛出 SyncConflictError
+     * @param appData 本地数据
+     * @param force 是否直接覆盖云端
+     * @returns Promise<SyncResult> 同步结果，本地需要更新时 data 为合并后的数据
+     */
+    public async syncToCloud(appData: AppData, force: boolean = false): Promise<SyncResult> {
         if (!appData.settings.cloudSync || !appData.settings.syncProvider) {
-            return;
+            return { status: 'disabled', message: 'Cloud sync is not enabled.' };
         }
 
-        if (!force) {
-            const remoteData = await this.getRemoteAppData(appData);
-            if (remoteData) {
-                const localModified = new Date(appData.metadata.lastModified);
-                const remoteModified = new Date(remoteData.metadata.lastModified);
-
-                if (localModified <= remoteModified) {
-                    throw new SyncConflictError(
-                        'Local data is not newer than cloud data. Upload would overwrite remote changes.',
-                        appData.metadata.lastModified,
-                        remoteData.metadata.lastModified
-                    );
-                }
-            }
+        if (force) {
+            await this.uploadAppData(appData);
+            await this.saveSyncBase(appData);
+            return { status: 'uploaded', message: 'Local data uploaded to cloud.' };
         }
 
-        const content = JSON.stringify(appData, null, 4);
-
-        switch (appData.settings.syncProvider) {
-            case 'github':
-                await this.syncToGitHub(content, appData);
-                break;
-            case 'gitee':
-                await this.syncToGitee(content, appData);
-                break;
-            case 'gitlab':
-                await this.syncToGitLab(content, appData);
-                break;
-            case 'webdav':
-                await this.syncToWebDAV(content, appData);
-                break;
-            case 'custom':
-                await this.syncToCustomApi(content, appData);
-                break;
-            default:
-                throw new SyncError('Unsupported sync provider.', 'unsupported_provider');
+        const result = await this.mergeWithRemote(appData, await this.readRemote(appData));
+        if (result.status === 'conflict') {
+            throw new SyncConflictError(result.message!, result.conflicts);
         }
+        return result;
     }
 
-    private async syncToGitHub(content: string, appData: AppData): Promise<void> {
-        const token = await this.getSecret('githubToken');
-        const gistId = appData.settings.gistId;
-
-        if (!token || !gistId) {
-            throw new SyncError('GitHub token or Gist ID is not configured.', 'config_missing');
-        }
-
-        try {
-            await axios.patch(`https://api.github.com/gists/${gistId}`, {
-                files: {
-                    [SyncManager.SYNC_FILENAME]: {
-                        content: content
-                    }
-                }
-            }, {
-                headers: {
-                    'Authorization': `token ${token}`,
-                    'Accept': 'application/vnd.github.v3+json'
-                }
-            });
-        } catch (error) {
-            throw this._handleAxiosError(error, 'GitHub', 'write');
-        }
-    }
-
-    private async syncToGitee(content: string, appData: AppData): Promise<void> {
-        const token = await this.getSecret('giteeToken');
-        const gistId = appData.settings.gistId;
-
-        if (!token || !gistId) {
-            throw new SyncError('Gitee token or Gist ID is not configured.', 'config_missing');
-        }
-        
-        try {
-            await axios.patch(`https://gitee.com/api/v5/gists/${gistId}`, {
-                files: {
-                    [SyncManager.SYNC_FILENAME]: {
-                        content: content
-                    }
-                },
-                access_token: token
-            });
-        } catch (error) {
-            throw this._handleAxiosError(error, 'Gitee', 'write');
-        }
-    }
-
-    private async syncToGitLab(content: string, appData: AppData): Promise<void> {
-        const token = await this.getSecret('gitlabToken');
-        const snippetId = appData.settings.gistId;
-        const gitlabUrl = appData.settings.gitlabUrl || 'https://gitlab.com';
-
-        if (!token || !snippetId) {
-            throw new SyncError('GitLab token or Snippet ID is not configured.', 'config_missing');
-        }
-
-        try {
-            await axios.put(`${gitlabUrl}/api/v4/snippets/${snippetId}`, {
-                content: content,
-                file_name: SyncManager.SYNC_FILENAME
-            }, {
-                headers: { 'PRIVATE-TOKEN': token }
-            });
-        } catch (error) {
-            throw this._handleAxiosError(error, 'GitLab', 'write');
+    /**
+     * 上传本地数据，开启同步加密时先加密
+     * 未开启加密而云端已加密时拒绝上传，只能通过关闭同步加密把云端改为明文
+     * @param appData 要上传的数据
+     * @param remoteEncrypted 刚读取的云端是否加密，未读取时为 undefined，明文上传前会先读取云端
+     * @throws SyncError passphrase_required
+     */
+    private async uploadAppData(appData: AppData, remoteEncrypted?: boolean): Promise<void> {
+        // 回收站只保存在本地
+        const { trash: _trash, ...data } = appData;
+        let content = JSON.stringify(data, null, 4);
+
+        if (appData.settings.syncEncryption) {
+            const passphrase = await this.getSyncPassphrase();
+            if (!passphrase) {
+                throw new SyncError('已开启同步加密，但没有找到同步密码，请关闭后重新开启同步加密。', 'passphrase_required');
+            }
+            content = await encryptPayload(content, passphrase);
+        } else {
+            // Another device may have turned encryption on, don't replace its data with plaintext
+            if (remoteEncrypted ?? await this.isRemoteEncrypted(appData)) {
+                throw new SyncError('云端数据已加密，请开启同步加密并输入加密时使用的同步密码，明文数据不会覆盖云端。', 'passphrase_required');
+            }
         }
+        await this.uploadContent(content, appData);
     }
 
-    private async syncToWebDAV(content: string, appData: AppData): Promise<void> {
-        const pass = await this.getSecret('webdavPassword');
-        const url = appData.settings.webdavUrl;
-        const user = appData.settings.webdavUsername;
-
-        if (!url || !user || !pass) {
-            throw new SyncError('WebDAV configuration is incomplete.', 'config_missing');
-        }
-
-        const client: WebDAVClient = createClient(url, { username: user, password: pass });
-        const filePath = `/${SyncManager.SYNC_FILENAME}`;
-        
-        try {
-            await client.putFileContents(filePath, content, { overwrite: true });
-        } catch (error) {
-            throw new SyncError(`WebDAV write error: ${error}`, 'webdav_write_error');
-        }
+    private async isRemoteEncrypted(appData: AppData): Promise<boolean> {
+        const content = await this.fetchRemoteContent(appData);
+        return !!content && isEncryptedPayload(content);
     }
 
-    private async syncToCustomApi(content: string, appData: AppData): Promise<void> {
-        const apiKey = await this.getSecret('customApiKey');
-        const apiUrl = appData.settings.customApiUrl;
-
-        if (!apiKey || !apiUrl) {
-            throw new SyncError('Custom API key or URL is not configured.', 'config_missing');
-        }
-
-        try {
-            await axios.post(apiUrl, { content }, {
-                headers: { 'x-api-key': apiKey }
-            });
-        } catch (error) {
-            throw this._handleAxiosError(error, 'Custom API', 'write');
-        }
+    private async uploadContent(content: string, appData: AppData): Promise<void> {
+        const { provider, connection } = await this.getConnection(appData);
+        await provider.write(connection, content);
     }
 
+    /**
+     * 从云端获取数据
+     * 非强制模式下与本地三方合并（必要时会把本地的修改一并上传），只有真正的冲突才会抛出 SyncConflictError
+     * @param appData 本地数据
+     * @param force 是否直接使用云端数据覆盖本地
+     * @returns Promise<AppData> 应写回本地的数据，写入后调用 saveSyncBase
+     */
     public async syncFromCloud(appData: AppData, force: boolean = false): Promise<AppData> {
-        const remoteData = await this.getRemoteAppData(appData);
+        const remote = await this.readRemote(appData);
+        const remoteData = remote.data;
 
         if (!remoteData) {
             throw new SyncError('Could not retrieve remote data. The cloud may be empty.', 'remote_empty');
         }
 
-        if (!force) {
-            const localModified = new Date(appData.metadata.lastModified);
-            const remoteModified = new Date(remoteData.metadata.lastModified);
-
-            if (remoteModified <= localModified) {
-                throw new SyncConflictError(
-                    'Remote data is not newer than local data. Download would overwrite local changes.',
-                    appData.metadata.lastModified,
-                    remoteData.metadata.lastModified
-                );
-            }
+        if (force) {
+            // Sync settings and the trash are per machine, keep the local ones
+            return { ...remoteData, settings: appData.settings, trash: appData.trash };
         }
 
-        return remoteData;
+        const result = await this.mergeWithRemote(appData, remote);
+        if (result.status === 'conflict') {
+            throw new SyncConflictError(result.message!, result.conflicts);
+        }
+        return result.data ?? appData;
     }
 
     public async getRemoteAppData(appData: AppData): Promise<AppData | null> {
         if (!appData.settings.cloudSync || !appData.settings.syncProvider) {
             return null;
         }
+        return (await this.readRemote(appData)).data;
+    }
 
-        switch (appData.settings.syncProvider) {
-            case 'github':
-                return this.syncFromGitHub(appData);
-            case 'gitee':
-                return this.syncFromGitee(appData);
-            case 'gitlab':
-                return this.syncFromGitLab(appData);
-            case 'webdav':
-                return this.syncFromWebDAV(appData);
-            case 'custom':
-                return this.syncFromCustomApi(appData);
-            default:
-                throw new SyncError('Unsupported sync provider.', 'unsupported_provider');
+    /**
+     * 读取、解密并解析云端数据
+     * @param appData 本地数据，提供同步设置
+     * @returns Promise<RemoteSnapshot> 云端数据以及云端文件是否加密
+     */
+    private async readRemote(appData: AppData): Promise<RemoteSnapshot> {
+        let content = await this.fetchRemoteContent(appData);
+        const encrypted = !!content && isEncryptedPayload(content);
+        if (content && encrypted) {
+            const passphrase = await this.getSyncPassphrase();
+            if (!passphrase) {
+                throw new SyncError('云端数据已加密，请开启同步加密并输入加密时使用的同步密码。', 'passphrase_required');
+            }
+            content = await decryptPayload(content, passphrase);
         }
+        return { data: this.parseRemoteContent(content), encrypted };
     }
 
-    private async syncFromGitHub(appData: AppData): Promise<AppData | null> {
-        const token = await this.getSecret('githubToken');
-        const gistId = appData.settings.gistId;
+    /**
+     * 读取云端文件的原始内容，加密的内容不在这里解密
+     * @param appData 本地数据，提供同步设置
+     * @returns Promise<string | null> 云端文件内容，云端没有文件时为 null
+     */
+    private async fetchRemoteContent(appData: AppData): Promise<string | null> {
+        const { provider, connection } = await this.getConnection(appData);
+        return provider.read(connection);
+    }
 
-        if (!token || !gistId) {
-            throw new SyncError('GitHub token or Gist ID is not configured.', 'config_missing');
+    /**
+     * 解析云端内容，迁移到当前版本并校验结构
+     * 创建 Gist/Snippet 时写入的占位内容没有 prompts，视为云端还没有数据
+     * @param content 云端文件内容
+     * @returns AppData | null 云端数据，云端为空时为 null
+     * @throws SchemaValidationError 云端数据结构无效，此时不会写入任何一端
+     */
+    private parseRemoteContent(content: string | null): AppData | null {
+        if (!content || content.trim() === '') {
+            return null;
         }
-        
+
+        let data: unknown;
         try {
-            const response = await axios.get<GistGetResponse>(`https://api.github.com/gists/${gistId}`, {
-                headers: { 'Authorization': `token ${token}` }
-            });
-            const content = response.data.files[SyncManager.SYNC_FILENAME]?.content;
-            return content ? JSON.parse(content) : null;
+            data = JSON.parse(content);
         } catch (error) {
-            throw this._handleAxiosError(error, 'GitHub', 'read');
+            throw new SyncError(`云端数据不是有效的 JSON: ${error instanceof Error ? error.message : String(error)}`, 'remote_invalid_json');
         }
-    }
-
-    private async syncFromGitee(appData: AppData): Promise<AppData | null> {
-        const token = await this.getSecret('giteeToken');
-        const gistId = appData.settings.gistId;
 
-        if (!token || !gistId) {
-            throw new SyncError('Gitee token or Gist ID is not configured.', 'config_missing');
+        if (typeof data === 'object' && data !== null && !Array.isArray(data) && !('prompts' in data)) {
+            return null;
         }
+        return parseAppData(data, '云端数据');
+    }
+
+    // #endregion
 
+    // #region Subscriptions
+    /**
+     * 获取订阅的 Prompt 库，订阅是只读的，只支持不需要凭证的来源
+     * - url：直接请求 JSON 文件
+     * - gist：读取公开 GitHub Gist 中的 prompt-hub.json，没有时读取第一个 .json 文件
+     * - path：读取本地 .json 文件，相对路径相对于工作区根目录
+     * @param subscription 订阅配置
+     * @returns Promise<AppData> 校验后的数据
+     */
+    public async fetchSubscription(subscription: Subscription): Promise<AppData> {
+        const content = await this.fetchSubscriptionContent(subscription);
+        let data: unknown;
         try {
-            const response = await axios.get<GistGetResponse>(`https://gitee.com/api/v5/gists/${gistId}`, {
-                params: { access_token: token }
-            });
-            const content = response.data.files[SyncManager.SYNC_FILENAME]?.content;
-            return content ? JSON.parse(content) : null;
+            data = JSON.parse(content);
         } catch (error) {
-            throw this._handleAxiosError(error, 'Gitee', 'read');
+            throw new SyncError(`订阅「${subscription.name}」不是有效的 JSON: ${error instanceof Error ? error.message : String(error)}`, 'subscription_invalid_json');
         }
+        return parseAppData(data, `订阅「${subscription.name}」`);
     }
 
-    private async syncFromGitLab(appData: AppData): Promise<AppData | null> {
-        const token = await this.getSecret('gitlabToken');
-        const { gistId: snippetId, gitlabUrl = 'https://gitlab.com' } = appData.settings;
-
-        if (!token || !snippetId) {
-            throw new SyncError('GitLab token or Snippet ID is not configured.', 'config_missing');
+    private async fetchSubscriptionContent(subscription: Subscription): Promise<string> {
+        const { type, location, name } = subscription;
+        if (type === 'path') {
+            const baseDir = vscode.workspace.workspaceFolders?.[0]?.uri.fsPath;
+            const filePath = resolveLibraryPath(location, baseDir);
+            try {
+                return fs.readFileSync(filePath, 'utf-8');
+            } catch (error) {
+                throw new SyncError(`无法读取订阅文件 ${filePath}: ${error instanceof Error ? error.message : String(error)}`, 'subscription_read_error');
+            }
         }
 
         try {
-            const snippetInfoResponse = await axios.get<GitLabSnippetResponse>(`${gitlabUrl}/api/v4/snippets/${snippetId}`, {
-                headers: { 'PRIVATE-TOKEN': token }
-            });
-
-            const rawUrl = snippetInfoResponse.data.raw_url;
-            if (!rawUrl) {
-                throw new SyncError('Could not find raw URL for GitLab snippet.', 'gitlab_raw_url_missing');
+            if (type === 'gist') {
+                // Accept both a bare ID and a gist URL
+                const gistId = location.replace(/\/+$/, '').split('/').pop();
+                const response = await axios.get<GistGetResponse>(`https://api.github.com/gists/${gistId}`, {
+                    timeout: SyncManager.SUBSCRIPTION_TIMEOUT
+                });
+                const files = response.data.files;
+                const file = files[SYNC_FILENAME]
+                    ?? Object.entries(files).find(([fileName]) => fileName.toLowerCase().endsWith('.json'))?.[1];
+                if (!file?.content) {
+                    throw new SyncError(`Gist ${gistId} 中没有 JSON 文件。`, 'subscription_file_missing');
+                }
+                return file.content;
             }
 
-            const response = await axios.get<string>(rawUrl, {
-                headers: { 'PRIVATE-TOKEN': token }
+            const response = await axios.get<string>(location, {
+                responseType: 'text',
+                timeout: SyncManager.SUBSCRIPTION_TIMEOUT
             });
-
-            const content = response.data;
-            return content ? JSON.parse(content) : null;
+            return response.data;
         } catch (error) {
-            throw this._handleAxiosError(error, 'GitLab', 'read');
+            if (error instanceof SyncError) {
+                throw error;
+            }
+            throw handleAxiosError(error, `订阅「${name}」`, 'read');
         }
     }
-    
-    private async syncFromWebDAV(appData: AppData): Promise<AppData | null> {
-        const pass = await this.getSecret('webdavPassword');
-        const url = appData.settings.webdavUrl;
-        const user = appData.settings.webdavUsername;
+    // #endregion
 
-        if (!url || !user || !pass) {
-            throw new SyncError('WebDAV configuration is incomplete.', 'config_missing');
+    // #region Sync Reconciliation
+    /**
+     * 双向同步本地和云端数据
+     * 不会抛出异常，冲突和错误都通过返回的 status 表示
+     * @param appData 本地数据
+     * @returns Promise<SyncResult> 同步结果，本地需要更新时 data 为合并后的数据
+     */
+    public async reconcileCloudSync(appData: AppData): Promise<SyncResult> {
+        if (!appData.settings.cloudSync || !appData.settings.syncProvider) {
+            return { status: 'disabled', message: 'Cloud sync is not enabled.' };
         }
-        
-        const client: WebDAVClient = createClient(url, { username: user, password: pass });
-        const filePath = `/${SyncManager.SYNC_FILENAME}`;
 
         try {
-            if (await client.exists(filePath)) {
-                const content = await client.getFileContents(filePath, { format: "text" });
-                return content ? JSON.parse(content as string) : null;
+            const result = await this.mergeWithRemote(appData, await this.readRemote(appData));
+            if (result.status === 'conflict') {
+                console.warn(`[SyncManager] Sync conflict during reconciliation: ${result.message}`);
             }
-            return null;
+            return result;
         } catch (error) {
-            throw new SyncError(`WebDAV read error: ${error}`, 'webdav_read_error');
+            console.error(`[SyncManager] Error during sync reconciliation: ${error}`);
+            return { status: 'error', message: error instanceof Error ? error.message : String(error) };
         }
     }
-    
-    private async syncFromCustomApi(appData: AppData): Promise<AppData | null> {
-        const apiKey = await this.getSecret('customApiKey');
-        const apiUrl = appData.settings.customApiUrl;
 
-        if (!apiKey || !apiUrl) {
-            throw new SyncError('Custom API key or URL is not configured.', 'config_missing');
+    /**
+     * 按用户对每个冲突的选择完成同步
+     * 会重新获取云端数据并合并，避免使用过期的冲突信息
+     * @param appData 本地数据
+     * @param choices Prompt ID 到选择的映射
+     * @param defaultChoice 未指定选择的冲突使用的选项
+     * @returns Promise<AppData> 应写回本地的数据，写入后调用 saveSyncBase
+     */
+    public async resolveConflicts(
+        appData: AppData,
+        choices: Record<number, ConflictChoice>,
+        defaultChoice: ConflictChoice = 'local'
+    ): Promise<AppData> {
+        if (!appData.settings.cloudSync || !appData.settings.syncProvider) {
+            return appData;
         }
 
-        try {
-            const response = await axios.get(apiUrl, {
-                headers: { 'x-api-key': apiKey }
-            });
-
-            const content = response.data?.data?.content;
-            return content ? JSON.parse(content) : null;
-        } catch (error) {
-            throw this._handleAxiosError(error, 'Custom API', 'read');
+        const { data: remoteData, encrypted } = await this.readRemote(appData);
+        if (!remoteData) {
+            await this.uploadAppData(appData, encrypted);
+            return appData;
         }
+
+        const { merged, conflicts } = mergeAppData(this.getSyncBase(appData), appData, remoteData);
+        const resolved = applyConflictResolutions(merged, conflicts, choices, defaultChoice);
+        await this.uploadAppData(resolved, encrypted);
+        return resolved;
     }
-    // #endregion
 
-    // #region Sync Reconciliation
-    public async reconcileCloudSync(appData: AppData): Promise<SyncResult> {
-        if (!appData.settings.cloudSync || !appData.settings.syncProvider) {
-            return { status: 'disabled', message: 'Cloud sync is not enabled.' };
+    /**
+     * 将本地数据与云端数据三方合并，上传云端缺少的修改
+     * 本地不需要更新时在这里保存同步基准；需要更新时由调用方写入本地后再保存
+     * 存在冲突时不写入任何一端
+     */
+    private async mergeWithRemote(appData: AppData, { data: remoteData, encrypted }: RemoteSnapshot): Promise<SyncResult> {
+        if (!remoteData) {
+            // Nothing usable in the cloud yet (e.g. a freshly created gist), so we can safely upload.
+            await this.uploadAppData(appData, encrypted);
+            await this.saveSyncBase(appData);
+            return { status: 'uploaded', message: 'Initial data uploaded to cloud.' };
         }
 
-        try {
-            const remoteData = await this.getRemoteAppData(appData);
+        const { merged, conflicts, localChanged, remoteChanged } = mergeAppData(this.getSyncBase(appData), appData, remoteData);
 
-            if (!remoteData) {
-                // No remote data, so we can safely upload.
-                await this.syncToCloud(appData, true); // Force push as it's the first time
-                return { status: 'uploaded', message: 'Initial data uploaded to cloud.' };
-            }
-
-            const localModified = new Date(appData.metadata.lastModified);
-            const remoteModified = new Date(remoteData.metadata.lastModified);
+        if (conflicts.length > 0) {
+            return {
+                status: 'conflict',
+                message: `${conflicts.length} 个 Prompt 在本地和云端的修改存在冲突。`,
+                data: merged,
+                conflicts
+            };
+        }
 
-            if (localModified > remoteModified) {
-                await this.syncToCloud(appData, false);
-                return { status: 'uploaded', message: 'Local changes uploaded.' };
-            } else if (remoteModified > localModified) {
-                // This would require updating the local data, which needs to be handled by the calling code
-                return { status: 'downloaded', message: 'Remote changes available for download.' };
-            } else {
-                return { status: 'in_sync', message: 'Data is already in sync.' };
-            }
+        if (remoteChanged) {
+            await this.uploadAppData(merged, encrypted);
+        }
+        if (!localChanged) {
+            await this.saveSyncBase(merged);
+        }
 
-        } catch (error) {
-            if (error instanceof SyncConflictError) {
-                console.warn(`[SyncManager] Sync conflict during reconciliation: ${error.message}`);
-                return { status: 'conflict', message: error.message };
-            }
-            console.error(`[SyncManager] Error during sync reconciliation: ${error}`);
-            return { status: 'error', message: error instanceof Error ? error.message : String(error) };
+        if (localChanged && remoteChanged) {
+            return { status: 'merged', message: 'Local and remote changes merged.', data: merged };
+        } else if (localChanged) {
+            return { status: 'downloaded', message: 'Remote changes downloaded.', data: merged };
+        } else if (remoteChanged) {
+            return { status: 'uploaded', message: 'Local changes uploaded.' };
         }
+        return { status: 'in_sync', message: 'Data is already in sync.' };
     }
 
     /**
      * 启动自动同步debounced任务
-     * @param appData 应用数据
+     * 定时器触发时重新读取本地数据；合并期间本地又有修改时重新合并，避免用旧数据覆盖新的修改
+     * @param appData 触发同步时的数据，只用来判断是否开启了自动同步
+     * @param getAppData 读取最新的本地数据
      * @param onConflict 冲突处理回调
+     * @param onLocalChange 云端修改合并后需要写回本地时的回调
      */
     public async startAutoSync(
         appData: AppData,
-        onConflict: (message: string) => void
+        getAppData: () => Promise<AppData>,
+        onConflict: (result: SyncResult) => void,
+        onLocalChange: (data: AppData) => Promise<void>
     ): Promise<void> {
         if (!appData.settings.cloudSync || !appData.settings.autoSync) {
             return;
@@ -647,26 +514,49 @@ export class SyncManager {
         }
 
         this.syncDebouncer = setTimeout(() => {
-            this.reconcileCloudSync(appData)
-                .then(result => {
-                    if (result.status === 'conflict') {
-                        onConflict('自动同步检测到冲突，请手动同步。');
-                    }
-                })
+            this.runAutoSync(getAppData, onConflict, onLocalChange)
                 .catch(err => {
-                    if (err instanceof SyncConflictError) {
-                        console.warn('[SyncManager] Auto-sync conflict detected. Needs manual intervention.');
-                        onConflict('自动同步检测到冲突，请手动同步。');
-                    } else {
-                        console.error('[SyncManager] Auto-sync failed:', err);
-                    }
+                    console.error('[SyncManager] Auto-sync failed:', err);
                 });
         }, 5000); // 5-second debounce delay
     }
 
+    private async runAutoSync(
+        getAppData: () => Promise<AppData>,
+        onConflict: (result: SyncResult) => void,
+        onLocalChange: (data: AppData) => Promise<void>
+    ): Promise<void> {
+        for (let attempt = 0; attempt < SyncManager.AUTO_SYNC_MAX_ATTEMPTS; attempt++) {
+            const local = await getAppData();
+            if (!local.settings.cloudSync || !local.settings.autoSync) {
+                return;
+            }
+
+            const result = await this.reconcileCloudSync(local);
+            if (result.status === 'conflict') {
+                console.warn('[SyncManager] Auto-sync conflict detected. Needs manual intervention.');
+                onConflict(result);
+                return;
+            }
+            if (!result.data) {
+                return;
+            }
+
+            // 本地在合并期间被修改过，用最新的数据再合并一次
+            const latest = await getAppData();
+            if (latest.metadata.lastModified === local.metadata.lastModified) {
+                await onLocalChange(result.data);
+                return;
+            }
+        }
+        console.warn('[SyncManager] Local data kept changing during auto-sync, will retry on the next save.');
+    }
+
     public async resetCloudSync(): Promise<void> {
-        // 清除所有保存的密钥
+        // 清除所有保存的密钥、同步密码和同步基准
         await this._clearAllSecrets();
+        await this.context.secrets.delete(SyncManager.STORAGE_KEYS.SYNC_PASSPHRASE);
+        await this.clearSyncBase();
     }
 
     public dispose(): void {
@@ -0,0 +1,366 @@
+import { AppData, Prompt, PromptRevision, PromptTombstone, PromptUsage, SyncConflict } from './types';
+import { parseTemplateVariables } from './templateEngine';
+import { StorageManager } from './storageManager';
+import { mergeUsage } from './promptUsage';
+import { withCategoryAncestors } from './categoryTree';
+
+/**
+ * 同步合并 - 以上次成功同步时的快照为基准，对本地和云端数据做三方合并
+ *
+ * 规则：
+ * - 只有一端修改的 Prompt 直接采用修改后的版本
+ * - 两端修改了同一 Prompt 的不同字段时按字段合并，标签按集合合并
+ * - 两端把同一字段改成不同的值，或一端修改而另一端删除时记为冲突
+ * - 删除通过墓碑记录传播；没有基准快照时用墓碑时间判断删除是否晚于修改
+ * - 使用统计不算修改，两端新增的使用次数相加
+ * - 置顶顺序不产生冲突，两端都调整过时保留本地的顺序
+ */
+const MERGE_FIELDS = ['title', 'content', 'category', 'tags', 'isActive', 'isFavorite'] as const;
+type MergeField = typeof MERGE_FIELDS[number];
+
+const TOMBSTONE_RETENTION_DAYS = 90;
+
+export type ConflictChoice = 'local' | 'remote' | 'both';
+
+export interface MergeResult {
+    merged: AppData;
+    conflicts: SyncConflict[];
+    localChanged: boolean;  // 合并结果与本地不同，需要写回本地
+    remoteChanged: boolean; // 合并结果与云端不同，需要上传
+}
+
+interface PromptMergeOutcome {
+    prompt: Prompt | null;
+    conflict: boolean;
+    fields: string[];
+}
+
+/**
+ * 三方合并本地和云端数据
+ * 存在冲突时，合并结果中冲突的 Prompt 暂时保留本地版本
+ * @param base 上次成功同步时的数据，首次同步时为 undefined
+ * @param local 本地数据
+ * @param remote 云端数据
+ * @returns MergeResult 合并结果、冲突列表以及两端是否需要更新
+ */
+export function mergeAppData(base: AppData | undefined, local: AppData, remote: AppData): MergeResult {
+    const basePrompts = indexById(base?.prompts ?? []);
+    const localPrompts = indexById(local.prompts);
+    const remotePrompts = indexById(remote.prompts ?? []);
+    const localTombstones = indexById(local.deletedPrompts ?? []);
+    const remoteTombstones = indexById(remote.deletedPrompts ?? []);
+
+    // 保持本地顺序，云端新增的 Prompt 追加在后面
+    const ids = [...new Set([...localPrompts.keys(), ...remotePrompts.keys()])];
+    const prompts: Prompt[] = [];
+    const conflicts: SyncConflict[] = [];
+
+    for (const id of ids) {
+        const localPrompt = localPrompts.get(id) ?? null;
+        const remotePrompt = remotePrompts.get(id) ?? null;
+        const basePrompt = basePrompts.get(id) ?? null;
+        const outcome = localPrompt && remotePrompt
+            ? mergeModifiedPrompt(basePrompt, localPrompt, remotePrompt)
+            : mergeOneSidedPrompt(basePrompt, localPrompt, remotePrompt, localTombstones.get(id), remoteTombstones.get(id));
+
+        if (outcome.conflict) {
+            conflicts.push({ promptId: id, local: localPrompt, remote: remotePrompt, base: basePrompt, fields: outcome.fields });
+        }
+        if (outcome.prompt) {
+            prompts.push(outcome.prompt);
+        }
+    }
+
+    const categories = withReferencedCategories(
+        mergeStringSets(base?.categories, local.categories, remote.categories ?? []),
+        prompts
+    );
+    const merged: AppData = {
+        ...local,
+        prompts,
+        categories,
+        tagColors: mergeTagColors(base?.tagColors, local.tagColors, remote.tagColors),
+        deletedPrompts: mergeTombstones(local.deletedPrompts, remote.deletedPrompts, prompts),
+        metadata: {
+            ...local.metadata,
+            lastModified: latest(local.metadata.lastModified, remote.metadata?.lastModified),
+            totalPrompts: prompts.length
+        }
+    };
+
+    return {
+        merged,
+        conflicts,
+        localChanged: librarySignature(merged) !== librarySignature(local),
+        remoteChanged: librarySignature(merged) !== librarySignature(remote)
+    };
+}
+
+/**
+ * 按用户的选择解决冲突
+ * @param merged mergeAppData 返回的合并结果
+ * @param conflicts 冲突列表
+ * @param choices Prompt ID 到选择的映射
+ * @param defaultChoice 未指定选择的冲突使用的选项
+ * @returns AppData 解决冲突后的数据
+ */
+export function applyConflictResolutions(
+    merged: AppData,
+    conflicts: SyncConflict[],
+    choices: Record<number, ConflictChoice>,
+    defaultChoice: ConflictChoice = 'local'
+): AppData {
+    const prompts = [...merged.prompts];
+    let deletedPrompts = [...(merged.deletedPrompts ?? [])];
+    let nextId = Date.now();
+
+    for (const conflict of conflicts) {
+        const choice = choices[conflict.promptId] ?? defaultChoice;
+        const kept: Prompt[] = [];
+        if ((choice === 'local' || choice === 'both') && conflict.local) {
+            kept.push(conflict.local);
+        }
+        if ((choice === 'remote' || choice === 'both') && conflict.remote) {
+            // 同时保留两个版本时，云端版本作为新的 Prompt 加入
+            kept.push(choice === 'both' && conflict.local
+                ? { ...conflict.remote, id: nextId++, title: `${conflict.remote.title} (云端)` }
+                : conflict.remote);
+        }
+
+        const index = prompts.findIndex(p => p.id === conflict.promptId);
+        if (index > -1) {
+            prompts.splice(index, 1, ...kept);
+        } else {
+            prompts.push(...kept);
+        }
+
+        deletedPrompts = deletedPrompts.filter(t => t.id !== conflict.promptId);
+        if (!kept.some(p => p.id === conflict.promptId)) {
+            deletedPrompts.push({ id: conflict.promptId, deletedAt: new Date().toISOString() });
+        }
+    }
+
+    return {
+        ...merged,
+        prompts,
+        categories: withReferencedCategories(merged.categories, prompts),
+        deletedPrompts,
+        metadata: { ...merged.metadata, totalPrompts: prompts.length }
+    };
+}
+
+// #region Prompt Merging
+/**
+ * 合并两端都存在的 Prompt
+ */
+function mergeModifiedPrompt(base: Prompt | null, local: Prompt, remote: Prompt): PromptMergeOutcome {
+    const newer = new Date(remote.updatedAt) > new Date(local.updatedAt) ? remote : local;
+    const differingFields = MERGE_FIELDS.filter(field => !fieldEquals(field, local[field], remote[field]));
+
+    const usage = mergeUsage(base?.usage, local.usage, remote.usage);
+    const pinOrder = base && local.pinOrder === base.pinOrder ? remote.pinOrder : local.pinOrder;
+    const withUnversionedFields = (prompt: Prompt) => withMergedPinAndUsage(prompt, pinOrder, usage);
+
+    if (differingFields.length === 0) {
+        return { prompt: withUnversionedFields(withMergedRevisions(newer, local, remote)), conflict: false, fields: [] };
+    }
+    if (!base) {
+        // 两端独立创建或首次同步，无法判断哪一端的修改更新
+        return { prompt: withUnversionedFields(local), conflict: true, fields: differingFields };
+    }
+
+    const mergedFields: Partial<Record<MergeField, unknown>> = {};
+    const conflictFields: string[] = [];
+    for (const field of MERGE_FIELDS) {
+        const localValue = local[field];
+        const remoteValue = remote[field];
+        const baseValue = base[field];
+
+        if (fieldEquals(field, localValue, remoteValue) || fieldEquals(field, remoteValue, baseValue)) {
+            mergedFields[field] = localValue;
+        } else if (fieldEquals(field, localValue, baseValue)) {
+            mergedFields[field] = remoteValue;
+        } else if (field === 'tags') {
+            mergedFields[field] = mergeStringSets(base.tags ?? [], local.tags ?? [], remote.tags ?? []);
+        } else {
+            conflictFields.push(field);
+        }
+    }
+
+    if (conflictFields.length > 0) {
+        return { prompt: withUnversionedFields(local), conflict: true, fields: conflictFields };
+    }
+
+    const prompt = withUnversionedFields(withMergedRevisions({ ...newer, ...mergedFields } as Prompt, local, remote));
+    prompt.variables = parseTemplateVariables(prompt.content);
+    return { prompt, conflict: false, fields: [] };
+}
+
+/**
+ * 合并只在一端存在的 Prompt：可能是新增，也可能是另一端删除了它
+ */
+function mergeOneSidedPrompt(
+    base: Prompt | null,
+    local: Prompt | null,
+    remote: Prompt | null,
+    localTombstone?: PromptTombstone,
+    remoteTombstone?: PromptTombstone
+): PromptMergeOutcome {
+    const present = local ?? remote;
+    const tombstone = local ? remoteTombstone : localTombstone;
+    if (!present) {
+        return { prompt: null, conflict: false, fields: [] };
+    }
+    if (!base && !tombstone) {
+        return { prompt: present, conflict: false, fields: [] };
+    }
+
+    const unchangedSinceDeletion = base
+        ? isSamePrompt(present, base)
+        : new Date(present.updatedAt) <= new Date(tombstone!.deletedAt);
+    if (unchangedSinceDeletion) {
+        return { prompt: null, conflict: false, fields: [] };
+    }
+    // 一端删除、另一端修改
+    return { prompt: local, conflict: true, fields: [] };
+}
+
+function withMergedRevisions(prompt: Prompt, local: Prompt, remote: Prompt): Prompt {
+    const revisions = mergeRevisions(local.revisions ?? [], remote.revisions ?? []);
+    return revisions.length > 0 ? { ...prompt, revisions } : { ...prompt };
+}
+
+/**
+ * 合并两端的版本历史
+ * 相同的快照只保留一份，按时间排序后重新编号，尽量保留原有的版本号
+ */
+function mergeRevisions(local: PromptRevision[], remote: PromptRevision[]): PromptRevision[] {
+    const snapshots = new Map<string, PromptRevision>();
+    for (const revision of [...local, ...remote]) {
+        const { revision: _number, ...snapshot } = revision;
+        const key = JSON.stringify(snapshot);
+        if (!snapshots.has(key)) {
+            snapshots.set(key, revision);
+        }
+    }
+
+    const sorted = [...snapshots.values()]
+        .sort((a, b) => new Date(a.createdAt).getTime() - new Date(b.createdAt).getTime())
+        .slice(-StorageManager.MAX_PROMPT_REVISIONS);
+
+    let previous = 0;
+    return sorted.map(revision => {
+        previous = Math.max(previous + 1, revision.revision);
+        return { ...revision, revision: previous };
+    });
+}
+
+function withMergedPinAndUsage(prompt: Prompt, pinOrder: number | undefined, usage: PromptUsage | undefined): Prompt {
+    const result: Prompt = { ...prompt, pinOrder, usage };
+    if (pinOrder === undefined) {
+        delete result.pinOrder;
+    }
+    if (!usage) {
+        delete result.usage;
+    }
+    return result;
+}
+
+function isSamePrompt(a: Prompt, b: Prompt): boolean {
+    return MERGE_FIELDS.every(field => fieldEquals(field, a[field], b[field]));
+}
+
+function fieldEquals(field: MergeField, a: unknown, b: unknown): boolean {
+    if (field === 'isFavorite') {
+        // 没有该字段等同于未收藏
+        return !!a === !!b;
+    }
+    if (field === 'tags') {
+        // 标签顺序不影响比较
+        return JSON.stringify([...((a as string[]) ?? [])].sort()) === JSON.stringify([...((b as string[]) ?? [])].sort());
+    }
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+// #endregion
+
+// #region Helpers
+/**
+ * 三方合并字符串集合：任意一端新增的保留，任意一端删除的移除
+ * 没有基准时取并集
+ */
+function mergeStringSets(base: string[] | undefined, local: string[], remote: string[]): string[] {
+    const union = [...new Set([...local, ...remote])];
+    if (!base) {
+        return union;
+    }
+    return union.filter(item => !base.includes(item) || (local.includes(item) && remote.includes(item)));
+}
+
+/**
+ * 三方合并标签颜色：本地没有改过的标签取云端的颜色，本地改过的取本地的颜色，没有基准时以本地为准
+ */
+function mergeTagColors(
+    base: Record<string, string> | undefined,
+    local: Record<string, string> = {},
+    remote: Record<string, string> = {}
+): Record<string, string> {
+    const merged: Record<string, string> = {};
+    for (const tag of new Set([...Object.keys(local), ...Object.keys(remote)])) {
+        const color = !base
+            ? local[tag] ?? remote[tag]
+            : local[tag] === base[tag] ? remote[tag] : local[tag];
+        if (color) {
+            merged[tag] = color;
+        }
+    }
+    return merged;
+}
+
+function withReferencedCategories(categories: string[], prompts: Prompt[]): string[] {
+    return withCategoryAncestors([...categories, ...prompts.map(prompt => prompt.category)]);
+}
+
+/**
+ * 合并两端的墓碑，去掉过期的以及仍然存在的 Prompt 的墓碑
+ */
+function mergeTombstones(
+    local: PromptTombstone[] = [],
+    remote: PromptTombstone[] = [],
+    prompts: Prompt[]
+): PromptTombstone[] {
+    const cutoff = Date.now() - TOMBSTONE_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+    const existingIds = new Set(prompts.map(p => p.id));
+    const tombstones = new Map<number, PromptTombstone>();
+
+    for (const tombstone of [...local, ...remote]) {
+        const current = tombstones.get(tombstone.id);
+        if (!current || new Date(tombstone.deletedAt) > new Date(current.deletedAt)) {
+            tombstones.set(tombstone.id, tombstone);
+        }
+    }
+
+    return [...tombstones.values()].filter(t =>
+        !existingIds.has(t.id) && new Date(t.deletedAt).getTime() >= cutoff
+    );
+}
+
+/**
+ * 生成用于判断两份数据内容是否一致的签名，忽略设置和元数据
+ */
+function librarySignature(data: AppData): string {
+    const prompts = [...(data.prompts ?? [])]
+        .sort((a, b) => a.id - b.id)
+        .map(p => [p.id, ...MERGE_FIELDS.map(field => p[field]), p.updatedAt, p.revisions?.length ?? 0, p.pinOrder ?? null, p.usage?.count ?? 0, p.usage?.lastUsedAt ?? '']);
+    const deletedIds = (data.deletedPrompts ?? []).map(t => t.id).sort((a, b) => a - b);
+    const tagColors = Object.entries(data.tagColors ?? {}).sort(([a], [b]) => a.localeCompare(b));
+    return JSON.stringify({ categories: data.categories ?? [], prompts, deletedIds, tagColors });
+}
+
+function indexById<T extends { id: number }>(items: T[]): Map<number, T> {
+    return new Map(items.map(item => [Number(item.id), item]));
+}
+
+function latest(a: string, b?: string): string {
+    return b && new Date(b) > new Date(a) ? b : a;
+}
+// #endregion
@@ -0,0 +1,76 @@
+import axios from 'axios';
+import { SyncError } from '../errors';
+import { SyncProvider, handleAxiosError } from './syncProvider';
+
+/**
+ * 自定义 API - GET 读取、POST 上传，验证时以 Bearer Token 请求一次 GET
+ */
+export const customApiProvider: SyncProvider = {
+    id: 'custom',
+    label: 'Custom API',
+    description: '通过您自己的 API 端点进行同步。端点需要支持 GET (获取) 和 POST/PUT (上传) 请求。未来会提供详细的 API 规范文档。',
+    fields: [
+        {
+            key: 'customApiUrl',
+            label: 'API URL',
+            type: 'text',
+            placeholder: '支持 GET/POST 的端点',
+            prompt: '输入你的自定义API端点URL',
+            tooltip: '一个支持 `GET` 和 `POST` 请求的 API 端点。`GET` 用于下载数据，`POST` 用于上传。请求体将是 JSON 格式的数据。'
+        },
+        {
+            key: 'token',
+            label: 'API Key',
+            type: 'password',
+            placeholder: '作为 Bearer Token 发送',
+            prompt: '输入API密钥/Token'
+        }
+    ],
+    summary: '(URL: <strong>{customApiUrl}</strong>)',
+    secretKey: 'promptHub.customApiKey',
+
+    async validate({ token: key, customApiUrl: url }) {
+        if (!url) {
+            throw new SyncError('自定义 API URL 不能为空。', 'CUSTOM_API_URL_MISSING');
+        }
+
+        try {
+            await axios.get(url, {
+                headers: { 'Authorization': `Bearer ${key}` }
+            });
+        } catch (error) {
+            throw handleAxiosError(error, 'Custom API', 'test');
+        }
+        return { customApiUrl: url };
+    },
+
+    async read({ token: apiKey, customApiUrl: apiUrl }) {
+        if (!apiKey || !apiUrl) {
+            throw new SyncError('Custom API key or URL is not configured.', 'config_missing');
+        }
+
+        try {
+            const response = await axios.get(apiUrl, {
+                headers: { 'x-api-key': apiKey }
+            });
+
+            return response.data?.data?.content ?? null;
+        } catch (error) {
+            throw handleAxiosError(error, 'Custom API', 'read');
+        }
+    },
+
+    async write({ token: apiKey, customApiUrl: apiUrl }, content) {
+        if (!apiKey || !apiUrl) {
+            throw new SyncError('Custom API key or URL is not configured.', 'config_missing');
+        }
+
+        try {
+            await axios.post(apiUrl, { content }, {
+                headers: { 'x-api-key': apiKey }
+            });
+        } catch (error) {
+            throw handleAxiosError(error, 'Custom API', 'write');
+        }
+    }
+};
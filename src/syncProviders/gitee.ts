@@ -0,0 +1,99 @@
+import axios from 'axios';
+import { GistGetResponse, GiteeGistResponse } from '../types';
+import { SyncError } from '../errors';
+import { EMPTY_SYNC_CONTENT, SYNC_FILENAME, SyncProvider, handleAxiosError } from './syncProvider';
+
+const GITEE_API_URL = 'https://gitee.com/api/v5';
+
+/**
+ * Gitee Gist - 数据保存在私有 Gist 的 prompt-hub.json 中，指定的 Gist 不存在时新建一个
+ */
+export const giteeProvider: SyncProvider = {
+    id: 'gitee',
+    label: 'Gitee Gist',
+    description: '通过 Gitee Gist 同步。需要一个有 `gists` 权限的 <a href="https://gitee.com/personal_access_tokens" target="_blank">Personal Access Token</a>。了解如何 <a href="https://gitee.com/help/articles/4181" target="_blank">创建访问令牌</a>。',
+    fields: [
+        {
+            key: 'token',
+            label: 'Gitee Token',
+            type: 'password',
+            placeholder: '粘贴您的 Personal Access Token',
+            prompt: '输入你的Gitee Private Token (需要gists权限)',
+            tooltip: '需要 `gists` 权限的 Personal Access Token。这允许插件创建和管理一个私有的 Gist 来存储您的数据。您的 Token 只会安全地存储在本地。'
+        },
+        {
+            key: 'gistId',
+            label: 'Gist ID (可选)',
+            type: 'text',
+            placeholder: '关联已有的 Gist',
+            prompt: '（可选）输入现有Gist ID进行关联',
+            tooltip: 'Gitee Gist 的唯一标识符，通常是浏览器地址栏中您用户名后面的一长串字符。如果您留空，插件将自动为您创建一个新的私有 Gist 并填入其 ID。',
+            optional: true
+        }
+    ],
+    summary: '(ID: {gistId})',
+    secretKey: 'promptHub.giteeToken',
+
+    async validate({ token, gistId }) {
+        const headers = { 'Authorization': `token ${token}`, 'Content-Type': 'application/json' };
+
+        if (gistId) {
+            try {
+                await axios.get(`${GITEE_API_URL}/gists/${gistId}`, { headers });
+                return { gistId };
+            } catch (error: any) {
+                if (error.response && error.response.status === 404) {
+                    // Gist not found, fall through to create a new one
+                } else {
+                    throw handleAxiosError(error, 'Gitee', 'test');
+                }
+            }
+        }
+
+        try {
+            const createData = {
+                files: { [SYNC_FILENAME]: { content: EMPTY_SYNC_CONTENT } },
+                description: 'Prompt Hub Sync Data',
+                public: false,
+            };
+            const response = await axios.post<GiteeGistResponse>(`${GITEE_API_URL}/gists`, createData, { headers });
+            return { gistId: response.data.id };
+        } catch (error) {
+            throw handleAxiosError(error, 'Gitee', 'write');
+        }
+    },
+
+    async read({ token, gistId }) {
+        if (!token || !gistId) {
+            throw new SyncError('Gitee token or Gist ID is not configured.', 'config_missing');
+        }
+
+        try {
+            const response = await axios.get<GistGetResponse>(`${GITEE_API_URL}/gists/${gistId}`, {
+                params: { access_token: token }
+            });
+            return response.data.files[SYNC_FILENAME]?.content ?? null;
+        } catch (error) {
+            throw handleAxiosError(error, 'Gitee', 'read');
+        }
+    },
+
+    async write({ token, gistId }, content) {
+        if (!token || !gistId) {
+            throw new SyncError('Gitee token or Gist ID is not configured.', 'config_missing');
+        }
+
+        try {
+            await axios.patch(`${GITEE_API_URL}/gists/${gistId}`, {
+                files: {
+                    [SYNC_FILENAME]: {
+                        content: content
+                    }
+                },
+                access_token: token
+            });
+        } catch (error) {
+            throw handleAxiosError(error, 'Gitee', 'write');
+        }
+    }
+};
@@ -0,0 +1,102 @@
+import axios from 'axios';
+import { GistGetResponse } from '../types';
+import { SyncError } from '../errors';
+import { EMPTY_SYNC_CONTENT, SYNC_FILENAME, SyncProvider, handleAxiosError } from './syncProvider';
+
+/**
+ * GitHub Gist - 数据保存在私有 Gist 的 prompt-hub.json 中
+ */
+export const githubProvider: SyncProvider = {
+    id: 'github',
+    label: 'GitHub Gist',
+    description: '通过私人 GitHub Gist 同步。需要一个有 `gist` 权限的 <a href="https://github.com/settings/tokens" target="_blank">Personal Access Token</a>。了解如何 <a href="https://docs.github.com/cn/authentication/keeping-your-account-and-data-secure/managing-your-personal-access-tokens" target="_blank">创建访问令牌</a>。',
+    fields: [
+        {
+            key: 'token',
+            label: 'GitHub Token',
+            type: 'password',
+            placeholder: '粘贴您的 Personal Access Token',
+            prompt: '输入你的GitHub Personal Access Token (需要gist权限)',
+            tooltip: '需要 `gist` 权限的 Personal Access Token。这允许插件创建和管理一个私有的 Gist 来存储您的数据。您的 Token 只会安全地存储在本地。'
+        },
+        {
+            key: 'gistId',
+            label: 'Gist ID (可选)',
+            type: 'text',
+            placeholder: '关联已有的 Gist',
+            prompt: '（可选）输入现有Gist ID进行关联',
+            tooltip: 'Gist 的唯一标识符，通常是浏览器地址栏中您用户名后面的一长串字符。如果您留空，插件将在验证成功后自动为您创建一个新的私有 Gist 并填入其 ID。',
+            optional: true
+        }
+    ],
+    summary: '(ID: {gistId})',
+    secretKey: 'promptHub.githubToken',
+
+    async validate({ token, gistId }) {
+        const headers = { 'Authorization': `token ${token}`, 'Accept': 'application/vnd.github.v3+json' };
+
+        if (gistId) {
+            // Validate existing Gist
+            try {
+                await axios.get(`https://api.github.com/gists/${gistId}`, { headers });
+                return { gistId };
+            } catch (error) {
+                throw handleAxiosError(error, 'GitHub', 'test');
+            }
+        }
+
+        // Create new Gist
+        try {
+            const response = await axios.post('https://api.github.com/gists', {
+                description: 'Lyfe\'s Prompt Hub Sync',
+                public: false,
+                files: { [SYNC_FILENAME]: { content: EMPTY_SYNC_CONTENT } }
+            }, { headers });
+            const newGistId = response.data.id;
+            if (!newGistId) {
+                throw new Error('创建Gist成功，但未能获取Gist ID。');
+            }
+            return { gistId: newGistId };
+        } catch (error) {
+            throw handleAxiosError(error, 'GitHub', 'test');
+        }
+    },
+
+    async read({ token, gistId }) {
+        if (!token || !gistId) {
+            throw new SyncError('GitHub token or Gist ID is not configured.', 'config_missing');
+        }
+
+        try {
+            const response = await axios.get<GistGetResponse>(`https://api.github.com/gists/${gistId}`, {
+                headers: { 'Authorization': `token ${token}` }
+            });
+            return response.data.files[SYNC_FILENAME]?.content ?? null;
+        } catch (error) {
+            throw handleAxiosError(error, 'GitHub', 'read');
+        }
+    },
+
+    async write({ token, gistId }, content) {
+        if (!token || !gistId) {
+            throw new SyncError('GitHub token or Gist ID is not configured.', 'config_missing');
+        }
+
+        try {
+            await axios.patch(`https://api.github.com/gists/${gistId}`, {
+                files: {
+                    [SYNC_FILENAME]: {
+                        content: content
+                    }
+                }
+            }, {
+                headers: {
+                    'Authorization': `token ${token}`,
+                    'Accept': 'application/vnd.github.v3+json'
+                }
+            });
+        } catch (error) {
+            throw handleAxiosError(error, 'GitHub', 'write');
+        }
+    }
+};
@@ -0,0 +1,128 @@
+import axios from 'axios';
+import { GitLabSnippetResponse } from '../types';
+import { SyncError } from '../errors';
+import { EMPTY_SYNC_CONTENT, SYNC_FILENAME, SyncProvider, handleAxiosError } from './syncProvider';
+
+const DEFAULT_GITLAB_URL = 'https://gitlab.com';
+
+/**
+ * GitLab Snippets - 数据保存在私有 Snippet 中，支持自建实例，指定的 Snippet 不存在时新建一个
+ */
+export const gitlabProvider: SyncProvider = {
+    id: 'gitlab',
+    label: 'GitLab Snippets',
+    description: '通过 GitLab Snippet 同步。如果使用自建实例，请提供实例 URL。Token 需要 `api` 权限。点此 <a href="https://gitlab.com/-/user_settings/personal_access_tokens" target="_blank">创建访问令牌</a>。查看 <a href="https://docs.gitlab.com/ee/user/profile/personal_access_tokens.html" target="_blank">官方文档</a>。',
+    fields: [
+        {
+            key: 'gitlabUrl',
+            label: 'GitLab URL (可选)',
+            type: 'text',
+            placeholder: '自建实例 URL (留空则使用官方 gitlab.com)',
+            prompt: '输入你的GitLab实例URL，如果使用gitlab.com请留空',
+            tooltip: '如果您使用自建的 GitLab 实例，请在此处填写其根 URL，例如 `https://gitlab.yourcompany.com`。如果留空，将默认使用官方的 `https://gitlab.com`。',
+            optional: true
+        },
+        {
+            key: 'token',
+            label: 'GitLab Token',
+            type: 'password',
+            placeholder: '粘贴您的 Personal Access Token',
+            prompt: '输入你的GitLab Personal Access Token (需要api scope)',
+            tooltip: '需要 `api` 权限的 Personal Access Token。这允许插件创建和管理一个私有的 Snippet。您的 Token 只会安全地存储在本地。'
+        },
+        {
+            key: 'gistId',
+            label: 'Snippet ID (可选)',
+            type: 'text',
+            placeholder: '关联已有的 Snippet',
+            prompt: '（可选）输入现有Snippet ID进行关联',
+            tooltip: 'GitLab Snippet 的唯一标识符，通常是浏览器地址栏中 `/-/snippets/` 后面的一串数字。如果您留空，插件将自动为您创建一个新的私有 Snippet 并填入其 ID。',
+            optional: true
+        }
+    ],
+    summary: '(Snippet: {gistId} @ {gitlabUrl})',
+    secretKey: 'promptHub.gitlabToken',
+
+    async validate({ token, gistId: snippetId, gitlabUrl }) {
+        const url = gitlabUrl || DEFAULT_GITLAB_URL;
+        const apiUrl = url.endsWith('/') ? `${url}api/v4` : `${url}/api/v4`;
+        const headers = { 'PRIVATE-TOKEN': token, 'Content-Type': 'application/json' };
+
+        if (snippetId) {
+            try {
+                await axios.get(`${apiUrl}/snippets/${snippetId}`, { headers });
+                return { gistId: snippetId, gitlabUrl: url };
+            } catch (error: any) {
+                if (error.response && error.response.status === 404) {
+                    // Snippet not found, fall through to create a new one
+                } else {
+                    throw handleAxiosError(error, 'GitLab', 'test');
+                }
+            }
+        }
+
+        // Create a new snippet if no ID is provided or the existing one is not found
+        try {
+            const createData = {
+                title: 'Prompt Hub Sync Data',
+                file_name: SYNC_FILENAME,
+                content: EMPTY_SYNC_CONTENT,
+                visibility: 'private' as const
+            };
+
+            const response = await axios.post<GitLabSnippetResponse>(`${apiUrl}/snippets`, createData, { headers });
+
+            if (response.data && response.data.id) {
+                return { gistId: response.data.id.toString(), gitlabUrl: url };
+            } else {
+                throw new Error('Failed to create GitLab snippet: Invalid response from server.');
+            }
+        } catch (error) {
+            throw handleAxiosError(error, 'GitLab', 'write');
+        }
+    },
+
+    async read({ token, gistId: snippetId, gitlabUrl = DEFAULT_GITLAB_URL }) {
+        if (!token || !snippetId) {
+            throw new SyncError('GitLab token or Snippet ID is not configured.', 'config_missing');
+        }
+
+        try {
+            const snippetInfoResponse = await axios.get<GitLabSnippetResponse>(`${gitlabUrl}/api/v4/snippets/${snippetId}`, {
+                headers: { 'PRIVATE-TOKEN': token }
+            });
+
+            const rawUrl = snippetInfoResponse.data.raw_url;
+            if (!rawUrl) {
+                throw new SyncError('Could not find raw URL for GitLab snippet.', 'gitlab_raw_url_missing');
+            }
+
+            // Ask for text so axios doesn't parse the JSON before it is validated
+            const response = await axios.get<string>(rawUrl, {
+                headers: { 'PRIVATE-TOKEN': token },
+                responseType: 'text'
+            });
+
+            return response.data || null;
+        } catch (error) {
+            throw handleAxiosError(error, 'GitLab', 'read');
+        }
+    },
+
+    async write({ token, gistId: snippetId, gitlabUrl }, content) {
+        if (!token || !snippetId) {
+            throw new SyncError('GitLab token or Snippet ID is not configured.', 'config_missing');
+        }
+
+        try {
+            await axios.put(`${gitlabUrl || DEFAULT_GITLAB_URL}/api/v4/snippets/${snippetId}`, {
+                content: content,
+                file_name: SYNC_FILENAME
+            }, {
+                headers: { 'PRIVATE-TOKEN': token }
+            });
+        } catch (error) {
+            throw handleAxiosError(error, 'GitLab', 'write');
+        }
+    }
+};
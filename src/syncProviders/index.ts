@@ -0,0 +1,40 @@
+import { SyncProvider, SyncProviderDescriptor } from './syncProvider';
+import { githubProvider } from './github';
+import { giteeProvider } from './gitee';
+import { gitlabProvider } from './gitlab';
+import { webdavProvider } from './webdav';
+import { customApiProvider } from './customApi';
+
+export * from './syncProvider';
+
+/**
+ * 云同步服务商注册表
+ *
+ * 新增服务商只需要实现 SyncProvider 并在这里注册，设置页的表单和命令面板的输入流程都由字段描述生成
+ * 注册顺序就是服务商在下拉框中的顺序
+ */
+const providers = new Map<string, SyncProvider>();
+
+export function registerSyncProvider(provider: SyncProvider): void {
+    if (providers.has(provider.id)) {
+        throw new Error(`Sync provider "${provider.id}" is already registered.`);
+    }
+    providers.set(provider.id, provider);
+}
+
+export function getSyncProvider(id: string | null | undefined): SyncProvider | undefined {
+    return id ? providers.get(id) : undefined;
+}
+
+export function getSyncProviders(): SyncProvider[] {
+    return [...providers.values()];
+}
+
+/**
+ * 发送给 webview 的服务商描述，不包含方法和 SecretStorage 的键名
+ */
+export function getSyncProviderDescriptors(): SyncProviderDescriptor[] {
+    return getSyncProviders().map(({ id, label, description, fields, summary }) => ({ id, label, description, fields, summary }));
+}
+
+[githubProvider, giteeProvider, gitlabProvider, webdavProvider, customApiProvider].forEach(registerSyncProvider);
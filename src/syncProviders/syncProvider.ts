@@ -0,0 +1,89 @@
+import axios, { AxiosError } from 'axios';
+import { AppData } from '../types';
+import { SyncError } from '../errors';
+
+/**
+ * 云同步服务商接口 - 每个服务商负责验证配置、读取和写入云端文件，并描述配置表单
+ *
+ * 约定：
+ * - 凭证（Token、密码等）统一通过 token 字段传入，由 SyncManager 保存在 SecretStorage 中
+ * - 其余配置保存在 AppData.settings 中，字段名与表单字段的 key 相同
+ * - 云端文件的内容由 SyncManager 负责序列化、加密和解析，服务商只读写原始字符串
+ */
+export const SYNC_FILENAME = 'prompt-hub.json';
+// 新建 Gist/Snippet 时写入的占位内容，首次同步时会被本地数据覆盖
+export const EMPTY_SYNC_CONTENT = '{}';
+
+/**
+ * 保存在 settings 中的服务商配置字段
+ */
+export const SYNC_SETTINGS_KEYS = ['gistId', 'gitlabUrl', 'webdavUrl', 'webdavUsername', 'customApiUrl'] as const;
+export type SyncSettingsKey = typeof SYNC_SETTINGS_KEYS[number];
+export type SyncSettings = Pick<AppData['settings'], SyncSettingsKey>;
+
+/**
+ * 连接云端所需的全部配置：settings 中的字段加上凭证
+ */
+export type SyncConnection = SyncSettings & { token: string };
+
+export interface SyncProviderField {
+    key: 'token' | SyncSettingsKey;
+    label: string;
+    type: 'text' | 'password';
+    placeholder?: string;
+    prompt?: string;     // 命令面板中输入框的提示，未指定时使用 label
+    tooltip?: string;    // 表单中问号图标的说明
+    optional?: boolean;
+}
+
+/**
+ * 发送给 webview 的服务商描述，只包含可以序列化的字段
+ */
+export interface SyncProviderDescriptor {
+    id: string;
+    label: string;
+    description: string;  // 表单顶部的说明，可以包含链接
+    fields: SyncProviderField[];
+    summary: string;      // 已连接时显示的详情，{key} 替换为 settings 中的值
+}
+
+export interface SyncProvider extends SyncProviderDescriptor {
+    secretKey: string;    // 凭证在 SecretStorage 中的键名
+    /**
+     * 验证配置，必要时在云端创建同步文件
+     * @returns 需要保存到 settings 中的配置
+     */
+    validate(connection: SyncConnection): Promise<SyncSettings>;
+    /**
+     * 读取云端文件的原始内容，云端没有文件时返回 null
+     */
+    read(connection: SyncConnection): Promise<string | null>;
+    write(connection: SyncConnection, content: string): Promise<void>;
+}
+
+/**
+ * 把 axios 错误转换为带错误码的 SyncError
+ * @param error 捕获的错误
+ * @param provider 显示在消息中的服务商名称
+ * @param operation 出错的操作
+ */
+export function handleAxiosError(error: any, provider: string, operation: 'read' | 'write' | 'test'): SyncError {
+    if (axios.isAxiosError(error)) {
+        const err = error as AxiosError;
+        const status = err.response?.status;
+        switch (status) {
+            case 401:
+                return new SyncError(`${provider} 凭证无效或已过期，请检查 Token/密码。`, 'INVALID_CREDENTIALS');
+            case 403:
+                return new SyncError(`您没有权限访问此 ${provider} 资源，请检查权限设置。`, 'FORBIDDEN');
+            case 404:
+                return new SyncError(`${provider} ${operation === 'read' ? '资源' : 'Gist/Snippet'} 未找到，请检查 ID 或 URL。`, 'NOT_FOUND');
+            default:
+                if (err.request) {
+                    return new SyncError(`无法连接到 ${provider} 服务器，请检查网络连接或 ${provider} URL。`, 'CONNECTION_FAILED');
+                }
+                return new SyncError(`${provider} 请求失败: ${err.message}`, 'REQUEST_FAILED');
+        }
+    }
+    return new SyncError(`${provider} 发生未知错误: ${error.message}`, 'UNKNOWN_ERROR');
+}
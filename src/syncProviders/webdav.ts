@@ -0,0 +1,98 @@
+// @ts-ignore
+import { createClient, WebDAVClient } from 'webdav';
+import { SyncError } from '../errors';
+import { SYNC_FILENAME, SyncProvider } from './syncProvider';
+
+/**
+ * WebDAV - 数据保存在 WebDAV 目录下的 prompt-hub.json 中，凭证为 WebDAV 密码
+ */
+export const webdavProvider: SyncProvider = {
+    id: 'webdav',
+    label: 'WebDAV',
+    description: '通过 WebDAV 服务器同步数据。不知道如何配置？查看 <a href="https://help.jianguoyun.com/p/694/" target="_blank">坚果云</a>, <a href="https://www.synology.cn/zh-cn/knowledgebase/DSM/tutorial/File_Sharing/How_to_access_files_on_Synology_NAS_with_WebDAV" target="_blank">群晖 NAS</a>, 或 <a href="https://docs.nextcloud.com/server/latest/user_manual/en/files/access_webdav.html" target="_blank">Nextcloud</a> 的设置教程。',
+    fields: [
+        {
+            key: 'webdavUrl',
+            label: 'WebDAV URL',
+            type: 'text',
+            placeholder: '例如: https://dav.example.com/remote.php/dav/files/user',
+            prompt: '输入你的WebDAV服务器URL',
+            tooltip: '您的 WebDAV 服务器的完整访问地址，通常以 `/remote.php/dav/files/` 或类似路径结尾。插件将在此目录下创建一个 `prompt-hub.json` 文件用于同步。'
+        },
+        {
+            key: 'webdavUsername',
+            label: 'WebDAV 用户名',
+            type: 'text',
+            prompt: '输入WebDAV用户名'
+        },
+        {
+            key: 'token',
+            label: 'WebDAV 密码',
+            type: 'password',
+            prompt: '输入WebDAV密码'
+        }
+    ],
+    summary: '({webdavUsername}@{webdavUrl})',
+    secretKey: 'promptHub.webdavPassword',
+
+    async validate({ token: pass, webdavUrl: url, webdavUsername: user }) {
+        if (!url || !user) {
+            throw new SyncError('WebDAV URL 和用户名不能为空。', 'WEBDAV_CONFIG_MISSING');
+        }
+
+        const client: WebDAVClient = createClient(url, { username: user, password: pass });
+        const testFilePath = `/.prompt-hub-test-${Date.now()}.tmp`;
+        try {
+            // Attempt to write a temporary file to test permissions
+            await client.putFileContents(testFilePath, 'test');
+            // Attempt to delete the temporary file
+            await client.deleteFile(testFilePath);
+        } catch (error: any) {
+            console.error('[WebDAV Test] Error:', error.message);
+            // Try to clean up even if there was an error
+            try {
+                if (await client.exists(testFilePath)) {
+                    await client.deleteFile(testFilePath);
+                }
+            } catch (cleanupError) {
+                // Ignore cleanup errors
+            }
+            throw new SyncError('Failed to verify WebDAV server access. Check URL, credentials, and permissions.', 'AUTH_ERROR');
+        }
+        return { webdavUrl: url, webdavUsername: user };
+    },
+
+    async read({ token: pass, webdavUrl: url, webdavUsername: user }) {
+        if (!url || !user || !pass) {
+            throw new SyncError('WebDAV configuration is incomplete.', 'config_missing');
+        }
+
+        const client: WebDAVClient = createClient(url, { username: user, password: pass });
+        const filePath = `/${SYNC_FILENAME}`;
+
+        try {
+            if (await client.exists(filePath)) {
+                const content = await client.getFileContents(filePath, { format: "text" });
+                return (content as string) || null;
+            }
+            return null;
+        } catch (error) {
+            throw new SyncError(`WebDAV read error: ${error}`, 'webdav_read_error');
+        }
+    },
+
+    async write({ token: pass, webdavUrl: url, webdavUsername: user }, content) {
+        if (!url || !user || !pass) {
+            throw new SyncError('WebDAV configuration is incomplete.', 'config_missing');
+        }
+
+        const client: WebDAVClient = createClient(url, { username: user, password: pass });
+        const filePath = `/${SYNC_FILENAME}`;
+
+        try {
+            await client.putFileContents(filePath, content, { overwrite: true });
+        } catch (error) {
+            throw new SyncError(`WebDAV write error: ${error}`, 'webdav_write_error');
+        }
+    }
+};
@@ -0,0 +1,84 @@
+import { PromptVariable } from './types';
+
+/**
+ * 模板引擎 - 负责解析和渲染 Prompt 中的模板变量
+ *
+ * 支持的语法：
+ * - `{{name}}`            普通变量
+ * - `{{name=默认值}}`      带默认值的变量
+ * - `{{name|选项A|选项B}}`  带可选值列表的变量（默认取第一个选项）
+ * - `{{name=B|A|B|C}}`     同时指定默认值和可选值列表
+ */
+const VARIABLE_PATTERN = /\{\{\s*([^\s{}=|]+)\s*(?:=([^{}|]*))?((?:\|[^{}|]*)*)\}\}/g;
+
+/**
+ * 从 Prompt 内容中解析出所有模板变量
+ * 同名变量只保留一个，后出现的声明只会补全前面缺失的默认值和选项
+ * @param content Prompt 内容
+ * @returns PromptVariable[] 按首次出现顺序排列的变量列表
+ */
+export function parseTemplateVariables(content: string): PromptVariable[] {
+    const variables = new Map<string, PromptVariable>();
+    if (!content) {
+        return [];
+    }
+
+    for (const match of content.matchAll(VARIABLE_PATTERN)) {
+        const [, name, rawDefault, rawChoices] = match;
+        const defaultValue = rawDefault !== undefined ? rawDefault.trim() : undefined;
+        const choices = rawChoices
+            ? rawChoices.split('|').map(c => c.trim()).filter(c => c !== '')
+            : [];
+
+        const existing = variables.get(name);
+        if (existing) {
+            if (existing.defaultValue === undefined && defaultValue !== undefined) {
+                existing.defaultValue = defaultValue;
+            }
+            if (!existing.choices && choices.length > 0) {
+                existing.choices = choices;
+            }
+            continue;
+        }
+
+        const variable: PromptVariable = { name };
+        if (defaultValue !== undefined) {
+            variable.defaultValue = defaultValue;
+        }
+        if (choices.length > 0) {
+            variable.choices = choices;
+        }
+        variables.set(name, variable);
+    }
+
+    return Array.from(variables.values());
+}
+
+/**
+ * 获取变量在未填写时使用的值
+ * @param variable 模板变量
+ * @returns string 默认值、第一个选项或空字符串
+ */
+export function getVariableFallback(variable: PromptVariable): string {
+    if (variable.defaultValue !== undefined) {
+        return variable.defaultValue;
+    }
+    return variable.choices?.[0] ?? '';
+}
+
+/**
+ * 使用填写的值渲染 Prompt 内容
+ * @param content Prompt 内容
+ * @param values 变量名到填写值的映射，缺失的变量使用默认值
+ * @returns string 渲染后的最终文本
+ */
+export function renderTemplate(content: string, values: Record<string, string> = {}): string {
+    const variables = new Map(parseTemplateVariables(content).map(v => [v.name, v]));
+    return content.replace(VARIABLE_PATTERN, (_match, name: string) => {
+        if (Object.prototype.hasOwnProperty.call(values, name)) {
+            return values[name];
+        }
+        const variable = variables.get(name);
+        return variable ? getVariableFallback(variable) : '';
+    });
+}
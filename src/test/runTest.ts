@@ -0,0 +1,20 @@
+import * as path from 'path';
+import { runTests } from '@vscode/test-electron';
+
+/**
+ * 下载 VS Code 并在扩展宿主中运行 suite 下的测试
+ */
+async function main() {
+    try {
+        // 包含 package.json 的扩展根目录
+        const extensionDevelopmentPath = path.resolve(__dirname, '../../');
+        const extensionTestsPath = path.resolve(__dirname, './suite/index');
+
+        await runTests({ extensionDevelopmentPath, extensionTestsPath });
+    } catch (err) {
+        console.error('Failed to run tests:', err);
+        process.exit(1);
+    }
+}
+
+main();
@@ -0,0 +1,69 @@
+import * as assert from 'assert';
+import { CURRENT_SCHEMA_VERSION, parseAppData } from '../../appDataSchema';
+import { SchemaValidationError } from '../../errors';
+import { BASE_TIME, makeAppData, makePrompt } from './fixtures';
+
+suite('appDataSchema', () => {
+    suite('migrations', () => {
+        test('upgrades 1.0.0 data to the current version', () => {
+            const data = {
+                prompts: [{ id: '3', title: 'Old prompt', content: 'Hello', category: ' Work / Email ' }],
+                categories: ['Personal'],
+                settings: { autoBackup: false, backupInterval: 60, cloudSync: false, autoSync: false, syncProvider: null, workspaceMode: false },
+                metadata: { version: '1.0.0', lastModified: BASE_TIME, totalPrompts: 1 }
+            };
+
+            const parsed = parseAppData(data);
+            const [prompt] = parsed.prompts;
+
+            assert.strictEqual(parsed.metadata.version, CURRENT_SCHEMA_VERSION);
+            assert.deepStrictEqual(parsed.deletedPrompts, []);
+            assert.strictEqual(prompt.id, 3);
+            assert.strictEqual(prompt.category, 'Work/Email');
+            assert.deepStrictEqual(prompt.tags, []);
+            assert.strictEqual(prompt.isActive, true);
+            assert.strictEqual(prompt.createdAt, BASE_TIME);
+            assert.strictEqual(prompt.updatedAt, BASE_TIME);
+            assert.deepStrictEqual(parsed.categories, ['Personal', 'Work', 'Work/Email']);
+            assert.strictEqual(parsed.settings.autoBackup, false);
+        });
+
+        test('upgrades data without metadata and fills in default settings', () => {
+            const parsed = parseAppData({ prompts: [{ id: 1, title: 'Legacy', content: '' }] });
+
+            assert.strictEqual(parsed.metadata.version, CURRENT_SCHEMA_VERSION);
+            assert.strictEqual(parsed.metadata.totalPrompts, 1);
+            assert.deepStrictEqual(parsed.categories, []);
+            assert.strictEqual(parsed.settings.cloudSync, false);
+            assert.strictEqual(parsed.prompts[0].isActive, true);
+        });
+
+        test('leaves current data unchanged', () => {
+            const data = makeAppData([makePrompt(1, { category: 'Work' })], { categories: ['Work'], deletedPrompts: [] });
+
+            assert.deepStrictEqual(parseAppData(JSON.parse(JSON.stringify(data))), data);
+        });
+    });
+
+    suite('validation', () => {
+        test('rejects data from a newer version', () => {
+            const data = makeAppData([]);
+            data.metadata.version = '99.0.0';
+
+            assert.throws(() => parseAppData(data), (error: unknown) =>
+                error instanceof SchemaValidationError && error.issues[0].path === 'metadata.version'
+            );
+        });
+
+        test('reports the path of invalid fields', () => {
+            const data: any = makeAppData([makePrompt(1), makePrompt(1)]);
+            data.prompts[0].title = 42;
+
+            assert.throws(() => parseAppData(data), (error: unknown) => {
+                assert.ok(error instanceof SchemaValidationError);
+                assert.deepStrictEqual(error.issues.map(issue => issue.path), ['prompts[0].title', 'prompts[1].id']);
+                return true;
+            });
+        });
+    });
+});
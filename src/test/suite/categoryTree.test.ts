@@ -0,0 +1,39 @@
+import * as assert from 'assert';
+import {
+    getCategoryAncestors,
+    isInCategorySubtree,
+    moveCategoryPath,
+    normalizeCategoryPath,
+    withCategoryAncestors
+} from '../../categoryTree';
+
+suite('categoryTree', () => {
+    test('normalizes spaces and empty levels', () => {
+        assert.strictEqual(normalizeCategoryPath(' 开发 / /后端/ 代码审查 /'), '开发/后端/代码审查');
+        assert.strictEqual(normalizeCategoryPath(' / '), '');
+    });
+
+    test('lists ancestors from the top level down', () => {
+        assert.deepStrictEqual(getCategoryAncestors('a/b/c'), ['a', 'a/b']);
+        assert.deepStrictEqual(getCategoryAncestors('a'), []);
+    });
+
+    test('treats a shared prefix outside the subtree as a different category', () => {
+        assert.strictEqual(isInCategorySubtree('开发', '开发'), true);
+        assert.strictEqual(isInCategorySubtree('开发/后端', '开发'), true);
+        assert.strictEqual(isInCategorySubtree('开发工具', '开发'), false);
+    });
+
+    test('moves only paths inside the subtree', () => {
+        assert.strictEqual(moveCategoryPath('开发/后端', '开发', '工程'), '工程/后端');
+        assert.strictEqual(moveCategoryPath('开发', '开发', '工程/开发'), '工程/开发');
+        assert.strictEqual(moveCategoryPath('开发工具', '开发', '工程'), '开发工具');
+    });
+
+    test('adds missing ancestors before their first descendant and removes duplicates', () => {
+        assert.deepStrictEqual(
+            withCategoryAncestors(['Home', 'Work / Code/Review', 'Work', 'Home ', '']),
+            ['Home', 'Work', 'Work/Code', 'Work/Code/Review']
+        );
+    });
+});
@@ -0,0 +1,90 @@
+import * as vscode from 'vscode';
+import { AppData, Prompt } from '../../types';
+import { CURRENT_SCHEMA_VERSION } from '../../appDataSchema';
+
+/**
+ * 测试用的数据构造函数，未指定的字段使用固定的默认值
+ */
+export const BASE_TIME = '2024-01-01T00:00:00.000Z';
+
+export function makePrompt(id: number, fields: Partial<Prompt> = {}): Prompt {
+    return {
+        id,
+        title: `Prompt ${id}`,
+        content: `Content ${id}`,
+        category: '',
+        tags: [],
+        isActive: true,
+        createdAt: BASE_TIME,
+        updatedAt: BASE_TIME,
+        ...fields
+    };
+}
+
+export function makeAppData(prompts: Prompt[], fields: Partial<AppData> = {}): AppData {
+    return {
+        prompts,
+        categories: [],
+        settings: {
+            autoBackup: true,
+            backupInterval: 30,
+            cloudSync: false,
+            autoSync: false,
+            syncProvider: null,
+            workspaceMode: false
+        },
+        metadata: {
+            version: CURRENT_SCHEMA_VERSION,
+            lastModified: BASE_TIME,
+            totalPrompts: prompts.length
+        },
+        ...fields
+    };
+}
+
+/**
+ * 距现在指定天数的时间，墓碑按当前时间过期，需要用相对时间
+ */
+export function daysAgo(days: number): string {
+    return new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+}
+
+class MemoryMemento {
+    private values = new Map<string, unknown>();
+
+    keys(): readonly string[] {
+        return [...this.values.keys()];
+    }
+
+    get<T>(key: string, defaultValue?: T): T | undefined {
+        return this.values.has(key) ? this.values.get(key) as T : defaultValue;
+    }
+
+    async update(key: string, value: unknown): Promise<void> {
+        if (value === undefined) {
+            this.values.delete(key);
+        } else {
+            // Mementos store JSON, so later changes to the object must not leak in
+            this.values.set(key, JSON.parse(JSON.stringify(value)));
+        }
+    }
+
+    setKeysForSync(): void {}
+}
+
+/**
+ * 只在内存中保存状态和密钥的扩展上下文，供需要 ExtensionContext 的管理器使用
+ */
+export function makeExtensionContext(): vscode.ExtensionContext {
+    const secrets = new Map<string, string>();
+    return {
+        subscriptions: [],
+        globalState: new MemoryMemento(),
+        workspaceState: new MemoryMemento(),
+        secrets: {
+            get: async (key: string) => secrets.get(key),
+            store: async (key: string, value: string) => { secrets.set(key, value); },
+            delete: async (key: string) => { secrets.delete(key); }
+        }
+    } as unknown as vscode.ExtensionContext;
+}
@@ -0,0 +1,92 @@
+import * as assert from 'assert';
+import { buildImportPlan, ImportChoice, matchImportedPrompts } from '../../importMerge';
+import { makeAppData, makePrompt } from './fixtures';
+
+const REVIEW = 'Review the following code for bugs, naming problems and missing tests, then suggest fixes.';
+
+suite('importMerge', () => {
+    suite('matchImportedPrompts', () => {
+        test('matches the same ID when the title is unchanged', () => {
+            const current = makeAppData([makePrompt(1, { title: 'Review', content: REVIEW })]);
+            const incoming = makeAppData([makePrompt(1, { title: 'Review', content: 'Completely rewritten.' })]);
+
+            const [match] = matchImportedPrompts(current, incoming);
+
+            assert.strictEqual(match.matchedBy, 'id');
+            assert.strictEqual(match.existing.id, 1);
+            assert.strictEqual(match.identical, false);
+        });
+
+        test('treats the same ID with unrelated content as a collision', () => {
+            const current = makeAppData([makePrompt(1, { title: 'Review', content: REVIEW })]);
+            const incoming = makeAppData([makePrompt(1, { title: 'Translate', content: 'Translate this text into English.' })]);
+
+            assert.deepStrictEqual(matchImportedPrompts(current, incoming), []);
+        });
+
+        test('finds a prompt with the same content apart from case and whitespace under another ID', () => {
+            const current = makeAppData([makePrompt(1, { content: REVIEW }), makePrompt(2, { content: 'Something else entirely.' })]);
+            const incoming = makeAppData([makePrompt(50, { content: `  ${REVIEW.toUpperCase().replace(/ /g, '\n')}` })]);
+
+            const [match] = matchImportedPrompts(current, incoming);
+
+            assert.strictEqual(match.matchedBy, 'content');
+            assert.strictEqual(match.existing.id, 1);
+            assert.strictEqual(match.similarity, 1);
+        });
+
+        test('matches each existing prompt at most once', () => {
+            const current = makeAppData([makePrompt(1, { content: REVIEW })]);
+            const incoming = makeAppData([makePrompt(10, { content: REVIEW }), makePrompt(11, { content: REVIEW })]);
+
+            assert.deepStrictEqual(matchImportedPrompts(current, incoming).map(m => m.incoming.id), [10]);
+        });
+    });
+
+    suite('buildImportPlan', () => {
+        const current = makeAppData([makePrompt(1, { title: 'Review', content: REVIEW, tags: ['code'] })], {
+            categories: ['Work'],
+            deletedPrompts: [{ id: 5, deletedAt: new Date().toISOString() }]
+        });
+
+        test('applies the choice made for each match', () => {
+            const incoming = makeAppData([makePrompt(1, { title: 'Review', content: REVIEW, tags: ['code', 'team'], category: 'Shared' })]);
+            const matches = matchImportedPrompts(current, incoming);
+
+            const plan = (choice: ImportChoice) => buildImportPlan(current, incoming, matches, {}, choice);
+
+            const skip = plan('skip');
+            const overwrite = plan('overwrite');
+            const mergeTags = plan('mergeTags');
+            const keepBoth = plan('keepBoth');
+
+            assert.strictEqual(skip.summary.skipped, 1);
+            assert.deepStrictEqual(skip.plan.categories, []);
+            assert.deepStrictEqual(overwrite.plan.overwrite.map(p => p.id), [1]);
+            assert.deepStrictEqual(overwrite.plan.categories, ['Shared']);
+            assert.deepStrictEqual(mergeTags.plan.mergeTags, [{ id: 1, tags: ['code', 'team'] }]);
+            assert.strictEqual(keepBoth.plan.add.length, 1);
+            assert.notStrictEqual(keepBoth.plan.add[0].id, 1);
+            assert.strictEqual(keepBoth.plan.add[0].title, 'Review (导入)');
+            assert.strictEqual(keepBoth.summary.remapped, 1);
+        });
+
+        test('gives new prompts a free ID when theirs is taken by a prompt or a tombstone', () => {
+            const incoming = makeAppData([
+                makePrompt(1, { title: 'Translate', content: 'Translate this text into English.' }),
+                makePrompt(5, { title: 'Summarize', content: 'Summarize the meeting notes.', category: 'Work' }),
+                makePrompt(7, { title: 'Explain', content: 'Explain the error message.' })
+            ]);
+
+            const { plan, summary } = buildImportPlan(current, incoming, matchImportedPrompts(current, incoming), {});
+            const ids = plan.add.map(p => p.id);
+
+            assert.strictEqual(summary.added, 3);
+            assert.strictEqual(summary.remapped, 2);
+            assert.strictEqual(ids[2], 7);
+            assert.ok(!ids.includes(1) && !ids.includes(5));
+            assert.strictEqual(new Set(ids).size, 3);
+            assert.deepStrictEqual(plan.categories, []);
+        });
+    });
+});
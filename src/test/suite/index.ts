@@ -0,0 +1,28 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import Mocha from 'mocha';
+
+/**
+ * 扩展宿主中的测试入口，运行本目录下所有 *.test.js
+ */
+export function run(): Promise<void> {
+    const mocha = new Mocha({ ui: 'tdd', color: true });
+
+    fs.readdirSync(__dirname)
+        .filter(file => file.endsWith('.test.js'))
+        .forEach(file => mocha.addFile(path.resolve(__dirname, file)));
+
+    return new Promise((resolve, reject) => {
+        try {
+            mocha.run(failures => {
+                if (failures > 0) {
+                    reject(new Error(`${failures} tests failed.`));
+                } else {
+                    resolve();
+                }
+            });
+        } catch (err) {
+            reject(err);
+        }
+    });
+}
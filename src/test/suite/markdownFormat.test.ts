@@ -0,0 +1,54 @@
+import * as assert from 'assert';
+import { parsePromptFile, serializePrompt } from '../../markdownFormat';
+import { makePrompt } from './fixtures';
+
+suite('markdownFormat', () => {
+    test('round-trips a prompt through serializePrompt and parsePromptFile', () => {
+        const prompt = makePrompt(7, {
+            title: 'Review: "API" # notes',
+            content: '---\nFirst line\n\n  indented {{name=默认值}}\n',
+            category: 'Work/Code review',
+            tags: ['review', 'a, b', '中文'],
+            isFavorite: true,
+            pinOrder: 2
+        });
+
+        const { data, content } = parsePromptFile(serializePrompt(prompt));
+
+        assert.strictEqual(content, prompt.content);
+        assert.deepStrictEqual(data, {
+            id: 7,
+            title: prompt.title,
+            category: prompt.category,
+            tags: prompt.tags,
+            isActive: true,
+            isFavorite: true,
+            pinOrder: 2,
+            createdAt: prompt.createdAt,
+            updatedAt: prompt.updatedAt
+        });
+    });
+
+    test('omits optional fields that are not set', () => {
+        const { data } = parsePromptFile(serializePrompt(makePrompt(1, { isActive: false })));
+
+        assert.strictEqual(data.isActive, false);
+        assert.strictEqual('isFavorite' in data, false);
+        assert.strictEqual('pinOrder' in data, false);
+    });
+
+    test('keeps empty content and content without a trailing newline', () => {
+        for (const text of ['', 'single line', 'ends with blank\n\n']) {
+            const { content } = parsePromptFile(serializePrompt(makePrompt(1, { content: text })));
+            assert.strictEqual(content, text);
+        }
+    });
+
+    test('reads files written by hand with CRLF line endings', () => {
+        const { data, content } = parsePromptFile('---\r\nid: 3\r\ntitle: Hand written\r\n---\r\n\r\nBody\r\n');
+
+        assert.strictEqual(data.id, 3);
+        assert.strictEqual(data.title, 'Hand written');
+        assert.strictEqual(content, 'Body');
+    });
+});
@@ -0,0 +1,117 @@
+import * as assert from 'assert';
+import {
+    convertMarkdownFile,
+    convertRuleFile,
+    convertTableRows,
+    COPILOT_PROMPT_CATEGORY,
+    CURSOR_RULE_CATEGORY,
+    getImportFormat,
+    guessColumnMapping,
+    parseDelimited,
+    toImportData
+} from '../../promptImporters';
+import { serializePrompt } from '../../markdownFormat';
+import { makePrompt } from './fixtures';
+
+suite('promptImporters', () => {
+    test('detects the format from the file name', () => {
+        assert.deepStrictEqual(
+            ['a.JSON', 'a.csv', 'a.tsv', 'rule.mdc', 'review.prompt.md', 'notes.md', 'a.txt'].map(getImportFormat),
+            ['json', 'csv', 'tsv', 'cursorRule', 'copilotPrompt', 'markdown', null]
+        );
+    });
+
+    suite('CSV/TSV', () => {
+        test('parses quoted fields with separators, newlines and escaped quotes', () => {
+            const rows = parseDelimited('﻿title,prompt\r\n"A, B","Line 1\nSay ""hi"""\r\n\r\nPlain,text');
+
+            assert.deepStrictEqual(rows, [
+                ['title', 'prompt'],
+                ['A, B', 'Line 1\nSay "hi"'],
+                ['Plain', 'text']
+            ]);
+        });
+
+        test('picks semicolons when the header uses them and honours an explicit delimiter', () => {
+            assert.deepStrictEqual(parseDelimited('a;b;c,d\n1;2;3'), [['a', 'b', 'c,d'], ['1', '2', '3']]);
+            assert.deepStrictEqual(parseDelimited('a\tb\n1\t2', '\t'), [['a', 'b'], ['1', '2']]);
+        });
+
+        test('maps known headers and requires a content column', () => {
+            assert.deepStrictEqual(guessColumnMapping(['Act', 'Prompt', '标签']), { title: 0, content: 1, category: undefined, tags: 2 });
+            assert.strictEqual(guessColumnMapping(['title', 'notes']), null);
+        });
+
+        test('converts rows, deriving missing titles and splitting tags', () => {
+            const long = 'x'.repeat(50);
+            const prompts = convertTableRows([
+                ['', `\n${long}\nsecond line`, 'Work', 'a, b；c'],
+                ['Empty', '   ', '', '']
+            ], { title: 0, content: 1, category: 2, tags: 3 });
+
+            assert.deepStrictEqual(prompts, [{
+                title: `${'x'.repeat(40)}...`,
+                content: `${long}\nsecond line`,
+                category: 'Work',
+                tags: ['a', 'b', 'c']
+            }]);
+        });
+    });
+
+    suite('rule files', () => {
+        test('turns Cursor rule front matter into tags', () => {
+            const prompt = convertRuleFile({
+                fileName: '.cursor/rules/typescript.mdc',
+                content: '---\ndescription: TypeScript style\nglobs: src/**/*.ts, test/**/*.ts\nalwaysApply: true\nlegacy: false\n---\n\nUse strict types.\n'
+            }, 'cursorRule');
+
+            assert.deepStrictEqual(prompt, {
+                title: 'TypeScript style',
+                content: 'Use strict types.',
+                category: CURSOR_RULE_CATEGORY,
+                tags: ['globs:src/**/*.ts', 'globs:test/**/*.ts', 'alwaysApply']
+            });
+        });
+
+        test('uses the file name as the title of a Copilot prompt without a description', () => {
+            const prompt = convertRuleFile({ fileName: 'prompts\\review.prompt.md', content: '---\nmode: agent\n---\nReview it.' }, 'copilotPrompt');
+
+            assert.strictEqual(prompt.title, 'review');
+            assert.strictEqual(prompt.category, COPILOT_PROMPT_CATEGORY);
+            assert.deepStrictEqual(prompt.tags, ['mode:agent']);
+        });
+    });
+
+    test('reads an exported Markdown file back', () => {
+        const exported = makePrompt(9, { title: 'Exported', category: 'Work', tags: ['a'], isActive: false });
+
+        const prompt = convertMarkdownFile({ fileName: 'exported.md', content: serializePrompt(exported) });
+
+        assert.deepStrictEqual(prompt, {
+            id: 9,
+            title: 'Exported',
+            content: exported.content,
+            category: 'Work',
+            tags: ['a'],
+            isActive: false,
+            createdAt: exported.createdAt,
+            updatedAt: exported.updatedAt
+        });
+        assert.strictEqual(convertMarkdownFile({ fileName: 'dir/notes.md', content: 'Just text' }).title, 'notes');
+    });
+
+    test('toImportData assigns free IDs and collects categories in order', () => {
+        const { prompts, categories } = toImportData([
+            { title: 'A', content: 'a', category: 'Work' },
+            { id: 3, title: 'B', content: 'b' },
+            { title: 'C', content: 'c', category: 'Home' },
+            { title: 'D', content: 'd', category: 'Work', isActive: false }
+        ]);
+
+        assert.strictEqual(new Set(prompts.map(p => p.id)).size, 4);
+        assert.strictEqual(prompts[1].id, 3);
+        assert.deepStrictEqual(prompts.map(p => p.isActive), [true, true, true, false]);
+        assert.deepStrictEqual(prompts[1].tags, []);
+        assert.deepStrictEqual(categories, ['Work', 'Home']);
+    });
+});
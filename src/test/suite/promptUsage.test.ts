@@ -0,0 +1,58 @@
+import * as assert from 'assert';
+import { mergeUsage, recordUsage, toDayKey, USAGE_HISTORY_DAYS } from '../../promptUsage';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+suite('promptUsage', () => {
+    const today = toDayKey(new Date());
+    const yesterday = toDayKey(new Date(Date.now() - DAY_MS));
+
+    test('recordUsage counts the use and drops days older than the history window', () => {
+        const now = new Date();
+        const old = toDayKey(new Date(now.getTime() - (USAGE_HISTORY_DAYS + 5) * DAY_MS));
+
+        const usage = recordUsage({ count: 4, lastUsedAt: new Date(0).toISOString(), daily: { [old]: 3, [today]: 1 } }, now);
+
+        assert.deepStrictEqual(usage, { count: 5, lastUsedAt: now.toISOString(), daily: { [today]: 2 } });
+    });
+
+    suite('mergeUsage', () => {
+        test('adds the uses made on each side since the base', () => {
+            const base = { count: 3, lastUsedAt: '2024-01-01T00:00:00.000Z', daily: { [yesterday]: 3 } };
+            const local = { count: 5, lastUsedAt: '2024-01-03T00:00:00.000Z', daily: { [yesterday]: 3, [today]: 2 } };
+            const remote = { count: 4, lastUsedAt: '2024-01-02T00:00:00.000Z', daily: { [yesterday]: 4 } };
+
+            assert.deepStrictEqual(mergeUsage(base, local, remote), {
+                count: 6,
+                lastUsedAt: local.lastUsedAt,
+                daily: { [yesterday]: 4, [today]: 2 }
+            });
+        });
+
+        test('never goes below either side when the base is ahead of them', () => {
+            const base = { count: 10, lastUsedAt: '2024-01-01T00:00:00.000Z', daily: {} };
+            const local = { count: 2, lastUsedAt: '2024-01-01T00:00:00.000Z', daily: {} };
+            const remote = { count: 3, lastUsedAt: '2024-01-02T00:00:00.000Z', daily: {} };
+
+            assert.strictEqual(mergeUsage(base, local, remote)?.count, 3);
+        });
+
+        test('takes the larger value of each side without a base', () => {
+            const local = { count: 2, lastUsedAt: '2024-01-01T00:00:00.000Z', daily: { [today]: 2 } };
+            const remote = { count: 7, lastUsedAt: '2024-01-02T00:00:00.000Z', daily: { [today]: 1, [yesterday]: 6 } };
+
+            assert.deepStrictEqual(mergeUsage(undefined, local, remote), {
+                count: 7,
+                lastUsedAt: remote.lastUsedAt,
+                daily: { [today]: 2, [yesterday]: 6 }
+            });
+        });
+
+        test('keeps whichever side has usage', () => {
+            const usage = { count: 1, lastUsedAt: '2024-01-01T00:00:00.000Z', daily: {} };
+
+            assert.strictEqual(mergeUsage(usage, undefined, usage), usage);
+            assert.strictEqual(mergeUsage(undefined, undefined, undefined), undefined);
+        });
+    });
+});
@@ -0,0 +1,102 @@
+import * as assert from 'assert';
+import { SyncManager } from '../../syncManager';
+import { SyncError } from '../../errors';
+import { encryptPayload, isEncryptedPayload } from '../../syncEncryption';
+import { getSyncProvider, registerSyncProvider } from '../../syncProviders';
+import { AppData, Prompt } from '../../types';
+import { makeAppData, makeExtensionContext, makePrompt } from './fixtures';
+
+// 把云端文件保存在内存中的服务商
+const MEMORY_PROVIDER_ID = 'test-memory';
+let remoteContent: string | null = null;
+let remoteReads = 0;
+
+function makeSyncedData(prompts: Prompt[]): AppData {
+    const data = makeAppData(prompts);
+    data.settings = { ...data.settings, cloudSync: true, syncProvider: MEMORY_PROVIDER_ID };
+    return data;
+}
+
+function remotePromptIds(): number[] {
+    return (JSON.parse(remoteContent!) as AppData).prompts.map(p => p.id).sort();
+}
+
+suite('SyncManager', () => {
+    let syncManager: SyncManager;
+
+    suiteSetup(() => {
+        if (!getSyncProvider(MEMORY_PROVIDER_ID)) {
+            registerSyncProvider({
+                id: MEMORY_PROVIDER_ID,
+                label: 'Memory',
+                description: '',
+                fields: [],
+                summary: '',
+                secretKey: 'promptHub.testMemoryToken',
+                validate: async () => ({}),
+                read: async () => {
+                    remoteReads++;
+                    return remoteContent;
+                },
+                write: async (_connection, content) => {
+                    remoteContent = content;
+                }
+            });
+        }
+    });
+
+    setup(() => {
+        remoteContent = null;
+        remoteReads = 0;
+        syncManager = new SyncManager(makeExtensionContext());
+    });
+
+    test('keeps prompts added remotely when local data changes before the merge is applied', async () => {
+        const p1 = makePrompt(1);
+        await syncManager.saveSyncBase(makeSyncedData([p1]));
+        // Another machine added prompt 2
+        remoteContent = JSON.stringify(makeSyncedData([p1, makePrompt(2)]));
+
+        const first = await syncManager.reconcileCloudSync(makeSyncedData([p1]));
+        assert.strictEqual(first.status, 'downloaded');
+
+        // The user added prompt 3 before the merged data was written locally, so the merge runs again
+        const second = await syncManager.reconcileCloudSync(makeSyncedData([p1, makePrompt(3)]));
+
+        assert.strictEqual(second.status, 'merged');
+        assert.deepStrictEqual(second.data?.prompts.map(p => p.id).sort(), [1, 2, 3]);
+        assert.deepStrictEqual(remotePromptIds(), [1, 2, 3]);
+    });
+
+    test('is in sync once the merged data has been applied', async () => {
+        const p1 = makePrompt(1);
+        await syncManager.saveSyncBase(makeSyncedData([p1]));
+        remoteContent = JSON.stringify(makeSyncedData([p1, makePrompt(2)]));
+
+        const result = await syncManager.reconcileCloudSync(makeSyncedData([p1]));
+        await syncManager.saveSyncBase(result.data!);
+
+        const again = await syncManager.reconcileCloudSync(result.data!);
+        assert.strictEqual(again.status, 'in_sync');
+    });
+
+    test('reads the remote once when merging and uploading', async () => {
+        await syncManager.saveSyncBase(makeSyncedData([]));
+        remoteContent = JSON.stringify(makeSyncedData([makePrompt(1)]));
+
+        const result = await syncManager.reconcileCloudSync(makeSyncedData([makePrompt(2)]));
+
+        assert.strictEqual(result.status, 'merged');
+        assert.strictEqual(remoteReads, 1);
+    });
+
+    test('refuses to upload plaintext over an encrypted remote', async () => {
+        remoteContent = await encryptPayload(JSON.stringify(makeSyncedData([])), 'correct horse');
+
+        const result = await syncManager.syncToCloud(makeSyncedData([makePrompt(1)]), true).catch(error => error);
+
+        assert.ok(result instanceof SyncError);
+        assert.strictEqual(result.code, 'passphrase_required');
+        assert.ok(isEncryptedPayload(remoteContent!));
+    });
+});
@@ -0,0 +1,155 @@
+import * as assert from 'assert';
+import { mergeAppData } from '../../syncMerge';
+import { daysAgo, makeAppData, makePrompt } from './fixtures';
+
+suite('syncMerge', () => {
+    suite('tombstones', () => {
+        test('removes a prompt deleted on the other side and left unchanged locally', () => {
+            const prompt = makePrompt(1);
+            const base = makeAppData([prompt]);
+            const local = makeAppData([prompt]);
+            const remote = makeAppData([], { deletedPrompts: [{ id: 1, deletedAt: daysAgo(1) }] });
+
+            const result = mergeAppData(base, local, remote);
+
+            assert.deepStrictEqual(result.conflicts, []);
+            assert.deepStrictEqual(result.merged.prompts, []);
+            assert.deepStrictEqual(result.merged.deletedPrompts?.map(t => t.id), [1]);
+            assert.strictEqual(result.localChanged, true);
+        });
+
+        test('reports a conflict when one side deleted a prompt the other side modified', () => {
+            const base = makeAppData([makePrompt(1)]);
+            const local = makeAppData([makePrompt(1, { title: 'Edited', updatedAt: daysAgo(1) })]);
+            const remote = makeAppData([], { deletedPrompts: [{ id: 1, deletedAt: daysAgo(2) }] });
+
+            const result = mergeAppData(base, local, remote);
+
+            assert.strictEqual(result.conflicts.length, 1);
+            assert.strictEqual(result.conflicts[0].promptId, 1);
+            assert.strictEqual(result.conflicts[0].remote, null);
+        });
+
+        test('uses the tombstone time when there is no base snapshot', () => {
+            const remote = makeAppData([], {
+                deletedPrompts: [
+                    { id: 1, deletedAt: daysAgo(1) },
+                    { id: 2, deletedAt: daysAgo(3) }
+                ]
+            });
+            const local = makeAppData([
+                makePrompt(1, { updatedAt: daysAgo(2) }),
+                makePrompt(2, { updatedAt: daysAgo(2) })
+            ]);
+
+            const result = mergeAppData(undefined, local, remote);
+
+            // Prompt 2 was edited after the deletion, it stays until the conflict is resolved
+            assert.deepStrictEqual(result.merged.prompts.map(p => p.id), [2]);
+            assert.deepStrictEqual(result.conflicts.map(c => c.promptId), [2]);
+        });
+
+        test('drops tombstones of prompts that still exist and expired tombstones', () => {
+            const local = makeAppData([makePrompt(1)], {
+                deletedPrompts: [
+                    { id: 1, deletedAt: daysAgo(1) },
+                    { id: 2, deletedAt: daysAgo(1) },
+                    { id: 3, deletedAt: daysAgo(365) }
+                ]
+            });
+            const remote = makeAppData([makePrompt(1)]);
+
+            const result = mergeAppData(makeAppData([makePrompt(1)]), local, remote);
+
+            assert.deepStrictEqual(result.merged.deletedPrompts?.map(t => t.id), [2]);
+        });
+    });
+
+    suite('fields', () => {
+        test('merges changes to different fields without a conflict', () => {
+            const base = makeAppData([makePrompt(1, { tags: ['a'] })]);
+            const local = makeAppData([makePrompt(1, { title: 'Local title', tags: ['a', 'b'], updatedAt: daysAgo(2) })]);
+            const remote = makeAppData([makePrompt(1, { content: 'Remote content', tags: ['a', 'c'], updatedAt: daysAgo(1) })]);
+
+            const result = mergeAppData(base, local, remote);
+            const [merged] = result.merged.prompts;
+
+            assert.deepStrictEqual(result.conflicts, []);
+            assert.strictEqual(merged.title, 'Local title');
+            assert.strictEqual(merged.content, 'Remote content');
+            assert.deepStrictEqual([...merged.tags].sort(), ['a', 'b', 'c']);
+            assert.strictEqual(result.localChanged, true);
+            assert.strictEqual(result.remoteChanged, true);
+        });
+
+        test('reports a conflict when both sides changed the same field', () => {
+            const base = makeAppData([makePrompt(1)]);
+            const local = makeAppData([makePrompt(1, { title: 'Local' })]);
+            const remote = makeAppData([makePrompt(1, { title: 'Remote' })]);
+
+            const result = mergeAppData(base, local, remote);
+
+            assert.deepStrictEqual(result.conflicts.map(c => c.fields), [['title']]);
+            assert.strictEqual(result.merged.prompts[0].title, 'Local');
+        });
+    });
+
+    suite('usage', () => {
+        test('adds the uses recorded on each side since the last sync', () => {
+            const usage = (count: number, lastUsedAt: string) => ({ count, lastUsedAt, daily: {} });
+            const base = makeAppData([makePrompt(1, { usage: usage(2, daysAgo(10)) })]);
+            const local = makeAppData([makePrompt(1, { usage: usage(5, daysAgo(1)) })]);
+            const remote = makeAppData([makePrompt(1, { usage: usage(4, daysAgo(2)) })]);
+
+            const result = mergeAppData(base, local, remote);
+            const merged = result.merged.prompts[0];
+
+            assert.deepStrictEqual(result.conflicts, []);
+            assert.strictEqual(merged.usage?.count, 7);
+            assert.strictEqual(merged.usage?.lastUsedAt, local.prompts[0].usage?.lastUsedAt);
+            assert.strictEqual(merged.updatedAt, local.prompts[0].updatedAt);
+        });
+
+        test('takes the larger count without a base snapshot', () => {
+            const local = makeAppData([makePrompt(1, { usage: { count: 3, lastUsedAt: daysAgo(1), daily: {} } })]);
+            const remote = makeAppData([makePrompt(1, { usage: { count: 6, lastUsedAt: daysAgo(2), daily: {} } })]);
+
+            const result = mergeAppData(undefined, local, remote);
+
+            assert.strictEqual(result.merged.prompts[0].usage?.count, 6);
+        });
+    });
+
+    suite('pin order', () => {
+        test('takes the remote order when only the remote changed it', () => {
+            const base = makeAppData([makePrompt(1, { pinOrder: 1 })]);
+            const local = makeAppData([makePrompt(1, { pinOrder: 1 })]);
+            const remote = makeAppData([makePrompt(1, { pinOrder: 3 })]);
+
+            const result = mergeAppData(base, local, remote);
+
+            assert.strictEqual(result.merged.prompts[0].pinOrder, 3);
+        });
+
+        test('keeps the local order when both sides changed it', () => {
+            const base = makeAppData([makePrompt(1, { pinOrder: 1 })]);
+            const local = makeAppData([makePrompt(1, { pinOrder: 2 })]);
+            const remote = makeAppData([makePrompt(1, { pinOrder: 3 })]);
+
+            const result = mergeAppData(base, local, remote);
+
+            assert.deepStrictEqual(result.conflicts, []);
+            assert.strictEqual(result.merged.prompts[0].pinOrder, 2);
+        });
+
+        test('unpins when the remote unpinned and the local order is unchanged', () => {
+            const base = makeAppData([makePrompt(1, { pinOrder: 1 })]);
+            const local = makeAppData([makePrompt(1, { pinOrder: 1 })]);
+            const remote = makeAppData([makePrompt(1)]);
+
+            const result = mergeAppData(base, local, remote);
+
+            assert.strictEqual('pinOrder' in result.merged.prompts[0], false);
+        });
+    });
+});
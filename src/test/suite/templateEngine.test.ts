@@ -0,0 +1,54 @@
+import * as assert from 'assert';
+import { getVariableFallback, parseTemplateVariables, renderTemplate } from '../../templateEngine';
+
+suite('templateEngine', () => {
+    suite('parseTemplateVariables', () => {
+        test('reads names, defaults and choices in order of first use', () => {
+            const variables = parseTemplateVariables('{{ lang = TypeScript }} {{tone|正式|随意}} {{level=B|A|B|C}} {{topic}}');
+
+            assert.deepStrictEqual(variables, [
+                { name: 'lang', defaultValue: 'TypeScript' },
+                { name: 'tone', choices: ['正式', '随意'] },
+                { name: 'level', defaultValue: 'B', choices: ['A', 'B', 'C'] },
+                { name: 'topic' }
+            ]);
+        });
+
+        test('fills in a missing default or choices from later uses of the same name', () => {
+            const variables = parseTemplateVariables('{{name}} {{name=Ada}} {{name=Bob|x|y}}');
+
+            assert.deepStrictEqual(variables, [{ name: 'name', defaultValue: 'Ada', choices: ['x', 'y'] }]);
+        });
+
+        test('ignores text that is not a variable', () => {
+            assert.deepStrictEqual(parseTemplateVariables('{{}} {{two words}} {single} ${selection}'), []);
+            assert.deepStrictEqual(parseTemplateVariables(''), []);
+        });
+    });
+
+    suite('renderTemplate', () => {
+        test('uses filled values, then defaults, then the first choice', () => {
+            const content = 'Write {{lang=TypeScript}} in a {{tone|formal|casual}} tone about {{topic}}.';
+
+            assert.strictEqual(renderTemplate(content), 'Write TypeScript in a formal tone about .');
+            assert.strictEqual(
+                renderTemplate(content, { lang: 'Go', tone: 'casual', topic: 'tests' }),
+                'Write Go in a casual tone about tests.'
+            );
+        });
+
+        test('keeps an explicitly empty value and does not expand variables inside values', () => {
+            assert.strictEqual(renderTemplate('[{{a=x}}] {{b}}', { a: '', b: '{{a}}' }), '[] {{a}}');
+        });
+
+        test('leaves context variables for the editor to resolve', () => {
+            assert.strictEqual(renderTemplate('${selection} {{x=1}}'), '${selection} 1');
+        });
+    });
+
+    test('getVariableFallback prefers the default over the first choice', () => {
+        assert.strictEqual(getVariableFallback({ name: 'a', defaultValue: 'B', choices: ['A', 'B'] }), 'B');
+        assert.strictEqual(getVariableFallback({ name: 'a', choices: ['A', 'B'] }), 'A');
+        assert.strictEqual(getVariableFallback({ name: 'a' }), '');
+    });
+});
@@ -0,0 +1,89 @@
+import * as assert from 'assert';
+import { StorageManager } from '../../storageManager';
+import { addToTrash, pruneTrash } from '../../trash';
+import { BASE_TIME, daysAgo, makeAppData, makeExtensionContext, makePrompt } from './fixtures';
+
+suite('trash', () => {
+    test('keeps only the latest deletion of each prompt, newest first', () => {
+        const trash = addToTrash([{ prompt: makePrompt(1), deletedAt: daysAgo(3) }, { prompt: makePrompt(2), deletedAt: daysAgo(2) }], [makePrompt(1, { title: 'Again' })], daysAgo(0));
+
+        assert.deepStrictEqual(trash.map(entry => entry.prompt.title), ['Again', 'Prompt 2']);
+    });
+
+    test('drops prompts deleted before the retention period', () => {
+        const trash = [{ prompt: makePrompt(1), deletedAt: daysAgo(29) }, { prompt: makePrompt(2), deletedAt: daysAgo(31) }];
+
+        assert.deepStrictEqual(pruneTrash(trash, 30).map(entry => entry.prompt.id), [1]);
+    });
+
+    suite('StorageManager', () => {
+        let storage: StorageManager;
+
+        setup(async () => {
+            storage = new StorageManager(makeExtensionContext());
+            await storage.saveAppData(makeAppData([
+                makePrompt(1, { category: 'Work/Code', tags: ['review', 'team'] }),
+                makePrompt(2, { category: 'Work', tags: ['review'] }),
+                makePrompt(3, { category: 'Home' })
+            ], { categories: ['Home', 'Work', 'Work/Code'], tagColors: { review: '#ff0000' } }));
+        });
+
+        test('moves deleted prompts to the trash and leaves a tombstone for sync', async () => {
+            await storage.deletePrompts([1, 3]);
+            const data = await storage.getAppData();
+
+            assert.deepStrictEqual(data.prompts.map(p => p.id), [2]);
+            assert.deepStrictEqual(data.trash?.map(entry => entry.prompt.id), [1, 3]);
+            assert.deepStrictEqual(data.deletedPrompts?.map(t => t.id), [1, 3]);
+        });
+
+        test('undoing a deletion restores only what is still in the trash', async () => {
+            const undo = await storage.deletePrompts([1, 3]);
+            await storage.purgeTrash([3]);
+
+            await storage.undo(undo);
+            const data = await storage.getAppData();
+
+            assert.deepStrictEqual(data.prompts.map(p => p.title), ['Prompt 2', 'Prompt 1']);
+            assert.deepStrictEqual(data.trash, []);
+            // The tombstone stays, so the restored prompt gets a new ID that sync does not treat as deleted
+            assert.ok(!data.deletedPrompts?.some(t => t.id === data.prompts[1].id));
+        });
+
+        test('deleting a tag records a revision and undo adds it back with its color', async () => {
+            const undo = await storage.deleteTag('review');
+            let data = await storage.getAppData();
+
+            assert.deepStrictEqual(data.prompts.map(p => p.tags), [['team'], [], []]);
+            assert.strictEqual(data.tagColors?.review, undefined);
+            assert.notStrictEqual(data.prompts[0].updatedAt, BASE_TIME);
+            assert.strictEqual(data.prompts[0].revisions?.at(-1)?.note, '删除标签');
+            assert.strictEqual(data.prompts[2].updatedAt, BASE_TIME);
+
+            await storage.undo(undo);
+            data = await storage.getAppData();
+
+            assert.deepStrictEqual(data.prompts.map(p => p.tags), [['team', 'review'], ['review'], []]);
+            assert.strictEqual(data.tagColors?.review, '#ff0000');
+            assert.strictEqual(data.prompts[1].revisions?.at(-1)?.note, '撤销删除标签');
+        });
+
+        test('undoing a category deletion moves back only prompts that were not moved since', async () => {
+            const undo = await storage.deleteCategory('Work', 'Home');
+            let data = await storage.getAppData();
+
+            assert.deepStrictEqual(data.categories, ['Home']);
+            assert.deepStrictEqual(data.prompts.map(p => p.category), ['Home', 'Home', 'Home']);
+            assert.strictEqual(data.prompts[0].revisions?.at(-1)?.note, '删除分类');
+            assert.strictEqual(data.prompts[2].updatedAt, BASE_TIME);
+
+            await storage.movePrompts([2], 'Other');
+            await storage.undo(undo);
+            data = await storage.getAppData();
+
+            assert.deepStrictEqual(data.categories, ['Home', 'Work', 'Work/Code', 'Other']);
+            assert.deepStrictEqual(data.prompts.map(p => p.category), ['Work/Code', 'Other', 'Home']);
+            assert.strictEqual(data.prompts[0].revisions?.at(-1)?.note, '撤销删除分类');
+        });
+    });
+});
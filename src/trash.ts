@@ -0,0 +1,38 @@
+import { Prompt, TrashedPrompt } from './types';
+
+/**
+ * 回收站 - 删除的 Prompt 先放入回收站，可以恢复或彻底删除
+ *
+ * 规则：
+ * - 同一个 ID 在回收站中只保留最近删除的一份
+ * - 超过保留天数的 Prompt 在读取数据时清除
+ * - 回收站只保存在本地，删除仍然通过墓碑同步到其他设备
+ */
+export const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+/**
+ * 把 Prompt 放入回收站
+ * @param trash 原来的回收站
+ * @param prompts 删除的 Prompt
+ * @param deletedAt 删除时间
+ * @returns TrashedPrompt[] 新的回收站，最近删除的在前面
+ */
+export function addToTrash(trash: TrashedPrompt[] | undefined, prompts: Prompt[], deletedAt: string): TrashedPrompt[] {
+    const ids = new Set(prompts.map(p => p.id));
+    return [
+        ...prompts.map(prompt => ({ prompt, deletedAt })),
+        ...(trash ?? []).filter(entry => !ids.has(entry.prompt.id))
+    ];
+}
+
+/**
+ * 清除超过保留天数的 Prompt
+ * @param trash 回收站
+ * @param retentionDays 保留天数
+ * @param now 当前时间
+ * @returns TrashedPrompt[] 仍在保留期内的 Prompt
+ */
+export function pruneTrash(trash: TrashedPrompt[], retentionDays: number, now: Date = new Date()): TrashedPrompt[] {
+    const cutoff = now.getTime() - retentionDays * 24 * 60 * 60 * 1000;
+    return trash.filter(entry => new Date(entry.deletedAt).getTime() >= cutoff);
+}
@@ -1,4 +1,26 @@
 // #region Interfaces
+export interface PromptVariable {
+    name: string;
+    defaultValue?: string;
+    choices?: string[];
+}
+
+export interface PromptRevision {
+    revision: number;
+    title: string;
+    content: string;
+    category: string;
+    tags: string[];
+    note?: string;
+    createdAt: string;
+}
+
+export interface PromptUsage {
+    count: number;
+    lastUsedAt: string;
+    daily: Record<string, number>;  // YYYY-MM-DD（本地日期）到当天使用次数，只保留最近的一段时间
+}
+
 export interface Prompt {
     id: number;
     title: string;
@@ -6,21 +28,51 @@ export interface Prompt {
     category: string;
     tags: string[];
     isActive: boolean;
+    isFavorite?: boolean;
+    pinOrder?: number;  // 置顶时的顺序，数值小的排在前面，未置顶时没有该字段
     createdAt: string;
     updatedAt: string;
+    variables?: PromptVariable[];
+    revisions?: PromptRevision[];
+    usage?: PromptUsage;  // 复制或插入的次数，不影响 updatedAt
 }
 
+export interface PromptTombstone {
+    id: number;
+    deletedAt: string;
+}
+
+export interface TrashedPrompt {
+    prompt: Prompt;
+    deletedAt: string;
+}
+
+/**
+ * 撤销一次删除所需的信息，由 StorageManager 的删除方法返回
+ */
+export type UndoAction =
+    | { type: 'restorePrompts'; promptIds: number[]; categories?: string[] }
+    | { type: 'restoreCategory'; categories: string[]; order: string[]; prompts: Array<{ id: number; category: string }>; movedTo: string }
+    | { type: 'restoreTag'; tag: string; promptIds: number[]; color?: string };
+
 export interface AppData {
     prompts: Prompt[];
     categories: string[];
+    deletedPrompts?: PromptTombstone[];
+    trash?: TrashedPrompt[];  // 回收站，超过保留天数的 Prompt 在读取时清除
+    tagColors?: Record<string, string>;  // 标签名到颜色（#rrggbb），在 Prompt 列表中显示
     settings: {
         autoBackup: boolean;
         backupInterval: number; // minutes
         cloudSync: boolean;
         autoSync: boolean;
-        syncProvider: 'github' | 'gitee' | 'gitlab' | 'webdav' | 'custom' | null;
+        syncProvider: string | null;  // syncProviders 中注册的服务商 ID
         workspaceMode: boolean;
+        folderMode?: boolean;  // 与 workspaceMode 同时开启时，Prompt 和分类保存在工作区的 .prompthub 文件夹中
+        teamLibraries?: TeamLibrary[];
+        subscriptions?: Subscription[];
         isValidated?: boolean;
+        syncEncryption?: boolean;  // 上传前用同步密码加密，密码保存在 SecretStorage 中
         gistId?: string; 
         gitlabUrl?: string;
         webdavUrl?: string;
@@ -66,26 +118,131 @@ export interface WebDAVClientOptions {
     authType?: any; // from webdav package
 }
 
+export type StorageMode = 'global' | 'workspace' | 'folder';
+
+export interface TeamLibrary {
+    name: string;
+    path: string;  // Markdown 文件夹或 .json 文件，相对路径相对于工作区根目录
+}
+
+export type SubscriptionType = 'url' | 'gist' | 'path';
+
+export interface Subscription {
+    id: string;
+    name: string;
+    type: SubscriptionType;
+    location: string;    // URL、Gist ID 或本地 .json 文件路径
+}
+
+export interface SubscriptionChange {
+    added: string[];     // Prompt 标题
+    updated: string[];
+    removed: string[];
+}
+
+export interface SubscriptionCache {
+    prompts: Prompt[];
+    categories: string[];
+    fetchedAt?: string;         // 最近一次成功获取的时间
+    error?: string;             // 最近一次获取失败的原因，此时继续使用缓存的数据
+    lastChange?: SubscriptionChange & { at: string };
+}
+
+export type PromptSourceKind = 'personal' | 'global' | 'workspace' | 'team' | 'subscription';
+
+export interface PromptSource {
+    id: string;
+    name: string;
+    kind: PromptSourceKind;
+    readOnly: boolean;
+    location?: string;
+    error?: string;      // 读取失败的原因，此时该来源没有 Prompt（订阅使用离线缓存）
+    updatedAt?: string;  // 订阅最近一次成功获取的时间
+    lastChange?: SubscriptionCache['lastChange'];  // 订阅最近一次有变化的更新
+}
+
+export interface LayeredPrompt extends Prompt {
+    source: string;      // PromptSource.id
+    readOnly: boolean;
+    originalId: number;  // 在来源中的 ID，与其他来源冲突时 id 会被重新分配
+}
+
+export interface LibraryView {
+    sources: PromptSource[];
+    prompts: LayeredPrompt[];
+}
+
 export interface StorageInfo {
-    mode: 'global' | 'workspace';
+    mode: StorageMode;
     location: string;
 }
 
 export interface SystemStatus {
-    storageMode: 'workspace' | 'global';
+    storageMode: StorageMode;
     cloudSync: {
         status: string;
     };
 }
 
+export interface SyncConflict {
+    promptId: number;
+    local: Prompt | null;  // null 表示本地已删除
+    remote: Prompt | null; // null 表示云端已删除
+    base: Prompt | null;   // 上次同步时的版本，首次同步时为 null
+    fields: string[];      // 两端修改冲突的字段
+}
+
+export interface ImportMatch {
+    incoming: Prompt;          // 导入文件中的 Prompt
+    existing: Prompt;          // 匹配到的现有 Prompt
+    matchedBy: 'id' | 'content';
+    similarity: number;        // 内容相似度，0 到 1
+    identical: boolean;        // 标题、内容、分类和标签都相同
+}
+
+export interface ImportAnalysis {
+    importId: string;
+    fileName: string;
+    total: number;             // 导入文件中的 Prompt 数量
+    matches: ImportMatch[];    // 与现有 Prompt 重复的项，需要用户选择处理方式
+}
+
+export interface ImportSummary {
+    added: number;             // 没有匹配、直接新增的 Prompt
+    remapped: number;          // 因 ID 冲突而重新分配 ID 的 Prompt
+    overwritten: number;
+    mergedTags: number;
+    keptBoth: number;
+    skipped: number;
+    newCategories: string[];
+    addedPrompts: Pick<Prompt, 'title' | 'category' | 'tags'>[];  // 将新增的 Prompt，用于导入前预览
+}
+
+export interface SchemaIssue {
+    path: string;    // 出错字段的路径，如 prompts[2].title
+    message: string;
+}
+
 export interface SyncResult {
-    status: 'uploaded' | 'downloaded' | 'in_sync' | 'conflict' | 'error' | 'disabled';
+    status: 'uploaded' | 'downloaded' | 'merged' | 'in_sync' | 'conflict' | 'error' | 'disabled';
     message?: string;
+    data?: AppData;              // 合并后的数据，本地需要更新或存在冲突时提供
+    conflicts?: SyncConflict[];
 }
 
 export interface BackupInfo {
     path: string;
     timestamp: string;
     size: number;
+    promptCount?: number;
+    categoryCount?: number;
+    trigger?: 'auto' | 'manual';
+}
+
+export interface BackupHistoryEntry extends BackupInfo {
+    hash: string;          // 备份内容的摘要，用于跳过没有变化的自动备份
+    promptCount: number;
+    categoryCount: number;
+    trigger: 'auto' | 'manual';
 }
 // #endregion 
\ No newline at end of file
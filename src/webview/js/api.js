@@ -48,6 +48,14 @@ export function initializeApiListener() {
 
             if (type === 'appDataResponse' && message.isRefresh) {
                 window.dispatchEvent(new CustomEvent('manualRefresh', { detail: message.data }));
+            } else if (type === 'openPrompt') {
+                window.dispatchEvent(new CustomEvent('openPrompt', { detail: { appData: message.data, promptId: message.promptId } }));
+            } else if (type === 'promptUsage') {
+                window.dispatchEvent(new CustomEvent('promptUsage', { detail: message.data }));
+            } else if (type === 'syncConflicts') {
+                window.dispatchEvent(new CustomEvent('syncConflicts', { detail: message.data }));
+            } else if (type === 'importAnalysis') {
+                window.dispatchEvent(new CustomEvent('importAnalysis', { detail: message.data }));
             } else if (type === 'error') {
                  console.error('Received an error from the backend:', message.message);
                  window.dispatchEvent(new CustomEvent('backendError', { detail: message.message }));
@@ -1,16 +1,31 @@
 import { state, dom } from './state.js';
 import * as api from './api.js';
-import { navigateTo, goBack, renderAll, renderSettingsStatus } from './uiManager.js';
+import { navigateTo, goBack, renderAll, renderSettingsStatus, showEditForm } from './uiManager.js';
 import * as mainView from './views/mainView.js';
 import * as editView from './views/editView.js';
 import * as categoryView from './views/categoryView.js';
 import * as settingsView from './views/settingsView.js';
+import * as templateFillView from './views/templateFillView.js';
+import * as syncConflictView from './views/syncConflictView.js';
+import * as importView from './views/importView.js';
+import * as trashView from './views/trashView.js';
+import * as tagView from './views/tagView.js';
 import { initEventListeners } from './eventHandlers.js';
 import { init as initTooltips } from './tooltips.js';
 // Import other views later
 // import SettingsView from './views/settingsView.js';
 // import FilterView from './views/filterView.js';
 
+/**
+ * 保存后端发来的数据，Prompt 列表使用合并了所有来源的 library 视图
+ * @param {Object} data - 个人库的 AppData 以及 library 视图
+ */
+function setAppData(data) {
+    state.appData = data;
+    state.prompts = data.library?.prompts || data.prompts || [];
+    state.sources = data.library?.sources || [];
+}
+
 export async function initialLoad() {
     try {
         console.log('[App] Starting initial load...');
@@ -18,8 +33,7 @@ export async function initialLoad() {
         
         console.log('[App] Received app data:', appData);
         if (appData) {
-            state.appData = appData;
-            state.prompts = appData.prompts || [];
+            setAppData(appData);
             console.log('[App] State updated with prompts:', state.prompts.length);
             renderAll();
             console.log('[App] Initial load completed successfully');
@@ -43,13 +57,42 @@ function init() {
         console.log('[App] Manual refresh triggered');
         const data = e.detail;
         if (data) {
-            state.appData = data;
-            state.prompts = data.prompts || [];
+            setAppData(data);
             renderAll();
             api.postMessageWithResponse('showNotification', { message: '数据已刷新', type: 'info' });
         }
     });
 
+    // Open a prompt in the edit view when requested by the backend (e.g. "save selection as prompt")
+    window.addEventListener('openPrompt', (e) => {
+        const { appData, promptId } = e.detail;
+        if (appData) {
+            setAppData(appData);
+            renderAll();
+        }
+        showEditForm(promptId);
+    });
+
+    // Show the conflict resolution view when a sync finds conflicting changes
+    // Usage changes after every copy or insert, only the counts are updated without a refresh notification
+    window.addEventListener('promptUsage', (e) => {
+        const { id, usage } = e.detail;
+        const prompt = state.prompts.find(p => p.id === id && !p.readOnly);
+        if (prompt) {
+            prompt.usage = usage;
+            renderAll();
+        }
+    });
+
+    window.addEventListener('syncConflicts', (e) => {
+        syncConflictView.open(e.detail);
+    });
+
+    // Show the import wizard when an import is started from the command palette
+    window.addEventListener('importAnalysis', (e) => {
+        importView.open(e.detail);
+    });
+
     window.addEventListener('backendError', (e) => {
         console.error('[App] Backend error:', e.detail);
         api.showToast(e.detail, 'error');
@@ -67,11 +110,16 @@ function init() {
     });
 
     // Initialize all views
-    mainView.init();
+    mainView.init(initialLoad);
     editView.init(initialLoad);
     categoryView.init(initialLoad);
     settingsView.init(initialLoad);
-    initEventListeners();
+    templateFillView.init();
+    syncConflictView.init(initialLoad);
+    importView.init(initialLoad);
+    trashView.init(initialLoad);
+    tagView.init(initialLoad);
+    initEventListeners(initialLoad);
     
     // Initialize back buttons for all views
     Object.values(dom.views).forEach(view => {
@@ -94,24 +142,13 @@ function initTooltipListeners() {
     const tooltip = document.getElementById('tooltip');
     if (!tooltip) return;
 
-    const tooltipContent = {
-        'github-token': '需要 `gist` 权限的 Personal Access Token。这允许插件创建和管理一个私有的 Gist 来存储您的数据。您的 Token 只会安全地存储在本地。',
-        'github-id': 'Gist 的唯一标识符，通常是浏览器地址栏中您用户名后面的一长串字符。如果您留空，插件将在验证成功后自动为您创建一个新的私有 Gist 并填入其 ID。',
-        'gitee-token': '需要 `gists` 权限的 Personal Access Token。这允许插件创建和管理一个私有的 Gist 来存储您的数据。您的 Token 只会安全地存储在本地。',
-        'gitee-id': 'Gitee Gist 的唯一标识符，通常是浏览器地址栏中您用户名后面的一长串字符。如果您留空，插件将自动为您创建一个新的私有 Gist 并填入其 ID。',
-        'gitlab-token': '需要 `api` 权限的 Personal Access Token。这允许插件创建和管理一个私有的 Snippet。您的 Token 只会安全地存储在本地。',
-        'gitlab-id': 'GitLab Snippet 的唯一标识符，通常是浏览器地址栏中 `/-/snippets/` 后面的一串数字。如果您留空，插件将自动为您创建一个新的私有 Snippet 并填入其 ID。',
-        'gitlab-url': '如果您使用自建的 GitLab 实例，请在此处填写其根 URL，例如 `https://gitlab.yourcompany.com`。如果留空，将默认使用官方的 `https://gitlab.com`。',
-        'webdav-url': '您的 WebDAV 服务器的完整访问地址，通常以 `/remote.php/dav/files/` 或类似路径结尾。插件将在此目录下创建一个 `prompt-hub.json` 文件用于同步。',
-        'custom-url': '一个支持 `GET` 和 `POST` 请求的 API 端点。`GET` 用于下载数据，`POST` 用于上传。请求体将是 JSON 格式的数据。'
-    };
-
     document.body.addEventListener('mouseover', e => {
         const target = e.target;
         if (target.classList.contains('help-icon')) {
-            const key = target.dataset.tooltipKey;
-            if (tooltipContent[key]) {
-                tooltip.innerHTML = tooltipContent[key];
+            // 说明文字来自云同步服务商的字段描述
+            const content = target.dataset.tooltip;
+            if (content) {
+                tooltip.textContent = content;
                 tooltip.classList.remove('hidden');
                 
                 const rect = target.getBoundingClientRect();
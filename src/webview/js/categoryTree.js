@@ -0,0 +1,75 @@
+/**
+ * 分类树
+ * 分类是用 / 分隔的路径，例如 "开发/后端/代码审查"，选中一个分类时包括它的所有下级分类
+ */
+
+export const CATEGORY_SEPARATOR = '/';
+
+/**
+ * 分类是否是 root 本身或 root 的下级分类
+ * @param {string} category
+ * @param {string} root
+ * @returns {boolean}
+ */
+export function isInCategory(category, root) {
+    return !!category && (category === root || category.startsWith(root + CATEGORY_SEPARATOR));
+}
+
+/**
+ * 分类路径的最后一级名称
+ * @param {string} path
+ * @returns {string}
+ */
+export function getCategoryName(path) {
+    return path.split(CATEGORY_SEPARATOR).pop();
+}
+
+/**
+ * 上级分类的路径，顶层分类为空字符串
+ * @param {string} path
+ * @returns {string}
+ */
+export function getParentCategory(path) {
+    const segments = path.split(CATEGORY_SEPARATOR);
+    return segments.slice(0, -1).join(CATEGORY_SEPARATOR);
+}
+
+/**
+ * 由分类路径列表生成树，缺少的上级分类会补上，同级按列表中的顺序排列
+ * @param {string[]} categories
+ * @returns {Array<{path: string, name: string, children: Array}>} 顶层节点
+ */
+export function buildCategoryTree(categories) {
+    const roots = [];
+    const nodes = new Map();
+
+    const getNode = (path) => {
+        if (nodes.has(path)) return nodes.get(path);
+        const node = { path, name: getCategoryName(path), children: [] };
+        nodes.set(path, node);
+        const parent = getParentCategory(path);
+        (parent ? getNode(parent).children : roots).push(node);
+        return node;
+    };
+
+    categories.filter(Boolean).forEach(getNode);
+    return roots;
+}
+
+/**
+ * 按显示顺序展开树，跳过折叠节点的下级分类
+ * @param {Array} nodes - buildCategoryTree 的结果
+ * @param {string[]} collapsed - 折叠的分类路径
+ * @returns {Array<{node: Object, depth: number}>}
+ */
+export function flattenCategoryTree(nodes, collapsed = []) {
+    const rows = [];
+    const visit = (node, depth) => {
+        rows.push({ node, depth });
+        if (!collapsed.includes(node.path)) {
+            node.children.forEach(child => visit(child, depth + 1));
+        }
+    };
+    nodes.forEach(node => visit(node, 0));
+    return rows;
+}
@@ -0,0 +1,77 @@
+/**
+ * 行级文本差异比较
+ * 基于最长公共子序列 (LCS)，适用于 Prompt 这类较短的文本
+ *
+ * @param {string} oldText 旧文本
+ * @param {string} newText 新文本
+ * @returns {Array<{type: 'equal'|'add'|'remove', text: string}>} 按顺序排列的差异行
+ */
+export function diffLines(oldText, newText) {
+    const a = (oldText || '').split(/\r?\n/);
+    const b = (newText || '').split(/\r?\n/);
+
+    // lcs[i][j] = a[i..] 与 b[j..] 的最长公共子序列长度
+    const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    const result = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            result.push({ type: 'equal', text: a[i] });
+            i++;
+            j++;
+        } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+            result.push({ type: 'remove', text: a[i++] });
+        } else {
+            result.push({ type: 'add', text: b[j++] });
+        }
+    }
+    while (i < a.length) result.push({ type: 'remove', text: a[i++] });
+    while (j < b.length) result.push({ type: 'add', text: b[j++] });
+    return result;
+}
+
+/**
+ * 将 Prompt 组合成用于对比的文本，标题、分类和标签的变化也能在差异中看到
+ * @param {Object} prompt Prompt 对象
+ * @returns {string} 包含标题、分类、标签和内容的文本
+ */
+export function formatPromptForDiff(prompt) {
+    const tags = (prompt.tags || []).map(tag => `#${tag}`).join(' ');
+    return [
+        `标题: ${prompt.title}`,
+        `分类: ${prompt.category || '未分类'}`,
+        `标签: ${tags || '无'}`,
+        '',
+        prompt.content,
+    ].join('\n');
+}
+
+/**
+ * 将差异渲染到容器中
+ * 使用 textContent 写入每一行，Prompt 中的 HTML 不会被解析
+ * @param {HTMLElement} container 目标容器
+ * @param {Array<{type: string, text: string}>} lines diffLines 的结果
+ */
+export function renderDiff(container, lines) {
+    container.innerHTML = '';
+    const prefixes = { equal: '  ', add: '+ ', remove: '- ' };
+    lines.forEach(line => {
+        const row = document.createElement('div');
+        row.className = `diff-line diff-${line.type}`;
+        row.textContent = `${prefixes[line.type]}${line.text}`;
+        container.appendChild(row);
+    });
+    if (lines.every(line => line.type === 'equal')) {
+        const row = document.createElement('div');
+        row.className = 'diff-line diff-empty';
+        row.textContent = '两个版本内容相同';
+        container.prepend(row);
+    }
+}
@@ -3,6 +3,8 @@ import { postMessageWithResponse } from './api.js';
 import * as api from './api.js';
 import * as ui from './uiManager.js';
 
+let refreshCallback = () => {};
+
 // A helper function for data-related actions
 async function handleDataAction(action, messages = {}, payload = {}) {
     const {
@@ -27,34 +29,6 @@ async function handleDataAction(action, messages = {}, payload = {}) {
 
 // --- Event Handler Functions ---
 
-async function handleSavePrompt(e) {
-    e.preventDefault();
-    const promptData = {
-        id: state.editingPromptId,
-        title: dom.promptTitleField.value,
-        content: dom.promptContentField.value,
-        category: dom.promptCategoryField.value,
-        tags: state.currentTags,
-    };
-
-    if (!promptData.title || !promptData.content) {
-        ui.showToast('标题和内容不能为空。', 'error');
-        return;
-    }
-
-    await handleDataAction('savePrompt', {
-        success: 'Prompt 已保存！'
-    }, { prompt: promptData });
-
-    ui.goBack();
-    // Request a full data refresh after saving
-    postMessageWithResponse('getAppData').then(response => {
-        state.appData = response.data;
-        state.prompts = response.data.prompts;
-        ui.renderAll();
-    });
-}
-
 async function handleDeletePrompt(e) {
     e.preventDefault(); // 阻止任何默认行为
     e.stopPropagation(); // 阻止事件冒泡
@@ -68,18 +42,17 @@ async function handleDeletePrompt(e) {
 
     try {
         // 使用VS Code确认对话框而不是原生confirm()
-        const confirmed = await api.showConfirmation('确定要删除这个 Prompt 吗？此操作无法撤销。');
+        const confirmed = await api.showConfirmation('确定要删除这个 Prompt 吗？删除后可以在回收站中恢复。');
         if (!confirmed) {
             return;
         }
 
-        // 删除Prompt
+        // 删除Prompt，后端会显示带撤销按钮的通知
         await postMessageWithResponse('deletePrompt', { id: parseInt(promptId, 10) });
         
-        // 显示成功消息并返回主视图
-        postMessageWithResponse('showNotification', { message: 'Prompt 已删除!', type: 'info' });
+        // 返回主视图，重新加载数据让删除的 Prompt 出现在回收站中
         ui.goBack();
-        ui.renderAll();
+        await refreshCallback();
     } catch (error) {
         console.error('删除 Prompt 失败:', error);
         ui.showToast(`删除失败: ${error.message}`, 'error');
@@ -114,7 +87,11 @@ async function fetchAndRenderSettingsStatus() {
 
 // --- Main Initializer ---
 
-export function initEventListeners() {
+export function initEventListeners(refreshFunc) {
+    if (refreshFunc) {
+        refreshCallback = refreshFunc;
+    }
+
     // Event delegation for dynamically created elements
     document.body.addEventListener('click', e => {
         const target = e.target;
@@ -142,6 +119,22 @@ export function initEventListeners() {
             ui.navigateTo('filter');
         }
 
+        // Category tree
+        if (target.closest('.category-tree-toggle')) {
+            state.categoryTreeOpen = !state.categoryTreeOpen;
+            ui.updateCategories();
+            return;
+        }
+        const expander = target.closest('.category-tree-expander');
+        if (expander) {
+            const path = expander.dataset.category;
+            state.collapsedCategories = state.collapsedCategories.includes(path)
+                ? state.collapsedCategories.filter(category => category !== path)
+                : [...state.collapsedCategories, path];
+            ui.updateCategories();
+            return;
+        }
+
         // Category tabs
         const categoryTab = target.closest('.category-tab');
         if (categoryTab) {
@@ -154,9 +147,11 @@ export function initEventListeners() {
         // Prompt item click (for editing)
         const promptItem = target.closest('.prompt-item');
         if (promptItem) {
+            // Clicks select items in select mode, see bulkActionView
+            if (state.selectMode) return;
             const promptId = promptItem.dataset.id;
-            // Prevent edit form from opening when clicking the toggle switch
-            if (!target.closest('.switch')) {
+            // Prevent edit form from opening when clicking the toggle switch or the action buttons
+            if (!target.closest('.switch') && !target.closest('.btn-copy') && !target.closest('.btn-favorite') && !target.closest('.btn-pin')) {
                 ui.showEditForm(promptId);
             }
             return;
@@ -188,7 +183,7 @@ export function initEventListeners() {
     });
 
     // Direct event listeners for non-dynamic elements
-    dom.promptForm.addEventListener('submit', handleSavePrompt);
+    // Prompt form submission is handled in views/editView.js
     dom.deletePromptBtn.addEventListener('click', handleDeletePrompt);
     dom.tagInputField.addEventListener('keydown', handleTagInput);
     
@@ -206,10 +201,34 @@ export function initEventListeners() {
     });
 
     document.getElementById('filter-reset-btn')?.addEventListener('click', () => {
-        state.stagedFilter = { searchTerm: '', sortBy: 'newest', status: 'all', category: 'all', selectedTags: ['all'] };
+        state.stagedFilter = { searchTerm: '', sortBy: 'newest', status: 'all', category: 'all', source: 'all', usage: 'all', favorite: 'all', selectedTags: ['all'] };
         ui.updateFilterView();
     });
     
+    document.getElementById('sort-options')?.addEventListener('click', e => {
+        const sortBtn = e.target.closest('.filter-btn');
+        if (sortBtn && state.stagedFilter) {
+            state.stagedFilter.sortBy = sortBtn.dataset.sort;
+            ui.updateFilterView();
+        }
+    });
+
+    document.getElementById('usage-options')?.addEventListener('click', e => {
+        const usageBtn = e.target.closest('.filter-btn');
+        if (usageBtn && state.stagedFilter) {
+            state.stagedFilter.usage = usageBtn.dataset.usage;
+            ui.updateFilterView();
+        }
+    });
+
+    document.getElementById('favorite-options')?.addEventListener('click', e => {
+        const favoriteBtn = e.target.closest('.filter-btn');
+        if (favoriteBtn && state.stagedFilter) {
+            state.stagedFilter.favorite = favoriteBtn.dataset.favorite;
+            ui.updateFilterView();
+        }
+    });
+
     document.getElementById('status-options')?.addEventListener('click', e => {
         const statusBtn = e.target.closest('.filter-btn');
         if (statusBtn && state.stagedFilter) {
@@ -218,6 +237,14 @@ export function initEventListeners() {
         }
     });
     
+    document.getElementById('source-filter-options')?.addEventListener('click', e => {
+        const sourceBtn = e.target.closest('.filter-btn');
+        if (sourceBtn && state.stagedFilter) {
+            state.stagedFilter.source = sourceBtn.dataset.source;
+            ui.updateFilterView();
+        }
+    });
+
     document.getElementById('tag-filter-options')?.addEventListener('click', e => {
         const tagBtn = e.target.closest('.filter-btn');
          if (tagBtn && state.stagedFilter) {
@@ -258,13 +285,10 @@ export function initEventListeners() {
         if (!target) return;
 
         const handlers = {
-            'import-btn': () => handleDataAction('importData', { success: '数据导入成功！', error: '导入失败' }),
             'export-btn': () => handleDataAction('exportData', { success: '数据导出成功！', error: '导出失败' }),
             'create-backup-btn': () => handleDataAction('createBackup', { success: '备份创建成功！', error: '备份失败' }),
-            'restore-backup-btn': () => handleDataAction('restoreBackup', { success: '备份恢复成功！', error: '恢复失败' }),
             'setup-cloud-sync-btn': () => postMessageWithResponse('setupCloudSync'),
             'show-storage-info-btn': () => postMessageWithResponse('getStorageInfo'),
-            'toggle-workspace-mode-btn': () => postMessageWithResponse('toggleWorkspaceMode'),
         };
 
         if (handlers[target.id]) {
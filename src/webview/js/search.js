@@ -0,0 +1,299 @@
+import { isInCategory } from './categoryTree.js';
+import { escapeHtml } from './utils.js';
+
+/**
+ * Prompt 搜索
+ * 在标题、内容、标签和分类中排序的模糊搜索，支持以下语法：
+ * - `tag:review` / `-tag:draft`：包含 / 排除标签
+ * - `cat:设计` / `-cat:设计`：限定 / 排除分类（包括下级分类）
+ * - `"精确短语"`：不做模糊匹配的短语
+ * - `-词`：排除包含该词的 Prompt
+ * 值中有空格时可以加引号，例如 `tag:"code review"`
+ *
+ * 索引在 Prompt 列表变化时重建一次，之后每次输入只查询索引：
+ * 三个字以上的词先通过三字组倒排索引缩小候选范围，再在候选中计算得分
+ */
+
+const FIELD_WEIGHTS = { title: 10, tags: 6, category: 4, content: 1 };
+const FUZZY_FIELDS = ['title', 'tags', 'category'];
+const NGRAM_SIZE = 3;
+const SNIPPET_RADIUS = 40;
+
+let cachedPrompts = null;
+let cachedIndex = null;
+
+// #region Query Parsing
+/**
+ * 解析搜索语法
+ * @param {string} text - 搜索框中的文本
+ * @returns {{terms: Array<{text: string, phrase: boolean}>, excludeTerms: string[], tags: string[], excludeTags: string[], categories: string[], excludeCategories: string[]}}
+ */
+export function parseQuery(text) {
+    const query = { terms: [], excludeTerms: [], tags: [], excludeTags: [], categories: [], excludeCategories: [] };
+    const tokenPattern = /(-?)(?:(tag|cat):)?(?:"([^"]*)"?|(\S+))/gi;
+    let match;
+
+    while ((match = tokenPattern.exec(text || '')) !== null) {
+        const [, negate, operator, quoted, plain] = match;
+        const value = (quoted ?? plain ?? '').trim().toLowerCase();
+        if (!value) continue;
+
+        const field = operator?.toLowerCase();
+        if (field === 'tag') {
+            (negate ? query.excludeTags : query.tags).push(value);
+        } else if (field === 'cat') {
+            (negate ? query.excludeCategories : query.categories).push(value);
+        } else if (negate) {
+            query.excludeTerms.push(value);
+        } else {
+            query.terms.push({ text: value, phrase: quoted !== undefined });
+        }
+    }
+    return query;
+}
+
+/**
+ * 判断搜索文本中是否有需要排序的关键词（只有运算符时保持原来的排序）
+ * @param {string} text - 搜索框中的文本
+ * @returns {boolean}
+ */
+export function hasSearchTerms(text) {
+    return parseQuery(text).terms.length > 0;
+}
+// #endregion
+
+// #region Index
+function buildIndex(prompts) {
+    const entries = prompts.map(prompt => {
+        const tags = (prompt.tags || []).map(tag => String(tag).toLowerCase());
+        return {
+            prompt,
+            title: (prompt.title || '').toLowerCase(),
+            content: (prompt.content || '').toLowerCase(),
+            category: (prompt.category || '').toLowerCase(),
+            tags,
+            tagText: tags.join(' ')
+        };
+    });
+
+    const ngrams = new Map();
+    entries.forEach((entry, position) => {
+        const text = `${entry.title}\n${entry.tagText}\n${entry.category}\n${entry.content}`;
+        for (let i = 0; i + NGRAM_SIZE <= text.length; i++) {
+            const gram = text.slice(i, i + NGRAM_SIZE);
+            let postings = ngrams.get(gram);
+            if (!postings) {
+                postings = new Set();
+                ngrams.set(gram, postings);
+            }
+            postings.add(position);
+        }
+    });
+    return { entries, ngrams };
+}
+
+function getIndex(prompts) {
+    if (prompts !== cachedPrompts) {
+        cachedPrompts = prompts;
+        cachedIndex = buildIndex(prompts);
+    }
+    return cachedIndex;
+}
+
+/**
+ * 通过三字组索引找出包含该词的候选，词太短时返回 null 表示不缩小范围
+ */
+function findSubstringCandidates(index, term) {
+    if (term.length < NGRAM_SIZE) return null;
+
+    let candidates = null;
+    for (let i = 0; i + NGRAM_SIZE <= term.length; i++) {
+        const postings = index.ngrams.get(term.slice(i, i + NGRAM_SIZE));
+        if (!postings) return new Set();
+        candidates = candidates ? new Set([...candidates].filter(position => postings.has(position))) : new Set(postings);
+        if (candidates.size === 0) break;
+    }
+    return candidates;
+}
+// #endregion
+
+// #region Matching
+/**
+ * 按顺序匹配词中的每个字符（子序列匹配），连续匹配和单词开头的匹配得分更高
+ * @returns {{score: number, positions: number[]} | null}
+ */
+function fuzzyMatch(text, term) {
+    const positions = [];
+    let score = 0;
+    let from = 0;
+    for (const char of term) {
+        const position = text.indexOf(char, from);
+        if (position === -1) return null;
+        const previous = positions[positions.length - 1];
+        if (previous !== undefined && position === previous + 1) {
+            score += 2;
+        } else if (position === 0 || /[\s\-_/]/.test(text[position - 1])) {
+            score += 1.5;
+        } else {
+            score += 0.5;
+        }
+        positions.push(position);
+        from = position + 1;
+    }
+    // Spread out matches are weaker than compact ones
+    const span = positions[positions.length - 1] - positions[0] + 1;
+    return { score: score / term.length * (term.length / span), positions };
+}
+
+function substringScore(text, term) {
+    const position = text.indexOf(term);
+    if (position === -1) return 0;
+    if (text === term) return 3;
+    if (position === 0) return 2;
+    return /[\s\-_/]/.test(text[position - 1]) ? 1.5 : 1;
+}
+
+/**
+ * 计算一个词在 Prompt 中的得分，没有匹配时为 0
+ */
+function scoreTerm(entry, term, allowFuzzy) {
+    let score = 0;
+    score += substringScore(entry.title, term.text) * FIELD_WEIGHTS.title;
+    score += Math.max(0, ...entry.tags.map(tag => substringScore(tag, term.text))) * FIELD_WEIGHTS.tags;
+    score += substringScore(entry.category, term.text) * FIELD_WEIGHTS.category;
+    score += substringScore(entry.content, term.text) * FIELD_WEIGHTS.content;
+    if (score > 0 || !allowFuzzy || term.phrase) return score;
+
+    // Fuzzy matching only runs on the short fields, scanning every content would be too slow
+    for (const field of FUZZY_FIELDS) {
+        const texts = field === 'tags' ? entry.tags : [entry[field]];
+        for (const text of texts) {
+            const match = fuzzyMatch(text, term.text);
+            if (match) {
+                score = Math.max(score, match.score * FIELD_WEIGHTS[field] * 0.5);
+            }
+        }
+    }
+    return score;
+}
+
+function matchesOperators(entry, query) {
+    if (query.tags.some(tag => !entry.tags.includes(tag))) return false;
+    if (query.excludeTags.some(tag => entry.tags.includes(tag))) return false;
+    if (query.categories.length > 0 && !query.categories.some(category => isInCategory(entry.category, category))) return false;
+    if (query.excludeCategories.some(category => isInCategory(entry.category, category))) return false;
+    const text = `${entry.title}\n${entry.tagText}\n${entry.category}\n${entry.content}`;
+    return !query.excludeTerms.some(term => text.includes(term));
+}
+// #endregion
+
+// #region Search
+/**
+ * 搜索 Prompt
+ * @param {Object[]} prompts - 全部 Prompt，同一个数组会复用已建立的索引
+ * @param {string} text - 搜索框中的文本
+ * @returns {Map<number, number>} 匹配的 Prompt ID 到得分的映射，没有关键词时得分都为 0
+ */
+export function searchPrompts(prompts, text) {
+    const index = getIndex(prompts);
+    const query = parseQuery(text);
+    const results = new Map();
+
+    // Narrow down with the index before scoring: every term has to match somewhere
+    let candidates = null;
+    for (const term of query.terms) {
+        const substringCandidates = findSubstringCandidates(index, term.text);
+        if (!substringCandidates) continue;
+        if (!term.phrase) {
+            // Fuzzy matches in short fields aren't in the n-gram index
+            index.entries.forEach((entry, position) => {
+                if (!substringCandidates.has(position) && FUZZY_FIELDS.some(field =>
+                    (field === 'tags' ? entry.tags : [entry[field]]).some(value => fuzzyMatch(value, term.text)))) {
+                    substringCandidates.add(position);
+                }
+            });
+        }
+        candidates = candidates ? new Set([...candidates].filter(position => substringCandidates.has(position))) : substringCandidates;
+    }
+
+    index.entries.forEach((entry, position) => {
+        if (candidates && !candidates.has(position)) return;
+        if (!matchesOperators(entry, query)) return;
+
+        let total = 0;
+        for (const term of query.terms) {
+            const score = scoreTerm(entry, term, true);
+            if (score === 0) return;
+            total += score;
+        }
+        results.set(entry.prompt.id, total);
+    });
+    return results;
+}
+// #endregion
+
+// #region Highlighting
+function findRanges(text, terms, allowFuzzy) {
+    const lower = text.toLowerCase();
+    const ranges = [];
+    for (const term of terms) {
+        let from = 0;
+        let found = false;
+        let position;
+        while ((position = lower.indexOf(term.text, from)) !== -1) {
+            ranges.push([position, position + term.text.length]);
+            from = position + term.text.length;
+            found = true;
+        }
+        if (!found && allowFuzzy && !term.phrase) {
+            const match = fuzzyMatch(lower, term.text);
+            match?.positions.forEach(p => ranges.push([p, p + 1]));
+        }
+    }
+    return ranges.sort((a, b) => a[0] - b[0]);
+}
+
+function renderRanges(text, ranges) {
+    let html = '';
+    let cursor = 0;
+    for (const [start, end] of ranges) {
+        if (end <= cursor) continue;
+        const from = Math.max(start, cursor);
+        html += escapeHtml(text.slice(cursor, from)) + `<mark>${escapeHtml(text.slice(from, end))}</mark>`;
+        cursor = end;
+    }
+    return html + escapeHtml(text.slice(cursor));
+}
+
+/**
+ * 高亮文本中匹配的部分
+ * @param {string} text - 原始文本
+ * @param {string} queryText - 搜索框中的文本
+ * @returns {string} 转义后的 HTML
+ */
+export function highlight(text, queryText) {
+    const { terms } = parseQuery(queryText);
+    return renderRanges(text || '', findRanges(text || '', terms, true));
+}
+
+/**
+ * 生成内容中第一个匹配处附近的摘要，内容中没有匹配时返回空字符串
+ * @param {string} content - Prompt 内容
+ * @param {string} queryText - 搜索框中的文本
+ * @returns {string} 转义并高亮后的 HTML
+ */
+export function highlightSnippet(content, queryText) {
+    const { terms } = parseQuery(queryText);
+    const text = (content || '').replace(/\s+/g, ' ');
+    const ranges = findRanges(text, terms, false);
+    if (ranges.length === 0) return '';
+
+    const start = Math.max(0, ranges[0][0] - SNIPPET_RADIUS);
+    const end = Math.min(text.length, ranges[0][1] + SNIPPET_RADIUS);
+    const snippet = text.slice(start, end);
+    const shifted = ranges
+        .filter(([from, to]) => from >= start && to <= end)
+        .map(([from, to]) => [from - start, to - start]);
+    return `${start > 0 ? '…' : ''}${renderRanges(snippet, shifted)}${end < text.length ? '…' : ''}`;
+}
+// #endregion
@@ -1,6 +1,7 @@
 export const state = {
     appData: null,
     prompts: [],
+    sources: [],
     currentTags: [],
     viewStack: ['main-view'],
     editingPromptId: null,
@@ -9,9 +10,18 @@ export const state = {
         sortBy: 'newest', 
         status: 'all', 
         category: 'all', 
+        source: 'all',
+        usage: 'all',
+        favorite: 'all',
         selectedTags: ['all'] 
     },
     stagedFilter: null,
+    categoryTreeOpen: false,
+    collapsedCategories: [],
+    selectMode: false,
+    selectedIds: [],
+    selectionAnchorId: null,
+    visiblePromptIds: [],
     vscode: acquireVsCodeApi(),
     pendingRequests: new Map(),
     requestIdCounter: 0,
@@ -24,6 +34,10 @@ export const dom = {
         settings: document.getElementById('settings-view'),
         filter: document.getElementById('filter-view'),
         categoryManagement: document.getElementById('category-management-view'),
+        syncConflict: document.getElementById('sync-conflict-view'),
+        import: document.getElementById('import-view'),
+        trash: document.getElementById('trash-view'),
+        tagManagement: document.getElementById('tag-management-view'),
     },
 
     promptListContainer: document.getElementById('prompt-list-container'),
@@ -54,6 +68,16 @@ export const dom = {
         cancelButton: document.getElementById('cancel-edit-btn'),
         deleteButton: document.getElementById('delete-prompt-btn'),
         viewTitle: document.getElementById('edit-view-title'),
+        revisionNoteGroup: document.getElementById('revision-note-group'),
+        revisionNoteInput: document.getElementById('prompt-revision-note'),
+        historyButton: document.getElementById('prompt-history-btn'),
+        historyPanel: document.getElementById('prompt-history-panel'),
+        historyList: document.getElementById('prompt-history-list'),
+        historyCompareFrom: document.getElementById('history-compare-from'),
+        historyCompareTo: document.getElementById('history-compare-to'),
+        historyDiff: document.getElementById('prompt-history-diff'),
+        readOnlyNotice: document.getElementById('edit-readonly-notice'),
+        copyToLibraryButton: document.getElementById('copy-to-library-btn'),
     },
 
     mainViewElements: {
@@ -62,6 +86,12 @@ export const dom = {
         addPromptButton: document.getElementById('add-prompt-btn'),
         manageCategoriesButton: document.getElementById('manage-categories-btn'),
         settingsButton: document.getElementById('settings-btn'),
+        selectModeButton: document.getElementById('select-mode-btn'),
+        bulkActionBar: document.getElementById('bulk-action-bar'),
+        bulkSelectedCount: document.getElementById('bulk-selected-count'),
+        bulkSelectAllButton: document.getElementById('bulk-select-all-btn'),
+        bulkDoneButton: document.getElementById('bulk-done-btn'),
+        bulkActionButtons: document.getElementById('bulk-action-buttons'),
         categoryTabsContainer: document.getElementById('category-tabs-container'),
         promptListContainer: document.getElementById('prompt-list-container'),
         noResultsMessage: document.getElementById('no-results-message'),
@@ -74,15 +104,81 @@ export const dom = {
         container: document.getElementById('category-management-list-container'),
     },
 
+    tagViewElements: {
+        openButton: document.getElementById('manage-tags-btn'),
+        mergeButton: document.getElementById('merge-tags-btn'),
+        singleUseToggle: document.getElementById('single-use-tags-btn'),
+        list: document.getElementById('tag-management-list-container'),
+    },
+
+    trashElements: {
+        openButton: document.getElementById('open-trash-btn'),
+        emptyButton: document.getElementById('empty-trash-btn'),
+        list: document.getElementById('trash-list-container'),
+    },
+
     filterViewElements: {
         view: document.getElementById('filter-view'),
         backButton: document.querySelector('#filter-view .btn-back'),
         statusOptions: document.getElementById('status-options'),
         tagFilterOptions: document.getElementById('tag-filter-options'),
+        sourceFilterGroup: document.getElementById('source-filter-group'),
+        sourceFilterOptions: document.getElementById('source-filter-options'),
         resetButton: document.getElementById('filter-reset-btn'),
         applyButton: document.getElementById('filter-apply-btn'),
     },
 
+    syncConflictElements: {
+        view: document.getElementById('sync-conflict-view'),
+        summary: document.getElementById('sync-conflict-summary'),
+        bulkActions: document.querySelector('#sync-conflict-view .sync-conflict-bulk-actions'),
+        list: document.getElementById('sync-conflict-list'),
+        cancelButton: document.getElementById('sync-conflict-cancel-btn'),
+        resolveButton: document.getElementById('sync-conflict-resolve-btn'),
+    },
+
+    importElements: {
+        view: document.getElementById('import-view'),
+        reviewPanel: document.getElementById('import-review-panel'),
+        summary: document.getElementById('import-summary'),
+        bulkActions: document.querySelector('#import-view .import-bulk-actions'),
+        matchList: document.getElementById('import-match-list'),
+        cancelButton: document.getElementById('import-cancel-btn'),
+        nextButton: document.getElementById('import-next-btn'),
+        confirmPanel: document.getElementById('import-confirm-panel'),
+        planSummary: document.getElementById('import-plan-summary'),
+        preview: document.getElementById('import-preview'),
+        previewList: document.getElementById('import-preview-list'),
+        backCancelButton: document.getElementById('import-confirm-cancel-btn'),
+        editButton: document.getElementById('import-edit-btn'),
+        confirmButton: document.getElementById('import-confirm-btn'),
+    },
+
+    backupBrowserElements: {
+        modal: document.getElementById('restore-backup-modal'),
+        closeButton: document.getElementById('restore-backup-close-btn'),
+        listPanel: document.getElementById('backup-list-panel'),
+        list: document.getElementById('backup-list-container'),
+        detailPanel: document.getElementById('backup-detail-panel'),
+        detailTitle: document.getElementById('backup-detail-title'),
+        detailSummary: document.getElementById('backup-detail-summary'),
+        selectAllCheckbox: document.getElementById('backup-select-all'),
+        changedOnlyCheckbox: document.getElementById('backup-changed-only'),
+        promptList: document.getElementById('backup-prompt-list'),
+        backButton: document.getElementById('backup-detail-back-btn'),
+        restoreButton: document.getElementById('backup-restore-selected-btn'),
+    },
+
+    templateFillElements: {
+        modal: document.getElementById('template-fill-modal'),
+        title: document.getElementById('template-fill-title'),
+        form: document.getElementById('template-fill-form'),
+        fields: document.getElementById('template-fill-fields'),
+        preview: document.getElementById('template-fill-preview'),
+        closeButton: document.getElementById('template-fill-close-btn'),
+        cancelButton: document.getElementById('template-fill-cancel-btn'),
+    },
+
     settingsViewElements: {
         view: document.getElementById('settings-view'),
         backButton: document.querySelector('#settings-view .btn-back'),
@@ -105,33 +201,8 @@ export const dom = {
         syncSummaryView: document.getElementById('sync-summary-view'),
         syncSettingsForm: document.getElementById('sync-settings-form'),
 
-        githubConfig: {
-            container: document.getElementById('github-config'),
-            token: document.getElementById('github-token'),
-            gistId: document.getElementById('github-gist-id'),
-        },
-        giteeConfig: {
-            container: document.getElementById('gitee-config'),
-            token: document.getElementById('gitee-token'),
-            gistId: document.getElementById('gitee-gist-id'),
-        },
-        gitlabConfig: {
-            container: document.getElementById('gitlab-config'),
-            url: document.getElementById('gitlab-url'),
-            token: document.getElementById('gitlab-token'),
-            snippetId: document.getElementById('gitlab-snippet-id'),
-        },
-        webdavConfig: {
-            container: document.getElementById('webdav-config'),
-            url: document.getElementById('webdav-url'),
-            username: document.getElementById('webdav-username'),
-            password: document.getElementById('webdav-password'),
-        },
-        customConfig: {
-            container: document.getElementById('custom-config'),
-            url: document.getElementById('custom-api-url'),
-            apiKey: document.getElementById('custom-api-key'),
-        },
+        // 服务商配置表单的容器，表单由 cloudSyncView 生成
+        syncProviderFields: document.getElementById('sync-provider-fields'),
 
         saveSyncSettingsButton: document.getElementById('save-sync-settings-btn'),
         editSyncSettingsButton: document.getElementById('edit-sync-settings-btn'),
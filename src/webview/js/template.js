@@ -0,0 +1,41 @@
+/**
+ * 模板渲染
+ * 与后端 templateEngine.ts 的语法保持一致，用于在填写变量时本地预览，最终文本仍由后端渲染
+ */
+
+const VARIABLE_PATTERN = /\{\{\s*([^\s{}=|]+)\s*(?:=([^{}|]*))?((?:\|[^{}|]*)*)\}\}/g;
+const CONTEXT_VARIABLE_PATTERN = /\$\{(\w+)\}/g;
+
+/**
+ * 变量在未填写时使用的值
+ * @param {Object} variable - 模板变量 { name, defaultValue, choices }
+ * @returns {string} 默认值、第一个选项或空字符串
+ */
+function getVariableFallback(variable) {
+    if (variable.defaultValue !== undefined) {
+        return variable.defaultValue;
+    }
+    return variable.choices?.[0] ?? '';
+}
+
+/**
+ * 使用填写的值渲染 Prompt 内容，再替换上下文变量
+ * @param {string} content - Prompt 内容
+ * @param {Object[]} variables - 后端解析出的模板变量
+ * @param {Object} values - 变量名到填写值的映射，缺失的变量使用默认值
+ * @param {Object} context - 上下文变量名到实际值的映射，未包含的 `${...}` 原样保留
+ * @returns {string} 渲染后的文本
+ */
+export function renderTemplate(content, variables, values = {}, context = {}) {
+    const byName = new Map(variables.map(v => [v.name, v]));
+    const rendered = content.replace(VARIABLE_PATTERN, (_match, name) => {
+        if (Object.prototype.hasOwnProperty.call(values, name)) {
+            return values[name];
+        }
+        const variable = byName.get(name);
+        return variable ? getVariableFallback(variable) : '';
+    });
+    return rendered.replace(CONTEXT_VARIABLE_PATTERN, (match, name) =>
+        Object.prototype.hasOwnProperty.call(context, name) ? context[name] : match
+    );
+}
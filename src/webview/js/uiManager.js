@@ -3,7 +3,14 @@ import * as categoryView from './views/categoryView.js';
 import * as editView from './views/editView.js';
 import * as filterView from './views/filterView.js';
 import * as settingsView from './views/settingsView.js';
+import * as bulkActionView from './views/bulkActionView.js';
+import * as trashView from './views/trashView.js';
+import * as tagView from './views/tagView.js';
 import * as api from './api.js';
+import { searchPrompts, hasSearchTerms, highlight, highlightSnippet } from './search.js';
+import { isStale, lastUsedTime } from './usage.js';
+import { buildCategoryTree, flattenCategoryTree, isInCategory } from './categoryTree.js';
+import { escapeHtml } from './utils.js';
 
 // --- Globals ---
 let activeView = 'main';
@@ -56,76 +63,156 @@ function renderAll() {
     updateCategories();
     updateFilterView();
     categoryView.render();
+    settingsView.renderSharedLibraries();
+    settingsView.renderUsageStats();
+    trashView.render();
+    tagView.render();
     if (state.appData && state.appData.settings) {
         renderSettingsStatus(state.appData.settings);
     }
 }
 
+/**
+ * Prompt 列表中的标签，设置了颜色的标签使用该颜色
+ */
+function renderTag(tag, searchTerm) {
+    const color = state.appData?.tagColors?.[tag];
+    return color
+        ? `<span class="tag tag-colored" style="--tag-color: ${escapeHtml(color)}">${highlight(tag, searchTerm)}</span>`
+        : `<span class="tag">${highlight(tag, searchTerm)}</span>`;
+}
+
+function isPinned(prompt) {
+    return typeof prompt.pinOrder === 'number';
+}
+
 function renderPrompts() {
     if (!state.prompts) {
         return;
     }
+    const searchTerm = state.filter.searchTerm;
+    const scores = searchPrompts(state.prompts, searchTerm);
+    // Relevance decides the order while there are search terms, the chosen sort breaks ties
+    const ranked = hasSearchTerms(searchTerm);
+
     let filtered = state.prompts.filter(p => {
         if (!p) return false;
 
-        const search = state.filter.searchTerm.toLowerCase();
-        const titleMatch = p.title.toLowerCase().includes(search);
-        const contentMatch = p.content.toLowerCase().includes(search);
+        const searchMatch = scores.has(p.id);
 
         const statusMatch = state.filter.status === 'all' || (p.isActive ? 'enabled' : 'disabled') === state.filter.status;
-        const categoryMatch = state.filter.category === 'all' || p.category === state.filter.category;
+        const categoryMatch = state.filter.category === 'all' || isInCategory(p.category, state.filter.category);
+        const sourceMatch = !state.filter.source || state.filter.source === 'all' || p.source === state.filter.source;
+        const usageMatch = state.filter.usage !== 'stale' || isStale(p);
+        const favoriteMatch = state.filter.favorite !== 'favorites' || !!p.isFavorite;
         
         const selectedTags = state.filter.selectedTags;
         const tagMatch = selectedTags.includes('all') || (p.tags && p.tags.some(tag => selectedTags.includes(tag)));
 
-        return (titleMatch || contentMatch) && statusMatch && categoryMatch && tagMatch;
+        return searchMatch && statusMatch && categoryMatch && sourceMatch && usageMatch && favoriteMatch && tagMatch;
     });
 
     filtered.sort((a, b) => {
+        // Pinned prompts stay on top in their own order
+        if (isPinned(a) || isPinned(b)) {
+            return (isPinned(a) ? a.pinOrder : Infinity) - (isPinned(b) ? b.pinOrder : Infinity);
+        }
+        if (ranked && scores.get(a.id) !== scores.get(b.id)) {
+            return scores.get(b.id) - scores.get(a.id);
+        }
         switch (state.filter.sortBy) {
             case 'oldest': return new Date(a.createdAt) - new Date(b.createdAt);
             case 'title_asc': return a.title.localeCompare(b.title);
             case 'title_desc': return b.title.localeCompare(a.title);
+            case 'most_used': return (b.usage?.count || 0) - (a.usage?.count || 0) || new Date(b.createdAt) - new Date(a.createdAt);
+            case 'recently_used': return lastUsedTime(b) - lastUsedTime(a) || new Date(b.createdAt) - new Date(a.createdAt);
             default: return new Date(b.createdAt) - new Date(a.createdAt);
         }
     });
 
-    dom.promptListContainer.innerHTML = filtered.map(p => `
-        <div class="prompt-item" data-id="${p.id}">
+    // Source badges only make sense once there is more than one library
+    const showSources = state.sources.length > 1;
+    const sourceNames = new Map(state.sources.map(source => [source.id, source.name]));
+
+    state.visiblePromptIds = filtered.map(p => p.id);
+
+    dom.promptListContainer.innerHTML = filtered.map(p => {
+        const snippet = ranked ? highlightSnippet(p.content, searchTerm) : '';
+        const isSelected = state.selectMode && state.selectedIds.includes(p.id);
+        return `
+        <div class="prompt-item${p.readOnly ? ' read-only' : ''}${isPinned(p) ? ' pinned' : ''}${isSelected ? ' selected' : ''}" data-id="${p.id}"${isPinned(p) && !state.selectMode ? ' draggable="true"' : ''}>
+            ${state.selectMode ? `<input type="checkbox" class="prompt-select" ${isSelected ? 'checked' : ''} ${p.readOnly ? 'disabled title="只读来源中的 Prompt 不能批量操作"' : ''} tabindex="-1">` : ''}
             <div class="prompt-item-content">
-                <div class="prompt-item-title">${p.title}</div>
-                <div class="prompt-tags">${(p.tags || []).map(tag => `<span class="tag">${tag}</span>`).join('')}</div>
+                <div class="prompt-item-title">${highlight(p.title, searchTerm)}${showSources && p.source ? `<span class="source-badge source-${p.source === 'personal' ? 'personal' : 'shared'}">${escapeHtml(sourceNames.get(p.source) || p.source)}</span>` : ''}</div>
+                ${snippet ? `<div class="prompt-item-snippet">${snippet}</div>` : ''}
+                <div class="prompt-tags">${(p.tags || []).map(tag => renderTag(tag, searchTerm)).join('')}</div>
             </div>
-            <label class="switch" title="${p.isActive ? '启用' : '禁用'}">
-                <input type="checkbox" ${p.isActive ? 'checked' : ''} data-id="${p.id}">
-                <span class="slider"></span>
-            </label>
-        </div>`).join('');
+            <div class="prompt-item-actions">
+                ${p.readOnly ? '' : `
+                <button class="btn-icon btn-pin${isPinned(p) ? ' active' : ''}" data-id="${p.id}" title="${isPinned(p) ? '取消置顶（拖动可调整顺序）' : '置顶'}">
+                    <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 20 20" fill="currentColor"><path d="M7 2h6v2l-1 1v4l3 3v1.5h-4.25V18L10 19l-.75-1v-4.5H5V12l3-3V5L7 4V2z" /></svg>
+                </button>
+                <button class="btn-icon btn-favorite${p.isFavorite ? ' active' : ''}" data-id="${p.id}" title="${p.isFavorite ? '取消收藏' : '收藏'}">
+                    <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 20 20"><path d="M10.868 2.884c-.321-.772-1.415-.772-1.736 0l-1.83 4.401-4.753.381c-.833.067-1.171 1.107-.536 1.651l3.62 3.102-1.106 4.637c-.194.813.691 1.456 1.405 1.02L10 15.591l4.069 2.485c.713.436 1.598-.207 1.404-1.02l-1.106-4.637 3.62-3.102c.635-.544.297-1.584-.536-1.65l-4.752-.382-1.831-4.401z" /></svg>
+                </button>`}
+                <button class="btn-icon btn-copy" data-id="${p.id}" title="${p.variables?.length ? '填写变量并复制' : '复制'}">
+                    <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 20 20" fill="currentColor"><path d="M7 3.5A1.5 1.5 0 018.5 2h3.879a1.5 1.5 0 011.06.44l3.122 3.12A1.5 1.5 0 0117 6.622V12.5a1.5 1.5 0 01-1.5 1.5h-1v-3.379a3 3 0 00-.879-2.121L10.5 5.379A3 3 0 008.379 4.5H7v-1z" /><path d="M4.5 6A1.5 1.5 0 003 7.5v9A1.5 1.5 0 004.5 18h7a1.5 1.5 0 001.5-1.5v-5.879a1.5 1.5 0 00-.44-1.06L9.44 6.439A1.5 1.5 0 008.378 6H4.5z" /></svg>
+                </button>
+                <label class="switch" title="${p.readOnly ? '只读来源中的 Prompt 不能修改' : (p.isActive ? '启用' : '禁用')}">
+                    <input type="checkbox" ${p.isActive ? 'checked' : ''} ${p.readOnly ? 'disabled' : ''} data-id="${p.id}">
+                    <span class="slider"></span>
+                </label>
+            </div>
+        </div>`;
+    }).join('');
     dom.noResultsMessage.classList.toggle('hidden', filtered.length !== 0);
+    bulkActionView.render();
 }
 
 function renderCategoryDropdown() {
     const { categorySelect, categoryDropdownMenu } = dom.editViewElements;
     const categories = state.appData?.categories || [];
-    dom.categoryDropdownMenu.innerHTML = categories.map(cat => `
-        <div class="dropdown-item" data-value="${cat}">${cat}</div>
+    dom.categoryDropdownMenu.innerHTML = flattenCategoryTree(buildCategoryTree(categories)).map(({ node, depth }) => `
+        <div class="dropdown-item" data-value="${escapeHtml(node.path)}" style="padding-left: ${8 + depth * 12}px" title="${escapeHtml(node.path)}">${escapeHtml(node.name)}</div>
     `).join('');
 }
 
 function renderTags() {
     dom.tagPillsContainer.innerHTML = state.currentTags.map(tag => `
         <span class="tag-pill">
-            ${tag}
-            <button type="button" class="tag-remove-btn" data-tag="${tag}">&times;</button>
+            ${escapeHtml(tag)}
+            <button type="button" class="tag-remove-btn" data-tag="${escapeHtml(tag)}">&times;</button>
         </span>`).join('');
 }
 
 function updateCategories() {
-    const categories = ['all', ...(state.appData?.categories || [])];
-
-    const createHtml = (cat, isActive) => `<button class="btn category-tab ${isActive ? 'active' : ''}" data-category="${cat}">${cat === 'all' ? '全部' : cat}</button>`;
-
-    dom.categoryTabsContainer.innerHTML = categories.map(c => createHtml(c, state.filter.category === c)).join('');
+    // Categories that only exist in read-only libraries get a tab too
+    const sharedCategories = state.prompts.filter(p => p && p.readOnly && p.category).map(p => p.category);
+    const tree = buildCategoryTree([...new Set([...(state.appData?.categories || []), ...sharedCategories])]);
+    const selected = state.filter.category;
+
+    // The tree folds into a single row showing the selected category
+    const toggle = `
+        <button class="btn category-tree-toggle" title="${state.categoryTreeOpen ? '收起分类' : '展开分类'}">
+            <span class="category-tree-caret">${state.categoryTreeOpen ? '▾' : '▸'}</span>
+            分类：${selected === 'all' ? '全部' : escapeHtml(selected)}
+        </button>`;
+    const rows = state.categoryTreeOpen ? flattenCategoryTree(tree, state.collapsedCategories).map(({ node, depth }) => `
+        <div class="category-tree-row" style="padding-left: ${depth * 16}px">
+            ${node.children.length > 0
+                ? `<span class="category-tree-caret category-tree-expander" data-category="${escapeHtml(node.path)}">${state.collapsedCategories.includes(node.path) ? '▸' : '▾'}</span>`
+                : '<span class="category-tree-caret"></span>'}
+            <button class="btn category-tab ${selected === node.path ? 'active' : ''}" data-category="${escapeHtml(node.path)}">${escapeHtml(node.name)}</button>
+        </div>`).join('') : '';
+
+    dom.categoryTabsContainer.innerHTML = toggle + (state.categoryTreeOpen ? `
+        <div class="category-tree">
+            <div class="category-tree-row">
+                <span class="category-tree-caret"></span>
+                <button class="btn category-tab ${selected === 'all' ? 'active' : ''}" data-category="all">全部</button>
+            </div>
+            ${rows}
+        </div>` : '');
     
     renderCategoryDropdown();
 }
@@ -133,7 +220,16 @@ function updateCategories() {
 function updateFilterView() {
     if (!state.stagedFilter || !state.prompts) return;
 
-    // Update Status Buttons
+    // Update Sort, Usage, Favorite and Status Buttons
+    document.querySelectorAll('#favorite-options .filter-btn').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.favorite === (state.stagedFilter.favorite || 'all'));
+    });
+    document.querySelectorAll('#sort-options .filter-btn').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.sort === (state.stagedFilter.sortBy || 'newest'));
+    });
+    document.querySelectorAll('#usage-options .filter-btn').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.usage === (state.stagedFilter.usage || 'all'));
+    });
     document.querySelectorAll('#status-options .filter-btn').forEach(btn => {
         btn.classList.toggle('active', btn.dataset.status === state.stagedFilter.status);
     });
@@ -146,10 +242,17 @@ function updateFilterView() {
         }, []);
         const uniqueTags = ['all', ...new Set(allTags)];
         tagContainer.innerHTML = uniqueTags.map(tag => 
-            `<button class="btn filter-btn" data-tag="${tag}">${tag === 'all' ? '全部' : tag}</button>`
+            `<button class="btn filter-btn" data-tag="${escapeHtml(tag)}">${tag === 'all' ? '全部' : escapeHtml(tag)}</button>`
         ).join('');
     }
 
+    // Render Source Buttons, hidden while there is only the personal library
+    const { sourceFilterGroup, sourceFilterOptions } = dom.filterViewElements;
+    sourceFilterGroup.classList.toggle('hidden', state.sources.length <= 1);
+    sourceFilterOptions.innerHTML = [{ id: 'all', name: '全部' }, ...state.sources].map(source =>
+        `<button class="btn filter-btn ${(state.stagedFilter.source || 'all') === source.id ? 'active' : ''}" data-source="${escapeHtml(source.id)}">${escapeHtml(source.name)}</button>`
+    ).join('');
+
     // Update active state for all tag buttons
     tagContainer.querySelectorAll('.filter-btn').forEach(btn => {
         const tag = btn.dataset.tag;
@@ -185,8 +288,23 @@ function showEditForm(id, isCreate = false) {
     renderCategoryDropdown();
     editView.render();
 
-    elements.viewTitle.textContent = isCreate ? '创建 Prompt' : '编辑 Prompt';
-    elements.deleteButton.classList.toggle('hidden', isCreate);
+    // Prompts from other libraries are shown read-only and can only be copied into the personal library
+    const isReadOnly = !isCreate && !!prompt.readOnly;
+    const sourceName = state.sources.find(source => source.id === prompt.source)?.name || prompt.source;
+    elements.form.querySelectorAll('input, textarea').forEach(field => {
+        field.disabled = isReadOnly;
+    });
+    dom.tagPillsContainer.classList.toggle('read-only', isReadOnly);
+    elements.allTagsContainer.classList.toggle('hidden', isReadOnly);
+    elements.readOnlyNotice.textContent = isReadOnly ? `来自「${sourceName}」，只读。复制到我的库后可以编辑。` : '';
+    elements.readOnlyNotice.classList.toggle('hidden', !isReadOnly);
+    elements.copyToLibraryButton.classList.toggle('hidden', !isReadOnly);
+    elements.saveButton.classList.toggle('hidden', isReadOnly);
+
+    elements.viewTitle.textContent = isCreate ? '创建 Prompt' : (isReadOnly ? '查看 Prompt' : '编辑 Prompt');
+    elements.deleteButton.classList.toggle('hidden', isCreate || isReadOnly);
+    elements.revisionNoteGroup.classList.toggle('hidden', isCreate || isReadOnly);
+    elements.historyButton.classList.toggle('hidden', isCreate || isReadOnly);
     navigateTo('edit');
 }
 
@@ -201,8 +319,8 @@ function renderSettingsStatus(status) {
         return;
     }
 
-    const storageModeText = status.storageMode === 'workspace' ? '工作区' : '全局';
-    updateBadge(dom.settingsViewElements.storageModeStatus, storageModeText, status.storageMode === 'workspace' ? 'success' : 'info');
+    const storageModeText = { workspace: '工作区', folder: '文件夹 (.prompthub)' }[status.storageMode] || '全局';
+    updateBadge(dom.settingsViewElements.storageModeStatus, storageModeText, status.storageMode === 'global' ? 'info' : 'success');
     
     settingsView.updateCloudSyncView(status);
 
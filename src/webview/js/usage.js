@@ -0,0 +1,47 @@
+/**
+ * 使用统计
+ * Prompt 的 usage 字段由后端在复制或插入时记录：
+ * { count: 总次数, lastUsedAt: 最近使用时间, daily: { 'YYYY-MM-DD': 当天次数 } }
+ */
+
+export const STALE_DAYS = 90;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * 最近使用时间的时间戳，从未使用时为 0
+ * @param {Object} prompt
+ * @returns {number}
+ */
+export function lastUsedTime(prompt) {
+    return prompt.usage?.lastUsedAt ? new Date(prompt.usage.lastUsedAt).getTime() : 0;
+}
+
+/**
+ * 从未使用或超过 STALE_DAYS 天没有使用
+ * @param {Object} prompt
+ * @returns {boolean}
+ */
+export function isStale(prompt) {
+    return Date.now() - lastUsedTime(prompt) > STALE_DAYS * DAY_MS;
+}
+
+function toDayKey(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * 统计最近若干天（含今天）的使用次数
+ * @param {Object} prompt
+ * @param {number} days
+ * @returns {number}
+ */
+export function countRecentUsage(prompt, days) {
+    const daily = prompt.usage?.daily || {};
+    const cutoff = new Date();
+    cutoff.setDate(cutoff.getDate() - days + 1);
+    const cutoffKey = toDayKey(cutoff);
+    return Object.entries(daily).reduce((sum, [day, count]) => day >= cutoffKey ? sum + count : sum, 0);
+}
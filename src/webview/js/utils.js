@@ -0,0 +1,17 @@
+/**
+ * 视图共用的小工具
+ */
+
+/**
+ * 转义要插入 HTML 模板的文本，可用于元素内容和加引号的属性值
+ * @param {*} text - 要转义的内容，非字符串会先转为字符串
+ * @returns {string} 转义后的文本
+ */
+export function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
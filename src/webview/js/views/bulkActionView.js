@@ -0,0 +1,165 @@
+import { dom, state } from '../state.js';
+import * as api from '../api.js';
+import { renderPrompts } from '../uiManager.js';
+
+/**
+ * 批量操作模块 - 负责 Prompt 列表的多选和批量操作
+ *
+ * 职责：
+ * - 进入和退出多选模式，单击切换选中，Shift+单击选中一段范围
+ * - 全选当前筛选出的 Prompt（只读来源的 Prompt 不能选中）
+ * - 每个批量操作只发送一条消息，由后端一次保存
+ */
+
+let isInitialized = false;
+let refreshCallback = () => {};
+
+function isSelectable(id) {
+    const prompt = state.prompts.find(p => p.id === id);
+    return !!prompt && !prompt.readOnly;
+}
+
+/**
+ * 选中的 Prompt 中仍然存在的部分
+ */
+function getSelectedIds() {
+    return state.selectedIds.filter(isSelectable);
+}
+
+/**
+ * 更新操作栏，由 renderPrompts 在每次渲染列表后调用
+ */
+export function render() {
+    const { selectModeButton, bulkActionBar, bulkSelectedCount, bulkSelectAllButton, bulkActionButtons } = dom.mainViewElements;
+    if (!bulkActionBar) return;
+
+    selectModeButton?.classList.toggle('active', state.selectMode);
+    bulkActionBar.classList.toggle('hidden', !state.selectMode);
+    if (!state.selectMode) return;
+
+    const count = getSelectedIds().length;
+    const selectable = state.visiblePromptIds.filter(isSelectable);
+    bulkSelectedCount.textContent = `已选 ${count} 项`;
+    bulkSelectAllButton.textContent = selectable.length > 0 && selectable.every(id => state.selectedIds.includes(id)) ? '取消全选' : '全选';
+    bulkActionButtons.querySelectorAll('button').forEach(button => {
+        button.disabled = count === 0;
+    });
+}
+
+/**
+ * 进入或退出多选模式，退出时清空选择
+ * @param {boolean} enabled
+ */
+export function setSelectMode(enabled) {
+    state.selectMode = enabled;
+    state.selectedIds = [];
+    state.selectionAnchorId = null;
+    renderPrompts();
+}
+
+/**
+ * 切换一个 Prompt 的选中状态，按住 Shift 时选中上次点击的 Prompt 到这个 Prompt 之间的所有 Prompt
+ * @param {number} id - Prompt ID
+ * @param {boolean} extendRange - 是否按住了 Shift
+ */
+export function toggleSelection(id, extendRange) {
+    if (!isSelectable(id)) return;
+
+    const anchorIndex = state.visiblePromptIds.indexOf(state.selectionAnchorId);
+    const index = state.visiblePromptIds.indexOf(id);
+    if (extendRange && anchorIndex !== -1 && index !== -1) {
+        const [from, to] = anchorIndex < index ? [anchorIndex, index] : [index, anchorIndex];
+        const range = state.visiblePromptIds.slice(from, to + 1).filter(isSelectable);
+        state.selectedIds = [...new Set([...state.selectedIds, ...range])];
+    } else {
+        state.selectedIds = state.selectedIds.includes(id)
+            ? state.selectedIds.filter(selectedId => selectedId !== id)
+            : [...state.selectedIds, id];
+    }
+    state.selectionAnchorId = id;
+    renderPrompts();
+}
+
+function handleSelectAll() {
+    const selectable = state.visiblePromptIds.filter(isSelectable);
+    const allSelected = selectable.length > 0 && selectable.every(id => state.selectedIds.includes(id));
+    state.selectedIds = allSelected
+        ? state.selectedIds.filter(id => !selectable.includes(id))
+        : [...new Set([...state.selectedIds, ...selectable])];
+    renderPrompts();
+}
+
+async function runBulkAction(action) {
+    const ids = getSelectedIds();
+    if (ids.length === 0) return;
+
+    try {
+        switch (action) {
+            case 'move': {
+                const result = await api.postMessageWithResponse('bulkMovePrompts', { ids });
+                if (result?.changed === undefined) return;
+                api.showToast(`已移动 ${result.changed} 个 Prompt`, 'success');
+                break;
+            }
+            case 'addTags':
+            case 'removeTags': {
+                const result = await api.postMessageWithResponse('bulkUpdateTags', { ids, mode: action === 'addTags' ? 'add' : 'remove' });
+                if (result?.changed === undefined) return;
+                api.showToast(`已修改 ${result.changed} 个 Prompt 的标签`, 'success');
+                break;
+            }
+            case 'enable':
+            case 'disable': {
+                const result = await api.postMessageWithResponse('bulkSetActive', { ids, isActive: action === 'enable' });
+                api.showToast(`已${action === 'enable' ? '启用' : '禁用'} ${result?.changed ?? 0} 个 Prompt`, 'success');
+                break;
+            }
+            case 'export':
+                await api.postMessageWithResponse('exportPrompts', { ids });
+                return;
+            case 'delete': {
+                const confirmed = await api.showConfirmation(`确定要删除选中的 ${ids.length} 个 Prompt 吗？`);
+                if (!confirmed) return;
+                await api.postMessageWithResponse('bulkDeletePrompts', { ids });
+                state.selectedIds = [];
+                break;
+            }
+            default:
+                return;
+        }
+        await refreshCallback();
+    } catch (err) {
+        api.showToast(`批量操作失败: ${err.message}`, 'error');
+    }
+}
+
+/**
+ * 初始化批量操作模块
+ * @param {Function} refreshFunc - 刷新数据的回调
+ */
+export function init(refreshFunc) {
+    if (isInitialized) return;
+    if (refreshFunc) {
+        refreshCallback = refreshFunc;
+    }
+
+    const { selectModeButton, bulkSelectAllButton, bulkDoneButton, bulkActionButtons } = dom.mainViewElements;
+    selectModeButton?.addEventListener('click', () => setSelectMode(!state.selectMode));
+    bulkSelectAllButton?.addEventListener('click', handleSelectAll);
+    bulkDoneButton?.addEventListener('click', () => setSelectMode(false));
+    bulkActionButtons?.addEventListener('click', e => {
+        const button = e.target.closest('[data-bulk-action]');
+        if (button && !button.disabled) {
+            runBulkAction(button.dataset.bulkAction);
+        }
+    });
+
+    isInitialized = true;
+}
+
+/**
+ * 重置模块状态（用于测试或重新初始化）
+ */
+export function reset() {
+    isInitialized = false;
+}
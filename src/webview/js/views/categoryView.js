@@ -1,25 +1,44 @@
 import { dom, state } from '../state.js';
 import * as api from '../api.js';
 import { goBack } from '../uiManager.js';
+import { buildCategoryTree, flattenCategoryTree, getCategoryName, getParentCategory, isInCategory, CATEGORY_SEPARATOR } from '../categoryTree.js';
+import { escapeHtml } from '../utils.js';
+
+/**
+ * 分类管理 - 以树的形式管理多级分类
+ *
+ * 职责：
+ * - 添加顶层分类和下级分类，输入的名称中可以用 / 一次创建多级
+ * - 重命名分类时下级分类和其中的 Prompt 一起改名
+ * - 删除分类时一起删除下级分类，其中的 Prompt 由后端询问移到哪里
+ */
 
 let refreshCallback = () => {};
+let collapsedCategories = [];
 
-function createCategoryItemElement(categoryName, isEditing = false, isNew = false) {
+function createCategoryItemElement(categoryPath, { isEditing = false, isNew = false, parentPath = '', depth = 0, hasChildren = false } = {}) {
     const item = document.createElement('div');
     item.className = 'category-manage-item';
     if (isNew) {
         item.classList.add('new-category-item');
     }
-    item.dataset.categoryName = categoryName || '';
+    item.dataset.categoryName = categoryPath || '';
+    item.dataset.parentPath = parentPath;
+    item.style.paddingLeft = `${8 + depth * 16}px`;
 
-    const displayName = categoryName || '';
+    const displayName = categoryPath ? getCategoryName(categoryPath) : '';
+    const caret = hasChildren ? (collapsedCategories.includes(categoryPath) ? '▸' : '▾') : '';
 
     item.innerHTML = `
+        <span class="category-tree-caret ${hasChildren ? 'category-tree-expander' : ''}">${caret}</span>
         <div class="category-name-wrapper">
-            <span class="category-name ${isEditing ? 'hidden' : ''}">${displayName}</span>
-            <input type="text" class="category-input ${isEditing ? '' : 'hidden'}" value="${displayName}" placeholder="输入分类名称" />
+            <span class="category-name ${isEditing ? 'hidden' : ''}" title="${escapeHtml(categoryPath || '')}">${escapeHtml(displayName)}</span>
+            <input type="text" class="category-input ${isEditing ? '' : 'hidden'}" value="${escapeHtml(displayName)}" placeholder="${parentPath ? `${escapeHtml(parentPath)}${CATEGORY_SEPARATOR}…` : '输入分类名称，用 / 分隔多级'}" />
         </div>
         <div class="category-manage-actions">
+            <button class="btn-icon btn-add-child ${isNew ? 'hidden' : ''}" title="添加下级分类">
+                <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 20 20" fill="currentColor"><path d="M10.75 4.75a.75.75 0 00-1.5 0v4.5h-4.5a.75.75 0 000 1.5h4.5v4.5a.75.75 0 001.5 0v-4.5h4.5a.75.75 0 000-1.5h-4.5v-4.5z" /></svg>
+            </button>
             <button class="btn-icon btn-save ${isEditing ? '' : 'hidden'}" title="保存">
                  <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 20 20" fill="currentColor"><path fill-rule="evenodd" d="M16.707 5.293a1 1 0 010 1.414l-8 8a1 1 0 01-1.414 0l-4-4a1 1 0 011.414-1.414L8 12.586l7.293-7.293a1 1 0 011.414 0z" clip-rule="evenodd" /></svg>
             </button>
@@ -44,22 +63,44 @@ function handleAddCategory() {
         return;
     }
 
-    const newItem = createCategoryItemElement('', true, true);
+    const newItem = createCategoryItemElement('', { isEditing: true, isNew: true });
     container.prepend(newItem);
     newItem.querySelector('.category-input').focus();
 }
 
-async function handleDeleteCategory(id, name) {
+function handleAddChildCategory(parentItem) {
+    const container = dom.categoryViewElements?.container;
+    if (!container) return;
+    container.querySelector('.new-category-item')?.remove();
+
+    const parentPath = parentItem.dataset.categoryName;
+    if (collapsedCategories.includes(parentPath)) {
+        collapsedCategories = collapsedCategories.filter(path => path !== parentPath);
+        render();
+        parentItem = container.querySelector(`.category-manage-item[data-category-name="${CSS.escape(parentPath)}"]`);
+    }
+    const depth = parentPath.split(CATEGORY_SEPARATOR).length;
+    const newItem = createCategoryItemElement('', { isEditing: true, isNew: true, parentPath, depth });
+    parentItem.after(newItem);
+    newItem.querySelector('.category-input').focus();
+}
+
+async function handleDeleteCategory(name) {
     try {
+        const descendants = (state.appData?.categories || []).filter(c => c !== name && isInCategory(c, name)).length;
         // 使用VS Code确认对话框而不是原生confirm()
-        const confirmed = await api.showConfirmation(`确定要删除分类 "${name}" 吗？`);
+        const confirmed = await api.showConfirmation(descendants > 0
+            ? `确定要删除分类 "${name}" 及其 ${descendants} 个下级分类吗？`
+            : `确定要删除分类 "${name}" 吗？`);
         if (!confirmed) {
             return;
         }
 
-        await api.postMessageWithResponse('deleteCategory', { id });
-        api.showToast('分类已删除', 'success');
-        this.loadCategories();
+        // 分类中有 Prompt 时后端会询问移到哪里，取消时不删除；删除后后端会显示带撤销按钮的通知
+        const result = await api.postMessageWithResponse('deleteCategory', { name });
+        if (result && result.deleted) {
+            refreshCallback();
+        }
     } catch (error) {
         console.error('删除分类失败:', error);
         const errorMessage = error.message || '删除分类失败';
@@ -92,8 +133,22 @@ async function handleCategoryListClick(e) {
     if (!item) return;
 
     const originalName = item.dataset.categoryName;
+    const parentPath = item.dataset.parentPath || '';
     const isNewItem = item.classList.contains('new-category-item');
 
+    if (e.target.closest('.category-tree-expander')) {
+        collapsedCategories = collapsedCategories.includes(originalName)
+            ? collapsedCategories.filter(path => path !== originalName)
+            : [...collapsedCategories, originalName];
+        render();
+        return;
+    }
+
+    if (e.target.closest('.btn-add-child')) {
+        handleAddChildCategory(item);
+        return;
+    }
+
     if (e.target.closest('.category-name')) {
         toggleEditMode(item, true);
         return;
@@ -104,7 +159,7 @@ async function handleCategoryListClick(e) {
             item.remove();
         } else {
             const input = item.querySelector('.category-input');
-            if (input) input.value = originalName;
+            if (input) input.value = getCategoryName(originalName);
             toggleEditMode(item, false);
         }
     }
@@ -113,11 +168,13 @@ async function handleCategoryListClick(e) {
         const input = item.querySelector('.category-input');
         if (!input) return;
 
-        const newName = input.value.trim();
-        if (!newName) {
+        const name = input.value.trim();
+        if (!name) {
             api.showToast('分类名称不能为空', 'error');
             return;
         }
+        // The input holds the last level, the parent path stays the same
+        const newName = parentPath ? `${parentPath}${CATEGORY_SEPARATOR}${name}` : name;
 
         const actionPromise = isNewItem
             ? api.postMessageWithResponse('addCategory', { name: newName })
@@ -145,7 +202,7 @@ async function handleCategoryListClick(e) {
             item.remove();
             return;
         }
-        await handleDeleteCategory(item.dataset.id, originalName);
+        await handleDeleteCategory(originalName);
     }
 }
 
@@ -176,9 +233,13 @@ export function render() {
 
     const categories = state.appData?.categories || [];
     container.innerHTML = ''; // Clear the list first
-    categories
-        .forEach(category => {
-            const item = createCategoryItemElement(category);
+    flattenCategoryTree(buildCategoryTree(categories), collapsedCategories)
+        .forEach(({ node, depth }) => {
+            const item = createCategoryItemElement(node.path, {
+                parentPath: getParentCategory(node.path),
+                depth,
+                hasChildren: node.children.length > 0
+            });
             container.appendChild(item);
         });
 } 
\ No newline at end of file
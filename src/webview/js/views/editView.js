@@ -1,6 +1,8 @@
 import { dom, state } from '../state.js';
-import { goBack, renderTags, renderCategoryDropdown } from '../uiManager.js';
+import { goBack, renderTags, renderCategoryDropdown, showEditForm } from '../uiManager.js';
 import * as api from '../api.js';
+import { diffLines, renderDiff } from '../diff.js';
+import { escapeHtml } from '../utils.js';
 
 let allTagsCache = [];
 let refreshCallback = () => {};
@@ -11,9 +13,9 @@ function renderAvailableTags() {
 
     const available = allTagsCache.filter(t => !state.currentTags.includes(t));
     container.innerHTML = available.map(tag => `
-        <span class="tag-pill available-tag" data-tag="${tag}">
-            ${tag}
-            <button type="button" class="tag-remove-btn permanent-delete" data-tag="${tag}" title="永久删除该标签">&times;</button>
+        <span class="tag-pill available-tag" data-tag="${escapeHtml(tag)}">
+            ${escapeHtml(tag)}
+            <button type="button" class="tag-remove-btn permanent-delete" data-tag="${escapeHtml(tag)}" title="永久删除该标签">&times;</button>
         </span>
     `).join('');
     container.classList.toggle('hidden', available.length === 0);
@@ -29,14 +31,13 @@ async function handleAllTagsContainerClick(e) {
 
         try {
             // 使用VS Code确认对话框而不是原生confirm()
-            const confirmed = await api.showConfirmation(`确定要从所有 Prompts 中永久删除标签 '${tagToDelete}' 吗？\n\n此操作无法撤销。`);
+            const confirmed = await api.showConfirmation(`确定要从所有 Prompts 中删除标签 '${tagToDelete}' 吗？`);
             if (!confirmed) {
                 return;
             }
 
-            // 执行删除操作
-            await api.postMessageWithResponse('deleteTag', { tag: tagToDelete });
-            api.showToast(`标签 '${tagToDelete}' 已被永久删除。`, 'success');
+            // 执行删除操作，后端会显示带撤销按钮的通知
+            await api.postMessageWithResponse('deleteTag', { name: tagToDelete });
 
             // 重新加载标签列表
             await loadAllTags();
@@ -77,6 +78,7 @@ function handleFormSubmit(event) {
     const promptId = elements.idInput.value;
     if (promptId) {
         promptData.id = parseInt(promptId, 10);
+        promptData.revisionNote = elements.revisionNoteInput.value.trim();
     }
 
     api.postMessageWithResponse('savePrompt', { prompt: promptData })
@@ -135,8 +137,119 @@ function handleCategoryDropdownInteraction(e) {
     }
 }
 
+// --- Revision History ---
+
+function getEditingPrompt() {
+    return state.prompts.find(p => p.id == state.editingPromptId);
+}
+
+function getRevisionsNewestFirst() {
+    return [...(getEditingPrompt()?.revisions || [])].reverse();
+}
+
+function formatRevisionText(revision) {
+    return [
+        `标题: ${revision.title}`,
+        `分类: ${revision.category || '未分类'}`,
+        `标签: ${(revision.tags || []).join(', ')}`,
+        '',
+        revision.content
+    ].join('\n');
+}
+
+function formatRevisionLabel(revision, isLatest) {
+    const time = new Date(revision.createdAt).toLocaleString('zh-CN');
+    return `#${revision.revision}${isLatest ? ' (当前)' : ''} · ${time}`;
+}
+
+function renderHistory() {
+    const { historyList, historyCompareFrom, historyCompareTo } = dom.editViewElements;
+    const revisions = getRevisionsNewestFirst();
+
+    if (revisions.length === 0) {
+        historyList.innerHTML = '<p class="info-text">暂无历史版本，保存修改后会自动记录。</p>';
+        historyCompareFrom.innerHTML = '';
+        historyCompareTo.innerHTML = '';
+        dom.editViewElements.historyDiff.innerHTML = '';
+        return;
+    }
+
+    historyList.innerHTML = revisions.map((revision, index) => `
+        <div class="history-item">
+            <div class="history-item-info">
+                <span class="history-item-label">${formatRevisionLabel(revision, index === 0)}</span>
+                ${revision.note ? `<span class="history-item-note">${escapeHtml(revision.note)}</span>` : ''}
+            </div>
+            ${index === 0 ? '' : `<button type="button" class="btn btn-secondary btn-restore-revision" data-revision="${revision.revision}">恢复</button>`}
+        </div>
+    `).join('');
+
+    const options = revisions.map((revision, index) =>
+        `<option value="${revision.revision}">${formatRevisionLabel(revision, index === 0)}</option>`
+    ).join('');
+    historyCompareFrom.innerHTML = options;
+    historyCompareTo.innerHTML = options;
+    historyCompareFrom.value = String((revisions[1] || revisions[0]).revision);
+    historyCompareTo.value = String(revisions[0].revision);
+    renderHistoryDiff();
+}
+
+function renderHistoryDiff() {
+    const { historyCompareFrom, historyCompareTo, historyDiff } = dom.editViewElements;
+    const revisions = getRevisionsNewestFirst();
+    const from = revisions.find(r => r.revision == historyCompareFrom.value);
+    const to = revisions.find(r => r.revision == historyCompareTo.value);
+    if (!from || !to) {
+        historyDiff.innerHTML = '';
+        return;
+    }
+    renderDiff(historyDiff, diffLines(formatRevisionText(from), formatRevisionText(to)));
+}
+
+function toggleHistoryPanel() {
+    const { historyPanel } = dom.editViewElements;
+    const willShow = historyPanel.classList.contains('hidden');
+    if (willShow) {
+        renderHistory();
+    }
+    historyPanel.classList.toggle('hidden', !willShow);
+}
+
+async function handleHistoryListClick(e) {
+    const restoreButton = e.target.closest('.btn-restore-revision');
+    if (!restoreButton) return;
+
+    const promptId = state.editingPromptId;
+    const revision = Number(restoreButton.dataset.revision);
+    const confirmed = await api.showConfirmation(`确定要恢复到版本 #${revision} 吗？当前内容会保留在历史版本中。`);
+    if (!confirmed) return;
+
+    try {
+        await api.postMessageWithResponse('restorePromptRevision', { id: promptId, revision });
+        await refreshCallback();
+        showEditForm(promptId);
+        dom.editViewElements.historyPanel.classList.remove('hidden');
+        renderHistory();
+    } catch (err) {
+        console.error('恢复版本失败:', err);
+        api.showToast(`恢复失败: ${err.message}`, 'error');
+    }
+}
+
+async function handleCopyToLibrary() {
+    try {
+        const result = await api.postMessageWithResponse('copyPromptToLibrary', { id: state.editingPromptId });
+        await refreshCallback();
+        showEditForm(result.id);
+    } catch (err) {
+        console.error('复制到我的库失败:', err);
+        api.showToast(`复制失败: ${err.message}`, 'error');
+    }
+}
+
 export function render() {
     renderAvailableTags();
+    dom.editViewElements.historyPanel.classList.add('hidden');
 }
 
 export function init(refreshFunc) {
@@ -150,6 +263,12 @@ export function init(refreshFunc) {
     elements.cancelButton.addEventListener('click', goBack);
     elements.tagsInput.addEventListener('keydown', handleTagInput);
     
+    elements.copyToLibraryButton.addEventListener('click', handleCopyToLibrary);
+    elements.historyButton.addEventListener('click', toggleHistoryPanel);
+    elements.historyList.addEventListener('click', handleHistoryListClick);
+    elements.historyCompareFrom.addEventListener('change', renderHistoryDiff);
+    elements.historyCompareTo.addEventListener('change', renderHistoryDiff);
+
     dom.tagPillsContainer.addEventListener('click', handleTagPillRemove);
     elements.allTagsContainer.addEventListener('click', handleAllTagsContainerClick);
     document.addEventListener('click', handleCategoryDropdownInteraction);
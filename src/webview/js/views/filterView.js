@@ -44,6 +44,9 @@ function resetFilters() {
         sortBy: 'newest', 
         status: 'all', 
         category: 'all', 
+        source: 'all',
+        usage: 'all',
+        favorite: 'all',
         selectedTags: ['all'] 
     };
     updateFilterView();
@@ -0,0 +1,260 @@
+import { dom } from '../state.js';
+import * as api from '../api.js';
+import { navigateTo, goBack } from '../uiManager.js';
+import { diffLines, renderDiff, formatPromptForDiff } from '../diff.js';
+
+/**
+ * 导入向导模块 - 负责在导入前处理与现有 Prompt 重复的项
+ *
+ * 职责：
+ * - 列出导入文件中与现有 Prompt 按 ID 或内容匹配的项，并展示差异
+ * - 记录用户对每个重复项的选择（跳过 / 覆盖 / 保留两者 / 合并标签）
+ * - 导入前展示摘要和将新增的 Prompt，确认后才写入数据
+ */
+
+const CHOICE_LABELS = {
+    skip: '跳过',
+    overwrite: '覆盖',
+    keepBoth: '保留两者',
+    mergeTags: '合并标签',
+};
+
+let refreshCallback = null;
+let analysis = null;
+let choices = {};
+let expandedId = null;
+
+/**
+ * 描述匹配的原因
+ * @param {Object} match - 匹配信息
+ * @returns {string} 匹配原因
+ */
+function describeMatch(match) {
+    const reason = match.matchedBy === 'id'
+        ? 'ID 相同'
+        : `与现有的「${match.existing.title}」内容相似度 ${Math.round(match.similarity * 100)}%`;
+    return match.identical ? `${reason}，内容完全相同` : reason;
+}
+
+/**
+ * 生成单个重复项的卡片
+ * @param {Object} match - 匹配信息
+ * @returns {HTMLElement} 重复项卡片
+ */
+function createMatchCard(match) {
+    const id = match.incoming.id;
+    const card = document.createElement('div');
+    card.className = 'import-match-card';
+    card.dataset.id = id;
+
+    const header = document.createElement('div');
+    header.className = 'import-match-header';
+    const title = document.createElement('h3');
+    title.className = 'import-match-title';
+    title.textContent = match.incoming.title;
+    header.appendChild(title);
+    if (!match.identical) {
+        const toggle = document.createElement('button');
+        toggle.type = 'button';
+        toggle.className = 'btn btn-secondary btn-import-diff';
+        toggle.textContent = expandedId === id ? '收起' : '对比';
+        header.appendChild(toggle);
+    }
+
+    const reason = document.createElement('p');
+    reason.className = 'import-match-reason';
+    reason.textContent = describeMatch(match);
+    card.append(header, reason);
+
+    if (expandedId === id) {
+        const diffView = document.createElement('div');
+        diffView.className = 'diff-view';
+        renderDiff(diffView, diffLines(formatPromptForDiff(match.existing), formatPromptForDiff(match.incoming)));
+        card.appendChild(diffView);
+    }
+
+    const choiceButtons = document.createElement('div');
+    choiceButtons.className = 'filter-options import-match-choices';
+    choiceButtons.innerHTML = Object.keys(CHOICE_LABELS).map(choice => `
+        <button class="btn filter-btn ${choices[id] === choice ? 'active' : ''}" data-choice="${choice}">
+            ${CHOICE_LABELS[choice]}
+        </button>`).join('');
+    card.appendChild(choiceButtons);
+    return card;
+}
+
+/**
+ * 渲染重复项列表
+ */
+export function render() {
+    const elements = dom.importElements;
+    const matches = analysis ? analysis.matches : [];
+    const newCount = analysis ? analysis.total - matches.length : 0;
+    elements.summary.textContent = analysis
+        ? `${analysis.fileName} 中共有 ${analysis.total} 个 Prompt：${newCount} 个将作为新 Prompt 导入，${matches.length} 个与现有 Prompt 重复，请选择处理方式。`
+        : '';
+
+    elements.matchList.innerHTML = '';
+    matches.forEach(match => elements.matchList.appendChild(createMatchCard(match)));
+}
+
+/**
+ * 生成导入摘要的列表项
+ * @param {Object} summary - 后端返回的导入摘要
+ * @returns {string[]} 摘要文本
+ */
+function describeSummary(summary) {
+    const lines = [`新增 ${summary.added} 个 Prompt`];
+    if (summary.overwritten > 0) lines.push(`覆盖 ${summary.overwritten} 个现有 Prompt（覆盖前的内容保留在版本历史中）`);
+    if (summary.mergedTags > 0) lines.push(`为 ${summary.mergedTags} 个现有 Prompt 合并标签`);
+    if (summary.keptBoth > 0) lines.push(`另存 ${summary.keptBoth} 个重复的 Prompt 为副本`);
+    if (summary.skipped > 0) lines.push(`跳过 ${summary.skipped} 个重复的 Prompt`);
+    if (summary.remapped > 0) lines.push(`${summary.remapped} 个 Prompt 的 ID 与现有数据冲突，将分配新的 ID`);
+    if (summary.newCategories.length > 0) lines.push(`新增分类：${summary.newCategories.join('、')}`);
+    return lines;
+}
+
+const MAX_PREVIEW_ITEMS = 100;
+
+/**
+ * 渲染将新增的 Prompt 列表
+ * @param {Object[]} prompts - 将新增的 Prompt 的标题、分类和标签
+ */
+function renderPreview(prompts) {
+    const elements = dom.importElements;
+    elements.previewList.innerHTML = '';
+    elements.preview.classList.toggle('hidden', prompts.length === 0);
+
+    prompts.slice(0, MAX_PREVIEW_ITEMS).forEach(prompt => {
+        const item = document.createElement('li');
+        const title = document.createElement('span');
+        title.className = 'import-preview-title';
+        title.textContent = prompt.title;
+        item.appendChild(title);
+
+        const details = [prompt.category, prompt.tags.map(tag => `#${tag}`).join(' ')].filter(Boolean).join(' · ');
+        if (details) {
+            const meta = document.createElement('span');
+            meta.className = 'import-preview-meta';
+            meta.textContent = details;
+            item.appendChild(meta);
+        }
+        elements.previewList.appendChild(item);
+    });
+
+    if (prompts.length > MAX_PREVIEW_ITEMS) {
+        const more = document.createElement('li');
+        more.className = 'import-preview-meta';
+        more.textContent = `还有 ${prompts.length - MAX_PREVIEW_ITEMS} 个`;
+        elements.previewList.appendChild(more);
+    }
+}
+
+function showStep(step) {
+    const elements = dom.importElements;
+    elements.reviewPanel.classList.toggle('hidden', step !== 'review');
+    elements.confirmPanel.classList.toggle('hidden', step !== 'confirm');
+}
+
+/**
+ * 向后端请求按当前选择导入的摘要，并进入确认步骤
+ */
+async function showConfirmStep() {
+    try {
+        const summary = await api.postMessageWithResponse('previewImport', { importId: analysis.importId, choices });
+        const list = dom.importElements.planSummary;
+        list.innerHTML = '';
+        describeSummary(summary).forEach(line => {
+            const item = document.createElement('li');
+            item.textContent = line;
+            list.appendChild(item);
+        });
+        renderPreview(summary.addedPrompts);
+        // 没有重复项时无需返回修改
+        dom.importElements.editButton.classList.toggle('hidden', analysis.matches.length === 0);
+        showStep('confirm');
+    } catch (err) {
+        api.showToast(`生成导入摘要失败: ${err.message}`, 'error');
+    }
+}
+
+/**
+ * 打开导入向导
+ * @param {Object} newAnalysis - 后端返回的导入分析结果
+ */
+export function open(newAnalysis) {
+    analysis = newAnalysis;
+    expandedId = null;
+    // 默认跳过重复项，不改动现有数据
+    choices = Object.fromEntries(analysis.matches.map(match => [match.incoming.id, 'skip']));
+    render();
+    navigateTo('import');
+    if (analysis.matches.length === 0) {
+        showConfirmStep();
+    } else {
+        showStep('review');
+    }
+}
+
+function handleMatchListClick(event) {
+    const card = event.target.closest('.import-match-card');
+    if (!card) return;
+    const id = Number(card.dataset.id);
+
+    if (event.target.closest('.btn-import-diff')) {
+        expandedId = expandedId === id ? null : id;
+        render();
+        return;
+    }
+
+    const button = event.target.closest('[data-choice]');
+    if (!button) return;
+    choices[id] = button.dataset.choice;
+    card.querySelectorAll('[data-choice]').forEach(btn => {
+        btn.classList.toggle('active', btn === button);
+    });
+}
+
+function handleBulkChoiceClick(event) {
+    const button = event.target.closest('[data-choice-all]');
+    if (!button || !analysis) return;
+    analysis.matches.forEach(match => {
+        choices[match.incoming.id] = button.dataset.choiceAll;
+    });
+    render();
+}
+
+async function handleConfirm() {
+    const button = dom.importElements.confirmButton;
+    button.disabled = true;
+    try {
+        const summary = await api.postMessageWithResponse('applyImport', { importId: analysis.importId, choices });
+        analysis = null;
+        choices = {};
+        api.showToast(`导入完成：${describeSummary(summary).join('；')}`, 'success');
+        if (refreshCallback) {
+            await refreshCallback();
+        }
+        goBack();
+    } catch (err) {
+        api.showToast(`导入失败: ${err.message}`, 'error');
+    } finally {
+        button.disabled = false;
+    }
+}
+
+/**
+ * 初始化导入向导模块
+ * @param {Function} refreshFunc - 刷新数据的回调函数
+ */
+export function init(refreshFunc) {
+    refreshCallback = refreshFunc;
+    const elements = dom.importElements;
+    elements.matchList.addEventListener('click', handleMatchListClick);
+    elements.bulkActions.addEventListener('click', handleBulkChoiceClick);
+    elements.cancelButton.addEventListener('click', goBack);
+    elements.nextButton.addEventListener('click', showConfirmStep);
+    elements.editButton.addEventListener('click', () => showStep('review'));
+    elements.backCancelButton.addEventListener('click', goBack);
+    elements.confirmButton.addEventListener('click', handleConfirm);
+}
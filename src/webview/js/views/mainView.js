@@ -1,19 +1,70 @@
 import { dom, state } from '../state.js';
 import { showEditForm, updateCategories, renderPrompts, navigateTo } from '../uiManager.js';
 import * as api from '../api.js';
+import * as templateFillView from './templateFillView.js';
+import * as bulkActionView from './bulkActionView.js';
 
 function handlePromptItemClick(event) {
     const promptItem = event.target.closest('.prompt-item');
     if (!promptItem) return;
 
+    // In select mode a click anywhere on the item toggles it, Shift+click selects a range
+    if (state.selectMode) {
+        event.preventDefault();
+        bulkActionView.toggleSelection(Number(promptItem.dataset.id), event.shiftKey);
+        return;
+    }
+
     // Handle switch toggle
     if (event.target.closest('.switch')) {
         const checkbox = event.target.closest('.switch').querySelector('input');
+        if (checkbox.disabled) return;
         const promptId = checkbox.dataset.id;
         const isActive = checkbox.checked;
         api.postMessageWithResponse('setPromptActive', { id: promptId, isActive: isActive });
         return; // Stop propagation to prevent opening edit view
     }
+
+    // Handle favorite and pin buttons, the list is updated right away and saved in the background
+    const favoriteButton = event.target.closest('.btn-favorite');
+    if (favoriteButton) {
+        const prompt = state.prompts.find(p => p.id == favoriteButton.dataset.id);
+        if (prompt) {
+            prompt.isFavorite = !prompt.isFavorite;
+            renderPrompts();
+            api.postMessageWithResponse('setPromptFavorite', { id: prompt.id, isFavorite: prompt.isFavorite })
+                .catch(err => api.showToast(`收藏失败: ${err.message}`, 'error'));
+        }
+        return;
+    }
+
+    const pinButton = event.target.closest('.btn-pin');
+    if (pinButton) {
+        const prompt = state.prompts.find(p => p.id == pinButton.dataset.id);
+        if (prompt) {
+            const isPinned = typeof prompt.pinOrder !== 'number';
+            if (isPinned) {
+                const orders = state.prompts.map(p => p.pinOrder).filter(order => typeof order === 'number');
+                prompt.pinOrder = orders.length > 0 ? Math.max(...orders) + 1 : 0;
+            } else {
+                delete prompt.pinOrder;
+            }
+            renderPrompts();
+            api.postMessageWithResponse('setPromptPinned', { id: prompt.id, isPinned })
+                .catch(err => api.showToast(`置顶失败: ${err.message}`, 'error'));
+        }
+        return;
+    }
+
+    // Handle copy button
+    const copyButton = event.target.closest('.btn-copy');
+    if (copyButton) {
+        const prompt = state.prompts.find(p => p.id == copyButton.dataset.id);
+        if (prompt) {
+            templateFillView.open(prompt);
+        }
+        return;
+    }
     
     // Handle click on item to edit
     const promptId = promptItem.dataset.id;
@@ -22,6 +73,60 @@ function handlePromptItemClick(event) {
     }
 }
 
+// #region Pin Reordering
+let draggedPromptId = null;
+
+function handleDragStart(event) {
+    const item = event.target.closest('.prompt-item.pinned');
+    if (!item) return;
+    draggedPromptId = Number(item.dataset.id);
+    event.dataTransfer.effectAllowed = 'move';
+    item.classList.add('dragging');
+}
+
+function handleDragOver(event) {
+    const item = event.target.closest('.prompt-item.pinned');
+    if (draggedPromptId === null || !item) return;
+    event.preventDefault();
+    dom.mainViewElements.promptListContainer.querySelectorAll('.drag-over').forEach(el => el.classList.remove('drag-over'));
+    if (Number(item.dataset.id) !== draggedPromptId) {
+        item.classList.add('drag-over');
+    }
+}
+
+function handleDragEnd() {
+    draggedPromptId = null;
+    dom.mainViewElements.promptListContainer.querySelectorAll('.dragging, .drag-over').forEach(el => el.classList.remove('dragging', 'drag-over'));
+}
+
+/**
+ * 把拖动的置顶 Prompt 放到目标之前，所有置顶 Prompt（包括被筛选隐藏的）重新编号
+ */
+function handleDrop(event) {
+    const item = event.target.closest('.prompt-item.pinned');
+    const targetId = item ? Number(item.dataset.id) : null;
+    const sourceId = draggedPromptId;
+    handleDragEnd();
+    if (targetId === null || sourceId === null || targetId === sourceId) return;
+    event.preventDefault();
+
+    const pinned = state.prompts
+        .filter(p => typeof p.pinOrder === 'number' && !p.readOnly)
+        .sort((a, b) => a.pinOrder - b.pinOrder);
+    const dragged = pinned.find(p => p.id === sourceId);
+    if (!dragged) return;
+    const ordered = pinned.filter(p => p !== dragged);
+    ordered.splice(ordered.findIndex(p => p.id === targetId), 0, dragged);
+    ordered.forEach((prompt, index) => {
+        prompt.pinOrder = index;
+    });
+
+    renderPrompts();
+    api.postMessageWithResponse('reorderPinnedPrompts', { ids: ordered.map(p => p.id) })
+        .catch(err => api.showToast(`调整置顶顺序失败: ${err.message}`, 'error'));
+}
+// #endregion
+
 function handleCategoryTabClick(e) {
     if (e.target.matches('.category-tab')) {
         const category = e.target.dataset.category;
@@ -31,21 +136,21 @@ function handleCategoryTabClick(e) {
     }
 }
 
-function handleSearchInput(e) {
-    state.filter.searchTerm = e.target.value;
-    renderPrompts();
-}
-
 function handleAddPrompt() {
     showEditForm(null, true);
 }
 
-export function init() {
+export function init(refreshFunc) {
+    bulkActionView.init(refreshFunc);
     dom.mainViewElements.promptListContainer.addEventListener('click', handlePromptItemClick);
+    dom.mainViewElements.promptListContainer.addEventListener('dragstart', handleDragStart);
+    dom.mainViewElements.promptListContainer.addEventListener('dragover', handleDragOver);
+    dom.mainViewElements.promptListContainer.addEventListener('drop', handleDrop);
+    dom.mainViewElements.promptListContainer.addEventListener('dragend', handleDragEnd);
     dom.mainViewElements.categoryTabsContainer.addEventListener('click', handleCategoryTabClick);
     dom.mainViewElements.manageCategoriesButton.addEventListener('click', () => navigateTo('categoryManagement'));
     dom.mainViewElements.addPromptButton.addEventListener('click', handleAddPrompt);
-    dom.mainViewElements.searchInput.addEventListener('input', handleSearchInput);
+    // The search input is handled in eventHandlers.js
     dom.mainViewElements.filterButton.addEventListener('click', () => navigateTo('filter'));
     dom.mainViewElements.settingsButton.addEventListener('click', () => navigateTo('settings'));
 }
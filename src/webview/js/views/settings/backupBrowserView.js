@@ -0,0 +1,375 @@
+import { dom, state } from '../../state.js';
+import * as api from '../../api.js';
+import { diffLines, renderDiff, formatPromptForDiff } from '../../diff.js';
+
+/**
+ * 备份浏览模块 - 负责浏览备份内容并选择性恢复
+ *
+ * 职责：
+ * - 列出所有备份及其 Prompt 数量、大小和时间
+ * - 预览备份中的 Prompt，并与当前数据对比
+ * - 只恢复选中的 Prompt 和分类，其余数据保持不变
+ */
+
+const STATUS_LABELS = {
+    missing: '当前不存在',
+    modified: '已修改',
+    same: '相同',
+};
+
+let isInitialized = false;
+let refreshCallback = null;
+let currentBackup = null;
+let selectedIds = new Set();
+let selectedCategories = new Set();
+let expandedId = null;
+
+function findCurrentPrompt(id) {
+    return (state.appData?.prompts || []).find(p => p.id === id);
+}
+
+/**
+ * 判断备份中的 Prompt 与当前数据的差异
+ * @param {Object} prompt - 备份中的 Prompt
+ * @returns {'missing'|'modified'|'same'} 差异状态
+ */
+function getPromptStatus(prompt) {
+    const current = findCurrentPrompt(prompt.id);
+    if (!current) return 'missing';
+    return formatPromptForDiff(current) === formatPromptForDiff(prompt) ? 'same' : 'modified';
+}
+
+function formatBackupDate(timestamp) {
+    return new Date(timestamp).toLocaleString('zh-CN');
+}
+
+function showPanel(panel) {
+    const elements = dom.backupBrowserElements;
+    elements.listPanel.classList.toggle('hidden', panel !== 'list');
+    elements.detailPanel.classList.toggle('hidden', panel !== 'detail');
+}
+
+// #region Backup List
+/**
+ * 渲染备份列表
+ * @param {Object[]} backups - 后端返回的备份列表
+ */
+function renderBackupList(backups) {
+    const list = dom.backupBrowserElements.list;
+    if (backups.length === 0) {
+        list.innerHTML = '<p class="backup-empty">还没有备份。</p>';
+        return;
+    }
+
+    list.innerHTML = '';
+    backups.forEach(backup => {
+        const item = document.createElement('div');
+        item.className = 'data-item backup-item';
+        item.dataset.path = backup.path;
+
+        const info = document.createElement('div');
+        info.className = 'backup-item-info';
+        const date = document.createElement('span');
+        date.textContent = formatBackupDate(backup.timestamp);
+        const meta = document.createElement('span');
+        meta.className = 'backup-item-meta';
+        const count = backup.promptCount === undefined ? '未知数量的' : `${backup.promptCount} 个`;
+        meta.textContent = `${count} Prompt · ${(backup.size / 1024).toFixed(2)} KB`;
+        info.append(date, meta);
+        item.appendChild(info);
+
+        if (backup.trigger) {
+            const badge = document.createElement('span');
+            badge.className = 'status-badge';
+            badge.textContent = backup.trigger === 'auto' ? '自动' : '手动';
+            item.appendChild(badge);
+        }
+        list.appendChild(item);
+    });
+}
+
+async function loadBackupList() {
+    showPanel('list');
+    dom.backupBrowserElements.list.innerHTML = '<p class="backup-empty">正在加载...</p>';
+    try {
+        const backups = await api.postMessageWithResponse('getBackupList');
+        renderBackupList(backups || []);
+    } catch (err) {
+        dom.backupBrowserElements.list.innerHTML = '';
+        api.showToast(`加载备份列表失败: ${err.message}`, 'error');
+    }
+}
+// #endregion
+
+// #region Backup Detail
+/**
+ * 按分类分组备份中的 Prompt，未分类的放在最后
+ * @returns {Array<{category: string, prompts: Object[]}>} 分组结果
+ */
+function groupPromptsByCategory() {
+    const { data } = currentBackup;
+    const groups = new Map(data.categories.map(category => [category, []]));
+    data.prompts.forEach(prompt => {
+        const category = prompt.category || '';
+        if (!groups.has(category)) groups.set(category, []);
+        groups.get(category).push(prompt);
+    });
+    const uncategorized = groups.get('');
+    groups.delete('');
+    if (uncategorized) groups.set('', uncategorized);
+    return [...groups].map(([category, prompts]) => ({ category, prompts }));
+}
+
+function getVisiblePrompts(prompts) {
+    const changedOnly = dom.backupBrowserElements.changedOnlyCheckbox.checked;
+    return prompts.filter(prompt => !changedOnly || currentBackup.statuses.get(prompt.id) !== 'same');
+}
+
+function renderSummary() {
+    const { data, statuses } = currentBackup;
+    const counts = { missing: 0, modified: 0, same: 0 };
+    statuses.forEach(status => counts[status]++);
+    const backupIds = new Set(data.prompts.map(p => p.id));
+    const extra = (state.appData?.prompts || []).filter(p => !backupIds.has(p.id)).length;
+
+    dom.backupBrowserElements.detailSummary.textContent =
+        `共 ${data.prompts.length} 个 Prompt：${counts.missing} 个当前不存在，${counts.modified} 个已修改，${counts.same} 个相同。`
+        + (extra > 0 ? `当前另有 ${extra} 个 Prompt 不在此备份中，恢复时不受影响。` : '');
+}
+
+/**
+ * 生成单个 Prompt 的行，展开时附带与当前数据的差异
+ * @param {Object} prompt - 备份中的 Prompt
+ * @returns {HTMLElement} Prompt 行
+ */
+function createPromptRow(prompt) {
+    const status = currentBackup.statuses.get(prompt.id);
+    const row = document.createElement('div');
+    row.className = 'backup-prompt';
+    row.dataset.id = prompt.id;
+
+    const header = document.createElement('div');
+    header.className = 'backup-prompt-header';
+    const label = document.createElement('label');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.dataset.promptId = prompt.id;
+    checkbox.checked = selectedIds.has(prompt.id);
+    label.append(checkbox, ` ${prompt.title}`);
+
+    const badge = document.createElement('span');
+    badge.className = `backup-status backup-status-${status}`;
+    badge.textContent = STATUS_LABELS[status];
+    const toggle = document.createElement('button');
+    toggle.type = 'button';
+    toggle.className = 'btn btn-secondary btn-backup-diff';
+    toggle.textContent = expandedId === prompt.id ? '收起' : (status === 'missing' ? '预览' : '对比');
+    header.append(label, badge, toggle);
+    row.appendChild(header);
+
+    if (expandedId === prompt.id) {
+        const current = findCurrentPrompt(prompt.id);
+        const diffView = document.createElement('div');
+        diffView.className = 'diff-view';
+        renderDiff(diffView, diffLines(current ? formatPromptForDiff(current) : '', formatPromptForDiff(prompt)));
+        row.appendChild(diffView);
+    }
+    return row;
+}
+
+/**
+ * 渲染备份详情：分类分组的 Prompt 列表
+ */
+function renderDetail() {
+    const elements = dom.backupBrowserElements;
+    const currentCategories = state.appData?.categories || [];
+    elements.promptList.innerHTML = '';
+
+    groupPromptsByCategory().forEach(({ category, prompts }) => {
+        const visiblePrompts = getVisiblePrompts(prompts);
+        const isMissingCategory = category !== '' && !currentCategories.includes(category);
+        if (visiblePrompts.length === 0 && !isMissingCategory) return;
+
+        const group = document.createElement('div');
+        group.className = 'backup-category';
+        const header = document.createElement('label');
+        header.className = 'backup-category-header';
+        if (category) {
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.dataset.category = category;
+            checkbox.checked = selectedCategories.has(category);
+            header.append(checkbox, ` ${category}`);
+        } else {
+            header.textContent = '未分类';
+        }
+        if (isMissingCategory) {
+            const badge = document.createElement('span');
+            badge.className = 'backup-status backup-status-missing';
+            badge.textContent = STATUS_LABELS.missing;
+            header.appendChild(badge);
+        }
+        group.appendChild(header);
+        visiblePrompts.forEach(prompt => group.appendChild(createPromptRow(prompt)));
+        elements.promptList.appendChild(group);
+    });
+
+    if (!elements.promptList.hasChildNodes()) {
+        elements.promptList.innerHTML = '<p class="backup-empty">备份中的 Prompt 与当前数据相同。</p>';
+    }
+    updateSelectionState();
+}
+
+function updateSelectionState() {
+    const elements = dom.backupBrowserElements;
+    const checkboxes = [...elements.promptList.querySelectorAll('input[type="checkbox"]')];
+    elements.selectAllCheckbox.checked = checkboxes.length > 0 && checkboxes.every(cb => cb.checked);
+    elements.restoreButton.disabled = selectedIds.size === 0 && selectedCategories.size === 0;
+    elements.restoreButton.textContent = selectedIds.size > 0 || selectedCategories.size > 0
+        ? `恢复选中项 (${selectedIds.size} 个 Prompt，${selectedCategories.size} 个分类)`
+        : '恢复选中项';
+}
+
+/**
+ * 打开一个备份的详情
+ * @param {string} path - 备份文件路径
+ */
+async function openBackup(path) {
+    try {
+        const data = await api.postMessageWithResponse('getBackupData', { path });
+        const statuses = new Map(data.prompts.map(prompt => [prompt.id, getPromptStatus(prompt)]));
+        currentBackup = { path, data, statuses };
+        selectedIds = new Set();
+        selectedCategories = new Set();
+        expandedId = null;
+
+        const item = dom.backupBrowserElements.list.querySelector(`[data-path="${CSS.escape(path)}"]`);
+        const date = item?.querySelector('.backup-item-info span')?.textContent;
+        dom.backupBrowserElements.detailTitle.textContent = date ? `备份 ${date}` : '备份详情';
+        renderSummary();
+        renderDetail();
+        showPanel('detail');
+    } catch (err) {
+        api.showToast(`读取备份失败: ${err.message}`, 'error');
+    }
+}
+// #endregion
+
+// #region Event Handlers
+function handleListClick(event) {
+    const item = event.target.closest('.backup-item');
+    if (item) openBackup(item.dataset.path);
+}
+
+function handlePromptListClick(event) {
+    const toggle = event.target.closest('.btn-backup-diff');
+    if (!toggle) return;
+    const id = Number(toggle.closest('.backup-prompt').dataset.id);
+    expandedId = expandedId === id ? null : id;
+    renderDetail();
+}
+
+function handlePromptListChange(event) {
+    const checkbox = event.target;
+    if (checkbox.dataset.promptId !== undefined) {
+        const id = Number(checkbox.dataset.promptId);
+        checkbox.checked ? selectedIds.add(id) : selectedIds.delete(id);
+        updateSelectionState();
+        return;
+    }
+
+    // 勾选分类时同时勾选该分类下显示的 Prompt
+    const category = checkbox.dataset.category;
+    if (category === undefined) return;
+    checkbox.checked ? selectedCategories.add(category) : selectedCategories.delete(category);
+    const group = checkbox.closest('.backup-category');
+    group.querySelectorAll('input[data-prompt-id]').forEach(cb => {
+        cb.checked = checkbox.checked;
+        const id = Number(cb.dataset.promptId);
+        checkbox.checked ? selectedIds.add(id) : selectedIds.delete(id);
+    });
+    updateSelectionState();
+}
+
+function handleSelectAll(event) {
+    const checked = event.target.checked;
+    dom.backupBrowserElements.promptList.querySelectorAll('input[type="checkbox"]').forEach(cb => {
+        cb.checked = checked;
+        if (cb.dataset.promptId !== undefined) {
+            const id = Number(cb.dataset.promptId);
+            checked ? selectedIds.add(id) : selectedIds.delete(id);
+        } else if (cb.dataset.category !== undefined) {
+            checked ? selectedCategories.add(cb.dataset.category) : selectedCategories.delete(cb.dataset.category);
+        }
+    });
+    updateSelectionState();
+}
+
+async function handleRestore() {
+    const promptIds = [...selectedIds];
+    const categories = [...selectedCategories];
+    const confirmed = await api.showConfirmation(
+        `确定要从备份恢复 ${promptIds.length} 个 Prompt 和 ${categories.length} 个分类吗？当前同 ID 的 Prompt 会被覆盖，覆盖前的内容保留在版本历史中。`
+    );
+    if (!confirmed) return;
+
+    const button = dom.backupBrowserElements.restoreButton;
+    button.disabled = true;
+    try {
+        await api.postMessageWithResponse('restoreBackupSelection', { path: currentBackup.path, promptIds, categories });
+        api.showToast(`已从备份恢复 ${promptIds.length} 个 Prompt`, 'success');
+        close();
+        if (refreshCallback) {
+            await refreshCallback();
+        }
+    } catch (err) {
+        api.showToast(`恢复失败: ${err.message}`, 'error');
+        updateSelectionState();
+    }
+}
+// #endregion
+
+function close() {
+    currentBackup = null;
+    selectedIds = new Set();
+    selectedCategories = new Set();
+    expandedId = null;
+    dom.backupBrowserElements.modal.classList.add('hidden');
+    dom.backupBrowserElements.promptList.innerHTML = '';
+}
+
+/**
+ * 打开备份浏览窗口
+ */
+export function open() {
+    dom.backupBrowserElements.modal.classList.remove('hidden');
+    loadBackupList();
+}
+
+/**
+ * 初始化备份浏览模块
+ * @param {Function} refreshFunc - 刷新数据的回调函数
+ */
+export function init(refreshFunc) {
+    if (isInitialized) return;
+    refreshCallback = refreshFunc;
+
+    const elements = dom.backupBrowserElements;
+    elements.closeButton.addEventListener('click', close);
+    elements.list.addEventListener('click', handleListClick);
+    elements.promptList.addEventListener('click', handlePromptListClick);
+    elements.promptList.addEventListener('change', handlePromptListChange);
+    elements.selectAllCheckbox.addEventListener('change', handleSelectAll);
+    elements.changedOnlyCheckbox.addEventListener('change', renderDetail);
+    elements.backButton.addEventListener('click', loadBackupList);
+    elements.restoreButton.addEventListener('click', handleRestore);
+
+    isInitialized = true;
+}
+
+/**
+ * 重置模块状态（用于测试或重新初始化）
+ */
+export function reset() {
+    isInitialized = false;
+}
@@ -1,54 +1,107 @@
 import { dom, state } from '../../state.js';
 import * as api from '../../api.js';
 import { renderSettingsStatus } from '../../uiManager.js';
+import { escapeHtml } from '../../utils.js';
 
 /**
  * 云同步模块 - 负责处理所有云同步相关功能
  * 
  * 职责：
  * - 管理云同步开关和配置
- * - 处理各种同步提供商的配置
+ * - 根据后端注册的同步服务商及其字段描述生成配置表单
  * - 执行同步操作（上传/下载）
  * - 管理自动同步设置
+ * - 开启、关闭同步加密和更换同步密码（密码由后端通过输入框询问）
  * - 提供云同步相关的UI交互
  */
 
 let isInitialized = false;
+let providers = [];
+
+function getProvider(id) {
+    return providers.find(provider => provider.id === id);
+}
+
+/**
+ * 指定服务商配置表单中的所有输入框
+ * @param {string} providerId - 服务商 ID
+ * @returns {HTMLInputElement[]}
+ */
+function getFieldInputs(providerId) {
+    const container = dom.settingsViewElements.syncProviderFields;
+    return [...(container?.querySelectorAll(`.provider-config[data-provider="${providerId}"] [data-field]`) || [])];
+}
+
+/**
+ * 根据服务商的字段描述生成配置表单
+ * @param {Object} provider - 服务商描述
+ */
+function createProviderConfig(provider) {
+    const container = document.createElement('div');
+    container.className = 'provider-config hidden';
+    container.dataset.provider = provider.id;
+
+    const description = document.createElement('p');
+    description.className = 'settings-description';
+    // 说明由扩展内置的服务商提供，包含文档链接
+    description.innerHTML = provider.description;
+    container.appendChild(description);
+
+    provider.fields.forEach(field => {
+        const inputId = `sync-${provider.id}-${field.key}`;
+        const group = document.createElement('div');
+        group.className = 'form-group';
+
+        const label = document.createElement('label');
+        label.htmlFor = inputId;
+        label.textContent = field.label;
+        if (field.tooltip) {
+            const help = document.createElement('span');
+            help.className = 'help-icon';
+            help.dataset.tooltip = field.tooltip;
+            help.textContent = '?';
+            label.appendChild(help);
+        }
+
+        const input = document.createElement('input');
+        input.type = field.type;
+        input.id = inputId;
+        input.className = 'input-field';
+        input.dataset.field = field.key;
+        if (field.placeholder) {
+            input.placeholder = field.placeholder;
+        }
+
+        group.append(label, input);
+        container.appendChild(group);
+    });
+    return container;
+}
+
+/**
+ * 填充服务商下拉框并生成所有服务商的配置表单
+ */
+function renderProviderForms() {
+    const { syncProviderSelect, syncProviderFields } = dom.settingsViewElements;
+    if (!syncProviderSelect || !syncProviderFields) return;
+
+    syncProviderSelect.querySelectorAll('option:not([value="disabled"])').forEach(option => option.remove());
+    syncProviderFields.innerHTML = '';
+    providers.forEach(provider => {
+        syncProviderSelect.add(new Option(provider.label, provider.id));
+        syncProviderFields.appendChild(createProviderConfig(provider));
+    });
+}
 
 /**
  * 显示指定提供商的配置界面
  * @param {string} provider - 同步提供商名称
  */
 function showProviderConfig(provider) {
-    // 首先隐藏所有提供商配置
-    const { settingsViewElements: elements } = dom;
-    Object.values(elements).forEach(el => {
-        if (el && el.container && el.container.classList.contains('provider-config')) {
-            el.container.classList.add('hidden');
-        }
+    const container = dom.settingsViewElements.syncProviderFields;
+    container?.querySelectorAll('.provider-config').forEach(el => {
+        el.classList.toggle('hidden', el.dataset.provider !== provider);
     });
-
-    // 显示选中的配置界面
-    switch (provider) {
-        case 'github':
-            elements.githubConfig.container.classList.remove('hidden');
-            break;
-        case 'gitee':
-            elements.giteeConfig.container.classList.remove('hidden');
-            break;
-        case 'gitlab':
-            elements.gitlabConfig.container.classList.remove('hidden');
-            break;
-        case 'webdav':
-            elements.webdavConfig.container.classList.remove('hidden');
-            break;
-        case 'custom':
-            elements.customConfig.container.classList.remove('hidden');
-            break;
-        default:
-            // 没有特定配置需要显示
-            break;
-    }
 }
 
 /**
@@ -101,34 +154,12 @@ function renderSyncSummary(settings) {
     const summaryView = elements.syncSummaryView;
     if (!summaryView) return;
 
-    const provider = settings.syncProvider;
-    let mainText = '';
+    const provider = getProvider(settings.syncProvider);
+    let mainText = '云同步配置无效';
     let secondaryText = '';
-
-    switch (provider) {
-        case 'github':
-            mainText = `已连接到 <strong>GitHub Gist</strong>`;
-            secondaryText = `(ID: ${settings.gistId})`;
-            break;
-        case 'gitee':
-            mainText = `已连接到 <strong>Gitee Gist</strong>`;
-            secondaryText = `(ID: ${settings.gistId})`;
-            break;
-        case 'gitlab':
-            const gitlabInstance = settings.gitlabUrl === 'https://gitlab.com' ? 'GitLab.com' : settings.gitlabUrl;
-            mainText = `已连接到 <strong>${gitlabInstance}</strong>`;
-            secondaryText = `(Snippet: ${settings.gistId})`;
-            break;
-        case 'webdav':
-            mainText = `已连接到 <strong>WebDAV</strong>`;
-            secondaryText = `(${settings.webdavUsername}@${settings.webdavUrl})`;
-            break;
-        case 'custom':
-            mainText = `已连接到自定义 API`;
-            secondaryText = `(URL: <strong>${settings.customApiUrl}</strong>)`;
-            break;
-        default:
-            mainText = '云同步配置无效';
+    if (provider) {
+        mainText = `已连接到 <strong>${escapeHtml(provider.label)}</strong>`;
+        secondaryText = provider.summary.replace(/\{(\w+)\}/g, (_, key) => escapeHtml(settings[key] ?? ''));
     }
 
     summaryView.innerHTML = `
@@ -188,41 +219,11 @@ export async function handleSaveSyncSettings() {
     setSaveButtonLoading(true);
 
     const provider = elements.syncProviderSelect.value;
-    const settings = {
-        provider: provider,
-        token: '',
-        gistId: '',
-        gitlabUrl: '',
-        webdavUrl: '',
-        webdavUsername: '',
-        customApiUrl: '',
-    };
-
-    // 根据不同提供商收集配置信息
-    switch (provider) {
-        case 'github':
-            settings.token = elements.githubConfig.token.value.trim();
-            settings.gistId = elements.githubConfig.gistId.value.trim();
-            break;
-        case 'gitee':
-            settings.token = elements.giteeConfig.token.value.trim();
-            settings.gistId = elements.giteeConfig.gistId.value.trim();
-            break;
-        case 'gitlab':
-            settings.token = elements.gitlabConfig.token.value.trim();
-            settings.gistId = elements.gitlabConfig.snippetId.value.trim();
-            settings.gitlabUrl = elements.gitlabConfig.url.value.trim();
-            break;
-        case 'webdav':
-            settings.token = elements.webdavConfig.password.value.trim();
-            settings.webdavUrl = elements.webdavConfig.url.value.trim();
-            settings.webdavUsername = elements.webdavConfig.username.value.trim();
-            break;
-        case 'custom':
-            settings.token = elements.customConfig.apiKey.value.trim();
-            settings.customApiUrl = elements.customConfig.url.value.trim();
-            break;
-    }
+    const settings = { provider, token: '' };
+    // 表单字段的 key 与后端保存的配置字段相同，凭证统一使用 token
+    getFieldInputs(provider).forEach(input => {
+        settings[input.dataset.field] = input.value.trim();
+    });
     
     try {
         const updatedAppData = await api.saveSyncSettings(settings);
@@ -290,6 +291,36 @@ function handleAutoSyncToggle(event) {
         });
 }
 
+/**
+ * 处理同步加密开关切换，取消输入密码或操作失败时恢复开关状态
+ * @param {Event} event - 事件对象
+ */
+function handleSyncEncryptionToggle(event) {
+    const isEnabled = event.target.checked;
+    api.postMessageWithResponse(isEnabled ? 'webview:enableSyncEncryption' : 'webview:disableSyncEncryption')
+        .then(changed => {
+            if (!changed) {
+                event.target.checked = !isEnabled;
+            }
+        })
+        .catch(err => {
+            // 错误（例如密码错误）由后端显示为原生VS Code通知
+            console.error('切换同步加密失败:', err);
+            event.target.checked = !isEnabled;
+        });
+}
+
+/**
+ * 更换同步密码
+ */
+function handleChangeSyncPassphrase() {
+    api.postMessageWithResponse('webview:changeSyncPassphrase')
+        .catch(err => {
+            // 错误由后端处理并显示为原生VS Code通知
+            console.error('更换同步密码失败:', err);
+        });
+}
+
 /**
  * 设置保存按钮的加载状态
  * @param {boolean} isLoading - 是否加载中
@@ -341,7 +372,7 @@ export function updateCloudSyncView(settings) {
     elements.cloudSyncEnabledToggle.checked = settings.cloudSync;
     elements.cloudSyncConfigContainer.classList.toggle('hidden', !settings.cloudSync);
 
-    const isConfiguredAndEnabled = settings.syncProvider && settings.syncProvider !== 'disabled' && settings.gistId;
+    const isConfiguredAndEnabled = !!getProvider(settings.syncProvider) && settings.isValidated !== false;
 
     setSyncConfigLockedState(isConfiguredAndEnabled, settings, settings.syncProvider);
 
@@ -362,21 +393,20 @@ export function updateCloudSyncView(settings) {
     if (autoSyncToggle) {
         autoSyncToggle.checked = !!settings.autoSync;
     }
-    
-    // 填入现有值（如果存在）
-    if (settings.syncProvider === 'github' && elements.githubConfig.gistId) {
-        elements.githubConfig.gistId.value = settings.gistId || '';
-    } else if (settings.syncProvider === 'gitee' && elements.giteeConfig.gistId) {
-        elements.giteeConfig.gistId.value = settings.gistId || '';
-    } else if (settings.syncProvider === 'gitlab' && elements.gitlabConfig.snippetId) {
-        elements.gitlabConfig.snippetId.value = settings.gistId || '';
-        elements.gitlabConfig.url.value = settings.gitlabUrl || '';
-    } else if (settings.syncProvider === 'webdav' && elements.webdavConfig.url) {
-        elements.webdavConfig.url.value = settings.webdavUrl || '';
-        elements.webdavConfig.username.value = settings.webdavUsername || '';
-    } else if (settings.syncProvider === 'custom' && elements.customConfig.url) {
-        elements.customConfig.url.value = settings.customApiUrl || '';
+
+    // 更新同步加密状态
+    const encryptionToggle = document.getElementById('sync-encryption-toggle');
+    if (encryptionToggle) {
+        encryptionToggle.checked = !!settings.syncEncryption;
     }
+    document.getElementById('change-sync-passphrase-btn')?.classList.toggle('hidden', !settings.syncEncryption);
+    
+    // 填入现有值（如果存在），凭证不会发送到 webview
+    getFieldInputs(settings.syncProvider).forEach(input => {
+        if (input.dataset.field !== 'token') {
+            input.value = settings[input.dataset.field] || '';
+        }
+    });
 
     highlightSyncActions();
 }
@@ -406,6 +436,19 @@ export function init() {
     if (syncFromCloudBtn) {
         syncFromCloudBtn.addEventListener('click', handleSyncFromCloud);
     }
+    document.getElementById('sync-encryption-toggle')?.addEventListener('change', handleSyncEncryptionToggle);
+    document.getElementById('change-sync-passphrase-btn')?.addEventListener('click', handleChangeSyncPassphrase);
+
+    // 服务商由后端注册，加载后生成表单并重新填入当前设置
+    api.postMessageWithResponse('getSyncProviders')
+        .then(result => {
+            providers = result || [];
+            renderProviderForms();
+            if (state.appData?.settings) {
+                updateCloudSyncView(state.appData.settings);
+            }
+        })
+        .catch(err => console.error('加载同步服务商失败:', err));
     
     isInitialized = true;
     console.log('云同步模块已初始化');
@@ -1,4 +1,6 @@
 import * as api from '../../api.js';
+import * as backupBrowserView from './backupBrowserView.js';
+import * as importView from '../importView.js';
 
 /**
  * 数据管理模块 - 负责处理导入、导出、备份、恢复等数据管理功能
@@ -12,19 +14,34 @@ import * as api from '../../api.js';
 let isInitialized = false;
 
 /**
- * 处理文件导入
+ * 读取文件内容
+ * @param {File} file - 文件
+ * @returns {Promise<{fileName: string, content: string}>} 文件名和内容
+ */
+function readFile(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = (event) => resolve({ fileName: file.name, content: event.target.result });
+        reader.onerror = () => reject(new Error(`无法读取文件 ${file.name}`));
+        reader.readAsText(file);
+    });
+}
+
+/**
+ * 处理文件导入 - 由后端按格式转换、校验并查找重复项，再打开导入向导
  * @param {FileList} files - 待导入的文件列表
  */
 function handleImport(files) {
     if (files.length === 0) return;
-    const file = files[0];
-    const reader = new FileReader();
-    reader.onload = (event) => {
-        api.postMessageWithResponse('importData', { data: event.target.result })
-            .then(() => api.showToast('数据导入成功！', 'success'))
-            .catch(err => api.showToast(`导入失败: ${err.message}`, 'error'));
-    };
-    reader.readAsText(file);
+    Promise.all(Array.from(files).map(readFile))
+        .then(contents => api.postMessageWithResponse('prepareImport', { files: contents }))
+        .then(analysis => {
+            // 用户取消选择 CSV 列映射时没有结果
+            if (analysis) {
+                importView.open(analysis);
+            }
+        })
+        .catch(err => api.showToast(`导入失败: ${err.message}`, 'error'));
 }
 
 /**
@@ -36,6 +53,27 @@ function handleExport() {
         .catch(err => api.showToast(`导出失败: ${err.message}`, 'error'));
 }
 
+/**
+ * 处理从 Markdown 文件夹导入 - 由后端选择文件夹，匹配结果通过 importAnalysis 消息打开导入向导
+ */
+function handleImportMarkdown() {
+    api.postMessageWithResponse('importMarkdown')
+        .catch(err => api.showToast(`导入失败: ${err.message}`, 'error'));
+}
+
+/**
+ * 处理导出为 Markdown 文件夹
+ */
+function handleExportMarkdown() {
+    api.postMessageWithResponse('exportMarkdown')
+        .then(result => {
+            if (result && result.path) {
+                api.showToast('已导出为 Markdown 文件夹', 'success');
+            }
+        })
+        .catch(err => api.showToast(`导出失败: ${err.message}`, 'error'));
+}
+
 /**
  * 处理数据备份
  */
@@ -46,16 +84,10 @@ function handleBackup() {
 }
 
 /**
- * 处理数据恢复
+ * 处理数据恢复 - 打开备份浏览窗口，选择要恢复的内容
  */
 function handleRestore() {
-    api.postMessageWithResponse('restoreData')
-        .then(response => {
-            if (response.success) {
-                api.showToast('备份恢复成功！', 'success');
-            }
-        })
-        .catch(err => api.showToast(`恢复失败: ${err.message}`, 'error'));
+    backupBrowserView.open();
 }
 
 /**
@@ -67,6 +99,8 @@ function getElements() {
         importButton: document.getElementById('import-btn'),
         importInput: document.getElementById('import-file-input'),
         exportButton: document.getElementById('export-btn'),
+        importMarkdownButton: document.getElementById('import-markdown-btn'),
+        exportMarkdownButton: document.getElementById('export-markdown-btn'),
         createBackupButton: document.getElementById('create-backup-btn'),
         restoreBackupButton: document.getElementById('restore-backup-btn'),
         resetAllDataButton: document.getElementById('reset-all-data-btn'),
@@ -94,6 +128,8 @@ export function init() {
         importButton: !!elements.importButton,
         importInput: !!elements.importInput,
         exportButton: !!elements.exportButton,
+        importMarkdownButton: !!elements.importMarkdownButton,
+        exportMarkdownButton: !!elements.exportMarkdownButton,
         createBackupButton: !!elements.createBackupButton,
         restoreBackupButton: !!elements.restoreBackupButton,
         resetAllDataButton: !!elements.resetAllDataButton,
@@ -110,11 +146,21 @@ export function init() {
         elements.importButton.addEventListener('click', () => elements.importInput.click());
     }
     if (elements.importInput) {
-        elements.importInput.addEventListener('change', (event) => handleImport(event.target.files));
+        elements.importInput.addEventListener('change', (event) => {
+            handleImport(event.target.files);
+            // 清空选择，以便再次导入同一个文件
+            event.target.value = '';
+        });
     }
     if (elements.exportButton) {
         elements.exportButton.addEventListener('click', handleExport);
     }
+    if (elements.importMarkdownButton) {
+        elements.importMarkdownButton.addEventListener('click', handleImportMarkdown);
+    }
+    if (elements.exportMarkdownButton) {
+        elements.exportMarkdownButton.addEventListener('click', handleExportMarkdown);
+    }
     if (elements.createBackupButton) {
         elements.createBackupButton.addEventListener('click', handleBackup);
     }
@@ -126,13 +172,12 @@ export function init() {
     document.getElementById('reset-all-data-btn').addEventListener('click', async () => {
         try {
             // 使用VS Code确认对话框而不是原生confirm()
-            const confirmed = await api.showConfirmation('确定要重置所有数据吗？这将清除所有提示词、分类、设置和云同步配置，并添加默认的软件开发生命周期示例数据。此操作不可撤销！');
+            const confirmed = await api.showConfirmation('确定要重置所有数据吗？这将清除所有提示词、分类、设置和云同步配置，并添加默认的软件开发生命周期示例数据。原来的提示词会移到回收站。');
             if (!confirmed) {
                 return;
             }
 
-            await api.postMessageWithResponse('resetAllData', {});
-            api.showToast('所有数据已重置为默认状态，已添加软件开发生命周期相关的示例数据！', 'success');
+            await api.postMessageWithResponse('webview:resetAllData', {});
             
             // 刷新页面数据
             if (window.appState && window.appState.refreshData) {
@@ -148,13 +193,12 @@ export function init() {
     document.getElementById('clear-all-data-btn').addEventListener('click', async () => {
         try {
             // 使用VS Code确认对话框而不是原生confirm()
-            const confirmed = await api.showConfirmation('确定要清空所有数据吗？这将删除所有提示词和分类，只保留默认设置。此操作不可撤销！');
+            const confirmed = await api.showConfirmation('确定要清空所有数据吗？这将删除所有提示词和分类，只保留默认设置。提示词会移到回收站，可以撤销。');
             if (!confirmed) {
                 return;
             }
 
-            await api.postMessageWithResponse('clearAllData', {});
-            api.showToast('所有数据已清空，只保留默认设置！', 'success');
+            await api.postMessageWithResponse('webview:clearAllData', {});
             
             // 刷新页面数据
             if (window.appState && window.appState.refreshData) {
@@ -181,6 +225,8 @@ export function reset() {
 export {
     handleImport,
     handleExport,
+    handleImportMarkdown,
+    handleExportMarkdown,
     handleBackup,
     handleRestore
 }; 
\ No newline at end of file
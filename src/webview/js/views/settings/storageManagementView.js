@@ -11,6 +11,12 @@ import * as api from '../../api.js';
 
 let isInitialized = false;
 
+const STORAGE_MODE_LABELS = {
+    global: '全局模式',
+    workspace: '工作区模式',
+    folder: '文件夹模式',
+};
+
 /**
  * 处理存储模式切换
  * @param {Event} event - 事件对象
@@ -23,11 +29,10 @@ function handleStorageChange(event) {
 }
 
 /**
- * 处理工作区模式切换
+ * 处理存储模式切换 - 由后端弹出全局 / 工作区 / 文件夹模式的选择框
  */
 function handleToggleWorkspaceMode() {
     api.postMessageWithResponse('toggleWorkspaceMode')
-        .then(() => api.showToast('存储模式已切换', 'success'))
         .catch(err => api.showToast(`切换失败: ${err.message}`, 'error'));
 }
 
@@ -50,8 +55,8 @@ function handleShowStorageInfo() {
 function updateStorageStatus(settings) {
     const statusElement = document.getElementById('storage-mode-status');
     if (statusElement && settings.storageMode) {
-        statusElement.textContent = settings.storageMode === 'workspace' ? '工作区模式' : '全局模式';
-        statusElement.className = `status-badge ${settings.storageMode === 'workspace' ? 'success' : 'info'}`;
+        statusElement.textContent = STORAGE_MODE_LABELS[settings.storageMode] || '全局模式';
+        statusElement.className = `status-badge ${settings.storageMode === 'global' ? 'info' : 'success'}`;
     }
 }
 
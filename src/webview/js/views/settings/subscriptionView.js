@@ -0,0 +1,127 @@
+import { state } from '../../state.js';
+import * as api from '../../api.js';
+import { escapeHtml } from '../../utils.js';
+
+/**
+ * 订阅模块 - 负责管理只读的订阅
+ *
+ * 职责：
+ * - 列出订阅及其最近更新时间、错误和最近一次的变更摘要
+ * - 添加、刷新和取消订阅
+ */
+
+const SUBSCRIPTION_TYPE_LABELS = {
+    url: 'URL',
+    gist: 'Gist',
+    path: '本地文件',
+};
+
+let isInitialized = false;
+let refreshCallback = () => {};
+
+function formatChange(change) {
+    const time = new Date(change.at).toLocaleString('zh-CN');
+    return `${time} 更新：新增 ${change.added.length}、修改 ${change.updated.length}、删除 ${change.removed.length}`;
+}
+
+/**
+ * 渲染订阅列表，获取失败的订阅继续显示缓存的 Prompt 数量
+ */
+export function render() {
+    const list = document.getElementById('subscription-list');
+    if (!list) return;
+
+    const subscriptions = state.appData?.settings?.subscriptions || [];
+    list.innerHTML = subscriptions.map(subscription => {
+        const source = state.sources.find(s => s.id === `subscription:${subscription.id}`);
+        const count = state.prompts.filter(p => p.source === source?.id).length;
+        const updatedAt = source?.updatedAt ? `最近获取：${new Date(source.updatedAt).toLocaleString('zh-CN')}` : '尚未获取成功';
+        const status = source?.error
+            ? `<span class="status-badge error" title="${escapeHtml(source.error)}">${source.updatedAt ? '离线' : '获取失败'}</span>`
+            : `<span class="status-badge info">${count} 个 Prompt</span>`;
+        return `
+            <div class="data-item team-library-item">
+                <div class="team-library-info">
+                    <span>${escapeHtml(subscription.name)}</span>
+                    <span class="team-library-path">${escapeHtml(SUBSCRIPTION_TYPE_LABELS[subscription.type] || subscription.type)} · ${escapeHtml(subscription.location)}</span>
+                    <span class="team-library-path">${updatedAt}</span>
+                    ${source?.lastChange ? `<span class="team-library-path">${formatChange(source.lastChange)}</span>` : ''}
+                    ${source?.error ? `<span class="team-library-error">${escapeHtml(source.error)}</span>` : ''}
+                </div>
+                <div class="team-library-actions">
+                    ${status}
+                    <button class="btn btn-secondary btn-refresh-subscription" data-id="${escapeHtml(subscription.id)}">刷新</button>
+                    <button class="btn btn-secondary btn-remove-subscription" data-id="${escapeHtml(subscription.id)}">取消订阅</button>
+                </div>
+            </div>`;
+    }).join('');
+}
+
+function handleAdd() {
+    api.postMessageWithResponse('addSubscription')
+        .then(result => {
+            if (result && result.added) {
+                api.showToast('订阅已添加', 'success');
+            }
+        })
+        .catch(err => api.showToast(`添加订阅失败: ${err.message}`, 'error'));
+}
+
+/**
+ * 刷新订阅，有变化的订阅由后端显示变更摘要
+ * @param {string} [id] - 订阅 ID，不指定时刷新全部
+ */
+function handleRefresh(id) {
+    api.postMessageWithResponse('refreshSubscriptions', { id })
+        .then(result => {
+            if (result && result.updated === 0) {
+                api.showToast('订阅没有新的变化', 'info');
+            }
+        })
+        .catch(err => api.showToast(`刷新订阅失败: ${err.message}`, 'error'));
+}
+
+async function handleListClick(event) {
+    const refreshButton = event.target.closest('.btn-refresh-subscription');
+    if (refreshButton) {
+        handleRefresh(refreshButton.dataset.id);
+        return;
+    }
+
+    const removeButton = event.target.closest('.btn-remove-subscription');
+    if (!removeButton) return;
+
+    const confirmed = await api.showConfirmation('确定要取消这个订阅吗？缓存的 Prompt 会一起删除。');
+    if (!confirmed) return;
+
+    try {
+        await api.postMessageWithResponse('removeSubscription', { id: removeButton.dataset.id });
+        await refreshCallback();
+    } catch (err) {
+        api.showToast(`取消订阅失败: ${err.message}`, 'error');
+    }
+}
+
+/**
+ * 初始化订阅模块
+ * @param {Function} refreshFunc - 刷新数据的回调
+ */
+export function init(refreshFunc) {
+    if (isInitialized) return;
+    if (refreshFunc) {
+        refreshCallback = refreshFunc;
+    }
+
+    document.getElementById('add-subscription-btn')?.addEventListener('click', handleAdd);
+    document.getElementById('refresh-subscriptions-btn')?.addEventListener('click', () => handleRefresh());
+    document.getElementById('subscription-list')?.addEventListener('click', handleListClick);
+
+    isInitialized = true;
+}
+
+/**
+ * 重置模块状态（用于测试或重新初始化）
+ */
+export function reset() {
+    isInitialized = false;
+}
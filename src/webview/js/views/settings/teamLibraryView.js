@@ -0,0 +1,91 @@
+import { state } from '../../state.js';
+import * as api from '../../api.js';
+import { escapeHtml } from '../../utils.js';
+
+/**
+ * 团队库模块 - 负责管理只读的团队库
+ *
+ * 职责：
+ * - 列出已添加的团队库及其读取状态
+ * - 添加和移除团队库（只修改配置，不会改动团队库的文件）
+ */
+
+let isInitialized = false;
+let refreshCallback = () => {};
+
+/**
+ * 渲染团队库列表，读取失败的团队库显示错误信息
+ */
+export function render() {
+    const list = document.getElementById('team-library-list');
+    if (!list) return;
+
+    const libraries = state.appData?.settings?.teamLibraries || [];
+    list.innerHTML = libraries.map(library => {
+        const source = state.sources.find(s => s.id === `team:${library.path}`);
+        const count = state.prompts.filter(p => p.source === source?.id).length;
+        const status = source?.error
+            ? `<span class="status-badge error" title="${escapeHtml(source.error)}">读取失败</span>`
+            : `<span class="status-badge info">${count} 个 Prompt</span>`;
+        return `
+            <div class="data-item team-library-item">
+                <div class="team-library-info">
+                    <span>${escapeHtml(library.name)}</span>
+                    <span class="team-library-path">${escapeHtml(library.path)}</span>
+                    ${source?.error ? `<span class="team-library-error">${escapeHtml(source.error)}</span>` : ''}
+                </div>
+                <div class="team-library-actions">
+                    ${status}
+                    <button class="btn btn-secondary btn-remove-team-library" data-path="${escapeHtml(library.path)}">移除</button>
+                </div>
+            </div>`;
+    }).join('');
+}
+
+function handleAdd() {
+    api.postMessageWithResponse('addTeamLibrary')
+        .then(result => {
+            if (result && result.added) {
+                api.showToast('团队库已添加', 'success');
+            }
+        })
+        .catch(err => api.showToast(`添加团队库失败: ${err.message}`, 'error'));
+}
+
+async function handleListClick(event) {
+    const removeButton = event.target.closest('.btn-remove-team-library');
+    if (!removeButton) return;
+
+    const confirmed = await api.showConfirmation('确定要移除这个团队库吗？团队库的文件不会被删除。');
+    if (!confirmed) return;
+
+    try {
+        await api.postMessageWithResponse('removeTeamLibrary', { path: removeButton.dataset.path });
+        await refreshCallback();
+    } catch (err) {
+        api.showToast(`移除团队库失败: ${err.message}`, 'error');
+    }
+}
+
+/**
+ * 初始化团队库模块
+ * @param {Function} refreshFunc - 刷新数据的回调
+ */
+export function init(refreshFunc) {
+    if (isInitialized) return;
+    if (refreshFunc) {
+        refreshCallback = refreshFunc;
+    }
+
+    document.getElementById('add-team-library-btn')?.addEventListener('click', handleAdd);
+    document.getElementById('team-library-list')?.addEventListener('click', handleListClick);
+
+    isInitialized = true;
+}
+
+/**
+ * 重置模块状态（用于测试或重新初始化）
+ */
+export function reset() {
+    isInitialized = false;
+}
@@ -0,0 +1,46 @@
+import { state } from '../../state.js';
+import { STALE_DAYS, countRecentUsage, isStale } from '../../usage.js';
+import { escapeHtml } from '../../utils.js';
+
+/**
+ * 使用统计模块 - 负责显示我的库中 Prompt 的使用情况
+ *
+ * 职责：
+ * - 汇总总使用次数和最近 7 天、30 天的使用次数
+ * - 列出最常使用的 Prompt 和长期未使用的数量
+ */
+
+const TOP_COUNT = 5;
+
+/**
+ * 渲染使用统计，只统计可以编辑的 Prompt（只读来源的 Prompt 不记录使用）
+ */
+export function render() {
+    const container = document.getElementById('usage-stats');
+    if (!container) return;
+
+    const prompts = (state.prompts || []).filter(p => p && !p.readOnly);
+    const total = prompts.reduce((sum, p) => sum + (p.usage?.count || 0), 0);
+    const lastWeek = prompts.reduce((sum, p) => sum + countRecentUsage(p, 7), 0);
+    const lastMonth = prompts.reduce((sum, p) => sum + countRecentUsage(p, 30), 0);
+    const staleCount = prompts.filter(isStale).length;
+    const top = prompts
+        .filter(p => p.usage?.count)
+        .sort((a, b) => b.usage.count - a.usage.count)
+        .slice(0, TOP_COUNT);
+
+    container.innerHTML = `
+        <div class="usage-stats-summary">
+            <div class="usage-stat"><span class="usage-stat-value">${total}</span><span class="usage-stat-label">总使用次数</span></div>
+            <div class="usage-stat"><span class="usage-stat-value">${lastWeek}</span><span class="usage-stat-label">最近 7 天</span></div>
+            <div class="usage-stat"><span class="usage-stat-value">${lastMonth}</span><span class="usage-stat-label">最近 30 天</span></div>
+            <div class="usage-stat"><span class="usage-stat-value">${staleCount}</span><span class="usage-stat-label">${STALE_DAYS} 天内未使用</span></div>
+        </div>
+        ${top.length === 0
+            ? '<p class="info-text">还没有使用记录。复制或插入 Prompt 后会在这里显示。</p>'
+            : top.map(p => `
+            <div class="data-item">
+                <span>${escapeHtml(p.title)}</span>
+                <span class="status-badge info">${p.usage.count} 次</span>
+            </div>`).join('')}`;
+}
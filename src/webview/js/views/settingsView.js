@@ -7,6 +7,10 @@ import { init as initTooltips } from '../tooltips.js';
 import * as dataManagementView from './settings/dataManagementView.js';
 import * as cloudSyncView from './settings/cloudSyncView.js';
 import * as storageManagementView from './settings/storageManagementView.js';
+import * as backupBrowserView from './settings/backupBrowserView.js';
+import * as teamLibraryView from './settings/teamLibraryView.js';
+import * as subscriptionView from './settings/subscriptionView.js';
+import * as usageStatsView from './settings/usageStatsView.js';
 
 let refreshCallback = () => {};
 let hasInitialized = false;
@@ -80,6 +84,17 @@ function setSaveButtonLoading(isLoading) {
     // 但实际功能由云同步模块的内部函数处理
 }
 
+// 团队库和订阅功能 - 委托给团队库模块和订阅模块
+export function renderSharedLibraries() {
+    teamLibraryView.render();
+    subscriptionView.render();
+}
+
+// 使用统计 - 委托给使用统计模块
+export function renderUsageStats() {
+    usageStatsView.render();
+}
+
 export function init(refreshFunc) {
     if (hasInitialized) return;
     refreshCallback = refreshFunc;
@@ -88,6 +103,9 @@ export function init(refreshFunc) {
     dataManagementView.init();
     cloudSyncView.init();
     storageManagementView.init();
+    backupBrowserView.init(refreshFunc);
+    teamLibraryView.init(refreshFunc);
+    subscriptionView.init(refreshFunc);
 
     // Init tooltips
     initTooltips();
@@ -0,0 +1,227 @@
+import { dom } from '../state.js';
+import * as api from '../api.js';
+import { navigateTo, goBack } from '../uiManager.js';
+
+/**
+ * 同步冲突模块 - 负责展示并解决云同步中的冲突
+ *
+ * 职责：
+ * - 并排展示冲突 Prompt 的本地和云端版本，标出冲突的字段
+ * - 记录用户对每个冲突的选择（保留本地 / 使用云端 / 保留两者）
+ * - 提交选择并完成同步
+ */
+
+const FIELD_LABELS = {
+    title: '标题',
+    category: '分类',
+    tags: '标签',
+    isActive: '状态',
+    isFavorite: '收藏',
+    content: '内容',
+};
+
+const CHOICE_LABELS = {
+    local: '保留本地',
+    remote: '使用云端',
+    both: '保留两者',
+};
+
+let refreshCallback = null;
+let conflicts = [];
+let choices = {};
+
+/**
+ * 格式化字段值用于展示
+ * @param {string} field - 字段名
+ * @param {Object} prompt - Prompt 对象
+ * @returns {string} 展示用的文本
+ */
+function formatFieldValue(field, prompt) {
+    switch (field) {
+        case 'tags':
+            return (prompt.tags || []).map(tag => `#${tag}`).join(' ') || '无';
+        case 'isActive':
+            return prompt.isActive === false ? '已禁用' : '已启用';
+        case 'isFavorite':
+            return prompt.isFavorite ? '已收藏' : '未收藏';
+        case 'category':
+            return prompt.category || '未分类';
+        default:
+            return prompt[field] || '';
+    }
+}
+
+/**
+ * 描述冲突的原因
+ * @param {Object} conflict - 冲突信息
+ * @returns {string} 冲突原因
+ */
+function describeConflict(conflict) {
+    if (!conflict.local) return '本地已删除，云端有修改';
+    if (!conflict.remote) return '云端已删除，本地有修改';
+    const fields = conflict.fields.map(field => FIELD_LABELS[field] || field).join('、');
+    return conflict.base ? `两端都修改了：${fields}` : `两端内容不同：${fields}`;
+}
+
+/**
+ * 获取选项按钮的文字，选择已删除的一端即确认删除
+ * @param {string} choice - 选项
+ * @param {Object} conflict - 冲突信息
+ * @returns {string} 按钮文字
+ */
+function getChoiceLabel(choice, conflict) {
+    if ((choice === 'local' && !conflict.local) || (choice === 'remote' && !conflict.remote)) {
+        return '确认删除';
+    }
+    return CHOICE_LABELS[choice];
+}
+
+/**
+ * 生成一端的版本展示
+ * Prompt 的内容通过 textContent 写入，其中的 HTML 不会被解析
+ * @param {string} label - 版本名称
+ * @param {Object|null} prompt - 该端的 Prompt，null 表示已删除
+ * @param {string[]} conflictFields - 冲突的字段
+ * @returns {HTMLElement} 版本展示元素
+ */
+function createSide(label, prompt, conflictFields) {
+    const side = document.createElement('div');
+    side.className = 'sync-conflict-side';
+    side.innerHTML = `<h4 class="sync-conflict-side-title">${label}</h4>`;
+
+    if (!prompt) {
+        const deleted = document.createElement('p');
+        deleted.className = 'sync-conflict-deleted';
+        deleted.textContent = '已删除';
+        side.appendChild(deleted);
+        return side;
+    }
+
+    Object.keys(FIELD_LABELS).forEach(field => {
+        const row = document.createElement('div');
+        row.className = `sync-conflict-field ${conflictFields.includes(field) ? 'is-conflict' : ''}`;
+        row.innerHTML = `<span class="sync-conflict-field-label">${FIELD_LABELS[field]}</span>`;
+        const value = document.createElement('div');
+        value.className = `sync-conflict-field-value ${field === 'content' ? 'is-content' : ''}`;
+        value.textContent = formatFieldValue(field, prompt);
+        row.appendChild(value);
+        side.appendChild(row);
+    });
+    return side;
+}
+
+/**
+ * 生成单个冲突的卡片
+ * @param {Object} conflict - 冲突信息
+ * @returns {HTMLElement} 冲突卡片
+ */
+function createConflictCard(conflict) {
+    const card = document.createElement('div');
+    card.className = 'sync-conflict-card';
+    card.dataset.id = conflict.promptId;
+
+    const title = document.createElement('h3');
+    title.className = 'sync-conflict-title';
+    title.textContent = (conflict.local || conflict.remote).title;
+    const reason = document.createElement('p');
+    reason.className = 'sync-conflict-reason';
+    reason.textContent = describeConflict(conflict);
+
+    const columns = document.createElement('div');
+    columns.className = 'sync-conflict-columns';
+    columns.appendChild(createSide('本地', conflict.local, conflict.fields));
+    columns.appendChild(createSide('云端', conflict.remote, conflict.fields));
+
+    // 一端已删除时，"保留两者"与保留存在的一端相同
+    const availableChoices = conflict.local && conflict.remote ? ['local', 'remote', 'both'] : ['local', 'remote'];
+    const choiceButtons = document.createElement('div');
+    choiceButtons.className = 'filter-options sync-conflict-choices';
+    choiceButtons.innerHTML = availableChoices.map(choice => `
+        <button class="btn filter-btn ${choices[conflict.promptId] === choice ? 'active' : ''}" data-choice="${choice}">
+            ${getChoiceLabel(choice, conflict)}
+        </button>`).join('');
+
+    card.append(title, reason, columns, choiceButtons);
+    return card;
+}
+
+/**
+ * 渲染冲突列表
+ */
+export function render() {
+    const elements = dom.syncConflictElements;
+    elements.summary.textContent = conflicts.length > 0
+        ? `${conflicts.length} 个 Prompt 在本地和云端的修改存在冲突，其余修改已自动合并。请为每个冲突选择要保留的版本。`
+        : '没有需要解决的冲突。';
+
+    elements.list.innerHTML = '';
+    conflicts.forEach(conflict => elements.list.appendChild(createConflictCard(conflict)));
+    elements.resolveButton.disabled = conflicts.length === 0;
+}
+
+/**
+ * 打开冲突视图
+ * @param {Object[]} newConflicts - 后端检测到的冲突列表
+ */
+export function open(newConflicts) {
+    conflicts = newConflicts || [];
+    // 默认保留本地版本
+    choices = Object.fromEntries(conflicts.map(conflict => [conflict.promptId, 'local']));
+    render();
+    navigateTo('syncConflict');
+}
+
+function handleChoiceClick(event) {
+    const button = event.target.closest('[data-choice]');
+    const card = event.target.closest('.sync-conflict-card');
+    if (!button || !card) return;
+
+    choices[card.dataset.id] = button.dataset.choice;
+    card.querySelectorAll('[data-choice]').forEach(btn => {
+        btn.classList.toggle('active', btn === button);
+    });
+}
+
+function handleBulkChoiceClick(event) {
+    const button = event.target.closest('[data-choice-all]');
+    if (!button) return;
+
+    const choice = button.dataset.choiceAll;
+    conflicts.forEach(conflict => {
+        const isAvailable = choice !== 'both' || (conflict.local && conflict.remote);
+        choices[conflict.promptId] = isAvailable ? choice : (conflict.local ? 'local' : 'remote');
+    });
+    render();
+}
+
+async function handleResolve() {
+    const button = dom.syncConflictElements.resolveButton;
+    button.disabled = true;
+    try {
+        await api.postMessageWithResponse('webview:resolveSyncConflicts', { choices });
+        conflicts = [];
+        choices = {};
+        api.showToast('同步冲突已解决', 'info');
+        if (refreshCallback) {
+            await refreshCallback();
+        }
+        goBack();
+    } catch (error) {
+        api.showToast(`解决同步冲突失败: ${error.message}`, 'error');
+    } finally {
+        button.disabled = conflicts.length === 0;
+    }
+}
+
+/**
+ * 初始化同步冲突模块
+ * @param {Function} refreshFunc - 刷新数据的回调函数
+ */
+export function init(refreshFunc) {
+    refreshCallback = refreshFunc;
+    const elements = dom.syncConflictElements;
+    elements.list.addEventListener('click', handleChoiceClick);
+    elements.bulkActions.addEventListener('click', handleBulkChoiceClick);
+    elements.cancelButton.addEventListener('click', goBack);
+    elements.resolveButton.addEventListener('click', handleResolve);
+}
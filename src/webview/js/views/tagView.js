@@ -0,0 +1,225 @@
+import { dom, state } from '../state.js';
+import * as api from '../api.js';
+import { navigateTo } from '../uiManager.js';
+
+/**
+ * 标签管理 - 列出个人库中的所有标签及使用次数
+ *
+ * 职责：
+ * - 点击标签名称在所有 Prompt 中重命名，新名称已存在时两个标签合并
+ * - 勾选多个标签后合并为一个，由后端询问合并后的名称
+ * - 设置标签颜色，颜色显示在 Prompt 列表中
+ * - 只显示使用一次的标签，方便清理拼写不一致的标签
+ */
+
+let isInitialized = false;
+let refreshCallback = () => {};
+let selectedTags = [];
+let singleUseOnly = false;
+
+/**
+ * 个人库中每个标签的使用次数，按次数从多到少排列
+ * @returns {Array<{tag: string, count: number}>}
+ */
+function getTagCounts() {
+    const counts = new Map();
+    (state.appData?.prompts || []).forEach(prompt => {
+        (prompt.tags || []).forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+    });
+    return [...counts.entries()]
+        .map(([tag, count]) => ({ tag, count }))
+        .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+}
+
+function createTagItemElement({ tag, count }) {
+    const color = state.appData?.tagColors?.[tag];
+    const item = document.createElement('div');
+    item.className = 'tag-manage-item';
+    item.dataset.tag = tag;
+
+    item.innerHTML = `
+        <input type="checkbox" class="tag-select" title="选中后可以合并" ${selectedTags.includes(tag) ? 'checked' : ''} />
+        <input type="color" class="tag-color-input" title="标签颜色" value="${color || '#808080'}" />
+        <div class="tag-name-wrapper">
+            <span class="tag-name" title="点击重命名"></span>
+            <input type="text" class="tag-name-input hidden" />
+        </div>
+        <span class="tag-count">${count}</span>
+        <div class="tag-manage-actions">
+            <button class="btn-icon btn-clear-color ${color ? '' : 'hidden'}" title="清除颜色">
+                <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 20 20" fill="currentColor"><path fill-rule="evenodd" d="M4.293 4.293a1 1 0 011.414 0L10 8.586l4.293-4.293a1 1 0 111.414 1.414L11.414 10l4.293 4.293a1 1 0 01-1.414 1.414L10 11.414l-4.293 4.293a1 1 0 01-1.414-1.414L8.586 10 4.293 5.707a1 1 0 010-1.414z" clip-rule="evenodd" /></svg>
+            </button>
+            <button class="btn-icon btn-delete" title="删除">
+                 <svg width="16" height="16" viewBox="0 0 16 16" xmlns="http://www.w3.org/2000/svg" fill="currentColor"><path fill-rule="evenodd" clip-rule="evenodd" d="M10.5 3h3v1h-1v9.5a1.5 1.5 0 0 1-1.5 1.5h-5A1.5 1.5 0 0 1 4 13.5V4h-1V3h3V2.5A1.5 1.5 0 0 1 7.5 1h1A1.5 1.5 0 0 1 10 2.5v.5Zm-4 1h-1v9.5a.5.5 0 0 0 .5.5h5a.5.5 0 0 0 .5-.5V4h-1v9H6.5V4Zm2-1.5V2.5a.5.5 0 0 0-.5-.5h-1a.5.5 0 0 0-.5.5V3h2Z"/></svg>
+            </button>
+        </div>
+    `;
+    // Tags are user input, set them as text so quotes and markup stay intact
+    const name = item.querySelector('.tag-name');
+    name.textContent = tag;
+    if (color) {
+        name.style.setProperty('--tag-color', color);
+        name.classList.add('tag-colored');
+    }
+    item.querySelector('.tag-name-input').value = tag;
+    return item;
+}
+
+/**
+ * 渲染标签列表，由 renderAll 在每次数据变化后调用
+ */
+export function render() {
+    const { list, mergeButton, singleUseToggle } = dom.tagViewElements;
+    if (!list) return;
+
+    const tags = getTagCounts();
+    selectedTags = selectedTags.filter(tag => tags.some(t => t.tag === tag));
+    const visible = singleUseOnly ? tags.filter(t => t.count === 1) : tags;
+
+    mergeButton.disabled = selectedTags.length < 2;
+    mergeButton.textContent = selectedTags.length > 1 ? `合并 (${selectedTags.length})` : '合并';
+    singleUseToggle.classList.toggle('active', singleUseOnly);
+    singleUseToggle.textContent = `只使用一次 (${tags.filter(t => t.count === 1).length})`;
+
+    if (visible.length === 0) {
+        list.innerHTML = `<p class="tag-manage-empty">${singleUseOnly ? '没有只使用一次的标签。' : '还没有标签。'}</p>`;
+        return;
+    }
+    list.innerHTML = '';
+    visible.forEach(entry => list.appendChild(createTagItemElement(entry)));
+}
+
+function toggleEditMode(item, isEditing) {
+    item.querySelector('.tag-name').classList.toggle('hidden', isEditing);
+    const input = item.querySelector('.tag-name-input');
+    input.classList.toggle('hidden', !isEditing);
+    if (isEditing) {
+        input.focus();
+        input.select();
+    } else {
+        input.value = item.dataset.tag;
+    }
+}
+
+async function renameTag(item) {
+    const oldName = item.dataset.tag;
+    const newName = item.querySelector('.tag-name-input').value.trim();
+    if (!newName || newName === oldName) {
+        toggleEditMode(item, false);
+        return;
+    }
+    const merging = getTagCounts().some(t => t.tag === newName);
+    if (merging && !await api.showConfirmation(`标签 "${newName}" 已存在，确定要把 "${oldName}" 合并到 "${newName}" 吗？`)) {
+        toggleEditMode(item, false);
+        return;
+    }
+
+    try {
+        const result = await api.postMessageWithResponse('renameTag', { oldName, newName });
+        api.showToast(`已${merging ? '合并' : '重命名'}标签，修改了 ${result?.changed ?? 0} 个 Prompt`, 'success');
+        await refreshCallback();
+    } catch (err) {
+        api.showToast(`重命名标签失败: ${err.message}`, 'error');
+        toggleEditMode(item, false);
+    }
+}
+
+async function handleMerge() {
+    if (selectedTags.length < 2) return;
+    try {
+        const result = await api.postMessageWithResponse('mergeTags', { tags: selectedTags });
+        if (result?.changed === undefined) return;
+        api.showToast(`已合并 ${selectedTags.length} 个标签，修改了 ${result.changed} 个 Prompt`, 'success');
+        selectedTags = [];
+        await refreshCallback();
+    } catch (err) {
+        api.showToast(`合并标签失败: ${err.message}`, 'error');
+    }
+}
+
+async function setTagColor(tag, color) {
+    try {
+        await api.postMessageWithResponse('setTagColor', { name: tag, color });
+        await refreshCallback();
+    } catch (err) {
+        api.showToast(`设置标签颜色失败: ${err.message}`, 'error');
+    }
+}
+
+async function handleDelete(tag) {
+    try {
+        const confirmed = await api.showConfirmation(`确定要从所有 Prompts 中删除标签 '${tag}' 吗？`);
+        if (!confirmed) return;
+        // 后端会显示带撤销按钮的通知
+        await api.postMessageWithResponse('deleteTag', { name: tag });
+        await refreshCallback();
+    } catch (err) {
+        api.showToast(`删除标签失败: ${err.message || err}`, 'error');
+    }
+}
+
+function handleListClick(e) {
+    const item = e.target.closest('.tag-manage-item');
+    if (!item) return;
+    const tag = item.dataset.tag;
+
+    if (e.target.closest('.tag-select')) {
+        selectedTags = e.target.checked ? [...selectedTags, tag] : selectedTags.filter(t => t !== tag);
+        render();
+    } else if (e.target.closest('.tag-name')) {
+        toggleEditMode(item, true);
+    } else if (e.target.closest('.btn-clear-color')) {
+        setTagColor(tag, undefined);
+    } else if (e.target.closest('.btn-delete')) {
+        handleDelete(tag);
+    }
+}
+
+function handleListKeydown(e) {
+    if (!e.target.classList.contains('tag-name-input')) return;
+    const item = e.target.closest('.tag-manage-item');
+    if (e.key === 'Enter') {
+        e.preventDefault();
+        renameTag(item);
+    } else if (e.key === 'Escape') {
+        toggleEditMode(item, false);
+    }
+}
+
+function handleListChange(e) {
+    // The color picker fires change once the picker closes, not on every drag
+    if (e.target.classList.contains('tag-color-input')) {
+        setTagColor(e.target.closest('.tag-manage-item').dataset.tag, e.target.value);
+    }
+}
+
+/**
+ * 初始化标签管理模块
+ * @param {Function} refreshFunc - 刷新数据的回调
+ */
+export function init(refreshFunc) {
+    if (isInitialized) return;
+    if (refreshFunc) {
+        refreshCallback = refreshFunc;
+    }
+
+    const { openButton, list, mergeButton, singleUseToggle } = dom.tagViewElements;
+    openButton?.addEventListener('click', () => navigateTo('tagManagement'));
+    mergeButton?.addEventListener('click', handleMerge);
+    singleUseToggle?.addEventListener('click', () => {
+        singleUseOnly = !singleUseOnly;
+        render();
+    });
+    list?.addEventListener('click', handleListClick);
+    list?.addEventListener('keydown', handleListKeydown);
+    list?.addEventListener('change', handleListChange);
+
+    isInitialized = true;
+}
+
+/**
+ * 重置模块状态（用于测试或重新初始化）
+ */
+export function reset() {
+    isInitialized = false;
+}
@@ -0,0 +1,145 @@
+import { dom } from '../state.js';
+import * as api from '../api.js';
+import { renderTemplate } from '../template.js';
+
+/**
+ * 模板变量填写模块 - 负责在复制 Prompt 前填写模板变量
+ *
+ * 职责：
+ * - 根据 Prompt 内容中的模板变量生成填写表单
+ * - 在本地实时预览渲染结果
+ * - 将最终文本交给后端复制
+ */
+
+let currentPrompt = null;
+let currentTemplate = null;
+let openRequestId = 0;
+
+/**
+ * 生成单个变量的输入控件
+ * 变量名、默认值和选项都来自 Prompt 内容，用 DOM API 构建以免被当作 HTML 解析
+ * @param {Object} variable - 模板变量 { name, defaultValue, choices }
+ * @param {number} index - 变量序号，用于生成控件 id
+ * @returns {HTMLElement} 表单项
+ */
+function createField(variable, index) {
+    const group = document.createElement('div');
+    group.className = 'form-group';
+
+    const label = document.createElement('label');
+    label.htmlFor = `template-var-${index}`;
+    label.textContent = variable.name;
+
+    let field;
+    if (variable.choices && variable.choices.length > 0) {
+        const selected = variable.defaultValue ?? variable.choices[0];
+        field = document.createElement('select');
+        variable.choices.forEach(choice => {
+            field.appendChild(new Option(choice, choice, false, choice === selected));
+        });
+    } else {
+        field = document.createElement('input');
+        field.type = 'text';
+        field.value = variable.defaultValue ?? '';
+    }
+    field.id = label.htmlFor;
+    field.className = 'input-field';
+    field.dataset.variable = variable.name;
+
+    group.append(label, field);
+    return group;
+}
+
+/**
+ * 收集表单中填写的变量值
+ * @returns {Object} 变量名到填写值的映射
+ */
+function collectValues() {
+    const values = {};
+    dom.templateFillElements.fields.querySelectorAll('[data-variable]').forEach(field => {
+        values[field.dataset.variable] = field.value;
+    });
+    return values;
+}
+
+/**
+ * 使用打开表单时取得的模板在本地渲染预览
+ */
+function updatePreview() {
+    if (!currentTemplate) return;
+    const { content, variables, context } = currentTemplate;
+    dom.templateFillElements.preview.value = renderTemplate(content, variables, collectValues(), context);
+}
+
+/**
+ * 复制 Prompt 的最终文本
+ * @param {Object} values - 填写的变量值
+ */
+async function copyPrompt(values = {}) {
+    try {
+        await api.postMessageWithResponse('copyPrompt', { id: currentPrompt.id, values });
+        close();
+    } catch (err) {
+        api.showToast(`复制失败: ${err.message}`, 'error');
+    }
+}
+
+function handleFormSubmit(event) {
+    event.preventDefault();
+    copyPrompt(collectValues());
+}
+
+function close() {
+    currentPrompt = null;
+    currentTemplate = null;
+    dom.templateFillElements.modal.classList.add('hidden');
+    dom.templateFillElements.fields.innerHTML = '';
+}
+
+/**
+ * 打开指定 Prompt 的变量填写表单；没有变量时直接复制
+ * 变量由后端从 Prompt 的当前内容中解析，不使用列表数据中保存的变量；上下文变量也只在这里解析一次
+ * @param {Object} prompt - 要使用的 Prompt
+ */
+export async function open(prompt) {
+    currentPrompt = prompt;
+    currentTemplate = null;
+    const requestId = ++openRequestId;
+    let result;
+    try {
+        result = await api.postMessageWithResponse('getPromptTemplate', { id: prompt.id });
+    } catch (err) {
+        api.showToast(`读取模板变量失败: ${err.message}`, 'error');
+        return;
+    }
+    // 等待期间又打开了其他 Prompt
+    if (requestId !== openRequestId || currentPrompt !== prompt) return;
+
+    const variables = result.variables || [];
+    if (variables.length === 0) {
+        copyPrompt();
+        return;
+    }
+
+    currentTemplate = { content: result.content, variables, context: result.context || {} };
+    const elements = dom.templateFillElements;
+    elements.title.textContent = prompt.title;
+    elements.fields.replaceChildren(...variables.map(createField));
+    updatePreview();
+    elements.modal.classList.remove('hidden');
+
+    const firstField = elements.fields.querySelector('[data-variable]');
+    if (firstField) firstField.focus();
+}
+
+/**
+ * 初始化模板变量填写模块
+ */
+export function init() {
+    const elements = dom.templateFillElements;
+    elements.form.addEventListener('submit', handleFormSubmit);
+    elements.fields.addEventListener('input', updatePreview);
+    elements.fields.addEventListener('change', updatePreview);
+    elements.closeButton.addEventListener('click', close);
+    elements.cancelButton.addEventListener('click', close);
+}
@@ -0,0 +1,125 @@
+import { dom, state } from '../state.js';
+import * as api from '../api.js';
+import { navigateTo } from '../uiManager.js';
+
+/**
+ * 回收站 - 显示删除的 Prompt，可以恢复或彻底删除
+ *
+ * 回收站的内容随 AppData 一起发送（appData.trash），超过保留天数的 Prompt 由后端在读取时清除
+ */
+
+let isInitialized = false;
+let refreshCallback = () => {};
+
+function formatDeletedAt(deletedAt) {
+    return new Date(deletedAt).toLocaleString('zh-CN');
+}
+
+function createTrashItem({ prompt, deletedAt }) {
+    const item = document.createElement('div');
+    item.className = 'data-item trash-item';
+    item.dataset.id = prompt.id;
+
+    const info = document.createElement('div');
+    info.className = 'trash-item-info';
+    const title = document.createElement('span');
+    title.textContent = prompt.title || '(无标题)';
+    const meta = document.createElement('span');
+    meta.className = 'trash-item-meta';
+    meta.textContent = `${prompt.category || '未分类'} · 删除于 ${formatDeletedAt(deletedAt)}`;
+    info.append(title, meta);
+
+    const actions = document.createElement('div');
+    actions.className = 'trash-item-actions';
+    actions.innerHTML = `
+        <button class="btn btn-secondary" data-trash-action="restore">恢复</button>
+        <button class="btn btn-danger" data-trash-action="purge">彻底删除</button>
+    `;
+
+    item.append(info, actions);
+    return item;
+}
+
+/**
+ * 渲染回收站列表，由 renderAll 在每次数据变化后调用
+ */
+export function render() {
+    const { openButton, emptyButton, list } = dom.trashElements;
+    if (!list) return;
+
+    const trash = state.appData?.trash || [];
+    if (openButton) {
+        openButton.textContent = trash.length > 0 ? `查看回收站 (${trash.length})` : '查看回收站';
+    }
+    if (emptyButton) {
+        emptyButton.disabled = trash.length === 0;
+    }
+
+    if (trash.length === 0) {
+        list.innerHTML = '<p class="trash-empty">回收站是空的。</p>';
+        return;
+    }
+    list.innerHTML = '';
+    trash.forEach(entry => list.appendChild(createTrashItem(entry)));
+}
+
+async function handleListClick(e) {
+    const button = e.target.closest('[data-trash-action]');
+    const item = e.target.closest('.trash-item');
+    if (!button || !item) return;
+
+    const id = Number(item.dataset.id);
+    try {
+        if (button.dataset.trashAction === 'restore') {
+            await api.postMessageWithResponse('restoreFromTrash', { ids: [id] });
+        } else {
+            const title = item.querySelector('.trash-item-info span')?.textContent;
+            const confirmed = await api.showConfirmation(`确定要彻底删除 "${title}" 吗？此操作无法撤销。`);
+            if (!confirmed) return;
+            await api.postMessageWithResponse('purgeTrash', { ids: [id] });
+        }
+        await refreshCallback();
+    } catch (err) {
+        api.showToast(`操作失败: ${err.message}`, 'error');
+    }
+}
+
+async function handleEmptyTrash() {
+    const count = (state.appData?.trash || []).length;
+    if (count === 0) return;
+
+    try {
+        const confirmed = await api.showConfirmation(`确定要彻底删除回收站中的 ${count} 个 Prompt 吗？此操作无法撤销。`);
+        if (!confirmed) return;
+        await api.postMessageWithResponse('purgeTrash', {});
+        api.showToast('回收站已清空', 'success');
+        await refreshCallback();
+    } catch (err) {
+        api.showToast(`清空回收站失败: ${err.message}`, 'error');
+    }
+}
+
+/**
+ * 初始化回收站模块
+ * @param {Function} refreshFunc - 刷新数据的回调
+ */
+export function init(refreshFunc) {
+    if (isInitialized) return;
+    if (refreshFunc) {
+        refreshCallback = refreshFunc;
+    }
+
+    const { openButton, emptyButton, list } = dom.trashElements;
+    openButton?.addEventListener('click', () => navigateTo('trash'));
+    emptyButton?.addEventListener('click', handleEmptyTrash);
+    list?.addEventListener('click', handleListClick);
+
+    isInitialized = true;
+}
+
+/**
+ * 重置模块状态（用于测试或重新初始化）
+ */
+export function reset() {
+    isInitialized = false;
+}